@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * university-data command-line tool (see client/cli.js)
+ */
+
+const { main } = require('../client/cli');
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
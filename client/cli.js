@@ -0,0 +1,492 @@
+/**
+ * university-data command-line tool
+ *
+ * Wraps UniversityDataClient with one subcommand per task (search, get,
+ * fields, stats, export). Flags mirror the endpoint parameters; results are
+ * printed as an aligned table, JSON or CSV. The exit status tells scripts
+ * what went wrong (see EXIT_CODES).
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const UniversityDataClient = require('./index');
+const {
+  UniversityDataError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError
+} = require('./errors');
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  invalid: 4,
+  unauthorized: 5,
+  rateLimited: 6,
+  server: 7,
+  unreachable: 8
+};
+
+const OUTPUT_MODES = ['table', 'json', 'csv'];
+
+// Widest table cell before values are cut short
+const MAX_CELL_WIDTH = 40;
+
+// Table columns of a search when --columns is not given
+const SEARCH_COLUMNS = ['id', 'name', 'city', 'state', 'totalEnrollment'];
+const RAW_SEARCH_COLUMNS = ['objectid', 'name', 'city', 'state', 'tot_enroll'];
+
+/**
+ * A mistake in the command line, reported with the usage text
+ */
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  url: { type: 'string', short: 'u', value: 'URL', description: 'Server URL (default: $UNIVERSITY_DATA_URL or http://localhost:3000)' },
+  'api-key': { type: 'string', value: 'KEY', description: 'API key (default: $UNIVERSITY_API_KEY)' },
+  timeout: { type: 'string', value: 'MS', description: 'Request timeout in milliseconds' },
+  output: { type: 'string', short: 'o', value: 'MODE', description: 'Output: table (default), json or csv' },
+  columns: { type: 'string', value: 'LIST', description: 'Comma-separated columns for table and csv output' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const SEARCH_FILTERS = {
+  state: { type: 'string', value: 'CODE', description: "Filter by state (e.g. CA)" },
+  city: { type: 'string', value: 'NAME', description: 'Filter by city' },
+  filter: { type: 'string', value: 'JSON', description: 'Structured filter, e.g. \'{"field":"tot_enroll","op":">","value":20000}\'' }
+};
+
+const COMMANDS = {
+  search: {
+    usage: 'search [QUERY...] [options]',
+    description: 'Search for universities',
+    options: {
+      ...SEARCH_FILTERS,
+      limit: { type: 'string', value: 'N', description: 'Results per page (default 10, max 100)' },
+      offset: { type: 'string', value: 'N', description: 'Results to skip' },
+      all: { type: 'boolean', description: 'Fetch every matching university, page by page' },
+      raw: { type: 'boolean', description: 'Dataset records instead of normalized ones' }
+    },
+    run: search
+  },
+  get: {
+    usage: 'get <ID|NAME> [options]',
+    description: 'Show one university, by record ID or by name',
+    options: {
+      mode: { type: 'string', value: 'MODE', description: 'Name matching: auto (default), exact or fuzzy' },
+      state: { type: 'string', value: 'CODE', description: 'Restrict name matches to a state' },
+      raw: { type: 'boolean', description: 'The dataset record instead of the normalized one' }
+    },
+    run: get
+  },
+  fields: {
+    usage: 'fields [options]',
+    description: 'List the dataset fields',
+    options: {},
+    run: fields
+  },
+  stats: {
+    usage: 'stats [options]',
+    description: 'Aggregate universities, optionally grouped',
+    options: {
+      agg: { type: 'string', multiple: true, value: 'AGG[:FIELD]', description: 'Aggregation, repeatable: count, sum, avg, min, max, median or pNN (percentile), e.g. --agg count --agg avg:tot_enroll --agg p90:tot_enroll' },
+      aggregations: { type: 'string', value: 'JSON', description: 'Aggregations as the endpoint takes them' },
+      'group-by': { type: 'string', value: 'LIST', description: 'Fields to group by; FIELD:SIZE groups a numeric field into buckets, e.g. state,tot_enroll:5000' },
+      ...SEARCH_FILTERS,
+      query: { type: 'string', value: 'TEXT', description: 'Full-text search query' },
+      having: { type: 'string', value: 'JSON', description: 'Condition on result columns, e.g. \'{"field":"count","op":">=","value":10}\'' },
+      'order-by': { type: 'string', value: 'LIST', description: 'Result columns to order by, e.g. count:desc,state' },
+      limit: { type: 'string', value: 'N', description: 'Keep the first N rows' }
+    },
+    run: stats
+  },
+  export: {
+    usage: 'export [options]',
+    description: 'Download every matching university as CSV, NDJSON or GeoJSON',
+    options: {
+      format: { type: 'string', value: 'FORMAT', description: 'csv (default), ndjson or geojson' },
+      fields: { type: 'string', value: 'LIST', description: 'Comma-separated dataset fields to export' },
+      query: { type: 'string', value: 'TEXT', description: 'Full-text search query' },
+      ...SEARCH_FILTERS,
+      max: { type: 'string', value: 'N', description: 'Stop after N records' },
+      raw: { type: 'boolean', description: 'Dataset records instead of normalized ones' },
+      file: { type: 'string', short: 'f', value: 'PATH', description: 'Write to a file instead of standard output' }
+    },
+    run: exportCommand
+  }
+};
+
+/**
+ * Usage text, for the whole tool or one command
+ */
+function usage(commandName) {
+  const optionLines = options => Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`;
+    return `  ${flag.padEnd(28)} ${option.description}`;
+  });
+
+  if (commandName) {
+    const command = COMMANDS[commandName];
+    return [
+      `Usage: university-data ${command.usage}`,
+      '',
+      command.description,
+      ...(Object.keys(command.options).length > 0 ? ['', 'Options:', ...optionLines(command.options)] : []),
+      '',
+      'Global options:',
+      ...optionLines(GLOBAL_OPTIONS),
+      ''
+    ].join('\n');
+  }
+
+  return [
+    'Usage: university-data <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(8)} ${command.description}`),
+    '',
+    'Global options:',
+    ...optionLines(GLOBAL_OPTIONS),
+    '',
+    'Run `university-data <command> --help` for the options of a command.',
+    '',
+    'Exit status: 0 success, 1 unexpected error, 2 usage error, 3 not found, 4 invalid request,',
+    '5 missing or rejected API key, 6 rate limited, 7 server or data source error, 8 server unreachable',
+    ''
+  ].join('\n');
+}
+
+function integer(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new UsageError(`--${name} must be an integer`);
+  }
+  return number;
+}
+
+function json(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new UsageError(`--${name} must be valid JSON`);
+  }
+}
+
+function list(value) {
+  return value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Drop parameters that were not given, so the server applies its defaults
+ */
+function defined(params) {
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Flatten nested objects into dotted keys (location.lat), leaving arrays whole
+ */
+function flatten(value, prefix = '', into = {}) {
+  for (const [key, item] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      flatten(item, name, into);
+    } else {
+      into[name] = item;
+    }
+  }
+  return into;
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvValue(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as an aligned text table. Numeric columns are right-aligned
+ * and long values are cut short.
+ */
+function table(rows, columns) {
+  const cells = rows.map(row => columns.map(column => {
+    const text = cellText(row[column]).replace(/\s+/g, ' ');
+    return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+  }));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(row => row[index].length)));
+  const numeric = columns.map(column => rows.some(row => typeof row[column] === 'number')
+    && rows.every(row => row[column] === null || row[column] === undefined || typeof row[column] === 'number'));
+  const line = values => values
+    .map((value, index) => (numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index])))
+    .join('  ')
+    .trimEnd();
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n') + '\n';
+}
+
+/**
+ * Print a result: the whole response as JSON, or its rows as a table or CSV
+ *
+ * @param {object} io - { stdout }
+ * @param {object} options - Parsed global options
+ * @param {object} result
+ * @param {*} result.json - What JSON output prints
+ * @param {Array<object>} result.rows - Rows for table and CSV output
+ * @param {string[]} result.columns - Default columns
+ */
+function print(io, options, { json: body, rows, columns }) {
+  if (options.output === 'json') {
+    io.stdout.write(`${JSON.stringify(body, null, 2)}\n`);
+    return;
+  }
+  const flatRows = rows.map(row => flatten(row));
+  const chosen = list(options.columns) || columns;
+  if (options.output === 'csv') {
+    io.stdout.write([chosen, ...flatRows.map(row => chosen.map(column => row[column]))]
+      .map(values => `${values.map(csvValue).join(',')}\r\n`)
+      .join(''));
+    return;
+  }
+  io.stdout.write(table(flatRows, chosen));
+}
+
+async function search(client, { values, positionals }, io) {
+  const params = defined({
+    query: positionals.length > 0 ? positionals.join(' ') : undefined,
+    state: values.state,
+    city: values.city,
+    filter: json('filter', values.filter),
+    limit: integer('limit', values.limit),
+    offset: integer('offset', values.offset),
+    raw: values.raw || undefined
+  });
+  const columns = values.raw ? RAW_SEARCH_COLUMNS : SEARCH_COLUMNS;
+
+  if (values.all) {
+    const results = await client.searchAll(params);
+    return { json: results, rows: results, columns };
+  }
+  const response = await client.searchUniversities(params);
+  const { results, total_count: total } = response.data;
+  if (values.output !== 'json') {
+    io.stderr.write(`${results.length} of ${total} universities\n`);
+  }
+  return { json: response, rows: results, columns };
+}
+
+async function get(client, { values, positionals }, io) {
+  if (positionals.length === 0) {
+    throw new UsageError('get needs a university ID or name');
+  }
+  const input = positionals.join(' ');
+  const lookup = defined({ raw: values.raw || undefined });
+  const response = /^\d+$/.test(input)
+    ? await client.getUniversity(input, lookup)
+    : await client.getUniversityByName(input, defined({ ...lookup, mode: values.mode, state: values.state }));
+
+  const { resolution } = response;
+  if (resolution && resolution.method === 'fuzzy' && values.output !== 'json') {
+    io.stderr.write(`Matched "${input}" to ${response.data.name} (confidence ${resolution.confidence})\n`);
+  }
+  const properties = Object.entries(flatten(response.data)).map(([property, value]) => ({ property, value }));
+  return { json: response, rows: properties, columns: ['property', 'value'] };
+}
+
+async function fields(client) {
+  const response = await client.getFields();
+  return { json: response, rows: response.data, columns: ['name', 'type', 'property', 'label'] };
+}
+
+/**
+ * Parse an --agg value: AGG or AGG:FIELD, with pNN for a percentile
+ */
+function parseAggregation(value) {
+  const [name, field] = value.split(':');
+  const percentile = /^p(\d+(?:\.\d+)?)$/.exec(name);
+  return defined(percentile
+    ? { aggregation: 'percentile', field, percentile: Number(percentile[1]) }
+    : { aggregation: name, field });
+}
+
+/**
+ * The --filter of a command combined with its --state and --city, for
+ * endpoints that only take a structured filter
+ */
+function combinedFilter(values) {
+  const conditions = [
+    json('filter', values.filter),
+    values.state && { field: 'state', value: values.state },
+    values.city && { field: 'city', value: values.city }
+  ].filter(Boolean);
+  return conditions.length > 1 ? { and: conditions } : conditions[0];
+}
+
+async function stats(client, { values }) {
+  let aggregations = json('aggregations', values.aggregations);
+  if (values.agg) {
+    aggregations = [...(aggregations || []), ...values.agg.map(parseAggregation)];
+  }
+  const groupBy = list(values['group-by'])?.map(entry => {
+    const [field, bucketSize] = entry.split(':');
+    return bucketSize === undefined ? field : { field, bucketSize: Number(bucketSize) };
+  });
+  const orderBy = list(values['order-by'])?.map(entry => {
+    const [field, direction] = entry.split(':');
+    return direction === undefined ? field : { field, direction };
+  });
+
+  const response = await client.getStatistics(defined({
+    aggregations: aggregations || [{ aggregation: 'count' }],
+    groupBy,
+    filter: combinedFilter(values),
+    query: values.query,
+    having: json('having', values.having),
+    orderBy,
+    limit: integer('limit', values.limit)
+  }));
+  const { columns, results } = response.data;
+  return { json: response, rows: results, columns: columns.map(column => column.name) };
+}
+
+async function exportCommand(client, { values }, io) {
+  const response = await client.exportUniversities(defined({
+    format: values.format,
+    fields: list(values.fields),
+    query: values.query,
+    state: values.state,
+    city: values.city,
+    filter: json('filter', values.filter),
+    max: integer('max', values.max),
+    raw: values.raw || undefined
+  }));
+  const destination = values.file ? fs.createWriteStream(values.file) : io.stdout;
+  await pipeline(Readable.fromWeb(response.body), destination, { end: Boolean(values.file) });
+  return null;
+}
+
+/**
+ * Exit status and message for a failed command
+ */
+function describeError(error) {
+  if (error instanceof UsageError) {
+    return { code: EXIT_CODES.usage, lines: [error.message] };
+  }
+  if (!(error instanceof UniversityDataError)) {
+    return { code: EXIT_CODES.error, lines: [error.stack || String(error)] };
+  }
+
+  const lines = [error.message];
+  if (error instanceof ValidationError) {
+    // A single problem is already the error message
+    if (error.errors.length > 1) {
+      lines.push(...error.errors.map(problem => `  ${problem.parameter}: ${problem.message}`));
+    }
+    return { code: EXIT_CODES.invalid, lines };
+  }
+  if (error instanceof NotFoundError) {
+    const candidates = error.details?.candidates || [];
+    if (candidates.length > 0) {
+      lines.push('Closest matches:', ...candidates.map(candidate => `  ${candidate.objectid}  ${candidate.name} (${candidate.city}, ${candidate.state})`));
+    }
+    return { code: EXIT_CODES.notFound, lines };
+  }
+  if (error instanceof AuthenticationError) {
+    return { code: EXIT_CODES.unauthorized, lines };
+  }
+  if (error instanceof RateLimitError) {
+    if (error.retryAfter !== undefined) {
+      lines.push(`Retry after ${error.retryAfter}s`);
+    }
+    return { code: EXIT_CODES.rateLimited, lines };
+  }
+  if (error instanceof NetworkError) {
+    return { code: EXIT_CODES.unreachable, lines };
+  }
+  return { code: error.status >= 500 ? EXIT_CODES.server : EXIT_CODES.error, lines };
+}
+
+/**
+ * Run the tool
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @param {object} [io] - { stdout, stderr, env }; the process's by default
+ * @returns {Promise<number>} - Exit status
+ */
+async function main(argv, io = {}) {
+  io = { stdout: process.stdout, stderr: process.stderr, env: process.env, ...io };
+  const [commandName, ...rest] = argv;
+
+  if (!commandName) {
+    io.stderr.write(usage());
+    return EXIT_CODES.usage;
+  }
+  if (commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    io.stdout.write(usage());
+    return EXIT_CODES.ok;
+  }
+  const command = COMMANDS[commandName];
+  if (!command) {
+    io.stderr.write(`university-data: unknown command '${commandName}'\n\n${usage()}`);
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    const args = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true
+    });
+    const { values } = args;
+    if (values.help) {
+      io.stdout.write(usage(commandName));
+      return EXIT_CODES.ok;
+    }
+    values.output = values.output || 'table';
+    if (!OUTPUT_MODES.includes(values.output)) {
+      throw new UsageError(`--output must be one of: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    const client = new UniversityDataClient(values.url || io.env.UNIVERSITY_DATA_URL || 'http://localhost:3000', defined({
+      apiKey: values['api-key'] || io.env.UNIVERSITY_API_KEY || undefined,
+      timeout: integer('timeout', values.timeout),
+      quiet: true
+    }));
+    const result = await command.run(client, args, io);
+    if (result) {
+      print(io, values, result);
+    }
+    return EXIT_CODES.ok;
+  } catch (error) {
+    // parseArgs reports unknown and malformed flags with ERR_PARSE_ARGS_* codes
+    const usageError = String(error.code).startsWith('ERR_PARSE_ARGS') ? new UsageError(error.message) : error;
+    const { code, lines } = describeError(usageError);
+    io.stderr.write(`university-data: ${lines.join('\n')}\n`);
+    if (code === EXIT_CODES.usage) {
+      io.stderr.write(`Run \`university-data ${commandName} --help\` for usage.\n`);
+    }
+    return code;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  main
+};
@@ -0,0 +1,54 @@
+// Typings for client/errors.js
+
+/** Base class of every error thrown by UniversityDataClient */
+export class UniversityDataError extends Error {
+  constructor(message: string, options?: {
+    status?: number;
+    code?: string;
+    details?: unknown;
+    cause?: unknown;
+  });
+
+  /** HTTP status of the response, when the server answered */
+  status?: number;
+  /** `error.code` from the response body, e.g. invalid_parameters or not_found */
+  code?: string;
+  /** `error.details` from the response body */
+  details?: any;
+}
+
+/** The request was rejected as invalid (HTTP 400 or 422) */
+export class ValidationError extends UniversityDataError {
+  /** Per-parameter problems reported by the server */
+  readonly errors: Array<{
+    parameter: string;
+    code: string;
+    message: string;
+    expected?: unknown;
+    received?: unknown;
+  }>;
+}
+
+/** The API key is missing, unknown or lacks permission (HTTP 401 or 403) */
+export class AuthenticationError extends UniversityDataError {}
+
+/** The requested university or resource does not exist (HTTP 404) */
+export class NotFoundError extends UniversityDataError {}
+
+/** The server or the data source behind it failed (HTTP 429 and 5xx) */
+export class UpstreamError extends UniversityDataError {}
+
+/** A rate limit or daily quota was exceeded (HTTP 429) */
+export class RateLimitError extends UpstreamError {
+  /** Seconds to wait, when the server said */
+  readonly retryAfter: number | undefined;
+}
+
+/** The server could not be reached */
+export class NetworkError extends UniversityDataError {}
+
+/** The request took longer than the configured timeout */
+export class TimeoutError extends NetworkError {}
+
+/** Build the error for an unsuccessful response */
+export function errorForResponse(status: number, body?: unknown): UniversityDataError;
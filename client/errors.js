@@ -0,0 +1,103 @@
+/**
+ * Errors thrown by UniversityDataClient
+ *
+ * Every error extends UniversityDataError and carries the HTTP status (when
+ * the server answered) plus the `code` and any `details` from the server's
+ * error envelope.
+ */
+
+class UniversityDataError extends Error {
+  /**
+   * @param {string} message - Error message, from the server when it sent one
+   * @param {object} [options]
+   * @param {number} [options.status] - HTTP status of the response
+   * @param {string} [options.code] - `error.code` from the response body
+   * @param {*} [options.details] - `error.details` from the response body
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = options.status;
+    this.code = options.code;
+    this.details = options.details;
+  }
+}
+
+/** The request was rejected as invalid (HTTP 400 or 422) */
+class ValidationError extends UniversityDataError {
+  /**
+   * Per-parameter problems reported by the server, each
+   * `{ parameter, code, message, expected?, received? }`
+   *
+   * @returns {Array<object>}
+   */
+  get errors() {
+    return Array.isArray(this.details?.errors) ? this.details.errors : [];
+  }
+}
+
+/** The API key is missing, unknown or lacks permission (HTTP 401 or 403) */
+class AuthenticationError extends UniversityDataError {}
+
+/** The requested university or resource does not exist (HTTP 404) */
+class NotFoundError extends UniversityDataError {}
+
+/** The server or the data source behind it failed (HTTP 429 and 5xx) */
+class UpstreamError extends UniversityDataError {}
+
+/**
+ * The rate limit or daily quota of the API key, or of the data source, was
+ * exceeded (HTTP 429). `retryAfter` is in seconds when the server said.
+ */
+class RateLimitError extends UpstreamError {
+  get retryAfter() {
+    return this.details?.retryAfter;
+  }
+}
+
+/** The server could not be reached */
+class NetworkError extends UniversityDataError {}
+
+/** The request took longer than the configured timeout */
+class TimeoutError extends NetworkError {}
+
+/**
+ * Build the error for an unsuccessful response
+ *
+ * @param {number} status - HTTP status
+ * @param {object} [body] - Parsed error envelope, if any
+ * @returns {UniversityDataError}
+ */
+function errorForResponse(status, body) {
+  const message = body?.error?.message || `Request failed with status ${status}`;
+  const options = { status, code: body?.error?.code, details: body?.error?.details };
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message, options);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, options);
+  }
+  if (status >= 500) {
+    return new UpstreamError(message, options);
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(message, options);
+  }
+  return new UniversityDataError(message, options);
+}
+
+module.exports = {
+  UniversityDataError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  UpstreamError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  errorForResponse
+};
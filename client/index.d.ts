@@ -0,0 +1,959 @@
+// Generated by scripts/generate-types.js from the endpoint definitions; do not edit.
+// Run `npm run types` after changing lib/endpoints.js.
+
+import * as errors from './errors';
+
+declare class UniversityDataClient {
+  /**
+   * @param baseUrl - The base URL of the server (default: http://localhost:3000)
+   */
+  constructor(baseUrl?: string, options?: UniversityDataClient.ClientOptions);
+
+  baseUrl: string;
+  apiKey?: string;
+  timeout: number;
+  retries: number;
+  retryDelay: number;
+  maxRetryDelay: number;
+  quiet: boolean;
+
+  /** Endpoint definitions and the dataset field catalog */
+  getSchema(options?: UniversityDataClient.RequestOptions): Promise<Record<string, unknown>>;
+
+  /** Search for universities based on criteria */
+  searchUniversities(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SearchResponse>;
+
+  /** Iterate over every university matching a search, fetching further pages as the loop advances */
+  iterateSearch(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): AsyncGenerator<UniversityDataClient.University, void, undefined>;
+
+  /** Fetch every university matching a search into one array */
+  searchAll(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.University[]>;
+
+  /** Find universities near a location */
+  searchNearby(params?: UniversityDataClient.SearchNearbyParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SearchNearbyResponse>;
+
+  /** Get detailed information for a specific university by ID */
+  getUniversity(id: string | number, options?: Omit<UniversityDataClient.GetUniversityParams, 'id'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetUniversityResponse>;
+
+  /** Get all available fields in the university dataset */
+  getFields(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetFieldsResponse>;
+
+  /** Get a university by name, resolving abbreviations, aliases and typos */
+  getUniversityByName(name: string, options?: Omit<UniversityDataClient.GetUniversityByNameParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetUniversityByNameResponse>;
+
+  /** Get statistical information about universities */
+  getStatistics(params: UniversityDataClient.StatisticsParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.StatisticsResponse>;
+
+  /** List distinct values of one or more fields with record counts */
+  getFacets(fields: UniversityDataClient.FacetsParams['fields'] | UniversityDataClient.FacetsParams['fields'][number], params?: Omit<UniversityDataClient.FacetsParams, 'fields'>, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.FacetsResponse>;
+
+  /** Compare several universities side by side; the first is the baseline */
+  compare(universities: UniversityDataClient.CompareParams['universities'], options?: Omit<UniversityDataClient.CompareParams, 'universities'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.CompareResponse>;
+
+  /** Ask a question in plain English; the response shows how it was interpreted */
+  ask(question: string, options?: Omit<UniversityDataClient.AskParams, 'question'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.AskResponse>;
+
+  /** Run several operations in one request; each result has its own success flag */
+  batch(operations: UniversityDataClient.BatchParams['operations'], options?: Omit<UniversityDataClient.BatchParams, 'operations'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.BatchResponse>;
+
+  /** Save a named search, or replace one */
+  saveQuery(name: string, params?: Omit<UniversityDataClient.SaveQueryParams, 'name'>, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SaveQueryResponse>;
+
+  /** List the saved queries of this client's API key */
+  listQueries(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.ListQueriesResponse>;
+
+  /** Get a saved query and the list of its snapshots */
+  getQuery(name: string, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetQueryResponse>;
+
+  /** Delete a saved query and its snapshots */
+  deleteQuery(name: string, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.DeleteQueryResponse>;
+
+  /** Run a saved query, store its results as a snapshot and get the changes since the previous one */
+  snapshotQuery(name: string, options?: Omit<UniversityDataClient.SnapshotQueryParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SnapshotQueryResponse>;
+
+  /** Compare a snapshot of a saved query with a later one or with its current results */
+  diffQuery(name: string, options?: Omit<UniversityDataClient.DiffQueryParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.DiffQueryResponse>;
+
+  /** Export every matching university as CSV, NDJSON or GeoJSON; resolves once the download has started */
+  exportUniversities(params?: UniversityDataClient.ExportParams, options?: UniversityDataClient.RequestOptions): Promise<Response>;
+
+  /** Get this client's API key usage: limits, requests today, remaining quota and rejections */
+  getUsage(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.UsageResponse>;
+}
+
+type ClientInstance = UniversityDataClient;
+type ClientClass = typeof UniversityDataClient;
+
+declare namespace UniversityDataClient {
+  /** A university, normalized from the dataset record: camelCase properties, numbers as numbers, null for missing values */
+  export interface University {
+    /** Record ID (the dataset's objectid) */
+    id: number;
+    /** IPEDS unit ID */
+    ipedsId: string | null;
+    name: string | null;
+    /** Other names the institution is known by */
+    alias: string | null;
+    address: string | null;
+    address2: string | null;
+    city: string | null;
+    /** Two-letter state code */
+    state: string | null;
+    zip: string | null;
+    zip4: string | null;
+    county: string | null;
+    countyFips: string | null;
+    stateFips: string | null;
+    /** County FIPS code within the state */
+    countyCode: string | null;
+    country: string | null;
+    /** US numbers formatted as (555) 555-5555 */
+    telephone: string | null;
+    /** Absolute URL; https is assumed when the dataset gives no scheme */
+    website: string | null;
+    type: string | null;
+    status: string | null;
+    sector: string | null;
+    level: string | null;
+    highestOffering: string | null;
+    degreeGranting: string | null;
+    locale: string | null;
+    naicsCode: string | null;
+    naicsDescription: string | null;
+    population: number | null;
+    totalEnrollment: number | null;
+    fullTimeEnrollment: number | null;
+    partTimeEnrollment: number | null;
+    totalEmployees: number | null;
+    housing: string | null;
+    dormCapacity: number | null;
+    sizeSet: string | null;
+    institutionSize: string | null;
+    closeDate: string | null;
+    mergeId: string | null;
+    shelterId: string | null;
+    location: {
+      lat: number;
+      lon: number;
+    } | null;
+    /** Provenance of the record */
+    source: {
+      /** OpenDataSoft dataset identifier */
+      dataset: string;
+      /** Where the record was compiled from */
+      name: string | null;
+      date: string | null;
+      validationMethod: string | null;
+      validationDate: string | null;
+    };
+  }
+
+  /** A record of the us-colleges-and-universities dataset */
+  export interface UniversityRecord {
+    /** Record ID */
+    objectid: number;
+    ipedsid?: string | null;
+    name: string;
+    address?: string | null;
+    address2?: string | null;
+    city?: string | null;
+    state?: string | null;
+    zip?: string | null;
+    zip4?: string | null;
+    telephone?: string | null;
+    type?: string | null;
+    status?: string | null;
+    population?: number | null;
+    county?: string | null;
+    countyfips?: string | null;
+    country?: string | null;
+    latitude?: number | null;
+    longitude?: number | null;
+    naics_code?: string | null;
+    naics_desc?: string | null;
+    source?: string | null;
+    sourcedate?: string | null;
+    val_method?: string | null;
+    val_date?: string | null;
+    website?: string | null;
+    stfips?: string | null;
+    cofips?: string | null;
+    sector?: string | null;
+    level_?: string | null;
+    hi_offer?: string | null;
+    deg_grant?: string | null;
+    locale?: string | null;
+    close_date?: string | null;
+    merge_id?: string | null;
+    alias?: string | null;
+    size_set?: string | null;
+    inst_size?: string | null;
+    pt_enroll?: number | null;
+    ft_enroll?: number | null;
+    tot_enroll?: number | null;
+    housing?: string | null;
+    dorm_cap?: number | null;
+    tot_emp?: number | null;
+    shelter_id?: string | null;
+    geo_point?: {
+      lon: number;
+      lat: number;
+    } | null;
+    /** GeoJSON geometry */
+    geo_shape?: Record<string, unknown> | null;
+    [key: string]: unknown;
+  }
+
+  /** Structured filter. A condition is {field, op, value}; groups are {and: [...]}, {or: [...]} or {not: {...}} and may be nested. Operators: = != < <= > >= (single value), in / notIn (array of values), between ([low, high], inclusive), startsWith (string prefix), isNull / isNotNull (no value). Example: {"and": [{"field": "population", "op": "between", "value": [5000, 20000]}, {"field": "state", "op": "in", "value": ["CA", "OR", "WA"]}, {"field": "name", "op": "startsWith", "value": "University of"}]}. A plain {field: value} object is also accepted and matches each field exactly; an array of conditions means all of them. */
+  export type Filter = {
+    /** All conditions must match */
+    and?: Array<Record<string, unknown>>;
+    /** At least one condition must match */
+    or?: Array<Record<string, unknown>>;
+    /** Condition that must not match */
+    not?: Record<string, unknown>;
+    /** Dataset field to compare */
+    field?: "objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape";
+    /** Comparison operator (default: =) */
+    op?: "=" | "!=" | "<" | "<=" | ">" | ">=" | "in" | "notIn" | "between" | "startsWith" | "isNull" | "isNotNull" | "withinDistance" | "inBbox";
+    /** Value to compare with; an array for in, notIn and between */
+    value?: unknown;
+    [key: string]: unknown;
+  } | unknown[];
+
+  /** Present when the response was built from expired cache entries while the data source was unavailable */
+  export interface Stale {
+    /** When the oldest entry used was stored */
+    since: string;
+  }
+
+  export interface ApiError {
+    message: string;
+    status: number;
+    /** Machine-readable error code, e.g. invalid_parameters, not_found, rate_limited, upstream_timeout */
+    code: string;
+    /** Further information; for invalid_parameters, an errors array */
+    details?: unknown;
+  }
+
+  export interface ErrorResponse {
+    success: false;
+    error: ApiError;
+  }
+
+  export interface ParameterError {
+    parameter: string;
+    code: "required" | "unknown_parameter" | "type" | "invalid_json" | "enum" | "minimum" | "maximum" | "min_length" | "max_length" | "min_items" | "max_items" | "any_of";
+    message: string;
+    expected?: unknown;
+    received?: unknown;
+  }
+
+  export interface Health {
+    status: "ok" | "degraded" | "down";
+    uptimeSeconds: number;
+    dataSource: string;
+    check: {
+      reachable?: boolean;
+      latencyMs?: number | null;
+      checkedAt?: string;
+      error?: string;
+    };
+    /** Circuit breaker state and upstream request statistics */
+    upstream?: Record<string, unknown> | null;
+    staleAvailable?: boolean;
+  }
+
+  export interface Usage {
+    /** false when the server has no API keys (and nothing else is reported) */
+    enabled?: boolean;
+    name?: string;
+    ip?: string;
+    limits?: {
+      requestsPerMinute?: number | null;
+      burst?: number | null;
+      dailyQuota?: number | null;
+    };
+    today?: number;
+    quotaRemaining?: number | null;
+    total?: number;
+    rejected?: {
+      rateLimit?: number;
+      quota?: number;
+    };
+    endpoints?: Record<string, number>;
+    lastSeenAt?: string | null;
+  }
+
+  export interface SearchParams {
+    /** Full-text search query */
+    query?: string;
+    /** Filter by state (e.g., 'CA', 'NY') */
+    state?: string;
+    /** Filter by city name */
+    city?: string;
+    /** Maximum number of results to return (default: 10, max: 100) */
+    limit?: number;
+    /** Number of results to skip (for pagination) */
+    offset?: number;
+    /** Number of consecutive pages of `limit` results to fetch (default: 1, max: 10) */
+    pages?: number;
+    filter?: Filter;
+    /** Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false) */
+    raw?: boolean;
+  }
+
+  /** Search results including university records */
+  export interface SearchResults {
+    /** Number of matching records */
+    total_count: number;
+    results: University[];
+  }
+
+  export interface SearchResponse {
+    success: true;
+    data: SearchResults;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface SearchNearbyParams {
+    /** Latitude of the center point (use with lon) */
+    lat?: number;
+    /** Longitude of the center point (use with lat) */
+    lon?: number;
+    /** Use the centroid of the institutions in this ZIP code as the center */
+    zip?: string;
+    /** Use the centroid of the institutions in this city as the center (combine with state to disambiguate) */
+    city?: string;
+    /** State of the city used as the center (e.g., 'CA') */
+    state?: string;
+    /** Only include universities within this distance of the center */
+    radius?: number;
+    /** Distance unit for radius and returned distances (default: mi) */
+    unit?: "mi" | "km";
+    /** Only include universities inside this box: { minLat, minLon, maxLat, maxLon } (an array [west, south, east, north] is also accepted) */
+    bbox?: Record<string, unknown> | unknown[];
+    /** Return the N universities nearest to the center (max: 100) */
+    nearest?: number;
+    filter?: Filter;
+    /** Maximum number of results to return (default: 10, max: 100) */
+    limit?: number;
+    /** Number of results to skip (for pagination) */
+    offset?: number;
+    /** Order results by distance from the center (default) or leave unordered */
+    sort?: "distance" | "none";
+    /** Sort direction for distance ordering (default: asc) */
+    order?: "asc" | "desc";
+    /** Result format: json (default) or geojson (a FeatureCollection of points) */
+    format?: "json" | "geojson";
+    /** Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false) */
+    raw?: boolean;
+  }
+
+  export interface NearbyResults {
+    total_count: number;
+    results: NearbyUniversity[];
+  }
+
+  export type NearbyUniversity = University & {
+    /** Distance from the center in the requested unit (null without a center) */
+    distance: number | null;
+  };
+
+  /** GeoJSON FeatureCollection with one Point feature per university; properties hold the record */
+  export interface FeatureCollection {
+    type: "FeatureCollection";
+    features: Array<{
+      type: "Feature";
+      geometry: {
+        type: "Point";
+        /** [lon, lat] */
+        coordinates: number[];
+      } | null;
+      properties: Record<string, unknown>;
+    }>;
+  }
+
+  export interface SearchNearbyResponse {
+    success: true;
+    /** Matching universities with their distance from the center, or a GeoJSON FeatureCollection */
+    data: NearbyResults | FeatureCollection;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface GetUniversityParams {
+    /** University record ID (objectid) */
+    id: string | number;
+    /** Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false) */
+    raw?: boolean;
+  }
+
+  export interface GetUniversityResponse {
+    success: true;
+    /** Detailed university information */
+    data: University;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export type GetFieldsParams = Record<string, never>;
+
+  export interface FieldInfo {
+    name: string;
+    /** Property path holding the field in normalized University records (e.g. totalEnrollment, location.lat), or null when it is left out */
+    property?: string | null;
+    label?: string | null;
+    /** OpenDataSoft type: text, int, double, date, geo_point_2d, ... */
+    type: string;
+    description?: string | null;
+    facetable?: boolean;
+    sortable?: boolean;
+    aggregatable?: boolean;
+    examples?: unknown[];
+    /** Share of sampled records without a value */
+    nullRate?: number | null;
+  }
+
+  export interface GetFieldsResponse {
+    success: true;
+    /** One entry per field: name, property (where normalized University records hold it), label, type (OpenDataSoft type: text, int, double, date, geo_point_2d, ...), description, facetable, sortable, aggregatable, examples and nullRate (share of sampled records without a value) */
+    data: FieldInfo[];
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface StatisticsParams {
+    /** Aggregations to compute, e.g. [{"aggregation": "count"}, {"aggregation": "avg", "field": "tot_enroll"}, {"aggregation": "percentile", "field": "tot_enroll", "percentile": 90}]. Result columns are named count, <aggregation>_<field> or p<percentile>_<field> unless an alias is given */
+    aggregations?: Array<{
+      aggregation: "count" | "sum" | "avg" | "min" | "max" | "median" | "percentile";
+      /** Field to aggregate (not needed for count); numeric for sum, avg, median and percentile */
+      field?: "objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape";
+      /** Percentile rank for the percentile aggregation (above 0, at most 100) */
+      percentile?: number;
+      /** Result column name */
+      alias?: string;
+    }>;
+    /** Single field to analyze (e.g., 'objectid', 'population'); the original form, used when aggregations is omitted */
+    field?: "objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape";
+    /** Single aggregation to apply to field; the original form, used when aggregations is omitted */
+    aggregation?: "count" | "sum" | "avg" | "min" | "max" | "median" | "percentile";
+    /** Field or fields to group by (e.g., 'state' or ['state', 'type']). An entry {field, bucketSize} groups a numeric field into histogram buckets; its column (<field>_bucket) holds each bucket's lower bound */
+    groupBy?: "objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape" | Array<"objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape" | {
+      field: "objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape";
+      bucketSize: number;
+      alias?: string;
+    }>;
+    filter?: Filter;
+    /** Full-text search query restricting the records aggregated */
+    query?: string;
+    /** Condition on result columns applied after aggregating, in the filter syntax with = != < <= > >= between in notIn, e.g. {"field": "count", "op": ">=", "value": 10} */
+    having?: Record<string, unknown> | unknown[];
+    /** Result columns to order by, e.g. [{"field": "count", "direction": "desc"}]; a column name alone sorts ascending */
+    orderBy?: Array<string | {
+      field: string;
+      direction?: "asc" | "desc";
+    }>;
+    /** Return only the first N rows after ordering (top-N), 1-1000 */
+    limit?: number;
+  }
+
+  /** A result table: columns (name, role group/bucket/aggregate), results (one row per group, or a single row when ungrouped), total_groups (after having, before limit) and truncated */
+  export interface StatisticsTable {
+    columns: StatisticsColumn[];
+    results: Array<Record<string, unknown>>;
+    /** Rows after having, before limit */
+    total_groups: number;
+    /** Whether the upstream group limit was reached */
+    truncated: boolean;
+  }
+
+  export interface StatisticsColumn {
+    name: string;
+    role: "group" | "bucket" | "aggregate";
+    field?: string;
+    bucketSize?: number;
+    aggregation?: "count" | "sum" | "avg" | "min" | "max" | "median" | "percentile";
+    percentile?: number;
+  }
+
+  export interface StatisticsResponse {
+    success: true;
+    data: StatisticsTable;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface GetUniversityByNameParams {
+    /** University name (at most 200 characters) */
+    name: string;
+    /** auto: exact match, falling back to fuzzy resolution (default); exact: exact name only; fuzzy: always rank candidates */
+    mode?: "auto" | "exact" | "fuzzy";
+    /** Number of ranked candidates to return (1-20, default 5) */
+    limit?: number;
+    /** Restrict matches to a two-letter state code */
+    state?: string;
+    /** Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false) */
+    raw?: boolean;
+  }
+
+  export interface NameResolution {
+    query: string;
+    normalized?: string;
+    variants?: string[];
+    method: "exact" | "fuzzy";
+    confidence: number;
+    candidates: NameCandidate[];
+  }
+
+  export interface NameCandidate {
+    objectid: number;
+    name: string;
+    city?: string | null;
+    state?: string | null;
+    /** Similarity to the requested name, 0-1 */
+    score: number;
+  }
+
+  export interface GetUniversityByNameResponse {
+    success: true;
+    /** Detailed university information, plus a resolution object (method, confidence, ranked candidates) unless mode is exact. When no match is confident enough, a 404 error lists the candidates in error.details */
+    data: University;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    resolution?: NameResolution;
+    stale?: Stale;
+  }
+
+  export interface CompareParams {
+    /** University IDs (objectid) or names, 2 to 10; names are resolved like getUniversityByName. The first entry is the baseline for differences */
+    universities: Array<string | number>;
+    /** Dataset fields to compare (default: name, city, state, type, naics_desc, website, tot_enroll, ft_enroll, pt_enroll, population, tot_emp, dorm_cap, housing) */
+    fields?: Array<"objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape">;
+    /** Compare the dataset values as the upstream API sends them and return UniversityRecord records, instead of normalized values and University records (default: false) */
+    raw?: boolean;
+  }
+
+  /** The resolved universities and one row per field. Each row has a cell per university ({value, missing}); numeric rows add rank (1 = largest) and difference from the baseline to each cell, plus min, max and range */
+  export interface Comparison {
+    universities: Array<{
+      /** The ID or name as given */
+      input: string | number;
+      objectid: number;
+      name: string;
+      /** id, exact or fuzzy */
+      resolvedBy: string;
+      confidence: number;
+      /** The full record (a UniversityRecord when raw is set) */
+      university: University;
+    }>;
+    rows: ComparisonRow[];
+  }
+
+  export interface ComparisonRow {
+    field: string;
+    /** Where the field appears in normalized records */
+    property?: string | null;
+    type: "number" | "text";
+    cells: Array<{
+      value: unknown;
+      missing: boolean;
+      /** Numeric rows: 1 = largest */
+      rank?: number | null;
+      /** Numeric rows: difference from the first university */
+      difference?: number | null;
+    }>;
+    /** Cells without a value */
+    missing: number;
+    /** Text rows: whether every value is the same */
+    identical?: boolean;
+    min?: number;
+    max?: number;
+    range?: number;
+  }
+
+  export interface CompareResponse {
+    success: true;
+    data: Comparison;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface FacetsParams {
+    /** Fields to list values for (1-10) */
+    fields: Array<"objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape">;
+    /** Full-text search query */
+    query?: string;
+    /** Filter by state (e.g., 'CA', 'NY') */
+    state?: string;
+    /** Filter by city name */
+    city?: string;
+    filter?: Filter;
+    /** Only values starting with this prefix (matched as given, upper, lower and title case) */
+    prefix?: string;
+    /** Order values by descending count (default) or alphabetically */
+    sort?: "count" | "value";
+    /** Values per field (1-100, default 20) */
+    limit?: number;
+    /** Values to skip, for paging through high-cardinality fields */
+    offset?: number;
+  }
+
+  /** facets: one entry per field with values [{value, count}], offset, limit and hasMore */
+  export interface Facets {
+    facets: Facet[];
+  }
+
+  export interface Facet {
+    field: string;
+    values: Array<{
+      value: unknown;
+      count: number;
+    }>;
+    offset: number;
+    limit: number;
+    hasMore: boolean;
+  }
+
+  export interface FacetsResponse {
+    success: true;
+    data: Facets;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface AskParams {
+    /** The question (at most 500 characters) */
+    question: string;
+    /** Results to return, overriding "top N" in the question (default: 10) */
+    limit?: number;
+    /** Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false) */
+    raw?: boolean;
+    /** Set to false to only interpret the question, without running it (default: true) */
+    execute?: boolean;
+  }
+
+  /** interpretation (tool, params, understood phrases and ignored words) and result, the data of the search, searchNearby or statistics request */
+  export interface Answer {
+    interpretation: Interpretation;
+    /** The data the endpoint returned; null when execute is false */
+    result: SearchResults | StatisticsTable | null;
+  }
+
+  export interface Interpretation {
+    question: string;
+    /** The endpoint the question was compiled to */
+    tool: "search" | "searchNearby" | "statistics";
+    /** Its parameters, as the endpoint takes them */
+    params: Record<string, unknown>;
+    /** The phrases that were recognized, in question order */
+    understood: Array<{
+      phrase: string;
+      meaning: string;
+    }>;
+    /** Words no rule recognized */
+    ignored: string[];
+  }
+
+  export interface AskResponse {
+    success: true;
+    data: Answer;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface BatchOperation {
+    /** Operation to run */
+    tool: "search" | "searchNearby" | "getUniversity" | "getUniversityByName" | "getFields" | "statistics" | "facets" | "compare";
+    /** Its parameters, as its own endpoint takes them */
+    params?: Record<string, unknown>;
+    /** Label echoed in the operation's result */
+    id?: string;
+  }
+
+  export interface BatchParams {
+    /** Operations to run, e.g. [{"tool": "getUniversity", "params": {"id": 1234}}, {"tool": "statistics", "params": {"aggregations": [{"aggregation": "count"}], "groupBy": "state"}}] */
+    operations: BatchOperation[];
+    /** Operations run at the same time (default: 4, max: 8) */
+    concurrency?: number;
+  }
+
+  /** results: one entry per operation with tool, id, success, and data, metadata and resolution as the tool returns them, or error ({message, status, code, details}) */
+  export interface BatchResults {
+    /** One result per operation, in request order */
+    results: BatchResult[];
+  }
+
+  export interface BatchResult {
+    tool: string;
+    /** The operation's id, when it had one */
+    id?: string;
+    success: boolean;
+    /** The tool's data, as its own endpoint returns it */
+    data?: unknown;
+    metadata?: Record<string, unknown>;
+    resolution?: NameResolution;
+    /** Why the operation failed, as in an error response */
+    error?: {
+      message: string;
+      status: number;
+      code: string;
+      details?: unknown;
+    };
+  }
+
+  export interface BatchResponse {
+    success: true;
+    data: BatchResults;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export type ListQueriesParams = Record<string, never>;
+
+  /** The saved queries, each with the list of its snapshots */
+  export interface SavedQueryList {
+    /** Saved queries, by name */
+    queries: SavedQuery[];
+  }
+
+  /** A named search kept by the server, with its snapshots */
+  export interface SavedQuery {
+    name: string;
+    description: string;
+    /** The saved search: query, state, city and filter as /search takes them */
+    params: {
+      query?: string;
+      state?: string;
+      city?: string;
+      filter?: Filter;
+    };
+    createdAt: string;
+    updatedAt: string;
+    /** Stored snapshots, oldest first */
+    snapshots: SnapshotInfo[];
+  }
+
+  /** A stored (or, in a diff, current) run of a saved query */
+  export interface SnapshotInfo {
+    /** Snapshot ID; null for a run of the query that was not stored */
+    id: string | null;
+    /** When the query was run (ISO 8601) */
+    takenAt: string;
+    /** Universities the query matched */
+    count: number;
+  }
+
+  export interface ListQueriesResponse {
+    success: true;
+    data: SavedQueryList;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface SaveQueryParams {
+    /** Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit */
+    name: string;
+    /** What the query tracks */
+    description?: string;
+    /** Full-text search query */
+    query?: string;
+    /** Filter by state, e.g. 'CA' */
+    state?: string;
+    /** Filter by city name */
+    city?: string;
+    /** Structured filter, as for /search */
+    filter?: Filter;
+  }
+
+  /** The saved query; metadata tells whether it was created and how many snapshots were removed */
+  export interface SavedQueryEntry {
+    query: SavedQuery;
+  }
+
+  export interface SaveQueryResponse {
+    success: true;
+    data: SavedQueryEntry;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface GetQueryParams {
+    /** Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit */
+    name: string;
+  }
+
+  export interface GetQueryResponse {
+    success: true;
+    /** The saved query */
+    data: SavedQueryEntry;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface DeleteQueryParams {
+    /** Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit */
+    name: string;
+  }
+
+  export interface DeleteQueryResponse {
+    success: true;
+    /** The saved query as it was before it was deleted */
+    data: SavedQueryEntry;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface SnapshotQueryParams {
+    /** Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit */
+    name: string;
+    /** Report records and changed values as the upstream API sends them instead of normalized (default: false) */
+    raw?: boolean;
+  }
+
+  /** The new snapshot and the changes since the previous one. A snapshot holds at most 10000 universities, and the latest 10 snapshots of each query are kept */
+  export interface QuerySnapshot {
+    snapshot: SnapshotInfo;
+    /** Changes since the previous snapshot; null for a query's first snapshot */
+    diff: QueryDiff | null;
+  }
+
+  export interface QueryDiff {
+    from: SnapshotInfo;
+    to: SnapshotInfo;
+    summary: {
+      added: number;
+      removed: number;
+      modified: number;
+      unchanged: number;
+    };
+    /** Universities that now match and did not before */
+    added: University[];
+    /** Universities that matched before and no longer do, as they were */
+    removed: University[];
+    modified: ModifiedUniversity[];
+  }
+
+  export interface ModifiedUniversity {
+    /** Record ID (objectid) */
+    id: number;
+    name: string | null;
+    changes: FieldChange[];
+  }
+
+  export interface FieldChange {
+    /** Dataset field */
+    field: string;
+    /** Its University property path; null for fields University records leave out */
+    property: string | null;
+    /** Value before */
+    before: unknown;
+    /** Value after */
+    after: unknown;
+  }
+
+  export interface SnapshotQueryResponse {
+    success: true;
+    data: QuerySnapshot;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface DiffQueryParams {
+    /** Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit */
+    name: string;
+    /** Snapshot to compare from (default: the latest) */
+    from?: string;
+    /** Snapshot to compare to (default: run the query now) */
+    to?: string;
+    /** Report records and changed values as the upstream API sends them instead of normalized (default: false) */
+    raw?: boolean;
+  }
+
+  /** Added and removed universities and, for modified ones, each changed field with its values before and after */
+  export interface QueryDiffResult {
+    diff: QueryDiff;
+  }
+
+  export interface DiffQueryResponse {
+    success: true;
+    data: QueryDiffResult;
+    /** Query details: paging, applied parameters and similar */
+    metadata?: Record<string, unknown>;
+    stale?: Stale;
+  }
+
+  export interface ExportParams {
+    /** Output format (default: csv) */
+    format?: "csv" | "ndjson" | "geojson";
+    /** Dataset fields to export, in order (default: every field except geo_shape). Normalized exports name the columns after University properties, with nested ones dotted in CSV (location.lat, source.date) */
+    fields?: Array<"objectid" | "ipedsid" | "name" | "address" | "address2" | "city" | "state" | "zip" | "zip4" | "telephone" | "type" | "status" | "population" | "county" | "countyfips" | "country" | "latitude" | "longitude" | "naics_code" | "naics_desc" | "source" | "sourcedate" | "val_method" | "val_date" | "website" | "stfips" | "cofips" | "sector" | "level_" | "hi_offer" | "deg_grant" | "locale" | "close_date" | "merge_id" | "alias" | "size_set" | "inst_size" | "pt_enroll" | "ft_enroll" | "tot_enroll" | "housing" | "dorm_cap" | "tot_emp" | "shelter_id" | "geo_point" | "geo_shape">;
+    /** Full-text search query */
+    query?: string;
+    /** Filter by state (e.g., 'CA', 'NY') */
+    state?: string;
+    /** Filter by city name */
+    city?: string;
+    filter?: Filter;
+    /** Stop after this many records (default: no limit) */
+    max?: number;
+    /** Export the dataset records as the upstream API sends them, with dataset field names as columns (default: false) */
+    raw?: boolean;
+  }
+
+  export interface ClientOptions {
+    /** Milliseconds before a request is abandoned (0 for none; default 30000) */
+    timeout?: number;
+    /** Extra attempts after a network error, timeout, 429 or 5xx (default 2) */
+    retries?: number;
+    /** Base backoff in milliseconds, doubled on each retry (default 500) */
+    retryDelay?: number;
+    /** Upper bound for a single backoff; a longer Retry-After is not waited for (default 10000) */
+    maxRetryDelay?: number;
+    /** API key, sent as a bearer token */
+    apiKey?: string;
+    /** Do not log failed requests to the console (default false) */
+    quiet?: boolean;
+  }
+
+  export interface RequestOptions {
+    /** Cancels the request */
+    signal?: AbortSignal;
+    /** Overrides the client timeout */
+    timeout?: number;
+  }
+
+  export interface UsageResponse {
+    success: true;
+    data: Usage | { enabled: false };
+  }
+
+  export import UniversityDataError = errors.UniversityDataError;
+  export import ValidationError = errors.ValidationError;
+  export import AuthenticationError = errors.AuthenticationError;
+  export import NotFoundError = errors.NotFoundError;
+  export import UpstreamError = errors.UpstreamError;
+  export import RateLimitError = errors.RateLimitError;
+  export import NetworkError = errors.NetworkError;
+  export import TimeoutError = errors.TimeoutError;
+
+  export type UniversityDataClient = ClientInstance;
+  export const UniversityDataClient: ClientClass;
+}
+
+export = UniversityDataClient;
@@ -8,14 +8,46 @@
 // For Node.js versions before 18, uncomment the line below
 // const fetch = require('node-fetch');
 
+const {
+  UniversityDataError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  UpstreamError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  errorForResponse
+} = require('./errors');
+
+// HTTP statuses worth retrying: rate limiting and transient server failures
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Largest page the server's /search accepts
+const MAX_PAGE_SIZE = 100;
+
 class UniversityDataClient {
   /**
    * Initialize the client with the MCP server URL
    * 
    * @param {string} baseUrl - The base URL of the MCP server
+   * @param {object} [options] - Request options
+   * @param {number} [options.timeout=30000] - Milliseconds before a request is abandoned (0 for none)
+   * @param {number} [options.retries=2] - Extra attempts after a network error, timeout, 429 or 5xx
+   * @param {number} [options.retryDelay=500] - Base backoff in milliseconds, doubled on each retry
+   * @param {number} [options.maxRetryDelay=10000] - Upper bound for a single backoff; a
+   *   longer Retry-After (such as an exhausted daily quota) is not waited for
+   * @param {string} [options.apiKey] - API key, sent as a bearer token
+   * @param {boolean} [options.quiet=false] - Do not log failed requests to the console
    */
-  constructor(baseUrl = 'http://localhost:3000') {
+  constructor(baseUrl = 'http://localhost:3000', options = {}) {
     this.baseUrl = baseUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout ?? 30000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.maxRetryDelay = options.maxRetryDelay ?? 10000;
+    this.quiet = options.quiet ?? false;
   }
 
   /**
@@ -24,49 +56,103 @@ class UniversityDataClient {
    * @param {string} endpoint - The API endpoint to call
    * @param {string} method - The HTTP method (GET, POST, etc.)
    * @param {object} data - The request payload for POST requests
+   * @param {object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<object>} - The API response
    */
-  async _request(endpoint, method = 'GET', data = null) {
+  async _request(endpoint, method = 'GET', data = null, options = {}) {
+    try {
+      const response = await this._fetch(endpoint, method, data, options);
+      return await response.json();
+    } catch (error) {
+      if (!this.quiet) {
+        console.error(`Error in ${method} request to ${endpoint}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures with exponential backoff
+   * and jitter, and resolve to the successful fetch Response
+   * 
+   * @param {string} endpoint - The API endpoint to call
+   * @param {string} method - The HTTP method
+   * @param {object} data - The request payload for POST requests
+   * @param {object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<Response>}
+   */
+  async _fetch(endpoint, method = 'GET', data = null, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
-    
-    // Set up request options
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
+    const timeout = options.timeout ?? this.timeout;
+
+    for (let attempt = 0; ; attempt++) {
+      // Set up request options
+      const requestOptions = {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      };
+      if (this.apiKey) {
+        requestOptions.headers.Authorization = `Bearer ${this.apiKey}`;
       }
-    };
 
-    // Add body data for POST requests
-    if (data && method === 'POST') {
-      options.body = JSON.stringify(data);
-    }
+      // Add body data for POST requests
+      if (data && method === 'POST') {
+        requestOptions.body = JSON.stringify(data);
+      }
 
-    try {
-      // Make the fetch request
-      const response = await fetch(url, options);
-      const result = await response.json();
+      const signals = [options.signal, timeout > 0 ? AbortSignal.timeout(timeout) : null].filter(Boolean);
+      if (signals.length > 0) {
+        requestOptions.signal = signals.length === 1 ? signals[0] : AbortSignal.any(signals);
+      }
 
-      // Check for errors
-      if (!response.ok) {
-        throw new Error(result.error?.message || 'Request failed');
+      let error;
+      let retryAfter;
+      try {
+        const response = await fetch(url, requestOptions);
+        if (response.ok) {
+          return response;
+        }
+        const body = await response.json().catch(() => null);
+        error = errorForResponse(response.status, body);
+        retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (!RETRYABLE_STATUSES.has(response.status)) {
+          throw error;
+        }
+      } catch (caught) {
+        if (caught instanceof UniversityDataError) {
+          throw caught;
+        }
+        // A caller's own abort is not retried
+        if (options.signal?.aborted) {
+          throw caught;
+        }
+        error = caught.name === 'TimeoutError'
+          ? new TimeoutError(`Request timed out after ${timeout}ms`, { cause: caught })
+          : new NetworkError(`Could not reach ${this.baseUrl}: ${caught.message}`, { cause: caught });
       }
 
-      return result;
-    } catch (error) {
-      console.error(`Error in ${method} request to ${endpoint}:`, error);
-      throw error;
+      if (attempt >= this.retries || retryAfter > this.maxRetryDelay) {
+        throw error;
+      }
+      const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+      await sleep(retryAfter ?? backoff / 2 + Math.random() * backoff / 2, options.signal);
     }
   }
 
   /**
    * Get the MCP schema that describes available endpoints and parameters
    * 
+   * @param {object} [options] - Per-call options ({ signal, timeout })
    * @returns {Promise<object>} - The MCP schema
    */
-  async getSchema() {
-    return this._request('/schema');
+  async getSchema(options = {}) {
+    return this._request('/schema', 'GET', null, options);
   }
 
   /**
@@ -78,54 +164,350 @@ class UniversityDataClient {
    * @param {string} [params.city] - Filter by city name
    * @param {number} [params.limit=10] - Maximum number of results to return
    * @param {number} [params.offset=0] - Number of results to skip (for pagination)
+   * @param {object} [params.filter] - Structured filter, e.g. { field: 'population', op: 'between', value: [5000, 20000] }
+   * @param {boolean} [params.raw] - Return dataset records instead of normalized University records
+   * @param {object} [options] - Per-call options ({ signal, timeout })
    * @returns {Promise<object>} - Search results
    */
-  async searchUniversities(params = {}) {
-    return this._request('/search', 'POST', params);
+  async searchUniversities(params = {}, options = {}) {
+    return this._request('/search', 'POST', params, options);
+  }
+
+  /**
+   * Iterate over every university matching a search, fetching further
+   * pages as the loop advances
+   *
+   * Starts at `params.offset` and requests `params.limit` records per page
+   * (default 100). Very large result sets are better fetched with
+   * exportUniversities(), since the upstream API does not serve offsets
+   * beyond 10,000.
+   *
+   * @param {object} [params] - Search parameters, as for searchUniversities()
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @yields {object} - One university record at a time
+   */
+  async *iterateSearch(params = {}, options = {}) {
+    const pageSize = Math.min(Number(params.limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    let offset = Number(params.offset) || 0;
+
+    while (true) {
+      const page = await this.searchUniversities({ ...params, limit: pageSize, offset, pages: 1 }, options);
+      const results = page.data?.results || [];
+      yield* results;
+
+      offset += results.length;
+      if (results.length < pageSize || offset >= (page.data?.total_count ?? Infinity)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Fetch every university matching a search into one array
+   *
+   * @param {object} [params] - Search parameters, as for searchUniversities()
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<Array<object>>} - All matching records
+   */
+  async searchAll(params = {}, options = {}) {
+    const records = [];
+    for await (const record of this.iterateSearch(params, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Find universities near a location
+   * 
+   * @param {object} params - Nearby search parameters
+   * @param {number} [params.lat] - Latitude of the center point
+   * @param {number} [params.lon] - Longitude of the center point
+   * @param {string} [params.zip] - Use the centroid of this ZIP code as the center
+   * @param {string} [params.city] - Use the centroid of this city as the center
+   * @param {string} [params.state] - State of the city
+   * @param {number} [params.radius] - Only include universities within this distance
+   * @param {string} [params.unit='mi'] - Distance unit ('mi' or 'km')
+   * @param {object} [params.bbox] - Bounding box { minLat, minLon, maxLat, maxLon }
+   * @param {number} [params.nearest] - Return the N nearest universities
+   * @param {object} [params.filter] - Structured filter
+   * @param {number} [params.limit=10] - Maximum number of results to return
+   * @param {number} [params.offset=0] - Number of results to skip
+   * @param {string} [params.sort='distance'] - 'distance' or 'none'
+   * @param {string} [params.order='asc'] - Sort direction
+   * @param {string} [params.format='json'] - 'json' or 'geojson'
+   * @param {boolean} [params.raw] - Return dataset records instead of normalized University records
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - Nearby universities with distances
+   */
+  async searchNearby(params = {}, options = {}) {
+    return this._request('/searchNearby', 'POST', params, options);
   }
 
   /**
    * Get detailed information for a specific university by ID
    * 
    * @param {string} id - The university record ID
+   * @param {object} [options] - Lookup options
+   * @param {boolean} [options.raw] - Return the dataset record instead of the normalized University
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
    * @returns {Promise<object>} - University details
    */
-  async getUniversity(id) {
-    return this._request(`/getUniversity?id=${encodeURIComponent(id)}`);
+  async getUniversity(id, options = {}) {
+    const { signal, timeout, raw } = options;
+    const queryParams = new URLSearchParams({ id });
+    if (raw !== undefined) {
+      queryParams.set('raw', raw);
+    }
+    return this._request(`/getUniversity?${queryParams.toString()}`, 'GET', null, { signal, timeout });
   }
 
   /**
    * Get all available fields in the university dataset
    * 
+   * @param {object} [options] - Per-call options ({ signal, timeout })
    * @returns {Promise<object>} - List of available fields
    */
-  async getFields() {
-    return this._request('/getFields');
+  async getFields(options = {}) {
+    return this._request('/getFields', 'GET', null, options);
   }
 
   /**
- * Get university by name
- * 
- * @param {string} name - The name of the university to fetch
- * @returns {Promise<object>} - University details
- */
-async getUniversityByName(name) {
-  return this._request(`/getUniversityByName?name=${encodeURIComponent(name)}`);
-}
+   * Get university by name
+   * 
+   * Names are resolved fuzzily unless `options.mode` is 'exact'; the
+   * response's `resolution` holds the confidence and ranked candidates.
+   * When nothing matches, the thrown error carries the candidates in
+   * `error.details`.
+   * 
+   * @param {string} name - The name of the university to fetch
+   * @param {object} [options] - Lookup options
+   * @param {string} [options.mode] - auto (default), exact or fuzzy
+   * @param {number} [options.limit] - Number of ranked candidates to return
+   * @param {string} [options.state] - Restrict matches to a state code
+   * @param {boolean} [options.raw] - Return the dataset record instead of the normalized University
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - University details
+   */
+  async getUniversityByName(name, options = {}) {
+    const { signal, timeout, ...lookup } = options;
+    const queryParams = new URLSearchParams({ name });
+    for (const [key, value] of Object.entries(lookup)) {
+      if (value !== undefined && value !== null) {
+        queryParams.set(key, value);
+      }
+    }
+    return this._request(`/getUniversityByName?${queryParams.toString()}`, 'GET', null, { signal, timeout });
+  }
 
   /**
    * Get statistical information about universities
    * 
    * @param {object} params - Statistics parameters
-   * @param {string} params.field - Field to analyze
-   * @param {string} params.aggregation - Type of aggregation (count, sum, avg, min, max)
-   * @param {string} [params.groupBy] - Field to group by
-   * @param {object} [params.filter] - Filter conditions to apply
+   * @param {Array<object>} [params.aggregations] - Aggregations, e.g. [{ aggregation: 'median', field: 'tot_enroll' }]
+   * @param {string} [params.field] - Field to analyze (single-aggregation form)
+   * @param {string} [params.aggregation] - Type of aggregation (count, sum, avg, min, max, median, percentile)
+   * @param {string|Array<string|object>} [params.groupBy] - Fields to group by, or { field, bucketSize } histogram buckets
+   * @param {object} [params.filter] - Structured filter, or a { field: value } equality object
+   * @param {object} [params.having] - Condition on result columns, e.g. { field: 'count', op: '>=', value: 10 }
+   * @param {Array<object>} [params.orderBy] - Result ordering, e.g. [{ field: 'count', direction: 'desc' }]
+   * @param {number} [params.limit] - Keep only the first N rows
+   * @param {object} [options] - Per-call options ({ signal, timeout })
    * @returns {Promise<object>} - Statistical results
    */
-  async getStatistics(params) {
-    return this._request('/statistics', 'POST', params);
+  async getStatistics(params, options = {}) {
+    return this._request('/statistics', 'POST', params, options);
+  }
+
+  /**
+   * List distinct values of one or more fields with record counts
+   *
+   * @param {string|string[]} fields - Fields to list values for
+   * @param {object} [params] - Search filters (query, state, city, filter), prefix, sort, limit and offset
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - One facet per field with values [{ value, count }] and hasMore
+   */
+  async getFacets(fields, params = {}, options = {}) {
+    return this._request('/facets', 'POST', { ...params, fields: Array.isArray(fields) ? fields : [fields] }, options);
+  }
+
+  /**
+   * Compare several universities side by side
+   *
+   * @param {Array<string|number>} universities - 2 to 10 IDs or names; the first is the baseline
+   * @param {object} [options] - Comparison options
+   * @param {string[]} [options.fields] - Dataset fields to compare
+   * @param {boolean} [options.raw] - Compare and return dataset values instead of normalized ones
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - Resolved universities and one aligned row per field
+   */
+  async compare(universities, options = {}) {
+    const { signal, timeout, ...comparison } = options;
+    return this._request('/compare', 'POST', { universities, ...comparison }, { signal, timeout });
   }
+
+  /**
+   * Ask a question in plain English, e.g. "how many public universities
+   * are in Ohio". The server compiles it into a search, nearby search or
+   * statistics request; `interpretation` in the response shows how, and
+   * lists the words it did not understand.
+   *
+   * @param {string} question - The question
+   * @param {object} [options] - Question options
+   * @param {number} [options.limit] - Results to return (default 10)
+   * @param {boolean} [options.raw] - Return dataset records instead of normalized Universities
+   * @param {boolean} [options.execute] - Set to false to only interpret the question
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - The interpretation and the request's results
+   */
+  async ask(question, options = {}) {
+    const { signal, timeout, ...askOptions } = options;
+    const queryParams = new URLSearchParams({ question });
+    for (const [key, value] of Object.entries(askOptions)) {
+      if (value !== undefined && value !== null) {
+        queryParams.set(key, value);
+      }
+    }
+    return this._request(`/ask?${queryParams.toString()}`, 'GET', null, { signal, timeout });
+  }
+
+  /**
+   * Run several operations in one request
+   *
+   * Each operation is `{ tool, params, id }`: a tool name (search,
+   * searchNearby, getUniversity, getUniversityByName, getFields,
+   * statistics, facets or compare), its parameters and an optional label.
+   * Operations fail independently, so check each result's `success`; only
+   * a malformed batch as a whole throws.
+   *
+   * @param {Array<object>} operations - Up to 50 operations
+   * @param {object} [options] - Batch options
+   * @param {number} [options.concurrency] - Operations the server runs at the same time (1-8)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - One result per operation, in order
+   */
+  async batch(operations, options = {}) {
+    const { signal, timeout, ...batchOptions } = options;
+    return this._request('/batch', 'POST', { operations, ...batchOptions }, { signal, timeout });
+  }
+
+  /**
+   * Save a named search, or replace one. Changing the search of an existing
+   * query removes its snapshots; changing only the description keeps them.
+   *
+   * @param {string} name - Query name (lower-case letters, digits, '-' and '_')
+   * @param {object} [params] - The search (query, state, city, filter) and a description
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - The saved query
+   */
+  async saveQuery(name, params = {}, options = {}) {
+    return this._request('/savedQueries', 'POST', { name, ...params }, options);
+  }
+
+  /**
+   * List the saved queries of this client's API key
+   *
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - The saved queries with their snapshots
+   */
+  async listQueries(options = {}) {
+    return this._request('/savedQueries', 'GET', null, options);
+  }
+
+  /**
+   * Get a saved query and the list of its snapshots
+   *
+   * @param {string} name - Query name
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - The saved query
+   */
+  async getQuery(name, options = {}) {
+    return this._request(savedQueryPath(name), 'GET', null, options);
+  }
+
+  /**
+   * Delete a saved query and its snapshots
+   *
+   * @param {string} name - Query name
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - The deleted query
+   */
+  async deleteQuery(name, options = {}) {
+    return this._request(savedQueryPath(name), 'DELETE', null, options);
+  }
+
+  /**
+   * Run a saved query and store its results as a new snapshot. The server
+   * walks every matching record, so large cohorts may need a longer timeout.
+   *
+   * @param {string} name - Query name
+   * @param {object} [options] - Snapshot options
+   * @param {boolean} [options.raw] - Report the diff in upstream field values instead of normalized ones
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - The new snapshot and the changes since the previous one (null for the first)
+   */
+  async snapshotQuery(name, options = {}) {
+    const { signal, timeout, ...snapshotOptions } = options;
+    return this._request(`${savedQueryPath(name)}/snapshots`, 'POST', snapshotOptions, { signal, timeout });
+  }
+
+  /**
+   * Compare a snapshot of a saved query with a later snapshot, or with the
+   * query's current results. Nothing is stored.
+   *
+   * @param {string} name - Query name
+   * @param {object} [options] - Diff options
+   * @param {string} [options.from] - Snapshot to compare from (default: the latest)
+   * @param {string} [options.to] - Snapshot to compare to (default: run the query now)
+   * @param {boolean} [options.raw] - Report upstream records and values instead of normalized ones
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<object>} - Added, removed and modified universities with their field changes
+   */
+  async diffQuery(name, options = {}) {
+    const { signal, timeout, ...diffOptions } = options;
+    const queryParams = new URLSearchParams();
+    for (const [key, value] of Object.entries(diffOptions)) {
+      if (value !== undefined && value !== null) {
+        queryParams.set(key, value);
+      }
+    }
+    const query = queryParams.toString();
+    return this._request(`${savedQueryPath(name)}/diff${query ? `?${query}` : ''}`, 'GET', null, { signal, timeout });
+  }
+
+  /**
+   * Export every matching university as CSV, NDJSON or GeoJSON
+   *
+   * Resolves to the fetch Response once the download has started, so the
+   * body can be streamed (e.g. `Readable.fromWeb(response.body)` in Node.js).
+   *
+   * @param {object} [params] - Export parameters (format, fields, query, state, city, filter, max, raw)
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<Response>} - Streaming response
+   */
+  async exportUniversities(params = {}, options = {}) {
+    // No default timeout: it would also cut off the body while it streams
+    return this._fetch('/export', 'POST', params, { timeout: 0, ...options });
+  }
+
+  /**
+   * Get this client's API key usage: limits, requests today, remaining
+   * quota and rejections
+   *
+   * @param {object} [options] - Per-call options ({ signal, timeout })
+   * @returns {Promise<object>} - Usage report (`{ enabled: false }` when the server has no API keys)
+   */
+  async getUsage(options = {}) {
+    return this._request('/usage', 'GET', null, options);
+  }
+
 }
 
 /**
@@ -148,8 +530,7 @@ async function exampleUsage() {
       limit: 5
     });
     console.log(`Found ${searchResults.data.total_count} universities in CA. Showing ${searchResults.data.results.length} results:`);
-    searchResults.data.results.forEach((result, index) => {
-      const university = result.record.fields;
+    searchResults.data.results.forEach((university, index) => {
       console.log(`${index + 1}. ${university.name} (${university.city}, ${university.state})`);
     });
     
@@ -161,33 +542,28 @@ async function exampleUsage() {
     // 4. Get statistics - average enrollment by state
     console.log('\nCalculating average enrollment by state...');
     const statistics = await client.getStatistics({
-      field: 'tot_enrollment',
-      aggregation: 'avg',
-      groupBy: 'state'
+      aggregations: [{ aggregation: 'avg', field: 'tot_enroll', alias: 'average' }],
+      groupBy: 'state',
+      orderBy: [{ field: 'average', direction: 'desc' }],
+      limit: 5
     });
     
-    // Sort states by average enrollment (descending)
-    const stateStats = statistics.data.results
-      .filter(result => result.state && result.average)
-      .sort((a, b) => b.average - a.average)
-      .slice(0, 5);
-    
     console.log('Top 5 states by average enrollment:');
-    stateStats.forEach((stat, index) => {
+    statistics.data.results.forEach((stat, index) => {
       console.log(`${index + 1}. ${stat.state}: ${Math.round(stat.average)} students`);
     });
     
     // 5. Get details for a specific university (if we have an ID from the search)
     if (searchResults.data.results.length > 0) {
-      const universityId = searchResults.data.results[0].record.id;
+      const universityId = searchResults.data.results[0].id;
       console.log(`\nFetching details for university ID: ${universityId}...`);
       const universityDetails = await client.getUniversity(universityId);
-      const university = universityDetails.data.record.fields;
+      const university = universityDetails.data;
       console.log('University details:');
       console.log(`Name: ${university.name}`);
       console.log(`Location: ${university.city}, ${university.state}`);
-      console.log(`Total Enrollment: ${university.tot_enrollment || 'Unknown'}`);
-      console.log(`Campus Setting: ${university.campus_setting || 'Unknown'}`);
+      console.log(`Total Enrollment: ${university.totalEnrollment ?? 'Unknown'}`);
+      console.log(`Locale: ${university.locale || 'Unknown'}`);
     }
   } catch (error) {
     console.error('Error in example usage:', error.message);
@@ -197,5 +573,57 @@ async function exampleUsage() {
 // You can uncomment this line to run the example when the file is executed
 // exampleUsage();
 
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Path of a saved query's routes
+ */
+function savedQueryPath(name) {
+  return `/savedQueries/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Wait for `ms` milliseconds, rejecting early if `signal` aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 // Export the client for use in other modules
-module.exports = UniversityDataClient;
\ No newline at end of file
+module.exports = UniversityDataClient;
+module.exports.UniversityDataClient = UniversityDataClient;
+module.exports.UniversityDataError = UniversityDataError;
+module.exports.ValidationError = ValidationError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.UpstreamError = UpstreamError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.NetworkError = NetworkError;
+module.exports.TimeoutError = TimeoutError;
\ No newline at end of file
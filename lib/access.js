@@ -0,0 +1,329 @@
+/**
+ * API keys, rate limits and daily quotas
+ *
+ * Clients identify themselves with an API key listed in the keys file
+ * (API_KEYS_FILE). Every key has a token-bucket rate limit (a burst of
+ * requests, refilled at a steady rate per minute) and a daily request
+ * quota that resets at midnight UTC. The file may also allow anonymous
+ * access, limited per client IP. Without a keys file access control is
+ * off and the server is open, as before.
+ *
+ * Keys file:
+ *
+ *   {
+ *     "defaults": { "requestsPerMinute": 60, "burst": 20, "dailyQuota": 10000 },
+ *     "anonymous": { "requestsPerMinute": 10, "burst": 5, "dailyQuota": 500 },
+ *     "keys": [
+ *       { "name": "dashboard", "key": "<secret>", "requestsPerMinute": 120 },
+ *       { "name": "ops", "key": "<secret>", "admin": true, "dailyQuota": null }
+ *     ]
+ *   }
+ *
+ * Limits missing from a key fall back to `defaults`; null means unlimited.
+ * Without `anonymous`, requests need a key. Usage is counted in memory.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: 60,
+  burst: 20,
+  dailyQuota: 10000
+};
+
+// Most anonymous clients (IP addresses) tracked before idle ones are dropped
+const MAX_ANONYMOUS_CLIENTS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Keys are looked up by their SHA-256 digest, so no comparison runs over
+ * the secret itself
+ */
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilMidnight(now) {
+  return Math.ceil((DAY_MS - (now % DAY_MS)) / 1000);
+}
+
+/**
+ * Whether a client is an anonymous one, identified by its IP address
+ */
+function isAnonymous(client) {
+  return client.id.startsWith('anonymous:');
+}
+
+/**
+ * Token bucket: holds up to `capacity` tokens, refilled continuously at
+ * `refillPerSecond`. Each request takes one.
+ */
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  _refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token
+   *
+   * @returns {number} - 0 when a token was taken, otherwise the
+   *   milliseconds until one is available
+   */
+  take(now = Date.now()) {
+    this._refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+
+  remaining(now = Date.now()) {
+    this._refill(now);
+    return Math.floor(this.tokens);
+  }
+}
+
+/**
+ * Merge a key's limits over the defaults. Each must be a positive integer,
+ * or null for no limit: a zero rate would never refill.
+ *
+ * @param {object} entry - Limits given in the keys file
+ * @param {object} defaults - Limits the entry leaves out
+ * @param {string} label - What the entry is, for error messages
+ */
+function resolveLimits(entry, defaults, label) {
+  const limits = {};
+  for (const name of Object.keys(DEFAULT_LIMITS)) {
+    const value = entry[name] !== undefined ? entry[name] : defaults[name];
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`${name} of ${label} must be a positive integer or null, not ${typeof value === 'string' ? JSON.stringify(value) : String(value)}`);
+    }
+    limits[name] = value;
+  }
+  return limits;
+}
+
+class AccessControl {
+  /**
+   * @param {object} [settings] - Parsed keys file; access control is off without `keys`
+   */
+  constructor(settings = {}) {
+    this.enabled = Array.isArray(settings.keys);
+    const defaults = resolveLimits(settings.defaults || {}, DEFAULT_LIMITS, 'the defaults');
+
+    this.keys = new Map();
+    for (const entry of settings.keys || []) {
+      if (!entry || typeof entry.key !== 'string' || entry.key === '' || typeof entry.name !== 'string') {
+        throw new Error("Each API key needs a non-empty `key` and a `name`");
+      }
+      if (Array.from(this.keys.values()).some(client => client.name === entry.name)) {
+        throw new Error(`Duplicate API key name: ${entry.name}`);
+      }
+      this.keys.set(digest(entry.key), {
+        id: `key:${entry.name}`,
+        name: entry.name,
+        admin: entry.admin === true,
+        limits: resolveLimits(entry, defaults, `API key ${entry.name}`)
+      });
+    }
+    this.anonymous = settings.anonymous ? resolveLimits(settings.anonymous, defaults, 'anonymous access') : null;
+
+    // Usage and rate-limit state per client id: keyed clients, and
+    // anonymous ones from least to most recently seen
+    this.clients = new Map();
+    this.anonymousClients = new Map();
+  }
+
+  /**
+   * Load the keys file (access control stays off without one)
+   *
+   * @param {string} [file] - Path to the keys file
+   * @returns {AccessControl}
+   */
+  static fromFile(file) {
+    if (!file) {
+      return new AccessControl();
+    }
+    return new AccessControl(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Identify the client making a request
+   *
+   * @param {string|undefined} apiKey - Key sent by the client
+   * @param {string} ip - Client address, for anonymous clients
+   * @returns {{id: string, name: string, admin: boolean, limits: object}}
+   * @throws {ApiError} - 401 for an unknown key, or no key when anonymous access is off
+   */
+  identify(apiKey, ip) {
+    if (apiKey) {
+      const client = this.keys.get(digest(apiKey));
+      if (!client) {
+        throw new ApiError("Invalid API key", 401, undefined, 'invalid_api_key');
+      }
+      return client;
+    }
+    if (!this.anonymous) {
+      throw new ApiError("An API key is required: send it as `Authorization: Bearer <key>` or `X-API-Key`", 401);
+    }
+    return { id: `anonymous:${ip}`, name: 'anonymous', ip, admin: false, limits: this.anonymous };
+  }
+
+  /**
+   * Count a request against a client's rate limit and daily quota
+   *
+   * @param {object} client - Result of identify()
+   * @returns {{rateLimit: number|null, rateRemaining: number|null, quota: number|null, quotaRemaining: number|null, quotaReset: number}}
+   * @throws {ApiError} - 429 `rate_limited` or `quota_exceeded`, with details.retryAfter in seconds
+   */
+  consume(client) {
+    const now = Date.now();
+    const state = this._state(client, now);
+    const { requestsPerMinute, burst, dailyQuota } = client.limits;
+
+    if (state.day !== utcDay(now)) {
+      state.day = utcDay(now);
+      state.today = 0;
+    }
+    state.lastSeenAt = now;
+
+    if (dailyQuota !== null && state.today >= dailyQuota) {
+      state.rejected.quota++;
+      const retryAfter = secondsUntilMidnight(now);
+      throw new ApiError(`Daily quota of ${dailyQuota} requests used up; it resets at 00:00 UTC`, 429,
+        { retryAfter, quota: dailyQuota }, 'quota_exceeded');
+    }
+    if (state.bucket) {
+      const waitMs = state.bucket.take(now);
+      if (waitMs > 0) {
+        state.rejected.rateLimit++;
+        throw new ApiError(`Rate limit exceeded: ${requestsPerMinute} requests per minute, bursts of up to ${burst ?? requestsPerMinute}`, 429,
+          { retryAfter: Math.max(1, Math.ceil(waitMs / 1000)), requestsPerMinute, burst }, 'rate_limited');
+      }
+    }
+
+    state.today++;
+    state.total++;
+
+    return {
+      rateLimit: state.bucket ? state.bucket.capacity : null,
+      rateRemaining: state.bucket ? state.bucket.remaining(now) : null,
+      quota: dailyQuota,
+      quotaRemaining: dailyQuota === null ? null : dailyQuota - state.today,
+      quotaReset: secondsUntilMidnight(now)
+    };
+  }
+
+  /**
+   * Count a request that consume() let through against the endpoint that
+   * served it, for the usage report
+   *
+   * @param {object} client - Result of identify()
+   * @param {string} route - Route pattern that matched the request
+   */
+  countEndpoint(client, route) {
+    const state = this._state(client, Date.now());
+    state.endpoints[route] = (state.endpoints[route] || 0) + 1;
+  }
+
+  /**
+   * Usage of one client
+   *
+   * @param {object} client - Result of identify()
+   */
+  usage(client) {
+    const now = Date.now();
+    const state = this._state(client, now);
+    const today = state.day === utcDay(now) ? state.today : 0;
+    const { requestsPerMinute, burst, dailyQuota } = client.limits;
+    return {
+      name: client.name,
+      ip: client.ip,
+      limits: { requestsPerMinute, burst, dailyQuota },
+      today,
+      quotaRemaining: dailyQuota === null ? null : Math.max(0, dailyQuota - today),
+      total: state.total,
+      rejected: { ...state.rejected },
+      endpoints: { ...state.endpoints },
+      lastSeenAt: state.lastSeenAt === null ? null : new Date(state.lastSeenAt).toISOString()
+    };
+  }
+
+  /**
+   * Usage of every key (including unused ones) and of anonymous clients
+   */
+  report() {
+    const keys = Array.from(this.keys.values()).map(client => this.usage(client));
+    // Copied first: usage() moves each client it reports to the end of the map
+    const anonymous = Array.from(this.anonymousClients.values()).map(state => this.usage(state.client));
+    return { enabled: this.enabled, keys, anonymous };
+  }
+
+  _state(client, now) {
+    const clients = isAnonymous(client) ? this.anonymousClients : this.clients;
+    let state = clients.get(client.id);
+    if (state) {
+      if (clients === this.anonymousClients) {
+        // Move to the end: the map runs from least to most recently seen
+        clients.delete(client.id);
+        clients.set(client.id, state);
+      }
+      return state;
+    }
+
+    const { requestsPerMinute, burst } = client.limits;
+    state = {
+      client,
+      bucket: requestsPerMinute === null ? null : new TokenBucket({
+        capacity: burst ?? requestsPerMinute,
+        refillPerSecond: requestsPerMinute / 60
+      }),
+      day: utcDay(now),
+      today: 0,
+      total: 0,
+      rejected: { rateLimit: 0, quota: 0 },
+      endpoints: {},
+      lastSeenAt: null
+    };
+    clients.set(client.id, state);
+    if (clients === this.anonymousClients) {
+      this._prune();
+    }
+    return state;
+  }
+
+  /**
+   * Drop the longest idle anonymous clients beyond MAX_ANONYMOUS_CLIENTS.
+   * The newest client is last in line, so it is never the one dropped.
+   */
+  _prune() {
+    for (const id of this.anonymousClients.keys()) {
+      if (this.anonymousClients.size <= MAX_ANONYMOUS_CLIENTS) {
+        break;
+      }
+      this.anonymousClients.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  MAX_ANONYMOUS_CLIENTS,
+  AccessControl,
+  TokenBucket
+};
@@ -0,0 +1,461 @@
+/**
+ * Natural-language questions
+ *
+ * Compiles questions such as "public universities in Texas with more than
+ * 20,000 students near Austin" or "how many private colleges are in Ohio"
+ * into the parameters of /search, /searchNearby or /statistics. Parsing is
+ * rule-based and deterministic: each rule recognizes one kind of phrase (a
+ * state, a place, a numeric threshold, an institution type, an aggregation
+ * or a grouping) and cuts it out of the question. Words no rule recognized
+ * are reported back instead of being guessed at, so the interpretation can
+ * be checked before its results are trusted.
+ */
+
+const { ApiError } = require('./errors');
+
+const MAX_QUESTION_LENGTH = 500;
+
+// Radius of "near <place>" when the question gives none
+const DEFAULT_RADIUS_MILES = 25;
+
+// Tools a question can compile to
+const ASK_TOOLS = ['search', 'searchNearby', 'statistics'];
+
+const STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+  VI: 'Virgin Islands', FM: 'Federated States of Micronesia', MH: 'Marshall Islands', PW: 'Palau'
+};
+
+// State codes by lower-case name
+const STATE_CODES = new Map(Object.entries(STATES).map(([code, name]) => [name.toLowerCase(), code]));
+
+// Values of the dataset's `type` field
+const INSTITUTION_TYPES = {
+  public: 'PUBLIC',
+  nonprofit: 'PRIVATE, NOT-FOR-PROFIT',
+  forProfit: 'PRIVATE, FOR-PROFIT'
+};
+
+// Numeric fields a question can name, most specific wording first
+const METRICS = [
+  { field: 'ft_enroll', label: 'full-time enrollment', pattern: "full[- ]time (?:students|enrollment|enrolment)" },
+  { field: 'pt_enroll', label: 'part-time enrollment', pattern: "part[- ]time (?:students|enrollment|enrolment)" },
+  { field: 'tot_enroll', label: 'total enrollment', pattern: "(?:total )?(?:enrolled students|students|enrollment|enrolment)" },
+  { field: 'tot_emp', label: 'employees', pattern: "(?:total )?(?:employees|staff)" },
+  { field: 'dorm_cap', label: 'dorm capacity', pattern: "(?:dorm|dormitory) (?:capacity|beds)|beds" },
+  { field: 'population', label: 'population', pattern: "population" }
+];
+
+// Field a threshold without a metric ("more than 20,000") applies to
+const DEFAULT_METRIC = METRICS.find(metric => metric.field === 'tot_enroll');
+
+const COMPARATORS = [
+  { op: '>', pattern: "more than|greater than|over|above|exceeding" },
+  { op: '>=', pattern: "at least|no fewer than|no less than|a minimum of" },
+  { op: '<', pattern: "fewer than|less than|under|below" },
+  { op: '<=', pattern: "at most|no more than|a maximum of|up to" }
+];
+
+// Aggregation of each wording; "how many" is a count, or a sum when a
+// metric follows ("how many students")
+const AGGREGATION_WORDS = {
+  average: 'avg', mean: 'avg', avg: 'avg', median: 'median',
+  total: 'sum', sum: 'sum', 'sum of': 'sum',
+  maximum: 'max', max: 'max', highest: 'max', largest: 'max',
+  minimum: 'min', min: 'min', lowest: 'min', smallest: 'min'
+};
+
+// Fields a question can group statistics by
+const GROUP_FIELDS = {
+  state: 'state', type: 'type', city: 'city', county: 'county',
+  sector: 'sector', locale: 'locale', level: 'level_'
+};
+
+// Words that carry no meaning of their own and are not reported as ignored
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'all', 'any', 'show', 'me', 'list', 'find', 'give', 'get', 'search', 'for',
+  'what', 'which', 'who', 'where', 'are', 'is', 'there', 'of', 'in', 'at', 'on', 'with', 'that',
+  'have', 'has', 'having', 'and', 'or', 'to', 'do', 'does', 'located', 'based', 'state', 'states',
+  'university', 'universities', 'college', 'colleges', 'school', 'schools', 'institution',
+  'institutions', 'campus', 'campuses', 'named', 'called', 'enrolled', 'please', 'us', 'u.s.'
+]);
+
+// Words that end a place name after "near"
+const PLACE_BOUNDARIES = new Set([
+  'with', 'that', 'which', 'where', 'having', 'has', 'have', 'and', 'or', 'in', 'by', 'per', 'for',
+  'over', 'under', 'above', 'below', 'more', 'less', 'fewer', 'at', 'between', 'within', 'of',
+  'public', 'private', 'nonprofit', 'non-profit', 'for-profit', 'top', 'how', 'named', 'called',
+  'university', 'universities', 'college', 'colleges', 'school', 'schools', 'institutions'
+]);
+
+const MAX_PLACE_WORDS = 4;
+
+const NUMBER = "\\d[\\d,]*(?:\\.\\d+)?(?:\\s*(?:k|thousand|million)\\b)?";
+const METRIC = METRICS.map(metric => metric.pattern).join('|');
+const COMPARATOR = COMPARATORS.map(comparator => comparator.pattern).join('|');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// State names, longest first so that "West Virginia" wins over "Virginia"
+const STATE_NAMES = Array.from(STATE_CODES.keys())
+  .sort((a, b) => b.length - a.length)
+  .map(name => escapeRegExp(name).replace(/ /g, '\\s+'))
+  .join('|');
+
+// A state name (any case) or code (capitals) at the start of a text
+const STATE_NAME_PATTERN = new RegExp(`^(?:${STATE_NAMES})\\b`, 'i');
+const STATE_CODE_PATTERN = /^[A-Z]{2}\b/;
+
+/**
+ * Number written with separators or a k/thousand/million suffix
+ */
+function parseNumber(text) {
+  const match = /^(\d[\d,]*(?:\.\d+)?)\s*(k|thousand|million)?$/i.exec(text.trim());
+  const scale = { k: 1e3, thousand: 1e3, million: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(Number(match[1].replace(/,/g, '')) * scale);
+}
+
+function metricOf(phrase) {
+  if (!phrase) {
+    return null;
+  }
+  const text = phrase.toLowerCase().replace(/\s+/g, ' ');
+  return METRICS.find(metric => new RegExp(`^(?:${metric.pattern})$`).test(text)) || null;
+}
+
+function stateCode(text) {
+  const words = text.trim().replace(/\s+/g, ' ');
+  if (/^[a-z]{2}$/i.test(words) && STATES[words.toUpperCase()]) {
+    return words.toUpperCase();
+  }
+  return STATE_CODES.get(words.toLowerCase()) || null;
+}
+
+/**
+ * Split "Austin, TX" or "San Antonio Texas" into a city and a state code
+ */
+function splitPlace(words) {
+  for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+    const code = stateCode(words.slice(-count).join(' '));
+    if (code) {
+      return { city: words.slice(0, -count).join(' '), state: code };
+    }
+  }
+  return { city: words.join(' '), state: null };
+}
+
+/**
+ * Compile a question into a search, nearby search or statistics request
+ *
+ * @param {string} question
+ * @param {object} [options]
+ * @param {number} [options.limit] - Results to return, overriding "top N"
+ * @param {boolean} [options.raw] - Ask for raw records (searches only)
+ * @returns {{question: string, tool: string, params: object, understood: Array<{phrase: string, meaning: string}>, ignored: string[]}}
+ */
+function interpretQuestion(question, options = {}) {
+  if (typeof question !== 'string' || question.trim() === '') {
+    throw new ApiError("A question is required");
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    throw new ApiError(`question must be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+
+  // Recognized phrases are blanked out in place, so offsets keep the
+  // question's order and a '|' stops later rules from joining across them
+  let text = question.replace(/\s+/g, ' ').trim();
+  const understood = [];
+  const found = {
+    states: [],
+    cities: [],
+    types: [],
+    thresholds: [],
+    aggregations: [],
+    groupBy: [],
+    near: null,
+    query: null,
+    limit: undefined
+  };
+
+  /**
+   * Apply one rule. `accept` gets the match groups and returns what the
+   * phrase means, or nothing to leave it for later rules; it may return
+   * {meaning, length} to take only the start of the match.
+   */
+  const consume = (pattern, accept) => {
+    text = text.replace(pattern, (...args) => {
+      const offset = args.find(arg => typeof arg === 'number');
+      const match = args.slice(0, args.indexOf(offset));
+      const accepted = accept(match);
+      if (!accepted) {
+        return match[0];
+      }
+      const { meaning, length } = typeof accepted === 'string' ? { meaning: accepted, length: match[0].length } : accepted;
+      understood.push({ offset, phrase: match[0].slice(0, length).trim(), meaning });
+      return '|'.padEnd(length) + match[0].slice(length);
+    });
+  };
+
+  // Quoted text and names are searched for as written
+  consume(/"([^"]+)"|“([^”]+)”/g, ([, plain, curly]) => {
+    found.query = (plain || curly).trim();
+    return `full-text search for "${found.query}"`;
+  });
+  consume(/\b(?:named|called)\s+([A-Za-z0-9&'.-]+(?:\s+(?!(?:in|with|near|and|that|which|by|per)\b)[A-Za-z0-9&'.-]+)*)/gi, ([, name]) => {
+    found.query = name;
+    return `full-text search for "${name}"`;
+  });
+
+  consume(/\b(?:top|first)\s+(\d{1,3})\b/gi, ([, count]) => {
+    found.limit = Number(count);
+    return `first ${count} results`;
+  });
+
+  consume(/\bwashington,?\s*d\.?\s?c\b\.?/gi, () => {
+    found.states.push('DC');
+    return 'state DC';
+  });
+
+  // "near Austin", "within 50 miles of Austin, TX", "near 78701"
+  consume(new RegExp(`\\b(?:within\\s+(${NUMBER})\\s*(miles?|mi|kilometers?|kilometres?|km)\\s+(?:of|from)|near|around|close\\s+to)\\s+([^|]*)`, 'gi'), ([phrase, distance, unit, rest]) => {
+    if (found.near) {
+      return null;
+    }
+    const words = [];
+    const word = /\s*(,\s*)?([A-Za-z0-9][A-Za-z0-9.'-]*)/y;
+    let end = 0;
+    let token;
+    while (words.length < MAX_PLACE_WORDS && (token = word.exec(rest))) {
+      if (PLACE_BOUNDARIES.has(token[2].toLowerCase()) || (words.length > 0 && /^\d{5}$/.test(words[0]))) {
+        break;
+      }
+      // After a comma only a state may follow, and it ends the place
+      if (token[1]) {
+        const start = word.lastIndex - token[2].length;
+        const after = rest.slice(start);
+        const state = STATE_NAME_PATTERN.exec(after) || STATE_CODE_PATTERN.exec(after);
+        if (words.length > 0 && state && stateCode(state[0])) {
+          words.push(state[0]);
+          end = start + state[0].length;
+        }
+        break;
+      }
+      words.push(token[2]);
+      end = word.lastIndex;
+    }
+    if (words.length === 0) {
+      return null;
+    }
+
+    const near = /^\d{5}$/.test(words[0]) ? { zip: words[0], state: null } : splitPlace(words);
+    if (near.city === '' || (!near.zip && stateCode(near.city))) {
+      // "near Texas" names a state, not a place
+      return null;
+    }
+    near.radius = distance === undefined ? DEFAULT_RADIUS_MILES : parseNumber(distance);
+    near.unit = unit && /^k/i.test(unit) ? 'km' : 'mi';
+    found.near = near;
+    const place = near.zip ? `ZIP code ${near.zip}` : `${near.city}${near.state ? `, ${near.state}` : ''}`;
+    return {
+      meaning: `within ${near.radius} ${near.unit} of ${place}`,
+      length: phrase.length - rest.length + end
+    };
+  });
+
+  // "in Portland, Oregon" names a city
+  consume(new RegExp(`\\bin\\s+([A-Za-z][A-Za-z.'-]*(?:\\s+[A-Za-z][A-Za-z.'-]*){0,3}),\\s*(${STATE_NAMES}|[A-Za-z]{2})\\b`, 'gi'), ([, city, state]) => {
+    const code = stateCode(state);
+    if (!code || stateCode(city)) {
+      return null;
+    }
+    found.cities.push(city);
+    found.states.push(code);
+    return `city ${city}, state ${code}`;
+  });
+
+  consume(new RegExp(`\\b(?:${STATE_NAMES})\\b`, 'gi'), ([name]) => {
+    const code = stateCode(name);
+    found.states.push(code);
+    return `state ${code}`;
+  });
+  // Codes only in capitals, since "in", "or" and "me" are words too, and
+  // not in questions written all in capitals
+  consume(/\b[A-Z]{2}\b/g, ([code]) => {
+    if (!STATES[code] || !/[a-z]/.test(question)) {
+      return null;
+    }
+    found.states.push(code);
+    return `state ${code}`;
+  });
+
+  // Numeric thresholds: "between 5,000 and 10,000 students", "enrollment
+  // over 20k", "more than 20,000 students", "5,000+ students"
+  const threshold = (metric, op, value) => {
+    found.thresholds.push({ field: metric.field, op, value });
+    const shown = Array.isArray(value) ? `${value[0]} and ${value[1]}` : value;
+    return `${metric.label} ${op === 'between' ? 'between' : op} ${shown}`;
+  };
+  consume(new RegExp(`\\b(?:(${METRIC})\\s+(?:of\\s+|is\\s+|are\\s+)?)?between\\s+(${NUMBER})\\s*(?:and|to|-)\\s*(${NUMBER})(?:\\s+(${METRIC}))?`, 'gi'), ([, before, low, high, after]) => (
+    threshold(metricOf(after || before) || DEFAULT_METRIC, 'between', [parseNumber(low), parseNumber(high)])
+  ));
+  consume(new RegExp(`\\b(?:(${METRIC})\\s+(?:of\\s+|is\\s+|are\\s+)?)?(${COMPARATOR})\\s+(${NUMBER})(?:\\s+(${METRIC}))?`, 'gi'), ([, before, comparator, number, after]) => {
+    const { op } = COMPARATORS.find(entry => new RegExp(`^(?:${entry.pattern})$`, 'i').test(comparator.replace(/\s+/g, ' ')));
+    return threshold(metricOf(after || before) || DEFAULT_METRIC, op, parseNumber(number));
+  });
+  consume(new RegExp(`\\b(${NUMBER})\\s*(\\+|or\\s+more|or\\s+fewer|or\\s+less)\\s+(${METRIC})`, 'gi'), ([, number, direction, metric]) => (
+    threshold(metricOf(metric), /^or\s+(fewer|less)$/i.test(direction) ? '<=' : '>=', parseNumber(number))
+  ));
+
+  // Institution types
+  const type = (values, meaning) => {
+    found.types.push(...values);
+    return meaning;
+  };
+  consume(/\b(?:private\s+)?(?:non-?profit|not[- ]for[- ]profit|not\s+for\s+profit)\b/gi, () => (
+    type([INSTITUTION_TYPES.nonprofit], `type ${INSTITUTION_TYPES.nonprofit}`)
+  ));
+  consume(/\b(?:private\s+)?for[- ]?profit\b/gi, () => type([INSTITUTION_TYPES.forProfit], `type ${INSTITUTION_TYPES.forProfit}`));
+  consume(/\bpublic\b/gi, () => type([INSTITUTION_TYPES.public], `type ${INSTITUTION_TYPES.public}`));
+  consume(/\bprivate\b/gi, () => (
+    type([INSTITUTION_TYPES.nonprofit, INSTITUTION_TYPES.forProfit], `type ${INSTITUTION_TYPES.nonprofit} or ${INSTITUTION_TYPES.forProfit}`)
+  ));
+
+  // Aggregations
+  const aggregationWords = Object.keys(AGGREGATION_WORDS).sort((a, b) => b.length - a.length).join('|').replace(/ /g, '\\s+');
+  consume(new RegExp(`\\b(${aggregationWords})\\s+(?:number\\s+of\\s+)?(${METRIC})\\b`, 'gi'), ([, word, metric]) => {
+    const aggregation = AGGREGATION_WORDS[word.toLowerCase().replace(/\s+/g, ' ')];
+    const { field, label } = metricOf(metric);
+    found.aggregations.push({ aggregation, field });
+    return `${aggregation} of ${label}`;
+  });
+  consume(new RegExp(`\\bhow\\s+many\\s+(${METRIC})\\b`, 'gi'), ([, metric]) => {
+    const { field, label } = metricOf(metric);
+    found.aggregations.push({ aggregation: 'sum', field });
+    return `sum of ${label}`;
+  });
+  consume(/\b(?:how\s+many|number\s+of|count\s+of|count)\b/gi, () => {
+    found.aggregations.push({ aggregation: 'count' });
+    return 'count';
+  });
+
+  consume(new RegExp(`\\b(?:(?:broken\\s+down|grouped)\\s+)?(?:by|per|for\\s+each|in\\s+each)\\s+(${Object.keys(GROUP_FIELDS).join('|')})\\b`, 'gi'), ([, name]) => {
+    const field = GROUP_FIELDS[name.toLowerCase()];
+    found.groupBy.push(field);
+    return `grouped by ${field}`;
+  });
+
+  const ignored = text
+    .split(/[^A-Za-z0-9'.-]+/)
+    .map(word => word.replace(/^[.'-]+|[.'-]+$/g, ''))
+    .filter(word => word !== '' && !STOPWORDS.has(word.toLowerCase()));
+
+  // A question no rule understood is searched for as text
+  if (understood.length === 0 && ignored.length > 0) {
+    found.query = ignored.join(' ');
+    understood.push({ offset: 0, phrase: question.trim(), meaning: `full-text search for "${found.query}"` });
+    ignored.length = 0;
+  }
+
+  understood.sort((a, b) => a.offset - b.offset);
+  return {
+    question,
+    ...compile(found, options, understood),
+    understood: understood.map(({ phrase, meaning }) => ({ phrase, meaning })),
+    ignored
+  };
+}
+
+/**
+ * The request a question's recognized phrases add up to
+ */
+function compile(found, options, understood) {
+  const conditions = [];
+  const states = Array.from(new Set(found.states));
+  const types = Array.from(new Set(found.types));
+  if (states.length > 0) {
+    conditions.push(states.length === 1 ? { field: 'state', op: '=', value: states[0] } : { field: 'state', op: 'in', value: states });
+  }
+  // Dataset values are upper case; the city is matched as written too
+  for (const city of new Set(found.cities)) {
+    conditions.push({ field: 'city', op: 'in', value: Array.from(new Set([city, city.toUpperCase()])) });
+  }
+  if (types.length > 0) {
+    conditions.push(types.length === 1 ? { field: 'type', op: '=', value: types[0] } : { field: 'type', op: 'in', value: types });
+  }
+  conditions.push(...found.thresholds);
+
+  const params = {};
+  if (conditions.length > 0) {
+    params.filter = conditions.length === 1 ? conditions[0] : { and: conditions };
+  }
+  const limit = options.limit ?? found.limit;
+
+  if (found.aggregations.length > 0 || found.groupBy.length > 0) {
+    if (found.near) {
+      throw new ApiError("Statistics cannot be limited to the area around a place; ask for the universities instead", 400, {
+        understood: understood.map(({ phrase, meaning }) => ({ phrase, meaning }))
+      }, 'unsupported_question');
+    }
+    const aggregations = found.aggregations.length > 0 ? found.aggregations : [{ aggregation: 'count' }];
+    params.aggregations = aggregations;
+    if (found.query) {
+      params.query = found.query;
+    }
+    if (found.groupBy.length > 0) {
+      params.groupBy = found.groupBy.length === 1 ? found.groupBy[0] : found.groupBy;
+      const [first] = aggregations;
+      params.orderBy = [{ field: first.aggregation === 'count' ? 'count' : `${first.aggregation}_${first.field}`, direction: 'desc' }];
+      if (limit !== undefined) {
+        params.limit = limit;
+      }
+    }
+    return { tool: 'statistics', params };
+  }
+
+  if (found.near) {
+    if (found.query) {
+      throw new ApiError(`Nearby searches cannot also search for "${found.query}"`, 400, undefined, 'unsupported_question');
+    }
+    const { zip, city, state, radius, unit } = found.near;
+    const center = zip ? { zip } : { city };
+    // A lone state in the question also places the city
+    const centerState = state || (city && states.length === 1 ? states[0] : null);
+    if (centerState && !zip) {
+      center.state = centerState;
+    }
+    Object.assign(params, center, { radius, unit, limit: limit ?? 10 });
+    if (options.raw !== undefined) {
+      params.raw = options.raw;
+    }
+    return { tool: 'searchNearby', params };
+  }
+
+  if (found.query) {
+    params.query = found.query;
+  }
+  params.limit = limit ?? 10;
+  if (options.raw !== undefined) {
+    params.raw = options.raw;
+  }
+  return { tool: 'search', params };
+}
+
+module.exports = {
+  MAX_QUESTION_LENGTH,
+  DEFAULT_RADIUS_MILES,
+  ASK_TOOLS,
+  interpretQuestion
+};
@@ -0,0 +1,178 @@
+/**
+ * Batches of operations
+ *
+ * `/batch` (and the `batch` MCP tool) runs many tool calls in one request.
+ * Each operation is validated against its own endpoint's schema and fails
+ * on its own: results come back in request order, each with a success flag
+ * and either the tool's payload or its error. Identical operations (same
+ * tool, same parameters after validation) run once and share their result,
+ * and at most `concurrency` operations run at a time. An operation may still
+ * send several upstream requests at once (compare resolves each name in
+ * parallel); the upstream client caps those for the whole server (see
+ * lib/upstream.js). The request pays for its first operation;
+ * every further one counts against the caller's rate limit and quota as a
+ * request of its own, and fails with 429 once they are used up.
+ */
+
+const { ApiError } = require('./errors');
+const { validateParams } = require('./validation');
+const { chargeRequest } = require('./request-context');
+const { logger } = require('./logger');
+
+const MAX_BATCH_OPERATIONS = 50;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 8;
+
+// Tools an operation may call
+const BATCH_TOOLS = [
+  'search', 'searchNearby', 'getUniversity', 'getUniversityByName',
+  'getFields', 'statistics', 'facets', 'compare'
+];
+
+let operationTable;
+
+/**
+ * Handler and parameter schema of each batch tool, by name.
+ *
+ * Read on first use: lib/endpoints.js takes the limits above from this
+ * module while it loads, and lib/handlers.js exports batch(), so neither
+ * can be required at the top.
+ */
+function operations() {
+  if (!operationTable) {
+    const handlers = require('./handlers');
+    const { endpoints, toJsonSchema } = require('./endpoints');
+    operationTable = new Map(BATCH_TOOLS.map(tool => [tool, {
+      handler: handlers[tool],
+      schema: toJsonSchema(endpoints.find(endpoint => endpoint.tool === tool).parameters)
+    }]));
+  }
+  return operationTable;
+}
+
+/**
+ * JSON with object keys sorted, so that equal parameters give equal text
+ */
+function stableJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Call `task` for every item with at most `limit` calls in flight
+ */
+async function forEachLimited(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * The error object of a failed operation, as in an error response
+ */
+function errorBody(error, tool) {
+  if (!(error instanceof ApiError) || error.status === 500) {
+    logger.error('Unexpected error in batch operation', { tool, error });
+  }
+  const status = error.status || 500;
+  const body = {
+    message: error.message || "Internal server error",
+    status,
+    code: error instanceof ApiError ? error.code : 'internal_error'
+  };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  return body;
+}
+
+/**
+ * Run a batch of operations
+ *
+ * @param {object} params - Batch parameters (see the `/batch` endpoint definition)
+ * @param {object} [context] - Caller context
+ * @param {Function} [context.reportProgress] - Called as (progress, total, message) after each operation
+ */
+async function batch(params = {}, context = {}) {
+  const { operations: requested, concurrency = DEFAULT_BATCH_CONCURRENCY } = params;
+  const reportProgress = context.reportProgress || (() => {});
+
+  // Validate every operation and group identical ones under one key
+  const table = operations();
+  const unique = new Map();
+  const planned = requested.map(operation => {
+    const entry = table.get(operation?.tool);
+    if (!entry) {
+      return { error: new ApiError(`Unknown tool: ${String(operation?.tool)}. Must be one of: ${BATCH_TOOLS.join(', ')}`) };
+    }
+    let args;
+    try {
+      args = validateParams(entry.schema, operation.params || {});
+    } catch (error) {
+      return { error };
+    }
+    const key = `${operation.tool}:${stableJson(args)}`;
+    if (!unique.has(key)) {
+      unique.set(key, { tool: operation.tool, handler: entry.handler, args });
+    }
+    return { key };
+  });
+
+  const outcomes = new Map();
+  let started = 0;
+  await forEachLimited(Array.from(unique.keys()), concurrency, async key => {
+    const { tool, handler, args } = unique.get(key);
+    try {
+      if (started++ > 0) {
+        chargeRequest();
+      }
+      outcomes.set(key, { result: await handler(args) });
+    } catch (error) {
+      outcomes.set(key, { error: errorBody(error, tool) });
+    }
+    reportProgress(outcomes.size, unique.size, `Completed ${outcomes.size} of ${unique.size} operations`);
+  });
+
+  const results = requested.map((operation, index) => {
+    const { key, error } = planned[index];
+    const outcome = error ? { error: errorBody(error, operation?.tool) } : outcomes.get(key);
+    const result = { tool: operation?.tool };
+    if (operation?.id !== undefined) {
+      result.id = operation.id;
+    }
+    return outcome.error
+      ? { ...result, success: false, error: outcome.error }
+      : { ...result, success: true, ...outcome.result };
+  });
+
+  const failed = results.filter(result => !result.success).length;
+  const valid = planned.filter(plan => plan.key).length;
+  return {
+    data: { results },
+    metadata: {
+      operations: requested.length,
+      executed: unique.size,
+      deduplicated: valid - unique.size,
+      succeeded: results.length - failed,
+      failed,
+      concurrency
+    }
+  };
+}
+
+module.exports = {
+  MAX_BATCH_OPERATIONS,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  BATCH_TOOLS,
+  batch
+};
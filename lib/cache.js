@@ -0,0 +1,279 @@
+/**
+ * Response cache
+ *
+ * In-memory LRU cache with per-entry TTLs, bounded by entry count and by
+ * the approximate size (serialized JSON length) of the stored values.
+ * Expired entries are kept until they are evicted so that callers can
+ * still fall back to them (see getStale()). When a file is configured the
+ * cache is loaded from it on start-up and written back after changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Delay between a change and the write to disk, so bursts are batched
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Serialize a value with object keys sorted, so that equivalent queries
+ * produce the same cache key regardless of property order. Undefined
+ * properties are dropped.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ResponseCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000] - Maximum number of entries
+   * @param {number} [options.maxBytes=52428800] - Maximum total size of stored values
+   * @param {string} [options.file] - Optional path used to persist the cache
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.file = options.file ? path.resolve(options.file) : '';
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      endpoints: {}
+    };
+    this._saveTimer = null;
+
+    if (this.file) {
+      this._load();
+    }
+  }
+
+  /**
+   * Get a fresh value, or undefined on a miss or when the entry has expired
+   *
+   * @param {string} key - Cache key
+   * @param {string} [endpoint] - Endpoint name, for hit-rate statistics
+   */
+  get(key, endpoint = 'default') {
+    const entry = this.entries.get(key);
+    const counters = this._counters(endpoint);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.stats.misses++;
+      counters.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    this.stats.hits++;
+    counters.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Get a value even if it has expired. Does not affect statistics.
+   *
+   * @returns {{value: *, storedAt: number, expiresAt: number}|undefined}
+   */
+  getStale(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    return {
+      value: entry.value,
+      storedAt: entry.storedAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {object} options
+   * @param {number} options.ttlSeconds - Time to live
+   * @param {string} [options.endpoint] - Endpoint that produced the value
+   */
+  set(key, value, { ttlSeconds, endpoint = 'default' }) {
+    if (!(ttlSeconds > 0)) {
+      return;
+    }
+
+    const size = JSON.stringify(value).length;
+    if (size > this.maxBytes) {
+      return;
+    }
+
+    this.delete(key);
+    const now = Date.now();
+    this.entries.set(key, {
+      value,
+      endpoint,
+      size,
+      storedAt: now,
+      expiresAt: now + ttlSeconds * 1000
+    });
+    this.bytes += size;
+
+    // Evict least recently used entries until within bounds
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+      this.stats.evictions++;
+    }
+
+    this._scheduleSave();
+  }
+
+  /**
+   * Remove one entry
+   *
+   * @returns {boolean} - Whether an entry was removed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    this._scheduleSave();
+    return true;
+  }
+
+  /**
+   * Remove entries, optionally only those produced by one endpoint
+   *
+   * @param {object} [filter]
+   * @param {string} [filter.endpoint] - Only purge entries of this endpoint
+   * @returns {number} - Number of entries removed
+   */
+  purge(filter = {}) {
+    let removed = 0;
+    for (const [key, entry] of Array.from(this.entries)) {
+      if (!filter.endpoint || entry.endpoint === filter.endpoint) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Summary of the cache contents and hit rates
+   */
+  report() {
+    const now = Date.now();
+    const endpoints = {};
+
+    for (const [name, counters] of Object.entries(this.stats.endpoints)) {
+      endpoints[name] = {
+        ...counters,
+        hitRate: hitRate(counters),
+        entries: 0,
+        bytes: 0
+      };
+    }
+    let expired = 0;
+    for (const entry of this.entries.values()) {
+      const summary = endpoints[entry.endpoint] || (endpoints[entry.endpoint] = {
+        hits: 0, misses: 0, hitRate: 0, entries: 0, bytes: 0
+      });
+      summary.entries++;
+      summary.bytes += entry.size;
+      if (entry.expiresAt <= now) {
+        expired++;
+      }
+    }
+
+    return {
+      entries: this.entries.size,
+      expired,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: hitRate(this.stats),
+      evictions: this.stats.evictions,
+      persistent: Boolean(this.file),
+      endpoints
+    };
+  }
+
+  _counters(endpoint) {
+    if (!this.stats.endpoints[endpoint]) {
+      this.stats.endpoints[endpoint] = { hits: 0, misses: 0 };
+    }
+    return this.stats.endpoints[endpoint];
+  }
+
+  _load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable cache file', { file: this.file, error: error.message });
+      }
+      return;
+    }
+
+    for (const [key, entry] of saved.entries || []) {
+      this.entries.set(key, entry);
+      this.bytes += entry.size;
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.file || this._saveTimer) {
+      return;
+    }
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save().catch(error => logger.error('Error saving cache', { file: this.file, error }));
+    }, SAVE_DELAY_MS);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Write the cache to its file (no-op without one)
+   */
+  async save() {
+    if (!this.file) {
+      return;
+    }
+    const temporary = `${this.file}.tmp`;
+    const contents = JSON.stringify({ version: 1, entries: Array.from(this.entries) });
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(temporary, contents);
+    await fs.promises.rename(temporary, this.file);
+  }
+}
+
+function hitRate({ hits, misses }) {
+  const total = hits + misses;
+  return total === 0 ? 0 : hits / total;
+}
+
+module.exports = {
+  ResponseCache,
+  stableStringify
+};
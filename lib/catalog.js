@@ -0,0 +1,149 @@
+/**
+ * Field catalog
+ *
+ * Describes every dataset field from the data source's metadata: type,
+ * label, description and capabilities, plus example values and null rates
+ * measured on a sample of records. Loading the catalog also replaces the
+ * built-in field list in lib/fields.js, so query validation follows the
+ * dataset's real fields.
+ */
+
+const config = require('./config');
+const { DATASET_FIELDS, setDatasetFields } = require('./fields');
+const { getDataSource } = require('./datasources');
+const { ttlFor } = require('./datasources/cached');
+
+// Records sampled for example values and null rates
+const SAMPLE_PAGE_SIZE = 100;
+const SAMPLE_PAGES = 5;
+
+const MAX_EXAMPLES = 3;
+
+const NUMERIC_TYPES = new Set(['int', 'double']);
+const ORDERED_TYPES = new Set(['int', 'double', 'date', 'datetime']);
+
+/**
+ * Fetch up to SAMPLE_PAGES pages of records
+ */
+async function sampleRecords(source) {
+  const records = [];
+  for (let page = 0; page < SAMPLE_PAGES; page++) {
+    const data = await source.search({ limit: SAMPLE_PAGE_SIZE, offset: page * SAMPLE_PAGE_SIZE }, { endpoint: 'getFields' });
+    const results = data.results || [];
+    records.push(...results);
+    if (results.length < SAMPLE_PAGE_SIZE) {
+      break;
+    }
+  }
+  return records;
+}
+
+/**
+ * Catalog entry for one field
+ *
+ * @param {object} field - Field metadata from the data source
+ * @param {Array<object>} sample - Sampled records
+ */
+function describeField(field, sample) {
+  const annotations = new Set(field.annotations || []);
+  const examples = [];
+  let nulls = 0;
+
+  for (const record of sample) {
+    const value = record[field.name];
+    if (value === null || value === undefined || value === '') {
+      nulls++;
+    } else if (examples.length < MAX_EXAMPLES && field.type !== 'geo_shape'
+      && !examples.some(example => JSON.stringify(example) === JSON.stringify(value))) {
+      examples.push(value);
+    }
+  }
+
+  return {
+    name: field.name,
+    label: field.label ?? null,
+    type: field.type,
+    description: field.description ?? null,
+    // OpenDataSoft only facets fields annotated for it; numbers and dates
+    // always sort, text only when annotated
+    facetable: annotations.has('facet'),
+    sortable: ORDERED_TYPES.has(field.type) || annotations.has('sortable'),
+    aggregatable: NUMERIC_TYPES.has(field.type),
+    examples,
+    nullRate: sample.length > 0 ? Math.round(nulls / sample.length * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Build the catalog from a data source
+ *
+ * @param {object} source - Data source implementing metadata() and search()
+ * @returns {Promise<{fields: Array<object>, sampleSize: number, source: string}>}
+ */
+async function buildCatalog(source) {
+  const [metadata, sample] = await Promise.all([
+    source.metadata({ endpoint: 'getFields' }),
+    sampleRecords(source)
+  ]);
+  if (!metadata.fields || metadata.fields.length === 0) {
+    throw new Error("Dataset metadata lists no fields");
+  }
+  return {
+    fields: metadata.fields.map(field => describeField(field, sample)),
+    sampleSize: sample.length,
+    source: source.name
+  };
+}
+
+let current = null;
+
+/**
+ * The field catalog of the configured data source, rebuilt once it is
+ * older than the getFields cache TTL. A failed load is not kept, so the
+ * next call tries again.
+ *
+ * @returns {Promise<object>}
+ */
+function getCatalog() {
+  const maxAgeMs = ttlFor(config.cache.ttlSeconds, 'getFields') * 1000;
+  if (current && Date.now() - current.loadedAt < maxAgeMs) {
+    return current.promise;
+  }
+
+  const entry = { loadedAt: Date.now() };
+  entry.promise = buildCatalog(getDataSource())
+    .then(catalog => {
+      setDatasetFields(catalog.fields);
+      return catalog;
+    })
+    .catch(error => {
+      if (current === entry) {
+        current = null;
+      }
+      throw error;
+    });
+  current = entry;
+  return entry.promise;
+}
+
+/**
+ * Forget the loaded catalog (for example after switching data source)
+ */
+function resetCatalog() {
+  current = null;
+}
+
+/**
+ * The built-in field list, for when the catalog cannot be loaded
+ */
+function fallbackFields() {
+  return DATASET_FIELDS.map(({ name, type }) => ({ name, type }));
+}
+
+module.exports = {
+  getCatalog,
+  resetCatalog,
+  buildCatalog,
+  describeField,
+  fallbackFields
+};
@@ -0,0 +1,88 @@
+/**
+ * Side-by-side comparison tables
+ *
+ * Aligns selected fields of several university records into rows, one cell
+ * per university, with rankings and differences for numeric fields.
+ */
+
+const { isNumericField } = require('./fields');
+const { isMissing, normalizeUniversity, propertyPath, valueAt } = require('./university');
+
+// Fields compared when the caller does not choose any
+const DEFAULT_COMPARE_FIELDS = [
+  'name', 'city', 'state', 'type', 'naics_desc', 'website',
+  'tot_enroll', 'ft_enroll', 'pt_enroll', 'population', 'tot_emp', 'dorm_cap', 'housing'
+];
+
+/**
+ * Build a comparison row for one field from its value in each record.
+ *
+ * Every row has one cell per record, in record order. A cell is
+ * `{ value, missing }`; numeric rows add `rank` (1 = largest, ties share a
+ * rank, null when missing) and `difference` from the first record's value.
+ */
+function compareRow(fieldName, values) {
+  const numeric = isNumericField(fieldName);
+  const cells = values.map(raw => {
+    if (isMissing(raw)) {
+      return { value: null, missing: true };
+    }
+    if (numeric) {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value, missing: false } : { value: null, missing: true };
+    }
+    return { value: raw, missing: false };
+  });
+
+  const row = {
+    field: fieldName,
+    property: propertyPath(fieldName),
+    type: numeric ? 'number' : 'text',
+    cells,
+    missing: cells.filter(cell => cell.missing).length
+  };
+  if (!numeric) {
+    row.identical = cells.every(cell => !cell.missing && cell.value === cells[0].value);
+    return row;
+  }
+
+  const present = cells.filter(cell => !cell.missing).map(cell => cell.value);
+  const baseline = cells[0].missing ? null : cells[0].value;
+  for (const cell of cells) {
+    cell.rank = cell.missing ? null : 1 + present.filter(value => value > cell.value).length;
+    cell.difference = cell.missing || baseline === null ? null : cell.value - baseline;
+  }
+  if (present.length > 0) {
+    row.min = Math.min(...present);
+    row.max = Math.max(...present);
+    row.range = row.max - row.min;
+  }
+  return row;
+}
+
+/**
+ * Build the comparison table for a set of records. Cells hold the values
+ * of the normalized records (see lib/university.js), or the dataset values
+ * as they are with `raw`.
+ *
+ * @param {Array<object>} records - Dataset records, in comparison order
+ * @param {string[]} fields - Validated field names
+ * @param {object} [options]
+ * @param {boolean} [options.raw=false]
+ * @returns {Array<object>} - One row per field
+ */
+function compareRecords(records, fields, options = {}) {
+  const normalized = options.raw ? null : records.map(normalizeUniversity);
+  return fields.map(fieldName => {
+    const property = propertyPath(fieldName);
+    const values = records.map((record, index) => (
+      normalized && property ? valueAt(normalized[index], property) : record[fieldName]
+    ));
+    return compareRow(fieldName, values);
+  });
+}
+
+module.exports = {
+  DEFAULT_COMPARE_FIELDS,
+  compareRecords
+};
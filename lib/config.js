@@ -0,0 +1,138 @@
+/**
+ * Runtime configuration
+ *
+ * All settings come from environment variables so the same code can run
+ * against the live OpenDataSoft API or a local snapshot of the dataset.
+ *
+ *   DATA_SOURCE     - 'opendatasoft' (default) or 'local'
+ *   DATA_FILE       - Path to a CSV, JSON or NDJSON export (local source)
+ *   ODS_BASE_URL    - OpenDataSoft Explore API base URL
+ *   ODS_DATASET_ID  - OpenDataSoft dataset identifier
+ *   CACHE_ENABLED   - Set to 'false' to disable response caching
+ *   CACHE_MAX_ENTRIES, CACHE_MAX_BYTES - Cache size bounds
+ *   CACHE_FILE      - Optional file the cache is persisted to
+ *   CACHE_TTL       - Default cache TTL in seconds
+ *   CACHE_TTL_<ENDPOINT> - TTL for one endpoint, e.g. CACHE_TTL_GETFIELDS
+ *   CACHE_SERVE_STALE - Set to 'false' to fail instead of answering from
+ *                     expired entries while the upstream is unavailable
+ *   UPSTREAM_TIMEOUT_MS, UPSTREAM_CONNECT_TIMEOUT_MS - Read and connect timeouts
+ *   UPSTREAM_RETRIES  - Retries of failed and rate-limited upstream requests
+ *   UPSTREAM_RETRY_DELAY_MS, UPSTREAM_MAX_RETRY_DELAY_MS - Backoff base and cap
+ *   UPSTREAM_MAX_CONCURRENCY - Upstream requests in flight at once (default: 8)
+ *   BREAKER_FAILURE_THRESHOLD - Consecutive upstream failures that open the breaker
+ *   BREAKER_RESET_TIMEOUT_MS  - Time the breaker stays open before a trial request
+ *   UPSTREAM_MODE   - 'live' (default), 'record' to write every upstream
+ *                     response to a fixture, or 'replay' to answer from the
+ *                     fixtures without network access (see lib/replay.js)
+ *   UPSTREAM_FIXTURES_DIR - Fixture directory (default: ./upstream-fixtures)
+ *   API_KEYS_FILE   - JSON file of API keys and limits (see lib/access.js);
+ *                     without one the server is open
+ *   CORS_ORIGINS    - Comma-separated origins allowed by CORS (default: *)
+ *   TRUST_PROXY     - Express `trust proxy` setting, so client IPs are read
+ *                     from X-Forwarded-For behind a reverse proxy
+ *   LOG_LEVEL       - debug, info (default), warn, error or silent
+ *   SAVED_QUERIES_DIR - Directory saved queries and their snapshots are
+ *                     stored in (default: ./saved-queries)
+ */
+
+/**
+ * Read a numeric environment variable, falling back when unset or invalid
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+// Default cache TTLs in seconds, per endpoint
+const CACHE_TTLS = {
+  default: 300,
+  search: 300,
+  searchNearby: 300,
+  getUniversity: 3600,
+  getUniversityByName: 3600,
+  getFields: 86400,
+  statistics: 900,
+  compare: 3600,
+  facets: 3600,
+  // Export pages are read once; caching them would only evict other entries
+  export: 0,
+  // Saved queries change with every save, snapshot and delete
+  listQueries: 0,
+  saveQuery: 0,
+  getQuery: 0,
+  deleteQuery: 0,
+  snapshotQuery: 0,
+  diffQuery: 0
+};
+
+/**
+ * Allowed CORS origins: '*' for any, otherwise a list
+ */
+function corsOrigins(value) {
+  if (!value || value.trim() === '*') {
+    return '*';
+  }
+  return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Express `trust proxy` value: true/false, a hop count, or addresses as given
+ */
+function trustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+const config = {
+  dataSource: process.env.DATA_SOURCE || 'opendatasoft',
+  dataFile: process.env.DATA_FILE || '',
+  opendatasoft: {
+    baseUrl: process.env.ODS_BASE_URL || 'https://public.opendatasoft.com/api/explore/v2.1',
+    datasetId: process.env.ODS_DATASET_ID || 'us-colleges-and-universities',
+    upstream: {
+      timeoutMs: envNumber('UPSTREAM_TIMEOUT_MS', 10000),
+      connectTimeoutMs: envNumber('UPSTREAM_CONNECT_TIMEOUT_MS', 3000),
+      retries: envNumber('UPSTREAM_RETRIES', 2),
+      retryDelayMs: envNumber('UPSTREAM_RETRY_DELAY_MS', 250),
+      maxRetryDelayMs: envNumber('UPSTREAM_MAX_RETRY_DELAY_MS', 5000),
+      maxConcurrent: envNumber('UPSTREAM_MAX_CONCURRENCY', 8),
+      breaker: {
+        failureThreshold: envNumber('BREAKER_FAILURE_THRESHOLD', 5),
+        resetTimeoutMs: envNumber('BREAKER_RESET_TIMEOUT_MS', 30000)
+      },
+      fixtures: {
+        mode: process.env.UPSTREAM_MODE || 'live',
+        dir: process.env.UPSTREAM_FIXTURES_DIR || 'upstream-fixtures'
+      }
+    }
+  },
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    maxEntries: envNumber('CACHE_MAX_ENTRIES', 1000),
+    maxBytes: envNumber('CACHE_MAX_BYTES', 50 * 1024 * 1024),
+    file: process.env.CACHE_FILE || '',
+    serveStale: process.env.CACHE_SERVE_STALE !== 'false',
+    ttlSeconds: Object.fromEntries(Object.entries(CACHE_TTLS).map(([endpoint, ttl]) => [
+      endpoint,
+      envNumber(endpoint === 'default' ? 'CACHE_TTL' : `CACHE_TTL_${endpoint.toUpperCase()}`, ttl)
+    ]))
+  },
+  access: {
+    keysFile: process.env.API_KEYS_FILE || ''
+  },
+  cors: {
+    origins: corsOrigins(process.env.CORS_ORIGINS)
+  },
+  trustProxy: trustProxy(process.env.TRUST_PROXY),
+  savedQueries: {
+    dir: process.env.SAVED_QUERIES_DIR || 'saved-queries'
+  },
+  logLevel: process.env.LOG_LEVEL || 'info'
+};
+
+module.exports = config;
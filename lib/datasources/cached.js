@@ -0,0 +1,110 @@
+/**
+ * Caching data source
+ *
+ * Wraps another data source and answers repeated queries from a
+ * ResponseCache. Keys are built from the method name and the normalized
+ * query; the TTL is chosen by the endpoint passed in the call context.
+ * When the wrapped source is unavailable (unreachable, failing or behind an
+ * open circuit breaker) an expired entry for the same query is returned
+ * instead, and the request is marked as served stale.
+ */
+
+const { stableStringify } = require('../cache');
+const { markStale } = require('../request-context');
+const { logger } = require('../logger');
+
+class CachingDataSource {
+  /**
+   * @param {object} source - The data source to wrap
+   * @param {ResponseCache} cache - Cache to store results in
+   * @param {object} ttlSeconds - TTL per endpoint name, with a `default` entry
+   * @param {object} [options]
+   * @param {boolean} [options.serveStale=true] - Fall back to expired entries while the source is unavailable
+   */
+  constructor(source, cache, ttlSeconds, options = {}) {
+    this.name = source.name;
+    this.source = source;
+    this.cache = cache;
+    this.ttlSeconds = ttlSeconds;
+    this.serveStale = options.serveStale ?? true;
+  }
+
+  /**
+   * The wrapped source's upstream client, if it has one
+   */
+  get upstream() {
+    return this.source.upstream;
+  }
+
+  async ping(options) {
+    return this.source.ping(options);
+  }
+
+  async search(query = {}, context = {}) {
+    return this._cached('search', query, context);
+  }
+
+  async aggregate(query, context = {}) {
+    return this._cached('aggregate', query, context);
+  }
+
+  async metadata(context = {}) {
+    return this._cached('metadata', {}, context);
+  }
+
+  /**
+   * Cache key for a call (exposed so callers can look entries up directly)
+   */
+  key(method, query) {
+    return `${this.source.name}:${method}:${stableStringify(query)}`;
+  }
+
+  async _cached(method, query, context) {
+    const endpoint = context.endpoint || 'default';
+    const key = this.key(method, query);
+
+    // Callers get their own copy so they can't modify cached values
+    const cached = this.cache.get(key, endpoint);
+    if (cached !== undefined) {
+      return structuredClone(cached);
+    }
+
+    let result;
+    try {
+      result = await this.source[method](query, context);
+    } catch (error) {
+      const stale = this.serveStale && isUnavailable(error) ? this.cache.getStale(key) : undefined;
+      if (stale === undefined) {
+        throw error;
+      }
+      logger.warn('Serving stale result', { method, endpoint, storedAt: new Date(stale.storedAt).toISOString(), error: error.message });
+      markStale(stale.storedAt);
+      return structuredClone(stale.value);
+    }
+    this.cache.set(key, structuredClone(result), {
+      ttlSeconds: ttlFor(this.ttlSeconds, endpoint),
+      endpoint
+    });
+    return result;
+  }
+}
+
+/**
+ * Whether an error means the source could not answer at all, as opposed to
+ * rejecting the query
+ */
+function isUnavailable(error) {
+  return !error.status || error.status >= 500 || error.status === 429;
+}
+
+/**
+ * TTL in seconds configured for an endpoint
+ */
+function ttlFor(ttlSeconds, endpoint) {
+  return ttlSeconds[endpoint] ?? ttlSeconds.default;
+}
+
+module.exports = {
+  CachingDataSource,
+  ttlFor
+};
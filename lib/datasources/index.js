@@ -0,0 +1,111 @@
+/**
+ * Data source selection
+ *
+ * Every data source implements the same methods over the structured query
+ * model in lib/query.js and resolves to the same result shapes:
+ *
+ *   search(recordQuery)       -> { total_count, results }
+ *   aggregate(aggregateQuery) -> { results }
+ *   metadata()                -> { fields: [{ name, label, type, description, annotations }] }
+ *   ping()                    -> { latencyMs }
+ *
+ * search and aggregate take an optional context as a second argument (the
+ * only argument of metadata); `context.endpoint` names the calling endpoint
+ * (used to pick cache TTLs).
+ *
+ * Remote sources expose their UpstreamClient as `upstream` (breaker state
+ * and request statistics) and are wrapped in a CachingDataSource unless
+ * caching is disabled.
+ */
+
+const config = require('../config');
+const { ApiError } = require('../errors');
+const { OpenDataSoftDataSource } = require('./opendatasoft');
+const { LocalDataSource } = require('./local');
+const { CachingDataSource } = require('./cached');
+const { ResponseCache } = require('../cache');
+const { registry } = require('../metrics');
+
+/**
+ * Create a data source from configuration
+ *
+ * @param {object} [options] - Defaults to lib/config.js
+ * @param {string} options.dataSource - 'opendatasoft' or 'local'
+ * @param {string} [options.dataFile] - Export file for the local source
+ * @param {object} [options.opendatasoft] - { baseUrl, datasetId }
+ * @param {object} [options.cache] - Cache settings (see lib/config.js)
+ */
+function createDataSource(options = config) {
+  switch (options.dataSource) {
+    case 'opendatasoft': {
+      const source = new OpenDataSoftDataSource(options.opendatasoft);
+      if (!options.cache || !options.cache.enabled) {
+        return source;
+      }
+      return new CachingDataSource(source, getCache(options.cache), options.cache.ttlSeconds, {
+        serveStale: options.cache.serveStale
+      });
+    }
+    case 'local':
+      return new LocalDataSource({ file: options.dataFile });
+    default:
+      throw new ApiError(`Unknown data source: ${options.dataSource}`, 500);
+  }
+}
+
+let current = null;
+let cache = null;
+
+/**
+ * The shared response cache (created on first use)
+ */
+function getCache(options = config.cache) {
+  if (!cache) {
+    cache = new ResponseCache(options);
+  }
+  return cache;
+}
+
+// Cache statistics, read from the shared cache when metrics are collected
+registry.counter('cache_hits_total', 'Response cache hits', ['endpoint'], counter => {
+  for (const [endpoint, counters] of Object.entries(cache ? cache.report().endpoints : {})) {
+    counter.set({ endpoint }, counters.hits);
+  }
+});
+registry.counter('cache_misses_total', 'Response cache misses', ['endpoint'], counter => {
+  for (const [endpoint, counters] of Object.entries(cache ? cache.report().endpoints : {})) {
+    counter.set({ endpoint }, counters.misses);
+  }
+});
+registry.gauge('cache_entries', 'Entries in the response cache', [], gauge => {
+  gauge.set({}, cache ? cache.entries.size : 0);
+});
+registry.gauge('cache_bytes', 'Approximate size of the response cache', [], gauge => {
+  gauge.set({}, cache ? cache.bytes : 0);
+});
+
+/**
+ * The data source used by the handlers (created from configuration on first use)
+ */
+function getDataSource() {
+  if (!current) {
+    current = createDataSource();
+  }
+  return current;
+}
+
+/**
+ * Replace the data source used by the handlers
+ */
+function setDataSource(dataSource) {
+  current = dataSource;
+}
+
+module.exports = {
+  createDataSource,
+  getDataSource,
+  setDataSource,
+  getCache,
+  OpenDataSoftDataSource,
+  LocalDataSource
+};
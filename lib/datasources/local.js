@@ -0,0 +1,483 @@
+/**
+ * Local snapshot data source
+ *
+ * Loads a CSV, JSON or NDJSON export of the universities dataset and
+ * evaluates structured queries in memory, returning the same shapes as the
+ * OpenDataSoft records endpoint:
+ *
+ *   search()    -> { total_count, results: [record, ...] }
+ *   aggregate() -> { results: [{ <group fields>, <aliases> }, ...] }
+ *   metadata()  -> { fields: [{ name, label, type, description, annotations }, ...] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../errors');
+const { DATASET_FIELDS, FIELD_TYPES, isNumericField } = require('../fields');
+const { validateRecordQuery, validateAggregateQuery } = require('../query');
+const { haversineMeters, recordCoordinates, inBbox, toBbox } = require('../geo');
+
+// Mirrors the OpenDataSoft default page size
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row.
+ * The delimiter (`;` as used by OpenDataSoft exports, or `,`) is detected
+ * from the header.
+ */
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell !== ''));
+  const keys = header.map(key => key.replace(/^\uFEFF/, '').trim());
+  return body.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = cells[index];
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse the contents of an export file according to its extension
+ */
+function parseExport(text, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    return parseCsv(text);
+  }
+  if (extension === '.ndjson' || extension === '.jsonl') {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  if (extension === '.json') {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : (parsed.results || []);
+  }
+  throw new ApiError(`Unsupported data file format: ${extension || filePath}`, 500);
+}
+
+/**
+ * Convert a raw exported record into the shape returned by the API:
+ * numbers as numbers, empty cells as null, geo points as { lon, lat }
+ */
+function normalizeRecord(raw) {
+  // Records exported through the v1 API nest values under `fields`
+  const source = raw.fields && typeof raw.fields === 'object' && !raw.name ? raw.fields : raw;
+  const record = {};
+
+  for (const [key, value] of Object.entries(source)) {
+    const type = FIELD_TYPES.get(key);
+
+    if (value === '' || value === undefined) {
+      record[key] = null;
+    } else if (isNumericField(key) && typeof value === 'string') {
+      const number = Number(value);
+      record[key] = Number.isNaN(number) ? null : number;
+    } else if (type === 'geo_point_2d' && typeof value === 'string') {
+      const [lat, lon] = value.split(',').map(part => Number(part.trim()));
+      record[key] = Number.isFinite(lat) && Number.isFinite(lon) ? { lon, lat } : null;
+    } else if (type === 'geo_point_2d' && Array.isArray(value)) {
+      record[key] = { lon: value[1], lat: value[0] };
+    } else if (type === 'geo_shape' && typeof value === 'string') {
+      try {
+        record[key] = JSON.parse(value);
+      } catch (error) {
+        record[key] = null;
+      }
+    } else {
+      record[key] = value;
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Coerce a filter value to the type of the field it is compared with
+ */
+function coerce(fieldName, value) {
+  if (isNumericField(fieldName)) {
+    return Number(value);
+  }
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+}
+
+/**
+ * Order two values: numbers numerically, everything else as text; nulls last
+ */
+function compareValues(a, b) {
+  if (a === null || a === undefined) {
+    return b === null || b === undefined ? 0 : 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+}
+
+/**
+ * Evaluate a filter tree against a record
+ */
+function matches(record, node) {
+  if (!node) {
+    return true;
+  }
+  if (Array.isArray(node.and)) {
+    return node.and.every(child => matches(record, child));
+  }
+  if (Array.isArray(node.or)) {
+    return node.or.some(child => matches(record, child));
+  }
+  if ('not' in node) {
+    return !matches(record, node.not);
+  }
+
+  const actual = record[node.field];
+  const isNull = actual === null || actual === undefined;
+
+  switch (node.op) {
+    case 'isNull':
+      return isNull;
+    case 'isNotNull':
+      return !isNull;
+    case 'in':
+      return node.value.some(value => compareCondition(actual, '=', node.field, value));
+    case 'notIn':
+      return !node.value.some(value => compareCondition(actual, '=', node.field, value));
+    case 'between':
+      return compareCondition(actual, '>=', node.field, node.value[0])
+        && compareCondition(actual, '<=', node.field, node.value[1]);
+    case 'startsWith':
+      return !isNull && String(actual).startsWith(node.value);
+    case 'withinDistance': {
+      const point = recordCoordinates(record);
+      return point !== null && haversineMeters(point, node.value) <= node.value.meters;
+    }
+    case 'inBbox': {
+      const point = recordCoordinates(record);
+      return point !== null && inBbox(point, toBbox(node.value));
+    }
+    default:
+      return compareCondition(actual, node.op, node.field, node.value);
+  }
+}
+
+/**
+ * Compare a record value with a filter value using a comparison operator.
+ * Comparing with null tests for null; otherwise null record values never match.
+ */
+function compareCondition(actual, op, fieldName, value) {
+  const isNull = actual === null || actual === undefined;
+  if (value === null) {
+    return op === '=' ? isNull : !isNull;
+  }
+  if (isNull) {
+    return false;
+  }
+
+  const order = compareValues(actual, coerce(fieldName, value));
+  switch (op) {
+    case '=': return order === 0;
+    case '!=': return order !== 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Approximate OpenDataSoft full-text search: every term must appear
+ * (case-insensitively) in at least one text value of the record
+ */
+function matchesText(record, q) {
+  if (!q) {
+    return true;
+  }
+  const haystack = Object.values(record)
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+}
+
+/**
+ * Sort rows in place by a list of { field, direction } entries. Entries
+ * with a `near` point order by distance from it.
+ */
+function sortRows(rows, orderBy) {
+  if (!orderBy || orderBy.length === 0) {
+    return rows;
+  }
+  const valueOf = (row, { field, near }) => {
+    if (!near) {
+      return row[field];
+    }
+    const point = recordCoordinates(row);
+    return point ? haversineMeters(point, near) : null;
+  };
+  return rows.sort((a, b) => {
+    for (const entry of orderBy) {
+      const { direction = 'asc' } = entry;
+      const order = compareValues(valueOf(a, entry), valueOf(b, entry));
+      if (order !== 0) {
+        return direction.toLowerCase() === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Compute one aggregation over a set of records
+ */
+function computeAggregate(records, { aggregation, field, cast, percentile }) {
+  if (aggregation === 'count') {
+    return records.length;
+  }
+
+  const values = [];
+  for (const record of records) {
+    const raw = record[field];
+    if (raw === null || raw === undefined || raw === '') {
+      continue;
+    }
+    let number = Number(raw);
+    if (Number.isNaN(number)) {
+      continue;
+    }
+    if (cast === 'int') {
+      number = Math.trunc(number);
+    }
+    values.push(number);
+  }
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  switch (aggregation) {
+    case 'sum': return values.reduce((total, value) => total + value, 0);
+    case 'avg': return values.reduce((total, value) => total + value, 0) / values.length;
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    case 'median': return percentileOf(values, 50);
+    case 'percentile': return percentileOf(values, percentile);
+    default: return null;
+  }
+}
+
+/**
+ * Percentile of a list of numbers, interpolating linearly between the two
+ * closest ranks
+ */
+function percentileOf(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * percentile / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Group key of a record for one groupBy entry: the field value, or the
+ * lower bound of its bucket
+ */
+function groupValue(record, entry) {
+  if (typeof entry === 'string') {
+    return record[entry] ?? null;
+  }
+  const raw = record[entry.field];
+  const number = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(number) ? Math.floor(number / entry.bucket) * entry.bucket : null;
+}
+
+class LocalDataSource {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Path to a .csv, .json, .ndjson or .jsonl export
+   */
+  constructor({ file }) {
+    if (!file) {
+      throw new ApiError("DATA_FILE must be set to use the local data source", 500);
+    }
+    this.name = 'local';
+    this.file = path.resolve(file);
+    this._records = null;
+  }
+
+  /**
+   * Load and normalize the snapshot (once)
+   *
+   * @returns {Promise<Array<object>>}
+   */
+  async load() {
+    if (!this._records) {
+      this._records = fs.promises.readFile(this.file, 'utf8')
+        .then(text => parseExport(text, this.file).map(normalizeRecord))
+        .catch(error => {
+          this._records = null;
+          if (error instanceof ApiError) {
+            throw error;
+          }
+          throw new ApiError(`Unable to load data file ${this.file}: ${error.message}`, 500);
+        });
+    }
+    return this._records;
+  }
+
+  /**
+   * Field definitions: the known dataset fields present in the snapshot.
+   * An export carries no labels, descriptions or annotations.
+   *
+   * @returns {Promise<{fields: Array<{name, label, type, description, annotations}>}>}
+   */
+  async metadata() {
+    const present = new Set();
+    for (const record of await this.load()) {
+      for (const key of Object.keys(record)) {
+        present.add(key);
+      }
+    }
+    return {
+      fields: DATASET_FIELDS
+        .filter(field => present.has(field.name))
+        .map(({ name, type }) => ({ name, label: null, type, description: null, annotations: [] }))
+    };
+  }
+
+  /**
+   * Check that the data file can be loaded
+   *
+   * @returns {Promise<{latencyMs: number}>}
+   */
+  async ping() {
+    const started = Date.now();
+    await this.load();
+    return { latencyMs: Date.now() - started };
+  }
+
+  async _filtered(query) {
+    const records = await this.load();
+    return records.filter(record => matches(record, query.filter) && matchesText(record, query.q));
+  }
+
+  /**
+   * Fetch records matching a record query
+   *
+   * @param {object} query - Record query (see lib/query.js)
+   * @returns {Promise<{total_count: number, results: Array<object>}>}
+   */
+  async search(query = {}) {
+    validateRecordQuery(query);
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+    const offset = query.offset !== undefined ? Number(query.offset) : 0;
+    const rows = sortRows(await this._filtered(query), query.orderBy);
+
+    return {
+      total_count: rows.length,
+      results: rows.slice(offset, offset + limit).map(record => ({ ...record }))
+    };
+  }
+
+  /**
+   * Compute aggregations, optionally grouped
+   *
+   * @param {object} query - Aggregate query (see lib/query.js)
+   * @returns {Promise<{results: Array<object>}>}
+   */
+  async aggregate(query) {
+    validateAggregateQuery(query);
+
+    const groupBy = query.groupBy || [];
+    const columns = groupBy.map(entry => (typeof entry === 'string' ? entry : entry.alias));
+    const groups = new Map();
+    for (const record of await this._filtered(query)) {
+      const values = groupBy.map(entry => groupValue(record, entry));
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) {
+        groups.set(key, { values, records: [] });
+      }
+      groups.get(key).records.push(record);
+    }
+
+    // An ungrouped aggregate always yields exactly one row
+    if (groupBy.length === 0 && groups.size === 0) {
+      groups.set('[]', { values: [], records: [] });
+    }
+
+    let rows = Array.from(groups.values()).map(({ values, records }) => {
+      const row = {};
+      columns.forEach((name, index) => {
+        row[name] = values[index];
+      });
+      for (const item of query.aggregations) {
+        row[item.alias] = computeAggregate(records, item);
+      }
+      return row;
+    });
+
+    // Groups come back ordered by their keys unless an order is requested
+    rows = sortRows(rows, columns.map(name => ({ field: name, direction: 'asc' })));
+    rows = sortRows(rows, query.orderBy);
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+    const offset = query.offset !== undefined ? Number(query.offset) : 0;
+    return {
+      results: rows.slice(offset, offset + limit)
+    };
+  }
+}
+
+module.exports = {
+  LocalDataSource,
+  parseCsv,
+  normalizeRecord,
+  matches
+};
@@ -0,0 +1,213 @@
+/**
+ * OpenDataSoft data source
+ *
+ * Compiles structured queries to ODSQL and runs them against the
+ * OpenDataSoft Explore API v2.1 records endpoint, and reads the dataset's
+ * field metadata from its catalog entry. Requests go through an
+ * UpstreamClient (timeouts, retries and a circuit breaker).
+ */
+
+const { UpstreamClient } = require('../upstream');
+const { OdsqlQuery, condition, inList, between, startsWith, withinDistance, inBbox, and, or, not } = require('../odsql');
+const { validateRecordQuery, validateAggregateQuery } = require('../query');
+
+/**
+ * Compile a filter tree to an ODSQL where clause
+ */
+function compileFilter(node) {
+  if (!node) {
+    return '';
+  }
+  if (Array.isArray(node.and)) {
+    return and(...node.and.map(compileFilter));
+  }
+  if (Array.isArray(node.or)) {
+    return or(...node.or.map(compileFilter));
+  }
+  if ('not' in node) {
+    return not(compileFilter(node.not));
+  }
+
+  switch (node.op) {
+    case 'in':
+      return inList(node.field, node.value);
+    case 'notIn':
+      return not(inList(node.field, node.value));
+    case 'between':
+      return between(node.field, node.value[0], node.value[1]);
+    case 'startsWith':
+      return startsWith(node.field, node.value);
+    case 'isNull':
+      return condition(node.field, '=', null);
+    case 'isNotNull':
+      return condition(node.field, '!=', null);
+    case 'withinDistance':
+      return withinDistance(node.field, node.value, node.value.meters);
+    case 'inBbox':
+      return inBbox(node.field, node.value);
+    default:
+      return condition(node.field, node.op, node.value);
+  }
+}
+
+class OpenDataSoftDataSource {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Explore API base URL
+   * @param {string} options.datasetId - Dataset identifier
+   * @param {object} [options.upstream] - UpstreamClient options
+   */
+  constructor({ baseUrl, datasetId, upstream = {} }) {
+    this.name = 'opendatasoft';
+    this.baseUrl = baseUrl;
+    this.datasetId = datasetId;
+    this.datasetUrl = `${baseUrl}/catalog/datasets/${datasetId}`;
+    this.recordsUrl = `${this.datasetUrl}/records`;
+    this.upstream = new UpstreamClient({ name: 'OpenDataSoft', ...upstream });
+  }
+
+  /**
+   * Check that the records endpoint answers, without retries
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Read timeout for the check
+   * @returns {Promise<{latencyMs: number}>}
+   */
+  async ping(options = {}) {
+    const started = Date.now();
+    await this.upstream.get(this.recordsUrl, { params: { limit: 1 }, retries: 0, timeoutMs: options.timeoutMs });
+    return { latencyMs: Date.now() - started };
+  }
+
+  /**
+   * Fetch the dataset's field definitions
+   *
+   * @returns {Promise<{fields: Array<{name, label, type, description, annotations}>}>}
+   */
+  async metadata() {
+    const response = await this.upstream.get(this.datasetUrl);
+    // v2.1 returns the dataset itself; v2.0 wraps it in `dataset`
+    const dataset = response.data.dataset || response.data;
+    return {
+      fields: (dataset.fields || []).map(field => ({
+        name: field.name,
+        label: field.label ?? null,
+        type: field.type,
+        description: field.description ?? null,
+        annotations: annotationNames(field.annotations)
+      }))
+    };
+  }
+
+  /**
+   * Fetch records matching a record query
+   *
+   * @param {object} query - Record query (see lib/query.js)
+   * @returns {Promise<{total_count: number, results: Array<object>}>}
+   */
+  async search(query = {}) {
+    validateRecordQuery(query);
+
+    const odsql = new OdsqlQuery().whereClause(compileFilter(query.filter));
+    for (const order of query.orderBy || []) {
+      if (order.near) {
+        odsql.orderByDistance(order.field, order.near, order.direction);
+      } else {
+        odsql.orderBy(order.field, order.direction);
+      }
+    }
+    if (query.limit !== undefined) {
+      odsql.limit(query.limit);
+    }
+    if (query.offset !== undefined) {
+      odsql.offset(query.offset);
+    }
+
+    const params = odsql.toParams();
+    if (query.q) {
+      params.q = query.q;
+    }
+
+    const response = await this.upstream.get(this.recordsUrl, { params });
+    return response.data;
+  }
+
+  /**
+   * Compute aggregations, optionally grouped
+   *
+   * @param {object} query - Aggregate query (see lib/query.js)
+   * @returns {Promise<{results: Array<object>}>}
+   */
+  async aggregate(query) {
+    validateAggregateQuery(query);
+
+    const odsql = new OdsqlQuery().whereClause(compileFilter(query.filter));
+    for (const item of query.aggregations) {
+      odsql.selectAggregate(item.aggregation, item.field, item.alias, { cast: item.cast, percentile: item.percentile });
+    }
+    for (const entry of query.groupBy || []) {
+      if (typeof entry === 'string') {
+        odsql.groupBy(entry);
+      } else {
+        odsql.groupByRange(entry.field, entry.bucket, entry.alias);
+      }
+    }
+    for (const order of query.orderBy || []) {
+      odsql.orderBy(order.field, order.direction);
+    }
+    if (query.limit !== undefined) {
+      odsql.limit(query.limit);
+    }
+    if (query.offset !== undefined) {
+      odsql.offset(query.offset);
+    }
+
+    const params = odsql.toParams();
+    if (query.q) {
+      params.q = query.q;
+    }
+
+    const response = await this.upstream.get(this.recordsUrl, { params });
+    return { ...response.data, results: bucketLowerBounds(response.data.results, query.groupBy) };
+  }
+}
+
+/**
+ * Names of a field's annotations. v2.1 returns an object keyed by
+ * annotation, v2.0 a list of { name, args }.
+ */
+function annotationNames(annotations) {
+  if (Array.isArray(annotations)) {
+    return annotations.map(annotation => annotation.name);
+  }
+  if (annotations && typeof annotations === 'object') {
+    return Object.keys(annotations).filter(name => annotations[name] !== false);
+  }
+  return [];
+}
+
+/**
+ * Replace range labels such as "[1000, 2000[" with the bucket's lower bound
+ */
+function bucketLowerBounds(results, groupBy = []) {
+  const buckets = groupBy.filter(entry => typeof entry !== 'string');
+  if (!Array.isArray(results) || buckets.length === 0) {
+    return results;
+  }
+  return results.map(row => {
+    const converted = { ...row };
+    for (const entry of buckets) {
+      const label = row[entry.alias];
+      const match = typeof label === 'string' && label.match(/-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i);
+      if (match) {
+        converted[entry.alias] = Number(match[0]);
+      }
+    }
+    return converted;
+  });
+}
+
+module.exports = {
+  OpenDataSoftDataSource,
+  compileFilter
+};
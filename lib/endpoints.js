@@ -0,0 +1,1216 @@
+/**
+ * Endpoint definitions
+ *
+ * Single description of every operation this server offers. The `/schema`
+ * REST endpoint publishes it as-is, the REST routes and the MCP tool list
+ * (including the JSON Schema input schemas) are derived from it, both
+ * front-ends validate requests against those same schemas (see
+ * lib/validation.js), and the OpenAPI document and client typings are
+ * generated from it (see lib/openapi.js).
+ *
+ * `returns` is a JSON Schema of a successful response's `data`. Schemas
+ * with a `title` become named components in the OpenAPI document and named
+ * types in the typings.
+ */
+
+const { DATASET_FIELDS, FIELD_NAME_LIST } = require('./fields');
+const { FILTER_OPERATORS } = require('./query');
+const { AGGREGATIONS } = require('./odsql');
+const { MAX_GROUPS, MAX_AGGREGATIONS, MAX_GROUP_BY } = require('./statistics');
+const { DEFAULT_COMPARE_FIELDS } = require('./compare');
+const { EXPORT_FORMATS } = require('./export');
+const { UNIVERSITY_PROPERTIES, SOURCE_PROPERTIES } = require('./university');
+const { MAX_NAME_LENGTH } = require('./names');
+const { MAX_BATCH_OPERATIONS, DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY, BATCH_TOOLS } = require('./batch');
+const { MAX_SNAPSHOT_RECORDS, MAX_SNAPSHOTS } = require('./saved-queries');
+const { MAX_QUESTION_LENGTH, DEFAULT_RADIUS_MILES, ASK_TOOLS } = require('./ask');
+const {
+  MAX_SEARCH_PAGES,
+  NAME_MODES,
+  MAX_NAME_CANDIDATES,
+  MAX_COMPARE,
+  MAX_FACET_FIELDS,
+  MAX_FACET_VALUES
+} = require('./handlers');
+
+/**
+ * Structured filter accepted by /search and /statistics. Conditions compare
+ * a dataset field with a value; groups combine conditions with and/or/not
+ * and may be nested.
+ */
+const FILTER_PARAMETER = {
+  title: "Filter",
+  type: ["object", "array"],
+  description: "Structured filter. A condition is {field, op, value}; groups are {and: [...]}, {or: [...]} or {not: {...}} and may be nested. " +
+    "Operators: = != < <= > >= (single value), in / notIn (array of values), between ([low, high], inclusive), startsWith (string prefix), isNull / isNotNull (no value). " +
+    "Example: {\"and\": [{\"field\": \"population\", \"op\": \"between\", \"value\": [5000, 20000]}, {\"field\": \"state\", \"op\": \"in\", \"value\": [\"CA\", \"OR\", \"WA\"]}, {\"field\": \"name\", \"op\": \"startsWith\", \"value\": \"University of\"}]}. " +
+    "A plain {field: value} object is also accepted and matches each field exactly; an array of conditions means all of them.",
+  properties: {
+    and: { type: "array", items: { type: "object" }, description: "All conditions must match" },
+    or: { type: "array", items: { type: "object" }, description: "At least one condition must match" },
+    not: { type: "object", description: "Condition that must not match" },
+    field: { type: "string", enum: FIELD_NAME_LIST, description: "Dataset field to compare" },
+    op: { type: "string", enum: FILTER_OPERATORS, description: "Comparison operator (default: =)" },
+    value: { description: "Value to compare with; an array for in, notIn and between" }
+  },
+  // The {field: value} shorthand
+  additionalProperties: true
+};
+
+// JSON Schema of a record value for each OpenDataSoft field type
+const FIELD_TYPE_SCHEMAS = {
+  int: { type: ["integer", "null"] },
+  double: { type: ["number", "null"] },
+  geo_point_2d: {
+    type: ["object", "null"],
+    properties: { lon: { type: "number" }, lat: { type: "number" } },
+    required: ["lon", "lat"]
+  },
+  geo_shape: { type: ["object", "null"], description: "GeoJSON geometry" }
+};
+
+// JSON Schema of a normalized property for each way values are cleaned
+const PROPERTY_TYPE_SCHEMAS = {
+  integer: { type: ["integer", "null"] },
+  text: { type: ["string", "null"] },
+  phone: { type: ["string", "null"] },
+  url: { type: ["string", "null"], format: "uri" },
+  date: { type: ["string", "null"], format: "date" }
+};
+
+function propertySchemas(properties) {
+  return Object.fromEntries(properties.map(({ name, type, description }) => [
+    name,
+    description ? { ...PROPERTY_TYPE_SCHEMAS[type], description } : PROPERTY_TYPE_SCHEMAS[type]
+  ]));
+}
+
+/**
+ * A normalized university record (see lib/university.js): what every
+ * endpoint returns unless `raw` is set. Every property is present; missing
+ * values are null.
+ */
+const UNIVERSITY = {
+  title: "University",
+  type: "object",
+  description: "A university, normalized from the dataset record: camelCase properties, numbers as numbers, null for missing values",
+  properties: {
+    ...propertySchemas(UNIVERSITY_PROPERTIES),
+    id: { type: "integer", description: "Record ID (the dataset's objectid)" },
+    location: {
+      type: ["object", "null"],
+      properties: { lat: { type: "number" }, lon: { type: "number" } },
+      required: ["lat", "lon"]
+    },
+    source: {
+      type: "object",
+      description: "Provenance of the record",
+      properties: {
+        dataset: { type: "string", description: "OpenDataSoft dataset identifier" },
+        ...propertySchemas(SOURCE_PROPERTIES)
+      },
+      required: ["dataset", ...SOURCE_PROPERTIES.map(({ name }) => name)]
+    }
+  },
+  required: [...UNIVERSITY_PROPERTIES.map(({ name }) => name), "location", "source"]
+};
+
+/**
+ * A dataset record as OpenDataSoft returns it, sent when `raw` is set.
+ * Only the built-in fields are listed; fields found in the dataset catalog
+ * at run time may also appear.
+ */
+const UNIVERSITY_RECORD = {
+  title: "UniversityRecord",
+  type: "object",
+  description: "A record of the us-colleges-and-universities dataset",
+  properties: {
+    ...Object.fromEntries(DATASET_FIELDS.map(({ name, type }) => [
+      name,
+      FIELD_TYPE_SCHEMAS[type] || { type: ["string", "null"] }
+    ])),
+    objectid: { type: "integer", description: "Record ID" },
+    name: { type: "string" }
+  },
+  required: ["objectid", "name"],
+  additionalProperties: true
+};
+
+const RAW_PARAMETER = {
+  type: "boolean",
+  description: "Return the dataset records as the upstream API sends them (UniversityRecord) instead of normalized University records (default: false)"
+};
+
+const SEARCH_RESULTS = {
+  title: "SearchResults",
+  type: "object",
+  properties: {
+    total_count: { type: "integer", description: "Number of matching records" },
+    results: { type: "array", items: UNIVERSITY }
+  },
+  required: ["total_count", "results"]
+};
+
+const NEARBY_UNIVERSITY = {
+  title: "NearbyUniversity",
+  allOf: [
+    UNIVERSITY,
+    {
+      type: "object",
+      properties: {
+        distance: { type: ["number", "null"], description: "Distance from the center in the requested unit (null without a center)" }
+      },
+      required: ["distance"]
+    }
+  ]
+};
+
+const FEATURE_COLLECTION = {
+  title: "FeatureCollection",
+  type: "object",
+  description: "GeoJSON FeatureCollection with one Point feature per university; properties hold the record",
+  properties: {
+    type: { const: "FeatureCollection" },
+    features: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          type: { const: "Feature" },
+          geometry: {
+            type: ["object", "null"],
+            properties: {
+              type: { const: "Point" },
+              coordinates: { type: "array", items: { type: "number" }, description: "[lon, lat]" }
+            },
+            required: ["type", "coordinates"]
+          },
+          properties: { type: "object" }
+        },
+        required: ["type", "geometry", "properties"]
+      }
+    }
+  },
+  required: ["type", "features"]
+};
+
+const FIELD_INFO = {
+  title: "FieldInfo",
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    property: { type: ["string", "null"], description: "Property path holding the field in normalized University records (e.g. totalEnrollment, location.lat), or null when it is left out" },
+    label: { type: ["string", "null"] },
+    type: { type: "string", description: "OpenDataSoft type: text, int, double, date, geo_point_2d, ..." },
+    description: { type: ["string", "null"] },
+    facetable: { type: "boolean" },
+    sortable: { type: "boolean" },
+    aggregatable: { type: "boolean" },
+    examples: { type: "array", items: {} },
+    nullRate: { type: ["number", "null"], description: "Share of sampled records without a value" }
+  },
+  required: ["name", "type"]
+};
+
+const STATISTICS_TABLE = {
+  title: "StatisticsTable",
+  type: "object",
+  properties: {
+    columns: {
+      type: "array",
+      items: {
+        title: "StatisticsColumn",
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          role: { type: "string", enum: ["group", "bucket", "aggregate"] },
+          field: { type: "string" },
+          bucketSize: { type: "number" },
+          aggregation: { type: "string", enum: AGGREGATIONS },
+          percentile: { type: "number" }
+        },
+        required: ["name", "role"]
+      }
+    },
+    results: {
+      type: "array",
+      items: { type: "object", description: "One value per column, keyed by column name" }
+    },
+    total_groups: { type: "integer", description: "Rows after having, before limit" },
+    truncated: { type: "boolean", description: "Whether the upstream group limit was reached" }
+  },
+  required: ["columns", "results", "total_groups", "truncated"]
+};
+
+const NAME_CANDIDATE = {
+  title: "NameCandidate",
+  type: "object",
+  properties: {
+    objectid: { type: "integer" },
+    name: { type: "string" },
+    city: { type: ["string", "null"] },
+    state: { type: ["string", "null"] },
+    score: { type: "number", description: "Similarity to the requested name, 0-1" }
+  },
+  required: ["objectid", "name", "score"]
+};
+
+const NAME_RESOLUTION = {
+  title: "NameResolution",
+  type: "object",
+  properties: {
+    query: { type: "string" },
+    normalized: { type: "string" },
+    variants: { type: "array", items: { type: "string" } },
+    method: { type: "string", enum: ["exact", "fuzzy"] },
+    confidence: { type: "number" },
+    candidates: { type: "array", items: NAME_CANDIDATE }
+  },
+  required: ["query", "method", "confidence", "candidates"]
+};
+
+const COMPARISON = {
+  title: "Comparison",
+  type: "object",
+  properties: {
+    universities: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          input: { type: ["string", "integer"], description: "The ID or name as given" },
+          objectid: { type: "integer" },
+          name: { type: "string" },
+          resolvedBy: { type: "string", description: "id, exact or fuzzy" },
+          confidence: { type: "number" },
+          university: { ...UNIVERSITY, description: "The full record (a UniversityRecord when raw is set)" }
+        },
+        required: ["input", "objectid", "name", "resolvedBy", "confidence", "university"]
+      }
+    },
+    rows: {
+      type: "array",
+      items: {
+        title: "ComparisonRow",
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          property: { type: ["string", "null"], description: "Where the field appears in normalized records" },
+          type: { type: "string", enum: ["number", "text"] },
+          cells: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                value: {},
+                missing: { type: "boolean" },
+                rank: { type: ["integer", "null"], description: "Numeric rows: 1 = largest" },
+                difference: { type: ["number", "null"], description: "Numeric rows: difference from the first university" }
+              },
+              required: ["value", "missing"]
+            }
+          },
+          missing: { type: "integer", description: "Cells without a value" },
+          identical: { type: "boolean", description: "Text rows: whether every value is the same" },
+          min: { type: "number" },
+          max: { type: "number" },
+          range: { type: "number" }
+        },
+        required: ["field", "type", "cells", "missing"]
+      }
+    }
+  },
+  required: ["universities", "rows"]
+};
+
+const FACETS = {
+  title: "Facets",
+  type: "object",
+  properties: {
+    facets: {
+      type: "array",
+      items: {
+        title: "Facet",
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          values: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { value: {}, count: { type: "integer" } },
+              required: ["value", "count"]
+            }
+          },
+          offset: { type: "integer" },
+          limit: { type: "integer" },
+          hasMore: { type: "boolean" }
+        },
+        required: ["field", "values", "offset", "limit", "hasMore"]
+      }
+    }
+  },
+  required: ["facets"]
+};
+
+const ANSWER = {
+  title: "Answer",
+  type: "object",
+  properties: {
+    interpretation: {
+      title: "Interpretation",
+      type: "object",
+      properties: {
+        question: { type: "string" },
+        tool: { type: "string", enum: ASK_TOOLS, description: "The endpoint the question was compiled to" },
+        params: { type: "object", description: "Its parameters, as the endpoint takes them" },
+        understood: {
+          type: "array",
+          description: "The phrases that were recognized, in question order",
+          items: {
+            type: "object",
+            properties: {
+              phrase: { type: "string" },
+              meaning: { type: "string" }
+            },
+            required: ["phrase", "meaning"]
+          }
+        },
+        ignored: { type: "array", items: { type: "string" }, description: "Words no rule recognized" }
+      },
+      required: ["question", "tool", "params", "understood", "ignored"]
+    },
+    result: {
+      anyOf: [SEARCH_RESULTS, STATISTICS_TABLE, { type: "null" }],
+      description: "The data the endpoint returned; null when execute is false"
+    }
+  },
+  required: ["interpretation", "result"]
+};
+
+const BATCH_RESULTS = {
+  title: "BatchResults",
+  type: "object",
+  properties: {
+    results: {
+      type: "array",
+      description: "One result per operation, in request order",
+      items: {
+        title: "BatchResult",
+        type: "object",
+        properties: {
+          tool: { type: "string" },
+          id: { type: "string", description: "The operation's id, when it had one" },
+          success: { type: "boolean" },
+          data: { description: "The tool's data, as its own endpoint returns it" },
+          metadata: { type: "object" },
+          resolution: NAME_RESOLUTION,
+          error: {
+            type: "object",
+            description: "Why the operation failed, as in an error response",
+            properties: {
+              message: { type: "string" },
+              status: { type: "integer" },
+              code: { type: "string" },
+              details: {}
+            },
+            required: ["message", "status", "code"]
+          }
+        },
+        required: ["tool", "success"]
+      }
+    }
+  },
+  required: ["results"]
+};
+
+const SNAPSHOT_INFO = {
+  title: "SnapshotInfo",
+  type: "object",
+  description: "A stored (or, in a diff, current) run of a saved query",
+  properties: {
+    id: { type: ["string", "null"], description: "Snapshot ID; null for a run of the query that was not stored" },
+    takenAt: { type: "string", description: "When the query was run (ISO 8601)" },
+    count: { type: "integer", description: "Universities the query matched" }
+  },
+  required: ["id", "takenAt", "count"]
+};
+
+const SAVED_QUERY = {
+  title: "SavedQuery",
+  type: "object",
+  description: "A named search kept by the server, with its snapshots",
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    params: {
+      type: "object",
+      description: "The saved search: query, state, city and filter as /search takes them",
+      properties: {
+        query: { type: "string" },
+        state: { type: "string" },
+        city: { type: "string" },
+        filter: FILTER_PARAMETER
+      }
+    },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" },
+    snapshots: { type: "array", items: SNAPSHOT_INFO, description: "Stored snapshots, oldest first" }
+  },
+  required: ["name", "description", "params", "createdAt", "updatedAt", "snapshots"]
+};
+
+const QUERY_DIFF = {
+  title: "QueryDiff",
+  type: "object",
+  properties: {
+    from: SNAPSHOT_INFO,
+    to: SNAPSHOT_INFO,
+    summary: {
+      type: "object",
+      properties: {
+        added: { type: "integer" },
+        removed: { type: "integer" },
+        modified: { type: "integer" },
+        unchanged: { type: "integer" }
+      },
+      required: ["added", "removed", "modified", "unchanged"]
+    },
+    added: { type: "array", items: UNIVERSITY, description: "Universities that now match and did not before" },
+    removed: { type: "array", items: UNIVERSITY, description: "Universities that matched before and no longer do, as they were" },
+    modified: {
+      type: "array",
+      items: {
+        title: "ModifiedUniversity",
+        type: "object",
+        properties: {
+          id: { type: "integer", description: "Record ID (objectid)" },
+          name: { type: ["string", "null"] },
+          changes: {
+            type: "array",
+            items: {
+              title: "FieldChange",
+              type: "object",
+              properties: {
+                field: { type: "string", description: "Dataset field" },
+                property: { type: ["string", "null"], description: "Its University property path; null for fields University records leave out" },
+                before: { description: "Value before" },
+                after: { description: "Value after" }
+              },
+              required: ["field", "property", "before", "after"]
+            }
+          }
+        },
+        required: ["id", "name", "changes"]
+      }
+    }
+  },
+  required: ["from", "to", "summary", "added", "removed", "modified"]
+};
+
+const SAVED_QUERY_ENTRY = {
+  title: "SavedQueryEntry",
+  type: "object",
+  properties: {
+    query: SAVED_QUERY
+  },
+  required: ["query"]
+};
+
+const QUERY_SNAPSHOT = {
+  title: "QuerySnapshot",
+  type: "object",
+  properties: {
+    snapshot: SNAPSHOT_INFO,
+    diff: {
+      anyOf: [QUERY_DIFF, { type: "null" }],
+      description: "Changes since the previous snapshot; null for a query's first snapshot"
+    }
+  },
+  required: ["snapshot", "diff"]
+};
+
+// The name of a saved query, taken from the path of its routes
+const SAVED_QUERY_NAME = {
+  type: "string",
+  description: "Query name: 1-64 lower-case letters, digits, '-' or '_', starting with a letter or digit",
+  required: true
+};
+
+const RAW_DIFF = {
+  type: "boolean",
+  description: "Report records and changed values as the upstream API sends them instead of normalized (default: false)"
+};
+
+const endpoints = [
+  {
+    path: "/search",
+    method: "POST",
+    tool: "search",
+    description: "Search for universities based on criteria",
+    parameters: {
+      query: {
+        type: "string",
+        description: "Full-text search query",
+        required: false
+      },
+      state: {
+        type: "string",
+        description: "Filter by state (e.g., 'CA', 'NY')",
+        required: false
+      },
+      city: {
+        type: "string",
+        description: "Filter by city name",
+        required: false
+      },
+      limit: {
+        type: "integer",
+        minimum: 0,
+        maximum: 100,
+        description: "Maximum number of results to return (default: 10, max: 100)",
+        required: false
+      },
+      offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Number of results to skip (for pagination)",
+        required: false
+      },
+      pages: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_SEARCH_PAGES,
+        description: `Number of consecutive pages of \`limit\` results to fetch (default: 1, max: ${MAX_SEARCH_PAGES})`,
+        required: false
+      },
+      filter: {
+        ...FILTER_PARAMETER,
+        required: false
+      },
+      raw: RAW_PARAMETER
+    },
+    returns: {
+      ...SEARCH_RESULTS,
+      description: "Search results including university records"
+    }
+  },
+  {
+    path: "/searchNearby",
+    method: "POST",
+    tool: "searchNearby",
+    description: "Find universities near a location: within a radius of a point, ZIP code or city, inside a bounding box, or the N nearest. Results include their distance from the center.",
+    parameters: {
+      lat: {
+        type: "number",
+        minimum: -90,
+        maximum: 90,
+        description: "Latitude of the center point (use with lon)",
+        required: false
+      },
+      lon: {
+        type: "number",
+        minimum: -180,
+        maximum: 180,
+        description: "Longitude of the center point (use with lat)",
+        required: false
+      },
+      zip: {
+        type: "string",
+        description: "Use the centroid of the institutions in this ZIP code as the center",
+        required: false
+      },
+      city: {
+        type: "string",
+        description: "Use the centroid of the institutions in this city as the center (combine with state to disambiguate)",
+        required: false
+      },
+      state: {
+        type: "string",
+        description: "State of the city used as the center (e.g., 'CA')",
+        required: false
+      },
+      radius: {
+        type: "number",
+        exclusiveMinimum: 0,
+        description: "Only include universities within this distance of the center",
+        required: false
+      },
+      unit: {
+        type: "string",
+        description: "Distance unit for radius and returned distances (default: mi)",
+        enum: ["mi", "km"],
+        required: false
+      },
+      bbox: {
+        type: ["object", "array"],
+        description: "Only include universities inside this box: { minLat, minLon, maxLat, maxLon } (an array [west, south, east, north] is also accepted)",
+        required: false
+      },
+      nearest: {
+        type: "integer",
+        minimum: 1,
+        maximum: 100,
+        description: "Return the N universities nearest to the center (max: 100)",
+        required: false
+      },
+      filter: {
+        ...FILTER_PARAMETER,
+        required: false
+      },
+      limit: {
+        type: "integer",
+        minimum: 0,
+        maximum: 100,
+        description: "Maximum number of results to return (default: 10, max: 100)",
+        required: false
+      },
+      offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Number of results to skip (for pagination)",
+        required: false
+      },
+      sort: {
+        type: "string",
+        description: "Order results by distance from the center (default) or leave unordered",
+        enum: ["distance", "none"],
+        required: false
+      },
+      order: {
+        type: "string",
+        description: "Sort direction for distance ordering (default: asc)",
+        enum: ["asc", "desc"],
+        required: false
+      },
+      format: {
+        type: "string",
+        description: "Result format: json (default) or geojson (a FeatureCollection of points)",
+        enum: ["json", "geojson"],
+        required: false
+      },
+      raw: RAW_PARAMETER
+    },
+    returns: {
+      description: "Matching universities with their distance from the center, or a GeoJSON FeatureCollection",
+      anyOf: [
+        {
+          title: "NearbyResults",
+          type: "object",
+          properties: {
+            total_count: { type: "integer" },
+            results: { type: "array", items: NEARBY_UNIVERSITY }
+          },
+          required: ["total_count", "results"]
+        },
+        FEATURE_COLLECTION
+      ]
+    }
+  },
+  {
+    path: "/getUniversity",
+    method: "GET",
+    tool: "getUniversity",
+    description: "Get details for a specific university by ID",
+    parameters: {
+      id: {
+        type: ["string", "integer"],
+        minLength: 1,
+        description: "University record ID (objectid)",
+        required: true
+      },
+      raw: RAW_PARAMETER
+    },
+    returns: {
+      ...UNIVERSITY,
+      description: "Detailed university information"
+    }
+  },
+  {
+    path: "/getFields",
+    method: "GET",
+    tool: "getFields",
+    description: "Get the field catalog of the university dataset, read from the dataset metadata",
+    parameters: {},
+    returns: {
+      type: "array",
+      items: FIELD_INFO,
+      description: "One entry per field: name, property (where normalized University records hold it), label, type (OpenDataSoft type: text, int, double, date, geo_point_2d, ...), description, facetable, sortable, aggregatable, examples and nullRate (share of sampled records without a value)"
+    }
+  },
+  {
+    path: "/statistics",
+    method: "POST",
+    tool: "statistics",
+    description: "Get statistical information about universities: several aggregations at once (including median and percentiles), grouped by fields or numeric histogram buckets, with having thresholds, ordering and top-N limits",
+    parameters: {
+      aggregations: {
+        type: "array",
+        description: "Aggregations to compute, e.g. [{\"aggregation\": \"count\"}, {\"aggregation\": \"avg\", \"field\": \"tot_enroll\"}, {\"aggregation\": \"percentile\", \"field\": \"tot_enroll\", \"percentile\": 90}]. " +
+          "Result columns are named count, <aggregation>_<field> or p<percentile>_<field> unless an alias is given",
+        minItems: 1,
+        maxItems: MAX_AGGREGATIONS,
+        items: {
+          type: "object",
+          properties: {
+            aggregation: { type: "string", enum: AGGREGATIONS },
+            field: { type: "string", enum: FIELD_NAME_LIST, description: "Field to aggregate (not needed for count); numeric for sum, avg, median and percentile" },
+            percentile: { type: "number", exclusiveMinimum: 0, maximum: 100, description: "Percentile rank for the percentile aggregation (above 0, at most 100)" },
+            alias: { type: "string", description: "Result column name" }
+          },
+          required: ["aggregation"]
+        }
+      },
+      field: {
+        type: "string",
+        enum: FIELD_NAME_LIST,
+        description: "Single field to analyze (e.g., 'objectid', 'population'); the original form, used when aggregations is omitted"
+      },
+      aggregation: {
+        type: "string",
+        description: "Single aggregation to apply to field; the original form, used when aggregations is omitted",
+        enum: AGGREGATIONS
+      },
+      groupBy: {
+        description: "Field or fields to group by (e.g., 'state' or ['state', 'type']). An entry {field, bucketSize} groups a numeric field into histogram buckets; its column (<field>_bucket) holds each bucket's lower bound",
+        anyOf: [
+          { type: "string", enum: FIELD_NAME_LIST },
+          {
+            type: "array",
+            maxItems: MAX_GROUP_BY,
+            items: {
+              anyOf: [
+                { type: "string", enum: FIELD_NAME_LIST },
+                { type: "object", properties: { field: { type: "string", enum: FIELD_NAME_LIST }, bucketSize: { type: "number", exclusiveMinimum: 0 }, alias: { type: "string" } }, required: ["field", "bucketSize"] }
+              ]
+            }
+          }
+        ]
+      },
+      filter: {
+        ...FILTER_PARAMETER,
+        required: false
+      },
+      query: {
+        type: "string",
+        description: "Full-text search query restricting the records aggregated"
+      },
+      having: {
+        type: ["object", "array"],
+        description: "Condition on result columns applied after aggregating, in the filter syntax with = != < <= > >= between in notIn, e.g. {\"field\": \"count\", \"op\": \">=\", \"value\": 10}"
+      },
+      orderBy: {
+        type: "array",
+        description: "Result columns to order by, e.g. [{\"field\": \"count\", \"direction\": \"desc\"}]; a column name alone sorts ascending",
+        items: {
+          anyOf: [
+            { type: "string" },
+            { type: "object", properties: { field: { type: "string" }, direction: { type: "string", enum: ["asc", "desc"] } }, required: ["field"] }
+          ]
+        }
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_GROUPS,
+        description: `Return only the first N rows after ordering (top-N), 1-${MAX_GROUPS}`
+      }
+    },
+    returns: {
+      ...STATISTICS_TABLE,
+      description: "A result table: columns (name, role group/bucket/aggregate), results (one row per group, or a single row when ungrouped), total_groups (after having, before limit) and truncated"
+    }
+  },
+  {
+    path: "/getUniversityByName",
+    method: "GET",
+    tool: "getUniversityByName",
+    description: "Get details for a specific university by name. Tolerates abbreviations, aliases (e.g. 'UC Berkeley', 'MIT'), casing, punctuation and typos, returning the best match with ranked candidates",
+    parameters: {
+      name: {
+        type: "string",
+        minLength: 1,
+        maxLength: MAX_NAME_LENGTH,
+        description: `University name (at most ${MAX_NAME_LENGTH} characters)`,
+        required: true
+      },
+      mode: {
+        type: "string",
+        enum: NAME_MODES,
+        description: "auto: exact match, falling back to fuzzy resolution (default); exact: exact name only; fuzzy: always rank candidates"
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_NAME_CANDIDATES,
+        description: `Number of ranked candidates to return (1-${MAX_NAME_CANDIDATES}, default 5)`
+      },
+      state: {
+        type: "string",
+        description: "Restrict matches to a two-letter state code"
+      },
+      raw: RAW_PARAMETER
+    },
+    // Sent next to `data` in the response
+    resolution: NAME_RESOLUTION,
+    returns: {
+      ...UNIVERSITY,
+      description: "Detailed university information, plus a resolution object (method, confidence, ranked candidates) unless mode is exact. When no match is confident enough, a 404 error lists the candidates in error.details"
+    }
+  },
+  {
+    path: "/compare",
+    method: "POST",
+    tool: "compare",
+    description: "Compare 2-10 universities side by side: an aligned table of selected fields with rankings within the set, differences from the first university, and markers for missing values",
+    parameters: {
+      universities: {
+        type: "array",
+        minItems: 2,
+        maxItems: MAX_COMPARE,
+        items: { type: ["string", "integer"], minLength: 1, maxLength: MAX_NAME_LENGTH },
+        description: `University IDs (objectid) or names, 2 to ${MAX_COMPARE}; names are resolved like getUniversityByName. The first entry is the baseline for differences`,
+        required: true
+      },
+      fields: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: FIELD_NAME_LIST },
+        description: `Dataset fields to compare (default: ${DEFAULT_COMPARE_FIELDS.join(', ')})`
+      },
+      raw: {
+        type: "boolean",
+        description: "Compare the dataset values as the upstream API sends them and return UniversityRecord records, instead of normalized values and University records (default: false)"
+      }
+    },
+    returns: {
+      ...COMPARISON,
+      description: "The resolved universities and one row per field. Each row has a cell per university ({value, missing}); numeric rows add rank (1 = largest) and difference from the baseline to each cell, plus min, max and range"
+    }
+  },
+  {
+    path: "/facets",
+    method: "POST",
+    tool: "facets",
+    description: "List the distinct values of one or more fields (e.g. state, type, status, city) with record counts, optionally under search filters. Use it to find valid filter values instead of guessing",
+    parameters: {
+      fields: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_FACET_FIELDS,
+        items: { type: "string", enum: FIELD_NAME_LIST },
+        description: `Fields to list values for (1-${MAX_FACET_FIELDS})`,
+        required: true
+      },
+      query: {
+        type: "string",
+        description: "Full-text search query"
+      },
+      state: {
+        type: "string",
+        description: "Filter by state (e.g., 'CA', 'NY')"
+      },
+      city: {
+        type: "string",
+        description: "Filter by city name"
+      },
+      filter: FILTER_PARAMETER,
+      prefix: {
+        type: "string",
+        minLength: 1,
+        description: "Only values starting with this prefix (matched as given, upper, lower and title case)"
+      },
+      sort: {
+        type: "string",
+        enum: ["count", "value"],
+        description: "Order values by descending count (default) or alphabetically"
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_FACET_VALUES,
+        description: `Values per field (1-${MAX_FACET_VALUES}, default 20)`
+      },
+      offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Values to skip, for paging through high-cardinality fields"
+      }
+    },
+    returns: {
+      ...FACETS,
+      description: "facets: one entry per field with values [{value, count}], offset, limit and hasMore"
+    }
+  },
+  {
+    path: "/ask",
+    method: "GET",
+    tool: "ask",
+    description: "Answer a question in plain English, e.g. \"public universities in Texas with more than 20,000 students near Austin\" or \"how many private colleges are in Ohio\". " +
+      "Rules (no language model) compile it into a search, searchNearby or statistics request, which is returned as the interpretation with its results. " +
+      "Recognized: states by name or code, cities (\"in Portland, OR\"), institution types (public, private, nonprofit, for-profit), thresholds on students, employees or dorm capacity (\"more than 20k students\", \"between 1,000 and 5,000 students\"), " +
+      `\"near <city or ZIP>\" (${DEFAULT_RADIUS_MILES} miles unless \"within N miles of\"), \"how many\", average/median/total/min/max of a metric, \"by state\" and other groupings, \"top N\", and quoted or \"named\" text. Check interpretation.ignored for words that were not understood`,
+    parameters: {
+      question: {
+        type: "string",
+        minLength: 1,
+        description: `The question (at most ${MAX_QUESTION_LENGTH} characters)`,
+        required: true
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 100,
+        description: "Results to return, overriding \"top N\" in the question (default: 10)"
+      },
+      raw: RAW_PARAMETER,
+      execute: {
+        type: "boolean",
+        description: "Set to false to only interpret the question, without running it (default: true)"
+      }
+    },
+    returns: {
+      ...ANSWER,
+      description: "interpretation (tool, params, understood phrases and ignored words) and result, the data of the search, searchNearby or statistics request"
+    }
+  },
+  {
+    path: "/batch",
+    method: "POST",
+    tool: "batch",
+    description: `Run up to ${MAX_BATCH_OPERATIONS} operations (${BATCH_TOOLS.join(', ')}) in one request instead of one request each. ` +
+      "Results come back in order, each with its own success flag and data or error; identical operations run once",
+    parameters: {
+      operations: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_BATCH_OPERATIONS,
+        items: {
+          title: "BatchOperation",
+          type: "object",
+          properties: {
+            tool: { type: "string", enum: BATCH_TOOLS, description: "Operation to run" },
+            params: { type: "object", description: "Its parameters, as its own endpoint takes them" },
+            id: { type: "string", description: "Label echoed in the operation's result" }
+          },
+          required: ["tool"],
+          additionalProperties: false
+        },
+        description: "Operations to run, e.g. [{\"tool\": \"getUniversity\", \"params\": {\"id\": 1234}}, {\"tool\": \"statistics\", \"params\": {\"aggregations\": [{\"aggregation\": \"count\"}], \"groupBy\": \"state\"}}]",
+        required: true
+      },
+      concurrency: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_BATCH_CONCURRENCY,
+        description: `Operations run at the same time (default: ${DEFAULT_BATCH_CONCURRENCY}, max: ${MAX_BATCH_CONCURRENCY})`
+      }
+    },
+    returns: {
+      ...BATCH_RESULTS,
+      description: "results: one entry per operation with tool, id, success, and data, metadata and resolution as the tool returns them, or error ({message, status, code, details})"
+    }
+  },
+  {
+    path: "/savedQueries",
+    method: "GET",
+    tool: "listQueries",
+    description: "List the saved queries of the calling API key (every saved query without access control)",
+    parameters: {},
+    returns: {
+      title: "SavedQueryList",
+      type: "object",
+      properties: {
+        queries: { type: "array", items: SAVED_QUERY, description: "Saved queries, by name" }
+      },
+      required: ["queries"],
+      description: "The saved queries, each with the list of its snapshots"
+    }
+  },
+  {
+    path: "/savedQueries",
+    method: "POST",
+    tool: "saveQuery",
+    description: "Save a named search, or replace one, to track how its results change between dataset refreshes. " +
+      "Changing the search of an existing query removes its snapshots; changing only the description keeps them",
+    parameters: {
+      name: SAVED_QUERY_NAME,
+      description: {
+        type: "string",
+        description: "What the query tracks"
+      },
+      query: {
+        type: "string",
+        description: "Full-text search query"
+      },
+      state: {
+        type: "string",
+        description: "Filter by state, e.g. 'CA'"
+      },
+      city: {
+        type: "string",
+        description: "Filter by city name"
+      },
+      filter: {
+        ...FILTER_PARAMETER,
+        description: "Structured filter, as for /search"
+      }
+    },
+    returns: {
+      ...SAVED_QUERY_ENTRY,
+      description: "The saved query; metadata tells whether it was created and how many snapshots were removed"
+    }
+  },
+  {
+    path: "/savedQueries/:name",
+    method: "GET",
+    tool: "getQuery",
+    description: "Get a saved query and the list of its snapshots",
+    parameters: {
+      name: SAVED_QUERY_NAME
+    },
+    returns: {
+      ...SAVED_QUERY_ENTRY,
+      description: "The saved query"
+    }
+  },
+  {
+    path: "/savedQueries/:name",
+    method: "DELETE",
+    tool: "deleteQuery",
+    description: "Delete a saved query and its snapshots",
+    parameters: {
+      name: SAVED_QUERY_NAME
+    },
+    returns: {
+      ...SAVED_QUERY_ENTRY,
+      description: "The saved query as it was before it was deleted"
+    }
+  },
+  {
+    path: "/savedQueries/:name/snapshots",
+    method: "POST",
+    tool: "snapshotQuery",
+    description: "Run a saved query, store the results as its newest snapshot and report the changes since the previous one",
+    parameters: {
+      name: SAVED_QUERY_NAME,
+      raw: RAW_DIFF
+    },
+    returns: {
+      ...QUERY_SNAPSHOT,
+      description: `The new snapshot and the changes since the previous one. ` +
+        `A snapshot holds at most ${MAX_SNAPSHOT_RECORDS} universities, and the latest ${MAX_SNAPSHOTS} snapshots of each query are kept`
+    }
+  },
+  {
+    path: "/savedQueries/:name/diff",
+    method: "GET",
+    tool: "diffQuery",
+    description: "Compare a snapshot of a saved query with a later one or, without `to`, with the query's current results. Nothing is stored",
+    parameters: {
+      name: SAVED_QUERY_NAME,
+      from: {
+        type: "string",
+        description: "Snapshot to compare from (default: the latest)"
+      },
+      to: {
+        type: "string",
+        description: "Snapshot to compare to (default: run the query now)"
+      },
+      raw: RAW_DIFF
+    },
+    returns: {
+      title: "QueryDiffResult",
+      type: "object",
+      properties: {
+        diff: QUERY_DIFF
+      },
+      required: ["diff"],
+      description: "Added and removed universities and, for modified ones, each changed field with its values before and after"
+    }
+  },
+  {
+    // Streams a file rather than a JSON payload, so it has no MCP tool
+    path: "/export",
+    method: "POST",
+    // Also served as GET with the parameters in the query string
+    alternateMethod: "GET",
+    description: "Stream every university matching a search as CSV, NDJSON or GeoJSON, paging through the full upstream result set. Also available as GET with query-string parameters (fields comma separated, filter JSON encoded)",
+    parameters: {
+      format: {
+        type: "string",
+        enum: Object.keys(EXPORT_FORMATS),
+        description: "Output format (default: csv)"
+      },
+      fields: {
+        type: "array",
+        items: { type: "string", enum: FIELD_NAME_LIST },
+        description: "Dataset fields to export, in order (default: every field except geo_shape). Normalized exports name the columns after University properties, with nested ones dotted in CSV (location.lat, source.date)"
+      },
+      query: {
+        type: "string",
+        description: "Full-text search query"
+      },
+      state: {
+        type: "string",
+        description: "Filter by state (e.g., 'CA', 'NY')"
+      },
+      city: {
+        type: "string",
+        description: "Filter by city name"
+      },
+      filter: FILTER_PARAMETER,
+      max: {
+        type: "integer",
+        minimum: 1,
+        description: "Stop after this many records (default: no limit)"
+      },
+      raw: {
+        type: "boolean",
+        description: "Export the dataset records as the upstream API sends them, with dataset field names as columns (default: false)"
+      }
+    },
+    returns: {
+      type: "file",
+      description: "text/csv, application/x-ndjson or application/geo+json, sent as an attachment while records are fetched"
+    }
+  }
+];
+
+/**
+ * Convert an endpoint's parameter definitions into a JSON Schema object
+ *
+ * @param {object} parameters - The `parameters` map of an endpoint definition
+ * @returns {object} - JSON Schema describing the accepted arguments; other
+ *   arguments are rejected
+ */
+function toJsonSchema(parameters) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, definition] of Object.entries(parameters)) {
+    const { required: isRequired, ...property } = definition;
+    properties[name] = property;
+    if (isRequired) {
+      required.push(name);
+    }
+  }
+
+  const schema = {
+    type: "object",
+    properties,
+    additionalProperties: false
+  };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+module.exports = {
+  endpoints,
+  FILTER_PARAMETER,
+  UNIVERSITY,
+  UNIVERSITY_RECORD,
+  toJsonSchema
+};
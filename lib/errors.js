@@ -0,0 +1,94 @@
+/**
+ * Error type shared by the REST and MCP front-ends.
+ *
+ * Handlers throw an ApiError when a request cannot be served; each
+ * front-end decides how to present it (an HTTP status for REST, a tool
+ * error result for MCP).
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {number} [status=400] - HTTP status code that best describes the error
+   * @param {object} [details] - Extra machine-readable information for the caller
+   * @param {string} [code] - Machine-readable error code (default: derived from status)
+   */
+  constructor(message, status = 400, details = undefined, code = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.code = code || codeForStatus(status);
+  }
+}
+
+// Error codes for responses that carry no more specific code
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  429: 'rate_limited',
+  502: 'upstream_error',
+  503: 'unavailable',
+  504: 'upstream_timeout'
+};
+
+/**
+ * Default error code for an HTTP status
+ *
+ * @param {number} status
+ * @returns {string}
+ */
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) {
+    return STATUS_CODES[status];
+  }
+  return status >= 500 ? 'internal_error' : 'bad_request';
+}
+
+/**
+ * Wrap an error raised by an upstream (OpenDataSoft) request
+ *
+ * Requests that got no answer become 504 (timed out) or 502 (unreachable),
+ * upstream server errors 502, and rate limiting 429 with the upstream's
+ * Retry-After in details.retryAfter (seconds). Rejected queries keep the
+ * upstream status and message.
+ *
+ * @param {Error} error - The error thrown by axios
+ * @param {string} fallbackMessage - Message to use when upstream gave none
+ * @returns {ApiError}
+ */
+function upstreamError(error, fallbackMessage) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const response = error.response;
+  if (!response) {
+    if (!error.isAxiosError) {
+      // Not a request failure but a bug; keep the original for the logs
+      const wrapped = new ApiError(fallbackMessage, 500);
+      wrapped.cause = error;
+      return wrapped;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError(`${fallbackMessage}: no response in time`, 504);
+    }
+    return new ApiError(`${fallbackMessage}: ${error.code || error.message}`, 502);
+  }
+
+  const message = response.data?.message || fallbackMessage;
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers?.['retry-after']);
+    return new ApiError(message, 429, Number.isFinite(retryAfter) ? { retryAfter } : undefined);
+  }
+  if (response.status >= 500) {
+    return new ApiError(message, 502, { upstreamStatus: response.status });
+  }
+  return new ApiError(message, response.status);
+}
+
+module.exports = {
+  ApiError,
+  codeForStatus,
+  upstreamError
+};
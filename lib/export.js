@@ -0,0 +1,225 @@
+/**
+ * Bulk export
+ *
+ * Walks every record matching a search and serializes it as CSV, NDJSON or
+ * GeoJSON one page at a time, so an export of any size is never held in
+ * memory at once. Records are exported normalized (see lib/university.js)
+ * unless `raw` is set; fields are chosen by their dataset names either way.
+ */
+
+const { ApiError } = require('./errors');
+const { DATASET_FIELDS } = require('./fields');
+const { eq, allOf, parseFilter } = require('./query');
+const { recordCoordinates } = require('./geo');
+const { normalizeUniversity, propertyPath, valueAt } = require('./university');
+
+// OpenDataSoft returns at most 100 records per request
+const EXPORT_PAGE_SIZE = 100;
+
+// Paging key: records are walked in objectid order, each page starting
+// after the last objectid seen. Unlike offsets this is not bounded by the
+// upstream offset + limit ceiling (10,000 records).
+const KEY_FIELD = 'objectid';
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+/**
+ * Columns exported when none are chosen: every known field except
+ * geo_shape, which duplicates geo_point and is large
+ */
+function defaultExportFields() {
+  return DATASET_FIELDS
+    .map(field => field.name)
+    .filter(name => name !== 'geo_shape');
+}
+
+/**
+ * Turn export parameters, validated against the `/export` endpoint schema
+ * (which also reads `fields` comma separated and `filter` JSON encoded from
+ * query strings), into an export plan
+ *
+ * @param {object} params - Export parameters (see the `/export` endpoint definition)
+ * @returns {{format: string, fields: string[], query: object, max: number|undefined, raw: boolean}}
+ */
+function parseExportParams(params = {}) {
+  const { format = 'csv', query = '', state = '', city = '', filter, max, raw = false } = params;
+  let { fields } = params;
+
+  if (fields === undefined || fields.length === 0) {
+    fields = defaultExportFields();
+  }
+
+  const recordQuery = {
+    filter: allOf(state ? eq('state', state) : null, city ? eq('city', city) : null, parseFilter(filter))
+  };
+  if (query) {
+    recordQuery.q = query;
+  }
+
+  return {
+    format,
+    fields: Array.from(new Set(fields)),
+    query: recordQuery,
+    max: max === undefined ? undefined : Number(max),
+    raw
+  };
+}
+
+/**
+ * Iterate over pages of records matching a record query, in objectid order
+ *
+ * @param {object} source - Data source to read from
+ * @param {object} query - Record query without limit, offset or orderBy
+ * @param {object} [options]
+ * @param {number} [options.max] - Stop after this many records
+ * @param {number} [options.pageSize] - Records per upstream request
+ * @returns {AsyncGenerator<Array<object>>}
+ */
+async function* exportPages(source, query, options = {}) {
+  const { max = Infinity, pageSize = EXPORT_PAGE_SIZE } = options;
+  let after;
+  let exported = 0;
+
+  while (exported < max) {
+    const limit = Math.min(pageSize, max - exported);
+    const data = await source.search({
+      ...query,
+      filter: allOf(query.filter, after === undefined ? null : { field: KEY_FIELD, op: '>', value: after }),
+      orderBy: [{ field: KEY_FIELD, direction: 'asc' }],
+      limit
+    }, { endpoint: 'export' });
+
+    const results = data.results || [];
+    if (results.length > 0) {
+      exported += results.length;
+      yield results;
+    }
+    if (results.length < limit) {
+      return;
+    }
+
+    const last = results[results.length - 1][KEY_FIELD];
+    if (last === undefined || last === null || last === after) {
+      throw new ApiError("Cannot page through records without an objectid", 500);
+    }
+    after = last;
+  }
+}
+
+/**
+ * Quote a value for CSV. Objects (such as geo points) are written as JSON.
+ */
+function csvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text;
+  if (value && typeof value === 'object') {
+    text = value.lat !== undefined && value.lon !== undefined
+      ? `${value.lat}, ${value.lon}`
+      : JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Normalized property paths of the exported fields, in column order.
+ * Fields stored together (latitude and longitude in `location`) share a
+ * path, and fields the normalized record leaves out are dropped.
+ */
+function exportPaths(fields) {
+  const paths = [];
+  for (const path of fields.map(propertyPath)) {
+    if (path && !paths.includes(path) && !paths.includes(path.split('.')[0])) {
+      paths.push(path);
+    }
+  }
+  return paths.filter(path => !path.includes('.') || !paths.includes(path.split('.')[0]));
+}
+
+/**
+ * Pick the exported columns of a record, in column order. Dotted paths of
+ * a normalized record are picked into nested objects.
+ */
+function pickFields(record, columns) {
+  const picked = {};
+  for (const column of columns) {
+    const [name, property] = column.split('.');
+    if (property === undefined) {
+      picked[name] = record[name] ?? null;
+    } else {
+      picked[name] = { ...picked[name], [property]: valueAt(record, column) };
+    }
+  }
+  return picked;
+}
+
+/**
+ * Create a serializer for one export. `start()`, `page(records)` and
+ * `end()` return the text to write for each stage.
+ *
+ * @param {string} format - csv, ndjson or geojson
+ * @param {string[]} fields - Dataset fields to write
+ * @param {object} [options]
+ * @param {boolean} [options.raw=false] - Write dataset records as they are
+ *   rather than normalized
+ */
+function createSerializer(format, fields, options = {}) {
+  const prepare = options.raw ? records => records : records => records.map(normalizeUniversity);
+  const columns = options.raw ? fields : exportPaths(fields);
+
+  if (format === 'csv') {
+    // One column per value: nested objects are flattened into dotted names
+    const csvColumns = options.raw
+      ? columns
+      : columns.flatMap(column => (column === 'location' ? ['location.lat', 'location.lon'] : [column]));
+    return {
+      start: () => `${csvColumns.map(csvValue).join(',')}\r\n`,
+      page: records => prepare(records)
+        .map(record => `${csvColumns.map(column => csvValue(options.raw ? record[column] : valueAt(record, column))).join(',')}\r\n`)
+        .join(''),
+      end: () => ''
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      start: () => '',
+      page: records => prepare(records).map(record => `${JSON.stringify(pickFields(record, columns))}\n`).join(''),
+      end: () => ''
+    };
+  }
+
+  // GeoJSON: a FeatureCollection written feature by feature
+  let first = true;
+  return {
+    start: () => '{"type":"FeatureCollection","features":[\n',
+    page: records => prepare(records).map(record => {
+      const coordinates = recordCoordinates(record);
+      const { geo_point, geo_shape, location, ...properties } = pickFields(record, columns);
+      const feature = JSON.stringify({
+        type: 'Feature',
+        geometry: coordinates ? { type: 'Point', coordinates: [coordinates.lon, coordinates.lat] } : null,
+        properties
+      });
+      const separator = first ? '' : ',\n';
+      first = false;
+      return separator + feature;
+    }).join(''),
+    end: () => '\n]}\n'
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  defaultExportFields,
+  parseExportParams,
+  exportPages,
+  createSerializer
+};
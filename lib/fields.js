@@ -0,0 +1,113 @@
+/**
+ * Known fields of the `us-colleges-and-universities` dataset
+ *
+ * Used to validate field names supplied by callers before they are placed
+ * into ODSQL queries. Types follow the OpenDataSoft field types.
+ *
+ * The list below is the built-in default. Once the field catalog has been
+ * read from the dataset metadata (see lib/catalog.js), setDatasetFields()
+ * replaces the contents of these collections in place, so modules holding
+ * a reference to them validate against the authoritative fields.
+ */
+
+const DATASET_FIELDS = [
+  { name: 'objectid', type: 'int' },
+  { name: 'ipedsid', type: 'text' },
+  { name: 'name', type: 'text' },
+  { name: 'address', type: 'text' },
+  { name: 'address2', type: 'text' },
+  { name: 'city', type: 'text' },
+  { name: 'state', type: 'text' },
+  { name: 'zip', type: 'text' },
+  { name: 'zip4', type: 'text' },
+  { name: 'telephone', type: 'text' },
+  { name: 'type', type: 'text' },
+  { name: 'status', type: 'text' },
+  { name: 'population', type: 'int' },
+  { name: 'county', type: 'text' },
+  { name: 'countyfips', type: 'text' },
+  { name: 'country', type: 'text' },
+  { name: 'latitude', type: 'double' },
+  { name: 'longitude', type: 'double' },
+  { name: 'naics_code', type: 'text' },
+  { name: 'naics_desc', type: 'text' },
+  { name: 'source', type: 'text' },
+  { name: 'sourcedate', type: 'date' },
+  { name: 'val_method', type: 'text' },
+  { name: 'val_date', type: 'date' },
+  { name: 'website', type: 'text' },
+  { name: 'stfips', type: 'text' },
+  { name: 'cofips', type: 'text' },
+  { name: 'sector', type: 'text' },
+  { name: 'level_', type: 'text' },
+  { name: 'hi_offer', type: 'text' },
+  { name: 'deg_grant', type: 'text' },
+  { name: 'locale', type: 'text' },
+  { name: 'close_date', type: 'text' },
+  { name: 'merge_id', type: 'text' },
+  { name: 'alias', type: 'text' },
+  { name: 'size_set', type: 'text' },
+  { name: 'inst_size', type: 'text' },
+  { name: 'pt_enroll', type: 'int' },
+  { name: 'ft_enroll', type: 'int' },
+  { name: 'tot_enroll', type: 'int' },
+  { name: 'housing', type: 'text' },
+  { name: 'dorm_cap', type: 'int' },
+  { name: 'tot_emp', type: 'int' },
+  { name: 'shelter_id', type: 'text' },
+  { name: 'geo_point', type: 'geo_point_2d' },
+  { name: 'geo_shape', type: 'geo_shape' }
+];
+
+const NUMERIC_TYPES = new Set(['int', 'double']);
+
+const FIELD_NAMES = new Set();
+const FIELD_TYPES = new Map();
+
+// The field names in catalog order, shared as the `enum` of every field
+// parameter in lib/endpoints.js so that validation, /schema and
+// /openapi.json follow the catalog
+const FIELD_NAME_LIST = [];
+
+// Fields that hold a point location (usable in geospatial queries)
+const GEO_POINT_FIELDS = new Set();
+
+/**
+ * Replace the known fields
+ *
+ * @param {Array<{name: string, type: string}>} fields
+ */
+function setDatasetFields(fields) {
+  DATASET_FIELDS.splice(0, DATASET_FIELDS.length, ...fields.map(({ name, type }) => ({ name, type })));
+  FIELD_NAMES.clear();
+  FIELD_TYPES.clear();
+  FIELD_NAME_LIST.length = 0;
+  GEO_POINT_FIELDS.clear();
+  for (const { name, type } of DATASET_FIELDS) {
+    FIELD_NAMES.add(name);
+    FIELD_TYPES.set(name, type);
+    FIELD_NAME_LIST.push(name);
+    if (type === 'geo_point_2d') {
+      GEO_POINT_FIELDS.add(name);
+    }
+  }
+}
+
+/**
+ * Whether a field holds numbers (usable for sum, avg, percentiles and buckets)
+ */
+function isNumericField(name) {
+  return NUMERIC_TYPES.has(FIELD_TYPES.get(name));
+}
+
+setDatasetFields(DATASET_FIELDS);
+
+module.exports = {
+  DATASET_FIELDS,
+  FIELD_NAMES,
+  FIELD_NAME_LIST,
+  FIELD_TYPES,
+  GEO_POINT_FIELDS,
+  setDatasetFields,
+  isNumericField
+};
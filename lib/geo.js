@@ -0,0 +1,163 @@
+/**
+ * Geospatial helpers
+ *
+ * Distance calculations, coordinate extraction and GeoJSON conversion for
+ * the location-based endpoints.
+ */
+
+const { ApiError } = require('./errors');
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Meters per distance unit
+const UNITS = {
+  mi: 1609.344,
+  km: 1000
+};
+
+/**
+ * Great-circle distance between two points in meters (haversine formula)
+ *
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number}
+ */
+function haversineMeters(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Convert a distance in `unit` to meters
+ */
+function toMeters(value, unit) {
+  return value * UNITS[unit];
+}
+
+/**
+ * Convert a distance in meters to `unit`
+ */
+function fromMeters(meters, unit) {
+  return meters / UNITS[unit];
+}
+
+/**
+ * Validate and normalize a point
+ *
+ * @param {number|string} lat
+ * @param {number|string} lon
+ * @returns {{lat: number, lon: number}}
+ */
+function toPoint(lat, lon) {
+  const point = { lat: Number(lat), lon: Number(lon) };
+  if (!Number.isFinite(point.lat) || point.lat < -90 || point.lat > 90) {
+    throw new ApiError("lat must be a number between -90 and 90");
+  }
+  if (!Number.isFinite(point.lon) || point.lon < -180 || point.lon > 180) {
+    throw new ApiError("lon must be a number between -180 and 180");
+  }
+  return point;
+}
+
+/**
+ * Validate and normalize a bounding box.
+ * Accepts { minLat, minLon, maxLat, maxLon } or [west, south, east, north]
+ * (GeoJSON order). A box whose minLon is greater than its maxLon crosses
+ * the antimeridian.
+ *
+ * @returns {{minLat: number, minLon: number, maxLat: number, maxLon: number}}
+ */
+function toBbox(input) {
+  let bbox = input;
+  if (Array.isArray(input)) {
+    if (input.length !== 4) {
+      throw new ApiError("bbox array must be [west, south, east, north]");
+    }
+    const [minLon, minLat, maxLon, maxLat] = input;
+    bbox = { minLat, minLon, maxLat, maxLon };
+  }
+  if (!bbox || typeof bbox !== 'object') {
+    throw new ApiError("bbox must be an object { minLat, minLon, maxLat, maxLon } or an array [west, south, east, north]");
+  }
+
+  const southWest = toPoint(bbox.minLat, bbox.minLon);
+  const northEast = toPoint(bbox.maxLat, bbox.maxLon);
+  if (southWest.lat > northEast.lat) {
+    throw new ApiError("bbox minLat must not be greater than maxLat");
+  }
+  return {
+    minLat: southWest.lat,
+    minLon: southWest.lon,
+    maxLat: northEast.lat,
+    maxLon: northEast.lon
+  };
+}
+
+/**
+ * Whether a point lies inside a bounding box
+ */
+function inBbox(point, bbox) {
+  if (point.lat < bbox.minLat || point.lat > bbox.maxLat) {
+    return false;
+  }
+  if (bbox.minLon <= bbox.maxLon) {
+    return point.lon >= bbox.minLon && point.lon <= bbox.maxLon;
+  }
+  return point.lon >= bbox.minLon || point.lon <= bbox.maxLon;
+}
+
+/**
+ * Coordinates of a record, from its geo point or latitude/longitude fields
+ * (or the `location` of a normalized record). Returns null when the record
+ * has no usable location.
+ *
+ * @returns {{lat: number, lon: number}|null}
+ */
+function recordCoordinates(record) {
+  const point = record.geo_point ?? record.location;
+  const lat = point && typeof point === 'object' ? point.lat : record.latitude;
+  const lon = point && typeof point === 'object' ? point.lon : record.longitude;
+  if (lat === null || lat === undefined || lat === '' || lon === null || lon === undefined || lon === '') {
+    return null;
+  }
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) {
+    return null;
+  }
+  return { lat: Number(lat), lon: Number(lon) };
+}
+
+/**
+ * Convert records to a GeoJSON FeatureCollection. Records without
+ * coordinates get a null geometry; geometry fields and the location are
+ * left out of the feature properties.
+ */
+function toFeatureCollection(records) {
+  return {
+    type: 'FeatureCollection',
+    features: records.map(record => {
+      const coordinates = recordCoordinates(record);
+      const { geo_point, geo_shape, location, ...properties } = record;
+      return {
+        type: 'Feature',
+        geometry: coordinates ? { type: 'Point', coordinates: [coordinates.lon, coordinates.lat] } : null,
+        properties
+      };
+    })
+  };
+}
+
+module.exports = {
+  UNITS,
+  haversineMeters,
+  toMeters,
+  fromMeters,
+  toPoint,
+  toBbox,
+  inBbox,
+  recordCoordinates,
+  toFeatureCollection
+};
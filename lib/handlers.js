@@ -0,0 +1,691 @@
+/**
+ * Shared handler logic
+ *
+ * Each handler takes a plain parameter object, queries the configured data
+ * source (see lib/datasources) and resolves to the payload that the REST
+ * routes and MCP tools return. Failures are thrown as ApiError.
+ */
+
+const { ApiError, upstreamError } = require('./errors');
+const { getDataSource } = require('./datasources');
+const { eq, allOf, parseFilter } = require('./query');
+const geo = require('./geo');
+const { FIELD_TYPES } = require('./fields');
+const { expandName, keywords, rankCandidates } = require('./names');
+const { DEFAULT_COMPARE_FIELDS, compareRecords } = require('./compare');
+const { planStatistics, buildTable } = require('./statistics');
+const { getCatalog } = require('./catalog');
+const { normalizeUniversity, propertyPath } = require('./university');
+const { batch } = require('./batch');
+const { saveQuery, listQueries, getQuery, deleteQuery, snapshotQuery, diffQuery } = require('./saved-queries');
+const { interpretQuestion } = require('./ask');
+const { validateParams } = require('./validation');
+
+// Upper bound on consecutive pages a single search may fetch
+const MAX_SEARCH_PAGES = 10;
+
+// Field holding each institution's location
+const LOCATION_FIELD = 'geo_point';
+
+// Name resolution: lookup modes, the score a fuzzy match needs to be
+// accepted, and bounds on the candidate searches it may run
+const NAME_MODES = ['auto', 'exact', 'fuzzy'];
+const MIN_NAME_CONFIDENCE = 0.6;
+const MAX_NAME_CANDIDATES = 20;
+const MAX_NAME_SEARCHES = 8;
+const NAME_SEARCH_LIMIT = 50;
+
+// Most universities a single comparison may include
+const MAX_COMPARE = 10;
+
+// Facets: fields per request, values per page, and the field types that
+// have meaningful distinct values
+const MAX_FACET_FIELDS = 10;
+const MAX_FACET_VALUES = 100;
+const FACET_TYPES = new Set(['text', 'int', 'double', 'date', 'datetime', 'boolean']);
+
+/**
+ * A record as returned to callers: normalized (see lib/university.js)
+ * unless the upstream payload was asked for with `raw`
+ */
+function present(record, raw) {
+  return raw ? record : normalizeUniversity(record);
+}
+
+/**
+ * Search for universities with various filters
+ *
+ * When `pages` is greater than one, consecutive pages of `limit` records are
+ * fetched and concatenated, reporting progress after each page.
+ *
+ * @param {object} params - Search parameters (see the `/search` endpoint definition)
+ * @param {object} [context] - Caller context
+ * @param {Function} [context.reportProgress] - Called as (progress, total, message)
+ */
+async function search(params = {}, context = {}) {
+  const {
+    query = '',
+    state = '',
+    city = '',
+    limit = 10,
+    offset = 0,
+    pages = 1,
+    filter,
+    raw = false
+  } = params;
+  const reportProgress = context.reportProgress || (() => {});
+
+  // Build the record query
+  const recordQuery = {
+    filter: allOf(state ? eq('state', state) : null, city ? eq('city', city) : null, parseFilter(filter)),
+    limit: Number(limit),
+    offset: Number(offset)
+  };
+
+  // Add full-text search if provided
+  if (query) {
+    recordQuery.q = query;
+  }
+
+  try {
+    let data;
+    for (let page = 0; page < pages; page++) {
+      const pageData = await getDataSource().search({
+        ...recordQuery,
+        offset: recordQuery.offset + page * recordQuery.limit
+      }, { endpoint: 'search' });
+
+      if (!data) {
+        data = { ...pageData };
+      } else {
+        data.results = data.results.concat(pageData.results);
+      }
+
+      if (pages > 1) {
+        reportProgress(page + 1, pages, `Fetched page ${page + 1} of ${pages}`);
+      }
+
+      // Stop early once the result set is exhausted
+      if (pageData.results.length < recordQuery.limit) {
+        break;
+      }
+    }
+
+    return {
+      data: { ...data, results: data.results.map(record => present(record, raw)) },
+      metadata: {
+        total: data.total_count,
+        offset: offset,
+        limit: limit,
+        pages: pages,
+        query_parameters: {
+          query,
+          state,
+          city,
+          filter
+        }
+      }
+    };
+  } catch (error) {
+    throw upstreamError(error, "Failed to search universities");
+  }
+}
+
+/**
+ * Fetch details for a specific university by ID
+ */
+async function getUniversity(params = {}) {
+  const { id, raw = false } = params;
+
+  // Look the record up by objectid
+  const recordQuery = {
+    filter: eq('objectid', String(id)),
+    limit: 1
+  };
+
+  let data;
+  try {
+    data = await getDataSource().search(recordQuery, { endpoint: 'getUniversity' });
+  } catch (error) {
+    // Handle 404 specifically
+    if (error.response?.status === 404) {
+      throw new ApiError("University not found", 404);
+    }
+    throw upstreamError(error, "Failed to fetch university details");
+  }
+
+  if (data.results && data.results.length > 0) {
+    return { data: present(data.results[0], raw) };
+  }
+
+  throw new ApiError("University not found", 404);
+}
+
+/**
+ * Fetch details for a university by name
+ *
+ * In `auto` mode (the default) an exact, case-insensitive match is tried
+ * first; when none exists the name is resolved fuzzily. `exact` keeps the
+ * strict lookup and `fuzzy` skips it. Fuzzy resolution gathers candidates
+ * with full-text searches built from the name's variants (see lib/names)
+ * and returns the best-scoring record together with the ranked candidates.
+ *
+ * @param {object} params - Lookup parameters (see the `/getUniversityByName` endpoint definition)
+ */
+async function getUniversityByName(params = {}) {
+  const { name, mode = 'auto', limit = 5, state, raw = false } = params;
+
+  const stateFilter = state ? eq('state', String(state).toUpperCase()) : undefined;
+  const lookup = async query => {
+    try {
+      return await getDataSource().search(query, { endpoint: 'getUniversityByName' });
+    } catch (error) {
+      throw upstreamError(error, "Failed to fetch university details");
+    }
+  };
+
+  if (mode !== 'fuzzy') {
+    // Dataset names are upper case, so also try the trimmed, upper-cased name
+    const spellings = mode === 'exact'
+      ? [name]
+      : Array.from(new Set([name, name.trim(), name.trim().toUpperCase()]));
+    const data = await lookup({
+      filter: allOf({ field: 'name', op: 'in', value: spellings }, stateFilter),
+      limit: 1
+    });
+
+    if (data.results && data.results.length > 0) {
+      if (mode === 'exact') {
+        return { data: present(data.results[0], raw) };
+      }
+      return {
+        data: present(data.results[0], raw),
+        resolution: {
+          query: name,
+          method: 'exact',
+          confidence: 1,
+          candidates: []
+        }
+      };
+    }
+    if (mode === 'exact') {
+      throw new ApiError("University not found", 404);
+    }
+  }
+
+  // Fuzzy resolution: widen the full-text search until a confident match appears
+  const variants = expandName(name);
+  const seen = new Set();
+  let ranked = [];
+  for (const q of candidateSearches(variants)) {
+    const data = await lookup({ q, filter: stateFilter, limit: NAME_SEARCH_LIMIT });
+    // Records found by an earlier search are already ranked; score only the new ones
+    const found = (data.results || []).filter(record => {
+      const key = record.objectid ?? record.name;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+    ranked = ranked.concat(rankCandidates(name, found)).sort((a, b) => b.score - a.score);
+    if (ranked.length > 0 && ranked[0].score >= MIN_NAME_CONFIDENCE) {
+      break;
+    }
+  }
+
+  const candidates = ranked.slice(0, Number(limit)).map(({ record, score }) => ({
+    objectid: record.objectid,
+    name: record.name,
+    city: record.city,
+    state: record.state,
+    score
+  }));
+
+  if (ranked.length === 0 || ranked[0].score < MIN_NAME_CONFIDENCE) {
+    throw new ApiError("University not found", 404, { query: name, candidates });
+  }
+
+  return {
+    data: present(ranked[0].record, raw),
+    resolution: {
+      query: name,
+      normalized: variants[0],
+      variants,
+      method: 'fuzzy',
+      confidence: ranked[0].score,
+      candidates
+    }
+  };
+}
+
+/**
+ * Full-text searches to run for a set of name variants, most specific
+ * first: every keyword of each variant (and again with possessives such as
+ * "marys" cut back to "mary", since the dataset spells them "MARY'S"), then
+ * the primary variant with one keyword left out (tolerates a single
+ * misspelled word), then its longest keywords on their own
+ */
+function candidateSearches(variants) {
+  const searches = [];
+  for (const variant of variants) {
+    const words = keywords(variant);
+    if (words.length > 0) {
+      searches.push(words.join(' '));
+      searches.push(words.map(word => (word.length > 3 ? word.replace(/s$/, '') : word)).join(' '));
+    }
+  }
+
+  const primary = keywords(variants[0]).filter(word => word.length >= 3);
+  if (primary.length >= 3) {
+    for (let i = 0; i < primary.length; i++) {
+      searches.push(primary.filter((_, index) => index !== i).join(' '));
+    }
+  }
+  searches.push(...primary.slice(0, 3));
+
+  return Array.from(new Set(searches)).slice(0, MAX_NAME_SEARCHES);
+}
+
+/**
+ * Fetch the field catalog: every dataset field with its type, label,
+ * description, capabilities, example values and null rate, plus the
+ * property that holds it in normalized records
+ */
+async function getFields() {
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    throw upstreamError(error, "Failed to fetch dataset fields");
+  }
+
+  return {
+    data: catalog.fields.map(field => ({ ...field, property: propertyPath(field.name) })),
+    metadata: {
+      source: catalog.source,
+      sampleSize: catalog.sampleSize
+    }
+  };
+}
+
+/**
+ * Get statistics on universities
+ *
+ * Runs one or more aggregations (count, sum, avg, min, max, median,
+ * percentile), optionally grouped by fields or numeric buckets, and returns
+ * a result table whose rows always have the same columns. See
+ * lib/statistics.js for the request format.
+ *
+ * @param {object} params - Statistics parameters (see the `/statistics` endpoint definition)
+ */
+async function statistics(params = {}) {
+  const plan = planStatistics(params);
+
+  let data;
+  try {
+    // Run the aggregate query
+    data = await getDataSource().aggregate(plan.query, { endpoint: 'statistics' });
+  } catch (error) {
+    throw upstreamError(error, "Failed to calculate statistics");
+  }
+
+  return {
+    data: buildTable(plan, data.results),
+    metadata: {
+      aggregations: plan.query.aggregations,
+      groupBy: plan.query.groupBy,
+      filter: params.filter,
+      having: plan.having,
+      orderBy: plan.orderBy,
+      limit: plan.limit
+    }
+  };
+}
+
+/**
+ * Resolve the center point of a nearby search: explicit lat/lon, or the
+ * centroid of the institutions in a ZIP code or city (computed from the
+ * dataset itself, so no geocoding service is needed).
+ *
+ * @returns {Promise<{point: {lat: number, lon: number}, source: string}|null>}
+ */
+async function resolveCenter({ lat, lon, zip, city, state }) {
+  if (lat !== undefined || lon !== undefined) {
+    return { point: geo.toPoint(lat, lon), source: 'coordinates' };
+  }
+  if (!zip && !city) {
+    return null;
+  }
+
+  // Dataset values are upper case; accept either spelling from callers
+  const anyCase = (fieldName, value) => {
+    const values = Array.from(new Set([String(value), String(value).toUpperCase()]));
+    return { field: fieldName, op: 'in', value: values };
+  };
+
+  const filter = zip
+    ? eq('zip', String(zip).trim().slice(0, 5))
+    : allOf(anyCase('city', city), state ? anyCase('state', state) : null);
+
+  let data;
+  try {
+    data = await getDataSource().aggregate({
+      filter,
+      aggregations: [
+        { aggregation: 'avg', field: 'latitude', alias: 'lat' },
+        { aggregation: 'avg', field: 'longitude', alias: 'lon' },
+        { aggregation: 'count', alias: 'institutions' }
+      ]
+    }, { endpoint: 'searchNearby' });
+  } catch (error) {
+    throw upstreamError(error, "Failed to resolve search location");
+  }
+
+  const row = data.results && data.results[0];
+  if (!row || !row.institutions || row.lat === null || row.lon === null) {
+    const place = zip ? `ZIP code ${zip}` : `city ${city}${state ? `, ${state}` : ''}`;
+    throw new ApiError(`Unable to locate ${place}`, 404);
+  }
+
+  return {
+    point: geo.toPoint(row.lat, row.lon),
+    source: zip ? `zip:${zip}` : `city:${city}${state ? `,${state}` : ''}`
+  };
+}
+
+/**
+ * Find universities near a location: within a radius of a point, inside a
+ * bounding box, or the N nearest. Results carry their distance from the
+ * center (when one is given) in the requested unit.
+ */
+async function searchNearby(params = {}) {
+  const {
+    lat,
+    lon,
+    zip,
+    city,
+    state,
+    radius,
+    unit = 'mi',
+    bbox,
+    nearest,
+    filter,
+    limit = 10,
+    offset = 0,
+    sort = 'distance',
+    order = 'asc',
+    format = 'json',
+    raw = false
+  } = params;
+
+  // Each parameter is checked against the endpoint schema; only their combination is left
+  if (radius === undefined && bbox === undefined && nearest === undefined) {
+    throw new ApiError("One of radius, bbox or nearest is required");
+  }
+
+  const center = await resolveCenter({ lat, lon, zip, city, state });
+  if ((radius !== undefined || nearest !== undefined) && !center) {
+    throw new ApiError("A center (lat and lon, zip or city) is required for radius and nearest searches");
+  }
+  const box = bbox !== undefined ? geo.toBbox(bbox) : undefined;
+
+  const recordQuery = {
+    filter: allOf(
+      radius !== undefined
+        ? { field: LOCATION_FIELD, op: 'withinDistance', value: { ...center.point, meters: geo.toMeters(Number(radius), unit) } }
+        : null,
+      box ? { field: LOCATION_FIELD, op: 'inBbox', value: box } : null,
+      parseFilter(filter)
+    ),
+    limit: nearest !== undefined ? Number(nearest) : Number(limit),
+    offset: nearest !== undefined ? 0 : Number(offset)
+  };
+
+  // Nearest-N always orders by distance; otherwise order when a center is known
+  if (center && (nearest !== undefined || sort === 'distance')) {
+    recordQuery.orderBy = [{
+      field: LOCATION_FIELD,
+      near: center.point,
+      direction: nearest !== undefined ? 'asc' : order
+    }];
+  }
+
+  let data;
+  try {
+    data = await getDataSource().search(recordQuery, { endpoint: 'searchNearby' });
+  } catch (error) {
+    throw upstreamError(error, "Failed to search nearby universities");
+  }
+
+  const results = data.results.map(record => {
+    if (!center) {
+      return present(record, raw);
+    }
+    const point = geo.recordCoordinates(record);
+    const distance = point ? geo.fromMeters(geo.haversineMeters(center.point, point), unit) : null;
+    return {
+      ...present(record, raw),
+      distance: distance === null ? null : Math.round(distance * 1000) / 1000
+    };
+  });
+
+  return {
+    data: format === 'geojson'
+      ? geo.toFeatureCollection(results)
+      : { total_count: data.total_count, results },
+    metadata: {
+      total: data.total_count,
+      center: center ? center.point : null,
+      center_source: center ? center.source : null,
+      radius: radius !== undefined ? Number(radius) : null,
+      bbox: box || null,
+      nearest: nearest !== undefined ? Number(nearest) : null,
+      unit,
+      offset: recordQuery.offset,
+      limit: recordQuery.limit,
+      format
+    }
+  };
+}
+
+/**
+ * Compare several universities side by side
+ *
+ * Each entry of `universities` is an objectid (a number or digit string)
+ * or a name, resolved like `/getUniversityByName`. The result aligns the
+ * chosen fields into rows with one cell per university.
+ * Records are looked up raw and normalized here, so that the rows can
+ * read either form.
+ *
+ * @param {object} params - Comparison parameters (see the `/compare` endpoint definition)
+ */
+async function compare(params = {}) {
+  const { universities, fields = DEFAULT_COMPARE_FIELDS, raw = false } = params;
+  const compareFields = Array.from(new Set(fields));
+
+  const resolved = await Promise.all(universities.map(async entry => {
+    const byId = /^\d+$/.test(String(entry).trim());
+    try {
+      const result = byId
+        ? await getUniversity({ id: String(entry).trim(), raw: true })
+        : await getUniversityByName({ name: String(entry), raw: true });
+      return {
+        record: result.data,
+        input: entry,
+        resolvedBy: byId ? 'id' : result.resolution.method,
+        confidence: byId ? 1 : result.resolution.confidence
+      };
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 404) {
+        throw new ApiError(`University not found: ${entry}`, 404, { input: entry, ...error.details });
+      }
+      throw error;
+    }
+  }));
+
+  const records = resolved.map(entry => entry.record);
+  return {
+    data: {
+      universities: resolved.map(({ record, input, resolvedBy, confidence }) => ({
+        input,
+        objectid: record.objectid,
+        name: record.name,
+        resolvedBy,
+        confidence,
+        university: present(record, raw)
+      })),
+      rows: compareRecords(records, compareFields, { raw })
+    },
+    metadata: {
+      count: records.length,
+      fields: compareFields,
+      baseline: records[0].name
+    }
+  };
+}
+
+/**
+ * Distinct values of one or more fields with their record counts
+ *
+ * Counts are taken over the records matching the same `query`, `state`,
+ * `city` and `filter` parameters as `/search`. `prefix` keeps values that
+ * start with it in any of its common casings (see prefixSpellings);
+ * `limit` and `offset` page through high-cardinality fields.
+ *
+ * @param {object} params - Facet parameters (see the `/facets` endpoint definition)
+ */
+async function facets(params = {}) {
+  const {
+    query = '',
+    state = '',
+    city = '',
+    filter,
+    prefix,
+    limit = 20,
+    offset = 0,
+    sort = 'count'
+  } = params;
+
+  const fieldNames = params.fields;
+  // The schema only knows field names; which types can be faceted depends on the catalog
+  for (const name of fieldNames) {
+    if (!FACET_TYPES.has(FIELD_TYPES.get(name))) {
+      throw new ApiError(`Cannot facet on ${FIELD_TYPES.get(name)} field '${name}'`);
+    }
+  }
+
+  const baseFilter = allOf(state ? eq('state', state) : null, city ? eq('city', city) : null, parseFilter(filter));
+  const results = [];
+  for (const name of Array.from(new Set(fieldNames))) {
+    const prefixFilter = prefix === undefined ? null : {
+      or: prefixSpellings(prefix).map(value => ({ field: name, op: 'startsWith', value }))
+    };
+    const order = { field: name, direction: 'asc' };
+    const aggregateQuery = {
+      filter: allOf(baseFilter, prefixFilter),
+      aggregations: [{ aggregation: 'count', alias: 'count' }],
+      groupBy: [name],
+      orderBy: sort === 'count' ? [{ field: 'count', direction: 'desc' }, order] : [order],
+      // One extra group tells whether another page follows
+      limit: Number(limit) + 1,
+      offset: Number(offset)
+    };
+    if (query) {
+      aggregateQuery.q = query;
+    }
+
+    let data;
+    try {
+      data = await getDataSource().aggregate(aggregateQuery, { endpoint: 'facets' });
+    } catch (error) {
+      throw upstreamError(error, "Failed to fetch facets");
+    }
+
+    const rows = data.results || [];
+    results.push({
+      field: name,
+      values: rows.slice(0, Number(limit)).map(row => ({ value: row[name] ?? null, count: row.count })),
+      offset: Number(offset),
+      limit: Number(limit),
+      hasMore: rows.length > Number(limit)
+    });
+  }
+
+  return {
+    data: { facets: results },
+    metadata: {
+      query_parameters: { query, state, city, filter, prefix, sort }
+    }
+  };
+}
+
+/**
+ * Casings of a prefix worth matching: as given, upper case (the dataset's
+ * usual casing), lower case and title case
+ */
+function prefixSpellings(prefix) {
+  const lower = prefix.toLowerCase();
+  const title = lower.replace(/(^|[\s-])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase());
+  return Array.from(new Set([prefix, prefix.toUpperCase(), lower, title]));
+}
+
+/**
+ * Validate parameters built here for another tool against that tool's
+ * endpoint schema, as a request for it would be. lib/endpoints.js takes
+ * its limits from this module while it loads, so it is read on first use.
+ */
+function toolParams(tool, params) {
+  const { endpoints, toJsonSchema } = require('./endpoints');
+  return validateParams(toJsonSchema(endpoints.find(endpoint => endpoint.tool === tool).parameters), params);
+}
+
+/**
+ * Answer a question written in plain English
+ *
+ * The question is compiled by rules (see lib/ask.js) into a search, nearby
+ * search or statistics request, which is then run like any other. The
+ * interpretation is returned with the tool's data so callers can see what
+ * was understood, and with `execute: false` it is all that is returned.
+ *
+ * @param {object} params - Parameters (see the `/ask` endpoint definition)
+ */
+async function ask(params = {}) {
+  const { question, limit, raw, execute = true } = params;
+  const interpretation = interpretQuestion(question, { limit, raw });
+  if (!execute) {
+    return { data: { interpretation, result: null } };
+  }
+
+  const tools = { search, searchNearby, statistics };
+  const result = await tools[interpretation.tool](toolParams(interpretation.tool, interpretation.params));
+  return {
+    data: { interpretation, result: result.data },
+    metadata: result.metadata
+  };
+}
+
+module.exports = {
+  MAX_SEARCH_PAGES,
+  NAME_MODES,
+  MAX_NAME_CANDIDATES,
+  MAX_COMPARE,
+  MAX_FACET_FIELDS,
+  MAX_FACET_VALUES,
+  search,
+  searchNearby,
+  getUniversity,
+  getUniversityByName,
+  getFields,
+  statistics,
+  compare,
+  facets,
+  batch,
+  saveQuery,
+  listQueries,
+  getQuery,
+  deleteQuery,
+  snapshotQuery,
+  diffQuery,
+  ask
+};
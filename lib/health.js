@@ -0,0 +1,93 @@
+/**
+ * Health reporting
+ *
+ * Combines a live check of the data source with the upstream client's
+ * circuit breaker state and request statistics. Checks are reused for a
+ * few seconds so that frequent probes by load balancers do not each reach
+ * the upstream API.
+ */
+
+const config = require('./config');
+const { getDataSource, getCache } = require('./datasources');
+
+// How long a check result is reused
+const CHECK_INTERVAL_MS = 5000;
+
+// Read timeout of a check, shorter than the one for real requests
+const CHECK_TIMEOUT_MS = 3000;
+
+const startedAt = Date.now();
+let lastCheck = null;
+
+/**
+ * Check the data source, reusing a recent result
+ */
+async function checkSource(source) {
+  if (lastCheck && lastCheck.source === source && Date.now() - lastCheck.at < CHECK_INTERVAL_MS) {
+    return lastCheck.result;
+  }
+  let result;
+  try {
+    const { latencyMs } = await source.ping({ timeoutMs: CHECK_TIMEOUT_MS });
+    result = { reachable: true, latencyMs, checkedAt: new Date().toISOString() };
+  } catch (error) {
+    result = { reachable: false, latencyMs: null, checkedAt: new Date().toISOString(), error: error.message };
+  }
+  lastCheck = { source, at: Date.now(), result };
+  return result;
+}
+
+/**
+ * Overall status from what is known without a live check: 'ok' while the
+ * breaker is closed, 'degraded' while it is testing the upstream again,
+ * 'down' while it is open
+ *
+ * @returns {string}
+ */
+function currentStatus() {
+  const upstream = getDataSource().upstream;
+  if (!upstream) {
+    return 'ok';
+  }
+  return { closed: 'ok', half_open: 'degraded', open: 'down' }[upstream.breaker.state];
+}
+
+/**
+ * Full health report, including a (possibly reused) live check
+ *
+ * `status` is 'ok' when the data source answered and the breaker is
+ * closed, 'degraded' when requests are being retried, refused or served
+ * from stale cache entries but some answers are still possible, and 'down'
+ * otherwise.
+ *
+ * @returns {Promise<object>}
+ */
+async function healthReport() {
+  const source = getDataSource();
+  const check = await checkSource(source);
+  const upstream = source.upstream ? source.upstream.report() : null;
+  const breakerState = upstream ? upstream.breaker.state : 'closed';
+  const staleAvailable = Boolean(source.upstream) && config.cache.enabled && config.cache.serveStale
+    && getCache().report().entries > 0;
+
+  let status;
+  if (check.reachable) {
+    status = breakerState === 'closed' ? 'ok' : 'degraded';
+  } else {
+    status = staleAvailable ? 'degraded' : 'down';
+  }
+
+  return {
+    status,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    dataSource: source.name,
+    check,
+    upstream,
+    staleAvailable
+  };
+}
+
+module.exports = {
+  healthReport,
+  currentStatus
+};
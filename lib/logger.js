@@ -0,0 +1,132 @@
+/**
+ * Structured logging
+ *
+ * Writes one JSON object per line with a timestamp, level and message,
+ * plus the ID of the request being served (from lib/request-context.js).
+ * Values under sensitive keys (authorization headers, API keys, tokens,
+ * passwords, cookies) are replaced before anything is written.
+ */
+
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { currentContext } = require('./request-context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SENSITIVE_KEY = /authorization|api[-_]?key|password|secret|token|cookie/i;
+const BEARER = /\b(Bearer\s+)[^\s"',]+/gi;
+const REDACTED = '[REDACTED]';
+
+// Nesting below which values are summarized rather than written out
+const MAX_DEPTH = 6;
+
+/**
+ * Copy a value for logging with sensitive entries replaced. Errors become
+ * plain objects; ApiErrors (expected failures) omit their stack.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(BEARER, `$1${REDACTED}`);
+  }
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redact(value.message) };
+    if (value instanceof ApiError) {
+      error.status = value.status;
+      error.code = value.code;
+    } else {
+      if (value.code !== undefined) {
+        error.code = value.code;
+      }
+      error.stack = value.stack;
+    }
+    if (value.cause !== undefined && depth < MAX_DEPTH) {
+      error.cause = redact(value.cause, depth + 1);
+    }
+    return error;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level='info'] - Least severe level written
+   * @param {object} [options.stream=process.stdout] - Where lines are written
+   */
+  constructor(options = {}) {
+    this.setLevel(options.level || 'info');
+    this.stream = options.stream || process.stdout;
+  }
+
+  setLevel(level) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Send log lines to another stream (the stdio MCP server uses stderr,
+   * since stdout carries protocol messages)
+   */
+  setStream(stream) {
+    this.stream = stream;
+  }
+
+  /**
+   * Write a log line
+   *
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message
+   * @param {object} [fields] - Extra properties; an `error` is serialized
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, msg: redact(message) };
+    const requestId = currentContext()?.requestId;
+    if (requestId !== undefined) {
+      entry.requestId = requestId;
+    }
+    Object.assign(entry, redact(fields));
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+const logger = new Logger({ level: config.logLevel });
+
+module.exports = {
+  logger,
+  Logger,
+  redact
+};
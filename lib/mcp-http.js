@@ -0,0 +1,228 @@
+/**
+ * MCP Streamable HTTP transport
+ *
+ * Express router exposing the MCP dispatcher at a single endpoint:
+ *
+ * - POST   accepts JSON-RPC messages. Tool calls are answered over a
+ *          Server-Sent Events stream (carrying progress notifications
+ *          followed by the response) when the client accepts
+ *          `text/event-stream`; everything else is answered as JSON.
+ * - DELETE terminates the session named by the `Mcp-Session-Id` header.
+ * - GET    is not offered (this server never initiates messages).
+ *
+ * A session is created by `initialize` and its ID is returned in the
+ * `Mcp-Session-Id` response header; every later request must echo it.
+ * Idle sessions expire, and past the session limit the one idle for longest
+ * is dropped to make room for a new one.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { ErrorCodes, JsonRpcError, errorResponse } = require('./mcp');
+const { runWithContext } = require('./request-context');
+
+const SESSION_HEADER = 'mcp-session-id';
+
+// Sessions idle for longer than this are discarded
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Open sessions kept at most; initialize needs no credentials by default
+const MAX_SESSIONS = 1000;
+
+// How often expired sessions are swept, at most
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create the router serving the MCP endpoint
+ *
+ * @param {McpServer} server - The MCP dispatcher
+ * @param {object} [options]
+ * @param {number} [options.sessionTtlMs] - Idle time after which a session expires
+ * @param {number} [options.maxSessions] - Open sessions kept at most
+ * @returns {express.Router}
+ */
+function createMcpRouter(server, options = {}) {
+  const sessionTtlMs = options.sessionTtlMs || SESSION_TTL_MS;
+  const maxSessions = options.maxSessions || MAX_SESSIONS;
+  // Least recently seen first
+  const sessions = new Map();
+  const router = express.Router();
+
+  /**
+   * Whether a session has been idle for too long
+   */
+  function isExpired(session, now = Date.now()) {
+    return now - session.lastSeen > sessionTtlMs;
+  }
+
+  /**
+   * Drop sessions that have been idle for too long
+   */
+  function sweepSessions() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (!isExpired(session, now)) {
+        break;
+      }
+      sessions.delete(id);
+    }
+  }
+
+  setInterval(sweepSessions, Math.min(sessionTtlMs, SWEEP_INTERVAL_MS)).unref();
+
+  /**
+   * Keep a new session, dropping the ones idle for longest beyond the limit
+   */
+  function addSession(session) {
+    sessions.set(session.id, session);
+    for (const id of sessions.keys()) {
+      if (sessions.size <= maxSessions) {
+        break;
+      }
+      sessions.delete(id);
+    }
+  }
+
+  /**
+   * Dispatch a message in the context of the HTTP request that carried it
+   * (body parsing resumes outside of it)
+   */
+  function handleMessage(req, message, context) {
+    return runWithContext(req.context || {}, () => server.handleMessage(message, context));
+  }
+
+  /**
+   * Look up the session named in the request headers, answering with the
+   * appropriate error when it is missing or unknown
+   */
+  function requireSession(req, res) {
+    const sessionId = req.get(SESSION_HEADER);
+    if (!sessionId) {
+      res.status(400).json(errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "Missing Mcp-Session-Id header")));
+      return null;
+    }
+
+    const session = sessions.get(sessionId);
+    if (!session || isExpired(session)) {
+      sessions.delete(sessionId);
+      res.status(404).json(errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "Session not found")));
+      return null;
+    }
+
+    // Seen again, so it moves to the end of the idle order
+    session.lastSeen = Date.now();
+    sessions.delete(sessionId);
+    sessions.set(sessionId, session);
+    return session;
+  }
+
+  // body-parser reads an empty JSON body as {}; for JSON-RPC it is a parse error
+  router.use(bodyParser.json({
+    verify(req, res, buffer) {
+      if (buffer.length === 0) {
+        throw Object.assign(new Error("Empty request body"), { type: 'entity.parse.failed' });
+      }
+    }
+  }));
+
+  router.post('/', async (req, res) => {
+    // No body, or one that is not JSON, carries no message at all
+    if (req.body === undefined || req.body === null) {
+      return res.status(400).json(errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, "Parse error")));
+    }
+
+    const message = req.body;
+    const messages = Array.isArray(message) ? message : [message];
+    const isInitialize = messages.some(item => item && item.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      if (messages.length > 1) {
+        return res.status(400).json(errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "initialize must not be batched")));
+      }
+      session = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        lastSeen: Date.now()
+      };
+    } else {
+      session = requireSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    res.set('Mcp-Session-Id', session.id);
+
+    const hasRequests = messages.some(item => item && typeof item.method === 'string' && 'id' in item);
+    if (!hasRequests) {
+      // Only notifications or responses: acknowledge without a body
+      await handleMessage(req, message, { session });
+      return res.status(202).end();
+    }
+
+    const wantsStream = messages.some(item => item && item.method === 'tools/call')
+      && (req.get('accept') || '').includes('text/event-stream');
+
+    if (!wantsStream) {
+      const response = await handleMessage(req, message, { session });
+      if (isInitialize && response && !response.error) {
+        addSession(session);
+      }
+      return res.json(response);
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const writeEvent = (payload) => {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      eventId++;
+      res.write(`id: ${eventId}\nevent: message\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const response = await handleMessage(req, message, { session, notify: writeEvent });
+    if (response) {
+      writeEvent(response);
+    }
+    res.end();
+  });
+
+  router.delete('/', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) {
+      return;
+    }
+    sessions.delete(session.id);
+    res.status(204).end();
+  });
+
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE');
+    res.status(405).json(errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "Server-initiated streams are not supported; POST JSON-RPC messages instead")));
+  });
+
+  // Malformed JSON bodies become JSON-RPC parse errors
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json(errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, "Parse error")));
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = {
+  MAX_SESSIONS,
+  createMcpRouter
+};
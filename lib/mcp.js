@@ -0,0 +1,245 @@
+/**
+ * Model Context Protocol (MCP) message handling
+ *
+ * Transport-independent JSON-RPC 2.0 dispatcher implementing the subset of
+ * MCP this server needs: `initialize`, `ping`, `tools/list` and
+ * `tools/call`. Tools are derived from the endpoint definitions and backed
+ * by the same handlers as the REST routes.
+ */
+
+const handlers = require('./handlers');
+const { endpoints, toJsonSchema } = require('./endpoints');
+const { ApiError } = require('./errors');
+const { validateParams } = require('./validation');
+const { logger } = require('./logger');
+const { toolCalls } = require('./metrics');
+
+const SERVER_INFO = {
+  name: "university-data-mcp",
+  version: "1.0.0"
+};
+
+// Newest first; the first entry is offered when the client asks for an unknown version
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Standard JSON-RPC 2.0 error codes
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+/**
+ * Error that is reported to the client as a JSON-RPC error object
+ */
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Build the MCP tool list from the endpoint definitions (endpoints without
+ * a `tool` name are REST-only)
+ */
+function buildTools() {
+  return endpoints.filter(endpoint => endpoint.tool).map(endpoint => ({
+    name: endpoint.tool,
+    description: endpoint.description,
+    inputSchema: toJsonSchema(endpoint.parameters),
+    handler: handlers[endpoint.tool]
+  }));
+}
+
+class McpServer {
+  /**
+   * @param {object} [options]
+   * @param {Array<object>} [options.tools] - Tools to expose (defaults to every endpoint)
+   */
+  constructor(options = {}) {
+    this.tools = new Map();
+    for (const tool of options.tools || buildTools()) {
+      this.tools.set(tool.name, tool);
+    }
+  }
+
+  /**
+   * Handle one incoming JSON-RPC message (or batch)
+   *
+   * @param {object|Array<object>} message - Parsed JSON-RPC message
+   * @param {object} [context] - Transport specific context passed to tool handlers
+   * @returns {Promise<object|Array<object>|null>} - Response, or null for notifications
+   */
+  async handleMessage(message, context = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "Empty batch"));
+      }
+      const responses = await Promise.all(message.map(item => this.handleMessage(item, context)));
+      const filtered = responses.filter(response => response !== null);
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (to requests we never send) are ignored
+      if (message && message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) {
+        return null;
+      }
+      return errorResponse(message?.id ?? null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, "Invalid JSON-RPC request"));
+    }
+
+    const isNotification = !('id' in message);
+
+    try {
+      const result = await this._dispatch(message.method, message.params || {}, context);
+      if (isNotification) {
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+      return errorResponse(message.id, error);
+    }
+  }
+
+  /**
+   * Route a request to the matching protocol method
+   */
+  async _dispatch(method, params, context) {
+    switch (method) {
+      case 'initialize':
+        return this._initialize(params);
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return {};
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({
+            name,
+            description,
+            inputSchema
+          }))
+        };
+      case 'tools/call':
+        return this._callTool(params, context);
+      default:
+        throw new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  _initialize(params) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false }
+      },
+      serverInfo: SERVER_INFO,
+      instructions: "Query US colleges and universities from the OpenDataSoft dataset. Use getFields to discover field names before filtering or computing statistics."
+    };
+  }
+
+  /**
+   * Execute a tool. Arguments are checked against the tool's input schema
+   * first; invalid arguments and handler failures are reported as tool
+   * results with `isError` set so the model can see and react to them.
+   *
+   * When the request carries a progress token and the transport can send
+   * notifications (`context.notify`), handlers may report progress.
+   */
+  async _callTool(params, context) {
+    const { name, arguments: args = {} } = params;
+    const progressToken = params._meta?.progressToken;
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, "Tool arguments must be an object");
+    }
+
+    const toolContext = {
+      ...context,
+      reportProgress: (progress, total, message) => {
+        if (progressToken === undefined || !context.notify) {
+          return;
+        }
+        context.notify({
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress, total, message }
+        });
+      }
+    };
+
+    try {
+      const validArgs = tool.inputSchema ? validateParams(tool.inputSchema, args) : args;
+      const result = await tool.handler(validArgs, toolContext);
+      toolCalls.inc({ tool: name, outcome: 'success' });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+        isError: false
+      };
+    } catch (error) {
+      toolCalls.inc({ tool: name, outcome: 'error' });
+      if (!(error instanceof ApiError) || error.status === 500) {
+        logger.error('Unexpected error in tool', { tool: name, error });
+      } else {
+        logger.info('Tool call failed', { tool: name, status: error.status, code: error.code });
+      }
+      const text = error.message || "Tool execution failed";
+      return {
+        content: [{
+          type: 'text',
+          text: error.details !== undefined ? `${text}\n${JSON.stringify(error.details, null, 2)}` : text
+        }],
+        structuredContent: {
+          error: { message: text, code: error instanceof ApiError ? error.code : 'internal_error', details: error.details }
+        },
+        isError: true
+      };
+    }
+  }
+}
+
+/**
+ * Build a JSON-RPC error response
+ */
+function errorResponse(id, error) {
+  const code = error instanceof JsonRpcError ? error.code : ErrorCodes.INTERNAL_ERROR;
+  const response = {
+    jsonrpc: '2.0',
+    id,
+    error: {
+      code,
+      message: error.message || "Internal error"
+    }
+  };
+  if (error instanceof JsonRpcError && error.data !== undefined) {
+    response.error.data = error.data;
+  }
+  return response;
+}
+
+module.exports = {
+  McpServer,
+  JsonRpcError,
+  ErrorCodes,
+  errorResponse,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
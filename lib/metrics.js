@@ -0,0 +1,188 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms with labels, rendered
+ * in the Prometheus text exposition format by `/metrics`. Values that
+ * other modules already track (cache statistics, circuit breaker state)
+ * are read when metrics are collected rather than duplicated here.
+ */
+
+// Latency buckets in seconds, from fast cache hits to slow upstream pages
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Base for metrics whose series are keyed by their label values. A
+ * `collect` function, when given, is called before rendering to set values
+ * kept elsewhere.
+ */
+class Metric {
+  constructor(type, name, help, labelNames = [], collect = undefined) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  set(labels = {}, value) {
+    this._series(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+  }
+
+  _series(labels, create) {
+    const values = this.labelNames.map(name => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]])));
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this._lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('counter', name, help, labelNames, collect);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this._series(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += amount;
+  }
+
+  _lines() {
+    return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${labelText(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames, collect);
+  }
+
+  _lines() {
+    return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${labelText(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this._series(labels, seriesLabels => ({
+      labels: seriesLabels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelText({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${labelText(labels)} ${sum}`);
+      lines.push(`${this.name}_count${labelText(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames, collect) {
+    return this._add(new Counter(name, help, labelNames, collect));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   *
+   * @returns {string}
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests answered', ['method', 'route', 'status']);
+const httpDuration = registry.histogram('http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route']);
+const upstreamRequests = registry.counter('upstream_requests_total', 'Requests sent to the upstream API, by outcome (HTTP status, timeout, network_error or circuit_open)', ['upstream', 'outcome']);
+const upstreamDuration = registry.histogram('upstream_request_duration_seconds', 'Latency of upstream API requests', ['upstream']);
+const upstreamRetries = registry.counter('upstream_retries_total', 'Upstream requests retried after a failure', ['upstream']);
+const toolCalls = registry.counter('mcp_tool_calls_total', 'MCP tool calls, by outcome (success or error)', ['tool', 'outcome']);
+
+registry.gauge('process_uptime_seconds', 'Seconds since the process started', [], gauge => {
+  gauge.set({}, Math.round(process.uptime()));
+});
+registry.gauge('process_resident_memory_bytes', 'Resident memory size', [], gauge => {
+  gauge.set({}, process.memoryUsage().rss);
+});
+
+module.exports = {
+  registry,
+  Registry,
+  LATENCY_BUCKETS,
+  httpRequests,
+  httpDuration,
+  upstreamRequests,
+  upstreamDuration,
+  upstreamRetries,
+  toolCalls
+};
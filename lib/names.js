@@ -0,0 +1,270 @@
+/**
+ * University name resolution
+ *
+ * Normalizes institution names, expands common abbreviations and aliases,
+ * and scores candidate records by string similarity so that lookups such
+ * as "UC Berkeley", "MIT" or "st marys college " can be resolved to
+ * dataset records.
+ */
+
+// Whole-name aliases, keyed by normalized alias
+const ALIASES = {
+  'mit': 'massachusetts institute of technology',
+  'caltech': 'california institute of technology',
+  'cal tech': 'california institute of technology',
+  'ucla': 'university of california los angeles',
+  'ucsd': 'university of california san diego',
+  'ucsb': 'university of california santa barbara',
+  'ucsc': 'university of california santa cruz',
+  'uci': 'university of california irvine',
+  'ucd': 'university of california davis',
+  'ucr': 'university of california riverside',
+  'ucsf': 'university of california san francisco',
+  'cal': 'university of california berkeley',
+  'usc': 'university of southern california',
+  'nyu': 'new york university',
+  'cmu': 'carnegie mellon university',
+  'upenn': 'university of pennsylvania',
+  'penn': 'university of pennsylvania',
+  'penn state': 'pennsylvania state university main campus',
+  'georgia tech': 'georgia institute of technology main campus',
+  'gatech': 'georgia institute of technology main campus',
+  'umich': 'university of michigan ann arbor',
+  'uiuc': 'university of illinois urbana champaign',
+  'ut austin': 'the university of texas at austin',
+  'unc': 'university of north carolina at chapel hill',
+  'unc chapel hill': 'university of north carolina at chapel hill',
+  'uw': 'university of washington seattle campus',
+  'uw madison': 'university of wisconsin madison',
+  'byu': 'brigham young university',
+  'lsu': 'louisiana state university and agricultural and mechanical college',
+  'osu': 'ohio state university main campus',
+  'ohio state': 'ohio state university main campus',
+  'rpi': 'rensselaer polytechnic institute',
+  'wpi': 'worcester polytechnic institute',
+  'jhu': 'johns hopkins university',
+  'johns hopkins': 'johns hopkins university',
+  'asu': 'arizona state university campus immersion',
+  'uva': 'university of virginia main campus',
+  'umass': 'university of massachusetts amherst',
+  'umass amherst': 'university of massachusetts amherst',
+  'uconn': 'university of connecticut',
+  'ucf': 'university of central florida',
+  'fsu': 'florida state university',
+  'tamu': 'texas a and m university college station',
+  'texas a and m': 'texas a and m university college station',
+  'vt': 'virginia polytechnic institute and state university',
+  'virginia tech': 'virginia polytechnic institute and state university',
+  'smu': 'southern methodist university',
+  'tcu': 'texas christian university',
+  'bu': 'boston university',
+  'bc': 'boston college'
+};
+
+// Campus-prefix patterns: "uc davis" -> "university of california davis"
+const PREFIXES = {
+  'uc': 'university of california',
+  'ut': 'the university of texas at',
+  'suny': 'suny',
+  'cuny': 'cuny'
+};
+
+// Token abbreviations; a list means the abbreviation is ambiguous
+const ABBREVIATIONS = {
+  'univ': ['university'],
+  'u': ['university'],
+  'coll': ['college'],
+  'inst': ['institute'],
+  'tech': ['technology', 'technological'],
+  'cc': ['community college'],
+  'comm': ['community'],
+  'st': ['saint', 'state'],
+  'mt': ['mount'],
+  'ft': ['fort'],
+  'sch': ['school'],
+  'ctr': ['center'],
+  'intl': ['international']
+};
+
+// Longest name accepted for resolution
+const MAX_NAME_LENGTH = 200;
+
+// Most variants an abbreviated name expands into
+const MAX_NAME_VARIANTS = 16;
+
+// Words too common to identify an institution on their own
+const STOPWORDS = new Set([
+  'the', 'of', 'at', 'and', 'in', 'for', 'a',
+  'university', 'college', 'institute', 'school', 'campus', 'main', 'community'
+]);
+
+/**
+ * Normalize a name for comparison: lower case, accents removed, `&` as
+ * "and", punctuation as spaces, whitespace collapsed
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Expand a name into the normalized variants worth searching for: the
+ * name itself, a known alias, a campus-prefix expansion, the name with
+ * every abbreviation given its first reading, and that name again with
+ * one ambiguous abbreviation read the other way. Ambiguous tokens are
+ * varied one at a time, so the variants grow with the number of tokens
+ * rather than doubling for each, and are capped at MAX_NAME_VARIANTS.
+ *
+ * @param {string} name
+ * @returns {string[]} - Distinct normalized variants, most literal first
+ */
+function expandName(name) {
+  const normalized = normalizeName(name);
+  const variants = [normalized];
+
+  const withoutThe = normalized.replace(/^the /, '');
+  if (ALIASES[withoutThe]) {
+    variants.push(ALIASES[withoutThe]);
+  }
+
+  const [first, ...rest] = withoutThe.split(' ');
+  if (PREFIXES[first] && rest.length > 0) {
+    variants.push(`${PREFIXES[first]} ${rest.join(' ')}`);
+  }
+
+  const readings = normalized.split(' ').map(token => ABBREVIATIONS[token] || [token]);
+  const primary = readings.map(options => options[0]);
+  variants.push(primary.join(' '));
+  readings.forEach((options, index) => {
+    for (const reading of options.slice(1)) {
+      variants.push([...primary.slice(0, index), reading, ...primary.slice(index + 1)].join(' '));
+    }
+  });
+
+  return Array.from(new Set(variants.filter(Boolean))).slice(0, MAX_NAME_VARIANTS);
+}
+
+/**
+ * The distinctive words of a normalized name, longest first
+ */
+function keywords(normalized) {
+  return Array.from(new Set(normalized.split(' ')))
+    .filter(token => token && !STOPWORDS.has(token))
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function levenshtein(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Dice coefficient over character bigrams
+ */
+function diceCoefficient(a, b) {
+  const bigrams = text => {
+    const counts = new Map();
+    const padded = ` ${text} `;
+    for (let i = 0; i < padded.length - 1; i++) {
+      const gram = padded.slice(i, i + 2);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+  };
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, count] of left) {
+    overlap += Math.min(count, right.get(gram) || 0);
+    total += count;
+  }
+  for (const count of right.values()) {
+    total += count;
+  }
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+/**
+ * Similarity of two normalized names between 0 and 1, combining edit
+ * distance over word-sorted names (robust to word order) with bigram
+ * overlap (robust to typos and extra words)
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const sortTokens = text => text.split(' ').sort().join(' ');
+  const sortedA = sortTokens(a);
+  const sortedB = sortTokens(b);
+  const longest = Math.max(sortedA.length, sortedB.length) || 1;
+  const editRatio = 1 - levenshtein(sortedA, sortedB) / longest;
+  return 0.5 * editRatio + 0.5 * diceCoefficient(a, b);
+}
+
+/**
+ * Score records against a name and rank them
+ *
+ * @param {string} name - Name supplied by the caller
+ * @param {Array<object>} records - Candidate dataset records
+ * @returns {Array<{record: object, score: number, matched: string}>} - Best first
+ */
+function rankCandidates(name, records) {
+  const variants = expandName(name);
+  const seen = new Set();
+  const ranked = [];
+
+  for (const record of records) {
+    const key = record.objectid ?? record.name;
+    if (!record.name || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    const candidate = normalizeName(record.name);
+    let best = { score: 0, matched: variants[0] };
+    for (const variant of variants) {
+      const score = similarity(variant, candidate);
+      if (score > best.score) {
+        best = { score, matched: variant };
+      }
+    }
+    ranked.push({ record, score: Math.round(best.score * 1000) / 1000, matched: best.matched });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_NAME_VARIANTS,
+  normalizeName,
+  expandName,
+  keywords,
+  similarity,
+  rankCandidates
+};
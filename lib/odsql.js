@@ -0,0 +1,463 @@
+/**
+ * ODSQL query builder
+ *
+ * Every query sent to the OpenDataSoft API is composed here so that caller
+ * input never reaches ODSQL unescaped: values are rendered as literals with
+ * quotes and backslashes escaped, and field names are checked against the
+ * known dataset fields before use.
+ */
+
+const { ApiError } = require('./errors');
+const { FIELD_NAMES, GEO_POINT_FIELDS } = require('./fields');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+const AGGREGATIONS = ['count', 'sum', 'avg', 'min', 'max', 'median', 'percentile'];
+const CASTS = ['int', 'double'];
+const DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Render a JavaScript value as an ODSQL literal
+ *
+ * @param {string|number|boolean|null} value - The value to render
+ * @returns {string} - The ODSQL literal
+ */
+function literal(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new ApiError(`Invalid numeric value: ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  throw new ApiError(`Unsupported value type: ${typeof value}`);
+}
+
+/**
+ * Validate a dataset field name
+ *
+ * @param {string} name - Field name supplied by the caller
+ * @param {Set<string>} [fields] - Allowed field names
+ * @returns {string} - The field name, safe to embed in ODSQL
+ */
+function field(name, fields = FIELD_NAMES) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name) || !fields.has(name)) {
+    throw new ApiError(`Unknown field: ${formatForMessage(name)}`);
+  }
+  return name;
+}
+
+/**
+ * Validate a result alias (used with `as` in select clauses)
+ *
+ * @param {string} name - The alias
+ * @returns {string} - The alias, safe to embed in ODSQL
+ */
+function alias(name) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new ApiError(`Invalid alias: ${formatForMessage(name)}`);
+  }
+  return name;
+}
+
+/**
+ * Build a comparison between a field and a literal value.
+ * Comparing with null produces `is null` / `is not null`.
+ *
+ * @param {string} fieldName - Dataset field
+ * @param {string} operator - One of =, !=, <, <=, >, >=
+ * @param {*} value - Value to compare against
+ * @param {Set<string>} [fields] - Allowed field names
+ * @returns {string} - ODSQL condition
+ */
+function condition(fieldName, operator, value, fields) {
+  const name = field(fieldName, fields);
+
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw new ApiError(`Invalid operator: ${formatForMessage(operator)}`);
+  }
+
+  if (value === null) {
+    if (operator === '=') {
+      return `${name} is null`;
+    }
+    if (operator === '!=') {
+      return `${name} is not null`;
+    }
+    throw new ApiError(`Operator ${operator} cannot be used with null`);
+  }
+
+  return `${name} ${operator} ${literal(value)}`;
+}
+
+/**
+ * Match any of a list of values (compiled as ORed equalities)
+ *
+ * @param {string} fieldName - Dataset field
+ * @param {Array<*>} values - Non-empty list of values
+ * @param {Set<string>} [fields] - Allowed field names
+ * @returns {string} - ODSQL condition
+ */
+function inList(fieldName, values, fields) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new ApiError(`A non-empty list of values is required for field ${formatForMessage(fieldName)}`);
+  }
+  return or(...values.map(value => condition(fieldName, '=', value, fields)));
+}
+
+/**
+ * Match values within an inclusive range
+ *
+ * @returns {string} - ODSQL condition
+ */
+function between(fieldName, low, high, fields) {
+  return and(condition(fieldName, '>=', low, fields), condition(fieldName, '<=', high, fields));
+}
+
+/**
+ * Match text values beginning with a prefix
+ *
+ * @returns {string} - ODSQL condition
+ */
+function startsWith(fieldName, prefix, fields) {
+  if (typeof prefix !== 'string') {
+    throw new ApiError(`Prefix for field ${formatForMessage(fieldName)} must be a string`);
+  }
+  return `startswith(${field(fieldName, fields)}, ${literal(prefix)})`;
+}
+
+/**
+ * Validate a geo point field name
+ */
+function geoField(name) {
+  if (!GEO_POINT_FIELDS.has(name)) {
+    throw new ApiError(`Field ${formatForMessage(name)} is not a geo point field`);
+  }
+  return field(name);
+}
+
+/**
+ * Render a point as an ODSQL geometry literal
+ *
+ * @param {{lat: number, lon: number}} point
+ */
+function geometryPoint(point) {
+  const lat = Number(point && point.lat);
+  const lon = Number(point && point.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new ApiError("Point coordinates must be finite numbers");
+  }
+  return `geom'POINT(${lon} ${lat})'`;
+}
+
+/**
+ * Match points within a distance (in meters) of a center point
+ *
+ * @returns {string} - ODSQL condition
+ */
+function withinDistance(fieldName, center, meters) {
+  const distance = Number(meters);
+  if (!Number.isFinite(distance) || distance < 0) {
+    throw new ApiError("Distance must be a non-negative number");
+  }
+  return `within_distance(${geoField(fieldName)}, ${geometryPoint(center)}, ${distance}m)`;
+}
+
+/**
+ * Match points inside a bounding box { minLat, minLon, maxLat, maxLon }
+ *
+ * @returns {string} - ODSQL condition
+ */
+function inBbox(fieldName, bbox) {
+  const corners = [bbox.minLat, bbox.minLon, bbox.maxLat, bbox.maxLon].map(Number);
+  if (!corners.every(Number.isFinite)) {
+    throw new ApiError("Bounding box coordinates must be finite numbers");
+  }
+  return `in_bbox(${geoField(fieldName)}, ${corners.join(', ')})`;
+}
+
+/**
+ * Combine conditions with AND. Empty input yields an empty string.
+ */
+function and(...conditions) {
+  return combine(conditions, 'AND');
+}
+
+/**
+ * Combine conditions with OR. Empty input yields an empty string.
+ */
+function or(...conditions) {
+  return combine(conditions, 'OR');
+}
+
+/**
+ * Negate a condition
+ */
+function not(clause) {
+  return `NOT (${clause})`;
+}
+
+function combine(conditions, operator) {
+  const parts = conditions.filter(Boolean);
+  if (parts.length === 0) {
+    return '';
+  }
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  return parts.map(part => `(${part})`).join(` ${operator} `);
+}
+
+/**
+ * Build an aggregate select expression
+ *
+ * @param {string} aggregation - One of count, sum, avg, min, max, median, percentile
+ * @param {string} [fieldName] - Field to aggregate (validated but unused for count)
+ * @param {string} resultAlias - Name of the result column
+ * @param {object} [options]
+ * @param {string} [options.cast] - Cast applied to the field first ('int' or 'double')
+ * @param {number} [options.percentile] - Percentile to compute (above 0, at most 100)
+ * @param {Set<string>} [options.fields] - Allowed field names
+ * @returns {string} - ODSQL select expression
+ */
+function aggregate(aggregation, fieldName, resultAlias, options = {}) {
+  if (!AGGREGATIONS.includes(aggregation)) {
+    throw new ApiError(`Invalid aggregation. Must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+
+  if (aggregation === 'count') {
+    // The field is not needed to count records, but must still be a known field
+    if (fieldName !== undefined) {
+      field(fieldName, options.fields);
+    }
+    return `count(*) as ${alias(resultAlias)}`;
+  }
+
+  let expression = field(fieldName, options.fields);
+  if (options.cast) {
+    if (!CASTS.includes(options.cast)) {
+      throw new ApiError(`Invalid cast: ${formatForMessage(options.cast)}`);
+    }
+    expression = `${options.cast}(${expression})`;
+  }
+  if (aggregation === 'percentile') {
+    return `percentile(${expression}, ${percentileValue(options.percentile)}) as ${alias(resultAlias)}`;
+  }
+  return `${aggregation}(${expression}) as ${alias(resultAlias)}`;
+}
+
+/**
+ * Validate a percentile rank
+ */
+function percentileValue(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 100) {
+    throw new ApiError("percentile must be a number above 0 and at most 100");
+  }
+  return value;
+}
+
+/**
+ * Render a value for inclusion in an error message
+ */
+function formatForMessage(value) {
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Composable ODSQL query producing OpenDataSoft request parameters
+ *
+ * @example
+ * new OdsqlQuery()
+ *   .where('state', '=', 'CA')
+ *   .selectAggregate('avg', 'population', 'average', { cast: 'int' })
+ *   .groupBy('city')
+ *   .toParams();
+ */
+class OdsqlQuery {
+  /**
+   * @param {object} [options]
+   * @param {Set<string>} [options.fields] - Allowed field names (defaults to the dataset fields)
+   */
+  constructor(options = {}) {
+    this.fields = options.fields || FIELD_NAMES;
+    this._where = [];
+    this._select = [];
+    this._aliases = new Set();
+    this._groupBy = [];
+    this._orderBy = [];
+    this._limit = undefined;
+    this._offset = undefined;
+  }
+
+  /**
+   * Add a comparison to the where clause (conditions are ANDed)
+   */
+  where(fieldName, operator, value) {
+    this._where.push(condition(fieldName, operator, value, this.fields));
+    return this;
+  }
+
+  /**
+   * Add an equality condition for each key of a plain object
+   */
+  whereEquals(filter = {}) {
+    for (const [key, value] of Object.entries(filter)) {
+      this.where(key, '=', value);
+    }
+    return this;
+  }
+
+  /**
+   * Add a condition built with condition()/and()/or()/not()
+   */
+  whereClause(clause) {
+    if (clause) {
+      this._where.push(clause);
+    }
+    return this;
+  }
+
+  /**
+   * Select plain fields
+   */
+  selectFields(...fieldNames) {
+    for (const name of fieldNames) {
+      this._select.push(field(name, this.fields));
+    }
+    return this;
+  }
+
+  /**
+   * Select an aggregate (see aggregate())
+   */
+  selectAggregate(aggregation, fieldName, resultAlias, options = {}) {
+    this._select.push(aggregate(aggregation, fieldName, resultAlias, { ...options, fields: this.fields }));
+    this._aliases.add(resultAlias);
+    return this;
+  }
+
+  groupBy(...fieldNames) {
+    for (const name of fieldNames) {
+      this._groupBy.push(field(name, this.fields));
+    }
+    return this;
+  }
+
+  /**
+   * Group a numeric field into equal-width buckets of `step`. Groups are
+   * labelled with their range, e.g. "[1000, 2000[".
+   */
+  groupByRange(fieldName, step, resultAlias) {
+    if (typeof step !== 'number' || !Number.isFinite(step) || step <= 0) {
+      throw new ApiError("Bucket size must be a positive number");
+    }
+    this._groupBy.push(`range(${field(fieldName, this.fields)}, ${step}) as ${alias(resultAlias)}`);
+    this._aliases.add(resultAlias);
+    return this;
+  }
+
+  /**
+   * Order by distance from a point
+   */
+  orderByDistance(fieldName, point, direction = 'asc') {
+    const normalized = typeof direction === 'string' ? direction.toLowerCase() : direction;
+    if (!DIRECTIONS.includes(normalized)) {
+      throw new ApiError(`Invalid sort direction: ${formatForMessage(direction)}`);
+    }
+    this._orderBy.push(`distance(${geoField(fieldName)}, ${geometryPoint(point)}) ${normalized}`);
+    return this;
+  }
+
+  /**
+   * Order by a field or by an alias declared with selectAggregate()
+   */
+  orderBy(name, direction = 'asc') {
+    const normalized = typeof direction === 'string' ? direction.toLowerCase() : direction;
+    if (!DIRECTIONS.includes(normalized)) {
+      throw new ApiError(`Invalid sort direction: ${formatForMessage(direction)}`);
+    }
+    const target = this._aliases.has(name) ? alias(name) : field(name, this.fields);
+    this._orderBy.push(`${target} ${normalized}`);
+    return this;
+  }
+
+  limit(value) {
+    this._limit = nonNegativeInteger(value, 'limit');
+    return this;
+  }
+
+  offset(value) {
+    this._offset = nonNegativeInteger(value, 'offset');
+    return this;
+  }
+
+  /**
+   * The composed where clause, or an empty string
+   */
+  whereString() {
+    return and(...this._where);
+  }
+
+  /**
+   * Produce the query-string parameters for the records endpoint.
+   * Unused clauses are omitted.
+   */
+  toParams() {
+    const params = {};
+    const where = this.whereString();
+    if (this._select.length > 0) {
+      params.select = this._select.join(', ');
+    }
+    if (where) {
+      params.where = where;
+    }
+    if (this._groupBy.length > 0) {
+      params.group_by = this._groupBy.join(', ');
+    }
+    if (this._orderBy.length > 0) {
+      params.order_by = this._orderBy.join(', ');
+    }
+    if (this._limit !== undefined) {
+      params.limit = this._limit;
+    }
+    if (this._offset !== undefined) {
+      params.offset = this._offset;
+    }
+    return params;
+  }
+}
+
+function nonNegativeInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ApiError(`${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+module.exports = {
+  OdsqlQuery,
+  literal,
+  field,
+  alias,
+  condition,
+  aggregate,
+  inList,
+  between,
+  startsWith,
+  withinDistance,
+  inBbox,
+  and,
+  or,
+  not,
+  AGGREGATIONS,
+  COMPARISON_OPERATORS
+};
@@ -0,0 +1,536 @@
+/**
+ * OpenAPI document
+ *
+ * Builds an OpenAPI 3.1 description of the REST API from the endpoint
+ * definitions, so that it lists exactly the routes the server registers
+ * and the parameter schemas it validates against. Operational routes
+ * (health, usage, metrics, cache administration, MCP) are described here.
+ *
+ * Schemas with a `title` are moved to `components/schemas` and referenced
+ * by name; scripts/generate-types.js turns those components into the
+ * client's TypeScript typings.
+ */
+
+const { endpoints, toJsonSchema, UNIVERSITY, UNIVERSITY_RECORD, FILTER_PARAMETER } = require('./endpoints');
+const { EXPORT_FORMATS } = require('./export');
+const { VALIDATION_CODES } = require('./validation');
+
+const API_VERSION = "1.0.0";
+
+// Paths answered without an API key (see PUBLIC_PATHS in server.js)
+const PUBLIC_OPERATIONS = new Set(['/', '/health', '/schema', '/openapi.json']);
+
+/**
+ * Name of the generated components of an operation, e.g. getUniversity -> GetUniversity
+ */
+function pascalCase(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Collects named schemas into `components/schemas`
+ */
+class Components {
+  constructor() {
+    this.schemas = {};
+  }
+
+  /**
+   * Copy a schema with every titled subschema (including the schema
+   * itself) replaced by a reference. A description that differs from the
+   * component's is kept next to the reference.
+   *
+   * @param {object} schema
+   * @returns {object}
+   */
+  ref(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.ref(item));
+    }
+    if (typeof schema.title === 'string') {
+      const name = schema.title;
+      if (!this.schemas[name]) {
+        this.schemas[name] = {};
+        this.schemas[name] = this._walk(schema);
+      }
+      const reference = { $ref: `#/components/schemas/${name}` };
+      if (schema.description !== undefined && schema.description !== this.schemas[name].description) {
+        reference.description = schema.description;
+      }
+      return reference;
+    }
+    return this._walk(schema);
+  }
+
+  /**
+   * Add a schema under a name of its own choosing
+   */
+  add(name, schema) {
+    this.schemas[name] = this._walk(schema);
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  _walk(schema) {
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'properties') {
+        copy.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, this.ref(property)]));
+      } else if (['items', 'not', 'additionalProperties'].includes(key) || ['anyOf', 'oneOf', 'allOf'].includes(key)) {
+        copy[key] = this.ref(value);
+      } else {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+}
+
+/**
+ * Names of the parameters in an Express route path, e.g. ['name'] for
+ * /savedQueries/:name
+ */
+function pathParameterNames(path) {
+  return Array.from(path.matchAll(/:(\w+)/g), match => match[1]);
+}
+
+/**
+ * OpenAPI form of an Express route path: /savedQueries/:name -> /savedQueries/{name}
+ */
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Path parameters of an operation, and the schema of the parameters it
+ * takes elsewhere (the query string or the body)
+ */
+function splitPathParameters(endpoint, schema, components) {
+  const names = pathParameterNames(endpoint.path);
+  const parameters = names.map(name => {
+    const { description, ...propertySchema } = schema.properties[name];
+    return { name, in: 'path', required: true, description, schema: components.ref(propertySchema) };
+  });
+  const rest = {
+    ...schema,
+    properties: Object.fromEntries(Object.entries(schema.properties).filter(([name]) => !names.includes(name)))
+  };
+  const required = (schema.required || []).filter(name => !names.includes(name));
+  if (required.length > 0) {
+    rest.required = required;
+  } else {
+    delete rest.required;
+  }
+  return { parameters, rest };
+}
+
+/**
+ * Query-string parameters of a GET operation. Arrays are comma separated
+ * and objects JSON encoded, as lib/validation.js reads them.
+ */
+function queryParameters(schema, components) {
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const parameter = { name, in: 'query', required: (schema.required || []).includes(name) };
+    if (description !== undefined) {
+      parameter.description = description;
+    }
+    const types = [].concat(property.type || []);
+    if (types.includes('object')) {
+      parameter.content = { 'application/json': { schema: components.ref(property) } };
+    } else if (types.includes('array')) {
+      parameter.schema = components.ref(propertySchema);
+      parameter.style = 'form';
+      parameter.explode = false;
+    } else {
+      parameter.schema = components.ref(propertySchema);
+    }
+    return parameter;
+  });
+}
+
+/**
+ * Successful JSON response of an endpoint: the `{ success, data, metadata }`
+ * envelope around its `returns` schema
+ */
+function envelope(endpoint, components) {
+  const properties = {
+    success: { const: true },
+    data: components.ref(endpoint.returns),
+    metadata: { type: "object", description: "Query details: paging, applied parameters and similar" }
+  };
+  if (endpoint.resolution) {
+    properties.resolution = components.ref(endpoint.resolution);
+  }
+  properties.stale = { $ref: '#/components/schemas/Stale' };
+  return {
+    type: "object",
+    properties,
+    required: ["success", "data"]
+  };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Operation for an endpoint definition
+ */
+function operation(endpoint, method, components) {
+  const operationId = endpoint.tool || endpoint.path.slice(1);
+  const name = pascalCase(operationId);
+  const params = toJsonSchema(endpoint.parameters);
+  const paramsRef = components.add(`${name}Params`, params);
+
+  const result = {
+    operationId: method === endpoint.method ? operationId : `${operationId}${pascalCase(method.toLowerCase())}`,
+    summary: endpoint.description.split(/\.\s|:\s/)[0],
+    description: endpoint.description,
+    tags: ['universities']
+  };
+
+  // Parameters in the path are not repeated in the query string or body
+  const { parameters, rest } = splitPathParameters(endpoint, params, components);
+  if (method === 'GET') {
+    result.parameters = parameters.concat(queryParameters(rest, components));
+  } else {
+    if (parameters.length > 0) {
+      result.parameters = parameters;
+    }
+    if (Object.keys(rest.properties).length > 0) {
+      result.requestBody = {
+        required: (rest.required || []).length > 0,
+        content: { 'application/json': { schema: parameters.length > 0 ? components.ref(rest) : paramsRef } }
+      };
+    }
+  }
+
+  if (endpoint.returns.type === 'file') {
+    result.responses = {
+      200: {
+        description: endpoint.returns.description,
+        content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+          contentType.split(';')[0],
+          { schema: { type: "string" } }
+        ]))
+      }
+    };
+  } else {
+    result.responses = {
+      200: jsonResponse(endpoint.returns.description, components.add(`${name}Response`, envelope(endpoint, components)))
+    };
+  }
+  Object.assign(result.responses, {
+    400: { $ref: '#/components/responses/InvalidParameters' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    429: { $ref: '#/components/responses/TooManyRequests' },
+    default: { $ref: '#/components/responses/Error' }
+  });
+  return result;
+}
+
+/**
+ * Operations that are not derived from endpoint definitions
+ */
+function operationalPaths() {
+  const ok = (description, data) => jsonResponse(description, {
+    type: "object",
+    properties: { success: { const: true }, data },
+    required: ["success", "data"]
+  });
+  const errors = {
+    401: { $ref: '#/components/responses/Unauthorized' },
+    default: { $ref: '#/components/responses/Error' }
+  };
+
+  return {
+    '/': {
+      get: {
+        tags: ['operations'],
+        operationId: 'getInfo',
+        summary: "API name, version and links",
+        responses: { 200: jsonResponse("API information", { type: "object" }) }
+      }
+    },
+    '/health': {
+      get: {
+        tags: ['operations'],
+        operationId: 'getHealth',
+        summary: "Data source check, upstream latency and circuit breaker state",
+        responses: {
+          200: ok("The data source is reachable, or stale results can be served", { $ref: '#/components/schemas/Health' }),
+          503: jsonResponse("The data source is down", {
+            type: "object",
+            properties: { success: { const: false }, data: { $ref: '#/components/schemas/Health' } },
+            required: ["success", "data"]
+          })
+        }
+      }
+    },
+    '/schema': {
+      get: {
+        tags: ['operations'],
+        operationId: 'getSchema',
+        summary: "Endpoint definitions and the dataset field catalog",
+        responses: { 200: jsonResponse("The endpoint definitions", { type: "object" }) }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['operations'],
+        operationId: 'getOpenApi',
+        summary: "This document",
+        responses: { 200: jsonResponse("OpenAPI 3.1 document", { type: "object" }) }
+      }
+    },
+    '/usage': {
+      get: {
+        tags: ['operations'],
+        operationId: 'getUsage',
+        summary: "Usage and remaining quota of the calling API key",
+        responses: { 200: ok("Usage of the calling key ({enabled: false} without access control)", { $ref: '#/components/schemas/Usage' }), ...errors }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['admin'],
+        operationId: 'getMetrics',
+        summary: "Metrics in the Prometheus text format (admin key)",
+        responses: {
+          200: { description: "Prometheus text exposition", content: { 'text/plain': { schema: { type: "string" } } } },
+          ...errors
+        }
+      }
+    },
+    '/admin/usage': {
+      get: {
+        tags: ['admin'],
+        operationId: 'getAllUsage',
+        summary: "Usage of every API key and of anonymous clients (admin key)",
+        responses: { 200: ok("Usage report", { type: "object" }), ...errors }
+      }
+    },
+    '/admin/cache': {
+      get: {
+        tags: ['admin'],
+        operationId: 'getCache',
+        summary: "Cache hit rates and contents (admin key)",
+        responses: { 200: ok("Cache report", { type: "object" }), ...errors }
+      },
+      delete: {
+        tags: ['admin'],
+        operationId: 'purgeCache',
+        summary: "Purge all cache entries, or one endpoint's (admin key)",
+        parameters: [{ name: 'endpoint', in: 'query', required: false, schema: { type: "string" } }],
+        responses: {
+          200: ok("Number of entries removed", {
+            type: "object",
+            properties: { removed: { type: "integer" }, endpoint: { type: ["string", "null"] } }
+          }),
+          ...errors
+        }
+      }
+    },
+    '/mcp': {
+      post: {
+        tags: ['mcp'],
+        operationId: 'mcpMessage',
+        summary: "Model Context Protocol (Streamable HTTP): send JSON-RPC 2.0 messages",
+        description: "Start with an initialize request; the response's Mcp-Session-Id header must be sent with every later message. " +
+          "tools/call requests that accept text/event-stream are answered as a stream with progress notifications.",
+        parameters: [{ name: 'Mcp-Session-Id', in: 'header', required: false, schema: { type: "string" } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: ["object", "array"] } } } },
+        responses: {
+          200: {
+            description: "JSON-RPC response",
+            content: { 'application/json': { schema: { type: ["object", "array"] } }, 'text/event-stream': { schema: { type: "string" } } }
+          },
+          202: { description: "Notifications accepted" },
+          ...errors
+        }
+      },
+      delete: {
+        tags: ['mcp'],
+        operationId: 'mcpEndSession',
+        summary: "End an MCP session",
+        parameters: [{ name: 'Mcp-Session-Id', in: 'header', required: true, schema: { type: "string" } }],
+        responses: { 204: { description: "Session ended" }, ...errors }
+      }
+    }
+  };
+}
+
+/**
+ * Schemas shared by every operation
+ */
+function sharedSchemas(components) {
+  components.ref(UNIVERSITY);
+  components.ref(UNIVERSITY_RECORD);
+  components.ref(FILTER_PARAMETER);
+  components.add('Stale', {
+    type: "object",
+    description: "Present when the response was built from expired cache entries while the data source was unavailable",
+    properties: { since: { type: "string", format: "date-time", description: "When the oldest entry used was stored" } },
+    required: ["since"]
+  });
+  components.add('ErrorResponse', {
+    type: "object",
+    properties: {
+      success: { const: false },
+      error: {
+        title: "ApiError",
+        type: "object",
+        properties: {
+          message: { type: "string" },
+          status: { type: "integer" },
+          code: { type: "string", description: "Machine-readable error code, e.g. invalid_parameters, not_found, rate_limited, upstream_timeout" },
+          details: { description: "Further information; for invalid_parameters, an errors array" }
+        },
+        required: ["message", "status", "code"]
+      }
+    },
+    required: ["success", "error"]
+  });
+  components.add('ParameterError', {
+    type: "object",
+    properties: {
+      parameter: { type: "string" },
+      code: { type: "string", enum: VALIDATION_CODES },
+      message: { type: "string" },
+      expected: {},
+      received: {}
+    },
+    required: ["parameter", "code", "message"]
+  });
+  components.add('Health', {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ok", "degraded", "down"] },
+      uptimeSeconds: { type: "integer" },
+      dataSource: { type: "string" },
+      check: {
+        type: "object",
+        properties: {
+          reachable: { type: "boolean" },
+          latencyMs: { type: ["integer", "null"] },
+          checkedAt: { type: "string", format: "date-time" },
+          error: { type: "string" }
+        }
+      },
+      upstream: { type: ["object", "null"], description: "Circuit breaker state and upstream request statistics" },
+      staleAvailable: { type: "boolean" }
+    },
+    required: ["status", "uptimeSeconds", "dataSource", "check"]
+  });
+  components.add('Usage', {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", description: "false when the server has no API keys (and nothing else is reported)" },
+      name: { type: "string" },
+      ip: { type: "string" },
+      limits: {
+        type: "object",
+        properties: {
+          requestsPerMinute: { type: ["number", "null"] },
+          burst: { type: ["number", "null"] },
+          dailyQuota: { type: ["number", "null"] }
+        }
+      },
+      today: { type: "integer" },
+      quotaRemaining: { type: ["integer", "null"] },
+      total: { type: "integer" },
+      rejected: {
+        type: "object",
+        properties: { rateLimit: { type: "integer" }, quota: { type: "integer" } }
+      },
+      endpoints: { type: "object", additionalProperties: { type: "integer" } },
+      lastSeenAt: { type: ["string", "null"], format: "date-time" }
+    }
+  });
+}
+
+function errorResponse(description, headers) {
+  const response = jsonResponse(description, { $ref: '#/components/schemas/ErrorResponse' });
+  if (headers) {
+    response.headers = headers;
+  }
+  return response;
+}
+
+/**
+ * Build the OpenAPI document
+ *
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL the API is served from
+ * @param {boolean} [options.accessControl=false] - Whether API keys are required
+ *   (adds the security schemes)
+ * @returns {object}
+ */
+function buildOpenApiDocument(options = {}) {
+  const components = new Components();
+  sharedSchemas(components);
+
+  // Several endpoints may share a path, with different methods
+  const paths = {};
+  for (const endpoint of endpoints) {
+    const methods = [endpoint.method, endpoint.alternateMethod].filter(Boolean);
+    const path = openApiPath(endpoint.path);
+    paths[path] = Object.assign(paths[path] || {}, Object.fromEntries(methods.map(method => [
+      method.toLowerCase(),
+      operation(endpoint, method, components)
+    ])));
+  }
+  Object.assign(paths, operationalPaths());
+
+  const document = {
+    openapi: "3.1.0",
+    info: {
+      title: "University Data MCP API",
+      version: API_VERSION,
+      description: "Search, statistics, name resolution, comparison and export over the US colleges and universities dataset. " +
+        "Every JSON response is an envelope: {success: true, data, metadata?} or {success: false, error: {message, status, code, details?}}."
+    },
+    tags: [
+      { name: 'universities', description: "Dataset queries (also offered as MCP tools)" },
+      { name: 'operations', description: "Service information, health and usage" },
+      { name: 'admin', description: "Administration; needs an admin API key when access control is on" },
+      { name: 'mcp', description: "Model Context Protocol transport" }
+    ],
+    paths,
+    components: {
+      schemas: components.schemas,
+      responses: {
+        InvalidParameters: errorResponse("Invalid parameters; error.details.errors lists each problem ({parameter, code, message, expected?, received?})"),
+        Unauthorized: errorResponse("Missing or unknown API key (only when access control is on)"),
+        TooManyRequests: errorResponse("Rate limit or daily quota exceeded, or the data source is rate limiting", {
+          'Retry-After': { description: "Seconds to wait before retrying", schema: { type: "integer" } }
+        }),
+        Error: errorResponse("Error: not_found (404), forbidden (403), upstream_error (502), unavailable or upstream_unavailable (503), upstream_timeout (504) or internal_error (500)")
+      }
+    }
+  };
+
+  if (options.serverUrl) {
+    document.servers = [{ url: options.serverUrl }];
+  }
+  if (options.accessControl) {
+    document.components.securitySchemes = {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: "API key as a bearer token" },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    };
+    document.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+    for (const path of PUBLIC_OPERATIONS) {
+      for (const item of Object.values(paths[path])) {
+        item.security = [];
+      }
+    }
+  }
+  return document;
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
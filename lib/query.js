@@ -0,0 +1,306 @@
+/**
+ * Structured query model shared by the data sources
+ *
+ * Handlers describe what they need as plain objects; each data source
+ * either compiles them (OpenDataSoft, via the ODSQL builder) or evaluates
+ * them in memory (local snapshot).
+ *
+ * Record query:
+ *   { filter, q, limit, offset, orderBy }
+ *
+ * Aggregate query:
+ *   { filter, q, aggregations: [{ aggregation, field, alias, cast, percentile }], groupBy, orderBy, limit, offset }
+ *
+ * groupBy entries are field names, or { field, bucket, alias } to group a
+ * numeric field into buckets of width `bucket`; the alias column then holds
+ * each bucket's lower bound.
+ *
+ * Filter nodes:
+ *   { field, op, value } | { and: [node, ...] } | { or: [node, ...] } | { not: node }
+ *
+ * where op is one of FILTER_OPERATORS:
+ *   =, !=, <, <=, >, >=  - compare with a single value
+ *   in, notIn            - value is a non-empty array
+ *   between              - value is [low, high], inclusive
+ *   startsWith           - value is a string prefix
+ *   isNull, isNotNull    - no value
+ *   withinDistance       - value is { lat, lon, meters } (geo point fields)
+ *   inBbox               - value is { minLat, minLon, maxLat, maxLon } (geo point fields)
+ *
+ * orderBy entries are { field, direction } where field may also name an
+ * aggregation alias. Record queries may also order by distance from a
+ * point with { field: <geo point field>, near: { lat, lon }, direction }.
+ */
+
+const { ApiError } = require('./errors');
+const { field, alias, AGGREGATIONS, COMPARISON_OPERATORS } = require('./odsql');
+const { GEO_POINT_FIELDS } = require('./fields');
+const { toPoint, toBbox } = require('./geo');
+
+const FILTER_OPERATORS = [
+  ...COMPARISON_OPERATORS,
+  'in',
+  'notIn',
+  'between',
+  'startsWith',
+  'isNull',
+  'isNotNull',
+  'withinDistance',
+  'inBbox'
+];
+
+// Bounds on caller-supplied filters
+const MAX_FILTER_DEPTH = 8;
+const MAX_FILTER_CONDITIONS = 100;
+const MAX_LIST_VALUES = 100;
+
+/**
+ * Equality filter node
+ */
+function eq(fieldName, value) {
+  return { field: fieldName, op: '=', value };
+}
+
+/**
+ * AND the given nodes together, dropping empty ones. Returns undefined when
+ * nothing is left so the result can be passed straight through as `filter`.
+ */
+function allOf(...nodes) {
+  const parts = nodes.filter(Boolean);
+  if (parts.length === 0) {
+    return undefined;
+  }
+  return parts.length === 1 ? parts[0] : { and: parts };
+}
+
+/**
+ * Convert a `{ field: value }` object into an equality filter
+ */
+function fromEqualityObject(object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return undefined;
+  }
+  return allOf(...Object.entries(object).map(([key, value]) => eq(key, value)));
+}
+
+/**
+ * Normalize a filter supplied by a caller into a filter tree.
+ *
+ * Accepts a filter node, an array of nodes (ANDed together) or, for
+ * backwards compatibility, a plain `{ field: value }` equality object.
+ * Conditions without an `op` default to equality. The result is validated.
+ *
+ * @param {object|Array<object>} input - Filter as received in a request
+ * @returns {object|undefined} - Filter tree, or undefined when empty
+ */
+function parseFilter(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+  if (typeof input !== 'object') {
+    throw new ApiError("Filter must be an object or an array of conditions");
+  }
+
+  const node = normalizeNode(input);
+  validateFilter(node);
+  return node;
+}
+
+function normalizeNode(input) {
+  if (Array.isArray(input)) {
+    return allOf(...input.map(normalizeNode));
+  }
+  if (!input || typeof input !== 'object') {
+    throw new ApiError("Invalid filter condition");
+  }
+  if (Array.isArray(input.and)) {
+    return { and: input.and.map(normalizeNode) };
+  }
+  if (Array.isArray(input.or)) {
+    return { or: input.or.map(normalizeNode) };
+  }
+  if ('not' in input) {
+    return { not: normalizeNode(input.not) };
+  }
+  if ('field' in input) {
+    const node = { field: input.field, op: input.op || '=' };
+    if ('value' in input) {
+      node.value = input.value;
+    }
+    return node;
+  }
+  return fromEqualityObject(input);
+}
+
+/**
+ * Validate a filter tree, throwing ApiError on unknown fields, operators
+ * or malformed values
+ */
+function validateFilter(node) {
+  if (node === undefined) {
+    return;
+  }
+  let conditions = 0;
+
+  const visit = (current, depth) => {
+    if (depth > MAX_FILTER_DEPTH) {
+      throw new ApiError(`Filter nesting cannot exceed ${MAX_FILTER_DEPTH} levels`);
+    }
+    if (!current || typeof current !== 'object') {
+      throw new ApiError("Invalid filter");
+    }
+    if (Array.isArray(current.and) || Array.isArray(current.or)) {
+      const children = current.and || current.or;
+      if (children.length === 0) {
+        throw new ApiError("Filter groups must contain at least one condition");
+      }
+      children.forEach(child => visit(child, depth + 1));
+      return;
+    }
+    if ('not' in current) {
+      visit(current.not, depth + 1);
+      return;
+    }
+
+    conditions++;
+    if (conditions > MAX_FILTER_CONDITIONS) {
+      throw new ApiError(`Filters cannot contain more than ${MAX_FILTER_CONDITIONS} conditions`);
+    }
+    validateCondition(current);
+  };
+
+  visit(node, 0);
+}
+
+function validateCondition(node) {
+  field(node.field);
+
+  if (!FILTER_OPERATORS.includes(node.op)) {
+    throw new ApiError(`Invalid operator: ${node.op}. Must be one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  switch (node.op) {
+    case 'isNull':
+    case 'isNotNull':
+      return;
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(node.value) || node.value.length === 0 || node.value.length > MAX_LIST_VALUES) {
+        throw new ApiError(`Operator ${node.op} on field '${node.field}' requires an array of 1 to ${MAX_LIST_VALUES} values`);
+      }
+      node.value.forEach(value => validateScalar(node.field, value));
+      return;
+    case 'between':
+      if (!Array.isArray(node.value) || node.value.length !== 2) {
+        throw new ApiError(`Operator between on field '${node.field}' requires a [low, high] array`);
+      }
+      node.value.forEach(value => validateScalar(node.field, value, false));
+      return;
+    case 'startsWith':
+      if (typeof node.value !== 'string' || node.value === '') {
+        throw new ApiError(`Operator startsWith on field '${node.field}' requires a non-empty string`);
+      }
+      return;
+    case 'withinDistance':
+      validateGeoField(node);
+      if (!node.value || typeof node.value !== 'object') {
+        throw new ApiError(`Operator withinDistance on field '${node.field}' requires { lat, lon, meters }`);
+      }
+      toPoint(node.value.lat, node.value.lon);
+      if (!Number.isFinite(node.value.meters) || node.value.meters < 0) {
+        throw new ApiError(`Operator withinDistance on field '${node.field}' requires a non-negative distance`);
+      }
+      return;
+    case 'inBbox':
+      validateGeoField(node);
+      toBbox(node.value);
+      return;
+    default:
+      validateScalar(node.field, node.value);
+  }
+}
+
+function validateGeoField(node) {
+  if (!GEO_POINT_FIELDS.has(node.field)) {
+    throw new ApiError(`Operator ${node.op} requires a geo point field, got '${node.field}'`);
+  }
+}
+
+function validateScalar(fieldName, value, allowNull = true) {
+  if (value === null && allowNull) {
+    return;
+  }
+  if (!['string', 'number', 'boolean'].includes(typeof value) || (typeof value === 'number' && !Number.isFinite(value))) {
+    throw new ApiError(`Unsupported value for field '${fieldName}': ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Validate a record query
+ */
+function validateRecordQuery(query) {
+  validateFilter(query.filter);
+  for (const order of query.orderBy || []) {
+    field(order.field);
+    if (order.near) {
+      if (!GEO_POINT_FIELDS.has(order.field)) {
+        throw new ApiError(`Cannot order by distance on non-geo field '${order.field}'`);
+      }
+      toPoint(order.near.lat, order.near.lon);
+    }
+  }
+}
+
+/**
+ * Validate an aggregate query
+ */
+function validateAggregateQuery(query) {
+  validateFilter(query.filter);
+
+  if (!Array.isArray(query.aggregations) || query.aggregations.length === 0) {
+    throw new ApiError("At least one aggregation is required");
+  }
+
+  const aliases = new Set();
+  for (const item of query.aggregations) {
+    if (!AGGREGATIONS.includes(item.aggregation)) {
+      throw new ApiError(`Invalid aggregation. Must be one of: ${AGGREGATIONS.join(', ')}`);
+    }
+    if (item.field !== undefined) {
+      field(item.field);
+    }
+    if (item.aggregation === 'percentile'
+      && !(typeof item.percentile === 'number' && item.percentile > 0 && item.percentile <= 100)) {
+      throw new ApiError("percentile must be a number above 0 and at most 100");
+    }
+    aliases.add(alias(item.alias));
+  }
+
+  for (const entry of query.groupBy || []) {
+    if (typeof entry === 'string') {
+      field(entry);
+      continue;
+    }
+    field(entry && entry.field);
+    if (typeof entry.bucket !== 'number' || !Number.isFinite(entry.bucket) || entry.bucket <= 0) {
+      throw new ApiError("Bucket size must be a positive number");
+    }
+    aliases.add(alias(entry.alias));
+  }
+  for (const order of query.orderBy || []) {
+    if (!aliases.has(order.field)) {
+      field(order.field);
+    }
+  }
+}
+
+module.exports = {
+  eq,
+  allOf,
+  fromEqualityObject,
+  parseFilter,
+  validateFilter,
+  validateRecordQuery,
+  validateAggregateQuery,
+  FILTER_OPERATORS
+};
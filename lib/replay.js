@@ -0,0 +1,145 @@
+/**
+ * Upstream record and replay
+ *
+ * In `record` mode every upstream response (including error responses) is
+ * written to a fixture file as it arrives. In `replay` mode requests never
+ * leave the process: each one is answered from the fixture recorded for the
+ * same URL and parameters, and a request without a fixture fails with a 500
+ * `unrecorded_upstream_request` error instead of reaching the network, so
+ * tests cannot quietly depend on the live API.
+ *
+ * Fixtures are JSON files named after a hash of the request:
+ *
+ *   { request: { method, url, params }, response: { status, headers, data }, recordedAt }
+ *
+ * Parameters are matched after normalization (see normalizeParams()), so
+ * their order and whether numbers were sent as strings do not matter.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const { stableStringify } = require('./cache');
+const { logger } = require('./logger');
+
+const FIXTURE_MODES = ['live', 'record', 'replay'];
+
+// Response headers kept in fixtures; the rest vary from one run to the next
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Query-string parameters as they are sent: unset ones dropped, values as
+ * strings (arrays of strings for repeated parameters), keys sorted
+ */
+function normalizeParams(params = {}) {
+  const normalized = {};
+  for (const key of Object.keys(params).sort()) {
+    const value = params[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    normalized[key] = Array.isArray(value) ? value.map(String) : String(value);
+  }
+  return normalized;
+}
+
+/**
+ * Request URL without a trailing slash, so equivalent base URLs match
+ */
+function normalizeUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+class UpstreamFixtures {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'live', 'record' or 'replay'
+   * @param {string} options.dir - Directory the fixture files are kept in
+   */
+  constructor({ mode, dir }) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new ApiError(`Unknown upstream mode: ${mode}. Must be one of: ${FIXTURE_MODES.join(', ')}`, 500);
+    }
+    this.mode = mode;
+    this.dir = dir;
+    // Requests that found no fixture while replaying, for tests to check
+    this.unmatched = [];
+  }
+
+  /**
+   * Path of the fixture for a request
+   */
+  file(url, params) {
+    const normalizedUrl = normalizeUrl(url);
+    const hash = crypto.createHash('sha256')
+      .update(`GET ${normalizedUrl} ${stableStringify(normalizeParams(params))}`)
+      .digest('hex')
+      .slice(0, 16);
+    const name = normalizedUrl.split('/').pop().replace(/[^\w-]/g, '_');
+    return path.join(this.dir, `${name}-${hash}.json`);
+  }
+
+  /**
+   * Write the response to a request to its fixture
+   *
+   * @param {string} url
+   * @param {object} params - Query-string parameters
+   * @param {object} response - The axios response (or error response)
+   */
+  record(url, params, response) {
+    const file = this.file(url, params);
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      if (response.headers?.[name] !== undefined) {
+        headers[name] = String(response.headers[name]);
+      }
+    }
+    const fixture = {
+      request: { method: 'GET', url: normalizeUrl(url), params: normalizeParams(params) },
+      response: { status: response.status, headers, data: response.data },
+      recordedAt: new Date().toISOString()
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    logger.debug('upstream response recorded', { url, status: response.status, file });
+  }
+
+  /**
+   * The recorded response to a request
+   *
+   * @param {string} url
+   * @param {object} params - Query-string parameters
+   * @returns {{status: number, headers: object, data: *}}
+   * @throws {ApiError} - 500 `unrecorded_upstream_request` when there is no fixture
+   */
+  replay(url, params) {
+    const file = this.file(url, params);
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    if (!fixture) {
+      const request = { url: normalizeUrl(url), params: normalizeParams(params), fixture: file };
+      this.unmatched.push(request);
+      logger.error('unrecorded upstream request', request);
+      throw new ApiError(
+        `No recorded upstream response for GET ${request.url}; record it with UPSTREAM_MODE=record`,
+        500,
+        request,
+        'unrecorded_upstream_request'
+      );
+    }
+    return fixture.response;
+  }
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  UpstreamFixtures,
+  normalizeParams
+};
@@ -0,0 +1,63 @@
+/**
+ * Per-request context
+ *
+ * State that code deep in a request (such as the caching data source)
+ * reports back to the front-end that answers it, without threading it
+ * through every handler and data-source call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ *
+ * @param {object} context - Mutable object visible to currentContext() for the duration of fn
+ * @param {Function} fn
+ * @returns {*} - What fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The context of the request being served, or undefined outside of one
+ *
+ * @returns {object|undefined}
+ */
+function currentContext() {
+  return storage.getStore();
+}
+
+/**
+ * Record that the current response includes data served from an expired
+ * cache entry stored at `storedAt` (ms since epoch). The oldest one is kept.
+ */
+function markStale(storedAt) {
+  const context = currentContext();
+  if (context && (context.staleSince === undefined || storedAt < context.staleSince)) {
+    context.staleSince = storedAt;
+  }
+}
+
+/**
+ * Count one more request against the limits of the client being served,
+ * for a request that does the work of several (a no-op without access
+ * control, or outside of an HTTP request)
+ *
+ * @throws {ApiError} - 429 once the client's rate limit or quota is used up
+ */
+function chargeRequest() {
+  const context = currentContext();
+  if (context && context.charge) {
+    context.charge();
+  }
+}
+
+module.exports = {
+  runWithContext,
+  currentContext,
+  markStale,
+  chargeRequest
+};
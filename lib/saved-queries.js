@@ -0,0 +1,419 @@
+/**
+ * Saved queries and change detection
+ *
+ * A saved query is a named search (query, state, city and filter, as for
+ * /search) kept in local storage. Taking a snapshot walks every record the
+ * query matches, the way an export does, and stores them; a diff compares
+ * a snapshot with a later one, or with the query run again now, and lists
+ * the institutions added, removed and modified, with the fields that
+ * changed. Records are matched by objectid.
+ *
+ * Storage is one directory (SAVED_QUERIES_DIR): `<name>.json` holds a
+ * query's definition and its list of snapshots, `<name>/<snapshot>.json`
+ * the records of each snapshot. Files are replaced atomically, and changes
+ * to the same query are applied one at a time.
+ *
+ * With access control on, each API key has saved queries of its own, kept
+ * in `_keys/<digest of the key name>/` and invisible to other keys;
+ * anonymous clients have none. Without it (and over stdio) every client
+ * shares the top-level directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { ApiError, upstreamError } = require('./errors');
+const { getDataSource } = require('./datasources');
+const { eq, allOf, parseFilter } = require('./query');
+const { exportPages } = require('./export');
+const { stableStringify } = require('./cache');
+const { normalizeUniversity, propertyPath, valueAt } = require('./university');
+const { currentContext } = require('./request-context');
+
+// The search parameters that define a saved query's cohort
+const QUERY_PARAMETERS = ['query', 'state', 'city', 'filter'];
+
+// Names are used as file names
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Records one snapshot may hold, and snapshots kept per query (the oldest
+// are removed first)
+const MAX_SNAPSHOT_RECORDS = 10000;
+const MAX_SNAPSHOTS = 10;
+
+// Left out of snapshots: geo_shape duplicates geo_point and is large
+const OMITTED_FIELDS = ['geo_shape'];
+
+const KEY_FIELD = 'objectid';
+
+// Subdirectory of the per-key directories; no query name starts with '_'
+const KEYS_DIRECTORY = '_keys';
+
+// Pending change of each query (by file), so that changes to one query run in turn
+const queues = new Map();
+
+/**
+ * Directory of the calling client's saved queries
+ *
+ * @throws {ApiError} - 403 for anonymous clients
+ */
+function directory() {
+  const root = path.resolve(config.savedQueries.dir);
+  const client = currentContext()?.client;
+  if (!client) {
+    return root;
+  }
+  if (client.id.startsWith('anonymous:')) {
+    throw new ApiError("Saved queries need an API key; each key has saved queries of its own", 403);
+  }
+  return path.join(root, KEYS_DIRECTORY, crypto.createHash('sha256').update(client.name).digest('hex'));
+}
+
+function queryFile(name) {
+  return path.join(directory(), `${name}.json`);
+}
+
+function snapshotFile(name, id) {
+  return path.join(directory(), name, `${id}.json`);
+}
+
+/**
+ * Parsed contents of a JSON file, or null when it does not exist
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeJson(file, value) {
+  const temporary = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(temporary, JSON.stringify(value));
+  await fs.promises.rename(temporary, file);
+}
+
+/**
+ * Run a change to a query once the changes queued before it have finished
+ */
+function serialized(name, task) {
+  const file = queryFile(name);
+  const previous = queues.get(file) || Promise.resolve();
+  const run = previous.then(() => task());
+  const settled = run.catch(() => {});
+  queues.set(file, settled);
+  settled.then(() => {
+    if (queues.get(file) === settled) {
+      queues.delete(file);
+    }
+  });
+  return run;
+}
+
+function checkName(name) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new ApiError("name must be 1 to 64 lower-case letters, digits, '-' or '_', starting with a letter or digit");
+  }
+}
+
+async function loadQuery(name) {
+  const saved = await readJson(queryFile(name));
+  if (!saved) {
+    throw new ApiError(`Saved query not found: ${name}`, 404);
+  }
+  return saved;
+}
+
+/**
+ * Record query of a saved query's search parameters
+ */
+function recordQuery({ query, state, city, filter }) {
+  const result = {
+    filter: allOf(state ? eq('state', state) : null, city ? eq('city', city) : null, parseFilter(filter))
+  };
+  if (query) {
+    result.q = query;
+  }
+  return result;
+}
+
+function snapshotInfo({ id, takenAt, count }) {
+  return { id, takenAt, count };
+}
+
+/**
+ * Run a saved query and collect every matching record
+ *
+ * @returns {Promise<{id: null, takenAt: string, count: number, records: Array<object>}>}
+ */
+async function runQuery(saved) {
+  const records = [];
+  try {
+    // One record over the limit tells a full snapshot from a truncated one
+    for await (const page of exportPages(getDataSource(), recordQuery(saved.params), { max: MAX_SNAPSHOT_RECORDS + 1 })) {
+      for (const record of page) {
+        const stored = { ...record };
+        for (const field of OMITTED_FIELDS) {
+          delete stored[field];
+        }
+        records.push(stored);
+      }
+    }
+  } catch (error) {
+    throw upstreamError(error, "Failed to run the saved query");
+  }
+  if (records.length > MAX_SNAPSHOT_RECORDS) {
+    throw new ApiError(`Saved query ${saved.name} matches more than ${MAX_SNAPSHOT_RECORDS} universities; narrow it down to snapshot it`);
+  }
+  return { id: null, takenAt: new Date().toISOString(), count: records.length, records };
+}
+
+/**
+ * Snapshot ID from its time, e.g. 20261019T143000123Z, made unique among
+ * the query's snapshots
+ */
+function snapshotId(takenAt, snapshots) {
+  const base = takenAt.replace(/[-:.]/g, '');
+  const taken = new Set(snapshots.map(snapshot => snapshot.id));
+  let id = base;
+  for (let suffix = 1; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+async function readSnapshot(saved, id) {
+  const entry = saved.snapshots.find(snapshot => snapshot.id === id);
+  const snapshot = entry && await readJson(snapshotFile(saved.name, id));
+  if (!snapshot) {
+    throw new ApiError(`Snapshot ${id} of saved query ${saved.name} not found`, 404, {
+      snapshots: saved.snapshots.map(({ id: available }) => available)
+    });
+  }
+  return snapshot;
+}
+
+function same(a, b) {
+  return stableStringify(a ?? null) === stableStringify(b ?? null);
+}
+
+/**
+ * Fields that differ between two versions of a record. Fields are compared
+ * as the upstream API sent them; normalized changes report the values of
+ * the University property instead, and leave out changes the normalized
+ * record does not show (-999 becoming "NOT AVAILABLE", say).
+ */
+function fieldChanges(before, after, raw) {
+  const normalized = raw ? null : [normalizeUniversity(before), normalizeUniversity(after)];
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (same(before[field], after[field])) {
+      continue;
+    }
+    const property = propertyPath(field);
+    const change = { field, property, before: before[field] ?? null, after: after[field] ?? null };
+    if (normalized && property) {
+      change.before = valueAt(normalized[0], property);
+      change.after = valueAt(normalized[1], property);
+      if (same(change.before, change.after)) {
+        continue;
+      }
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+/**
+ * Differences between two snapshots of a query
+ *
+ * @param {object} from - The earlier snapshot
+ * @param {object} to - The later snapshot, or a run of the query (id null)
+ * @param {boolean} raw - Report upstream records and values instead of normalized ones
+ */
+function diffSnapshots(from, to, raw) {
+  const present = record => (raw ? record : normalizeUniversity(record));
+  const remaining = new Map(from.records.map(record => [record[KEY_FIELD], record]));
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const record of to.records) {
+    const previous = remaining.get(record[KEY_FIELD]);
+    if (!previous) {
+      added.push(present(record));
+      continue;
+    }
+    remaining.delete(record[KEY_FIELD]);
+    const changes = fieldChanges(previous, record, raw);
+    if (changes.length === 0) {
+      unchanged++;
+    } else {
+      modified.push({ id: record[KEY_FIELD], name: present(record).name ?? null, changes });
+    }
+  }
+  const removed = Array.from(remaining.values(), present);
+
+  return {
+    from: snapshotInfo(from),
+    to: snapshotInfo(to),
+    summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged },
+    added,
+    removed,
+    modified
+  };
+}
+
+/**
+ * Create a saved query, or replace its definition. Snapshots are kept when
+ * only the description changes; snapshots of a different search could not
+ * be compared with new ones, so they are removed otherwise.
+ */
+async function saveQuery(params) {
+  const { name, description } = params;
+  checkName(name);
+  const search = {};
+  for (const key of QUERY_PARAMETERS) {
+    if (params[key] !== undefined && params[key] !== '') {
+      search[key] = params[key];
+    }
+  }
+  // Reject an invalid filter before anything is stored
+  recordQuery(search);
+
+  return serialized(name, async () => {
+    const existing = await readJson(queryFile(name));
+    const keepSnapshots = existing !== null && same(existing.params, search);
+    if (existing && !keepSnapshots) {
+      await fs.promises.rm(path.join(directory(), name), { recursive: true, force: true });
+    }
+
+    const now = new Date().toISOString();
+    const saved = {
+      name,
+      description: description ?? existing?.description ?? '',
+      params: search,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      snapshots: keepSnapshots ? existing.snapshots : []
+    };
+    await writeJson(queryFile(name), saved);
+    return {
+      data: { query: saved },
+      metadata: {
+        created: existing === null,
+        snapshotsRemoved: existing && !keepSnapshots ? existing.snapshots.length : 0
+      }
+    };
+  });
+}
+
+async function listQueries() {
+  let files;
+  try {
+    files = await fs.promises.readdir(directory());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      files = [];
+    } else {
+      throw error;
+    }
+  }
+
+  const names = files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(name => NAME_PATTERN.test(name))
+    .sort();
+  const queries = (await Promise.all(names.map(name => readJson(queryFile(name))))).filter(Boolean);
+  return {
+    data: { queries },
+    metadata: { total: queries.length }
+  };
+}
+
+async function getQuery({ name }) {
+  checkName(name);
+  return {
+    data: { query: await loadQuery(name) }
+  };
+}
+
+async function deleteQuery({ name }) {
+  checkName(name);
+  return serialized(name, async () => {
+    const saved = await loadQuery(name);
+    await fs.promises.rm(path.join(directory(), name), { recursive: true, force: true });
+    await fs.promises.rm(queryFile(name), { force: true });
+    return {
+      data: { query: saved },
+      metadata: { deleted: true }
+    };
+  });
+}
+
+/**
+ * Run a saved query, store the result as its newest snapshot and report
+ * the changes since the previous one
+ */
+async function snapshotQuery({ name, raw = false }) {
+  checkName(name);
+  return serialized(name, async () => {
+    const saved = await loadQuery(name);
+    const latest = saved.snapshots[saved.snapshots.length - 1];
+    const previous = latest ? await readSnapshot(saved, latest.id) : null;
+
+    const run = await runQuery(saved);
+    const snapshot = { ...run, id: snapshotId(run.takenAt, saved.snapshots) };
+    await writeJson(snapshotFile(name, snapshot.id), snapshot);
+
+    saved.snapshots.push(snapshotInfo(snapshot));
+    const pruned = saved.snapshots.splice(0, Math.max(0, saved.snapshots.length - MAX_SNAPSHOTS));
+    await writeJson(queryFile(name), saved);
+    await Promise.all(pruned.map(({ id }) => fs.promises.rm(snapshotFile(name, id), { force: true })));
+
+    return {
+      data: {
+        snapshot: snapshotInfo(snapshot),
+        diff: previous ? diffSnapshots(previous, snapshot, raw) : null
+      },
+      metadata: { query: name, snapshots: saved.snapshots.length, pruned: pruned.length }
+    };
+  });
+}
+
+/**
+ * Compare a snapshot (default: the latest) with a later snapshot or, when
+ * `to` is not given, with the query's current results. Nothing is stored.
+ */
+async function diffQuery({ name, from, to, raw = false }) {
+  checkName(name);
+  const saved = await loadQuery(name);
+  if (saved.snapshots.length === 0) {
+    throw new ApiError(`Saved query ${name} has no snapshots yet; take one first`, 400, undefined, 'no_snapshot');
+  }
+
+  const before = await readSnapshot(saved, from ?? saved.snapshots[saved.snapshots.length - 1].id);
+  const after = to === undefined ? await runQuery(saved) : await readSnapshot(saved, to);
+  return {
+    data: { diff: diffSnapshots(before, after, raw) },
+    metadata: { query: name }
+  };
+}
+
+module.exports = {
+  MAX_SNAPSHOT_RECORDS,
+  MAX_SNAPSHOTS,
+  saveQuery,
+  listQueries,
+  getQuery,
+  deleteQuery,
+  snapshotQuery,
+  diffQuery
+};
@@ -0,0 +1,320 @@
+/**
+ * Statistics requests
+ *
+ * Turns a `/statistics` request into an aggregate query for the data
+ * source and shapes what comes back into a result table: one row per group
+ * (a single row when ungrouped) with a column for each group key and each
+ * aggregation. Having-style thresholds, ordering and top-N limits are
+ * applied to the table here, so they behave the same on every data source.
+ */
+
+const { ApiError } = require('./errors');
+const { FIELD_TYPES, isNumericField } = require('./fields');
+const { alias } = require('./odsql');
+const { parseFilter } = require('./query');
+
+// Most groups fetched for one request
+const MAX_GROUPS = 1000;
+
+// Most aggregations and group-by entries in one request
+const MAX_AGGREGATIONS = 20;
+const MAX_GROUP_BY = 4;
+
+// Aggregations that need a numeric field (min and max also order text)
+const NUMERIC_AGGREGATIONS = new Set(['sum', 'avg', 'median', 'percentile']);
+
+const HAVING_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'between', 'in', 'notIn'];
+
+/**
+ * Result column names used by the original single-aggregation request
+ */
+function legacyAlias(aggregation) {
+  if (aggregation === 'count') {
+    return 'count';
+  }
+  return aggregation === 'avg' ? 'average' : aggregation;
+}
+
+/**
+ * Default result column name for an aggregation
+ */
+function defaultAlias({ aggregation, field, percentile }) {
+  if (aggregation === 'count') {
+    return 'count';
+  }
+  if (aggregation === 'percentile') {
+    return `p${String(percentile).replace('.', '_')}_${field}`;
+  }
+  return `${aggregation}_${field}`;
+}
+
+/**
+ * Check and normalize the aggregations of a request. The original
+ * `{ field, aggregation }` form is accepted as a single aggregation.
+ * Each parameter has been validated against the endpoint schema; what is
+ * checked here depends on several of them at once.
+ */
+function parseAggregations(params) {
+  let items = params.aggregations;
+  let legacy = false;
+  if (items === undefined) {
+    if (!params.field || !params.aggregation) {
+      throw new ApiError("Field and aggregation are required");
+    }
+    items = [{ aggregation: params.aggregation, field: params.field }];
+    legacy = true;
+  }
+
+  return items.map(item => {
+    const { aggregation, field } = item;
+    if (aggregation !== 'count' && field === undefined) {
+      throw new ApiError(`${aggregation} requires a field`);
+    }
+    if (NUMERIC_AGGREGATIONS.has(aggregation) && !isNumericField(field)) {
+      throw new ApiError(`${aggregation} requires a numeric field; '${field}' is ${FIELD_TYPES.get(field)}`);
+    }
+
+    const percentile = aggregation === 'median' ? undefined : item.percentile;
+    if (aggregation === 'percentile' && percentile === undefined) {
+      throw new ApiError("percentile requires a percentile above 0 and at most 100");
+    }
+
+    const normalized = { aggregation, field };
+    if (percentile !== undefined && aggregation === 'percentile') {
+      normalized.percentile = percentile;
+    }
+    normalized.alias = alias(item.alias ?? (legacy ? legacyAlias(aggregation) : defaultAlias(normalized)));
+    return normalized;
+  });
+}
+
+/**
+ * Normalize group-by entries: field names, or `{ field, bucketSize }` for a
+ * numeric histogram
+ */
+function parseGroupBy(groupBy) {
+  if (groupBy === undefined || groupBy === null || groupBy === '') {
+    return [];
+  }
+  const entries = Array.isArray(groupBy) ? groupBy : [groupBy];
+
+  return entries.map(entry => {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (!isNumericField(entry.field)) {
+      throw new ApiError(`Histogram buckets require a numeric field; '${entry.field}' is ${FIELD_TYPES.get(entry.field)}`);
+    }
+    return { field: entry.field, bucket: entry.bucketSize, alias: alias(entry.alias ?? `${entry.field}_bucket`) };
+  });
+}
+
+/**
+ * Validate a having condition against the result columns
+ */
+function validateHaving(node, columns, depth = 0) {
+  if (depth > 8 || !node || typeof node !== 'object') {
+    throw new ApiError("Invalid having condition");
+  }
+  if (Array.isArray(node)) {
+    node.forEach(child => validateHaving(child, columns, depth + 1));
+    return;
+  }
+  if (Array.isArray(node.and) || Array.isArray(node.or)) {
+    (node.and || node.or).forEach(child => validateHaving(child, columns, depth + 1));
+    return;
+  }
+  if (node.not !== undefined) {
+    validateHaving(node.not, columns, depth + 1);
+    return;
+  }
+
+  const op = node.op ?? '=';
+  if (!columns.has(node.field)) {
+    throw new ApiError(`having can only refer to result columns: ${Array.from(columns).join(', ')}`);
+  }
+  if (!HAVING_OPERATORS.includes(op)) {
+    throw new ApiError(`Invalid having operator. Must be one of: ${HAVING_OPERATORS.join(', ')}`);
+  }
+  if (op === 'between' && !(Array.isArray(node.value) && node.value.length === 2)) {
+    throw new ApiError("between needs a [low, high] value");
+  }
+  if ((op === 'in' || op === 'notIn') && !Array.isArray(node.value)) {
+    throw new ApiError(`${op} needs an array value`);
+  }
+}
+
+/**
+ * Whether a result row satisfies a having condition
+ */
+function matchesHaving(row, node) {
+  if (Array.isArray(node)) {
+    return node.every(child => matchesHaving(row, child));
+  }
+  if (Array.isArray(node.and)) {
+    return node.and.every(child => matchesHaving(row, child));
+  }
+  if (Array.isArray(node.or)) {
+    return node.or.some(child => matchesHaving(row, child));
+  }
+  if (node.not !== undefined) {
+    return !matchesHaving(row, node.not);
+  }
+
+  const value = row[node.field];
+  switch (node.op ?? '=') {
+    case '=': return value === node.value;
+    case '!=': return value !== node.value;
+    case '<': return value !== null && value < node.value;
+    case '<=': return value !== null && value <= node.value;
+    case '>': return value !== null && value > node.value;
+    case '>=': return value !== null && value >= node.value;
+    case 'between': return value !== null && value >= node.value[0] && value <= node.value[1];
+    case 'in': return node.value.includes(value);
+    case 'notIn': return !node.value.includes(value);
+    default: return false;
+  }
+}
+
+/**
+ * Validate orderBy entries: `{ field, direction }` objects or column names
+ */
+function parseOrderBy(orderBy, columns) {
+  if (orderBy === undefined || orderBy === null) {
+    return [];
+  }
+  const entries = Array.isArray(orderBy) ? orderBy : [orderBy];
+  return entries.map(entry => {
+    const { field, direction = 'asc' } = typeof entry === 'string' ? { field: entry } : entry;
+    if (!columns.has(field)) {
+      throw new ApiError(`orderBy can only refer to result columns: ${Array.from(columns).join(', ')}`);
+    }
+    return { field, direction };
+  });
+}
+
+/**
+ * Build the plan for a statistics request
+ *
+ * @param {object} params - Request parameters (see the `/statistics` endpoint definition)
+ * @returns {{query: object, columns: Array<object>, having: *, orderBy: Array<object>, limit: number|undefined}}
+ */
+function planStatistics(params = {}) {
+  const aggregations = parseAggregations(params);
+  const groupBy = parseGroupBy(params.groupBy);
+
+  const columns = [
+    ...groupBy.map(entry => (typeof entry === 'string'
+      ? { name: entry, role: 'group', field: entry }
+      : { name: entry.alias, role: 'bucket', field: entry.field, bucketSize: entry.bucket })),
+    ...aggregations.map(({ alias: name, aggregation, field, percentile }) => {
+      const column = { name, role: 'aggregate', aggregation };
+      if (field !== undefined) {
+        column.field = field;
+      }
+      if (percentile !== undefined) {
+        column.percentile = percentile;
+      }
+      return column;
+    })
+  ];
+  const names = new Set();
+  for (const column of columns) {
+    if (names.has(column.name)) {
+      throw new ApiError(`Duplicate result column: ${column.name}`);
+    }
+    names.add(column.name);
+  }
+
+  const { having } = params;
+  if (having !== undefined && having !== null) {
+    validateHaving(having, names);
+  }
+  const orderBy = parseOrderBy(params.orderBy, names);
+
+  const { limit } = params;
+
+  // Every group (up to MAX_GROUPS) is fetched so that having and the group
+  // count see all of them; the order is still passed on so that a
+  // truncated set keeps the groups that matter. An ungrouped query returns
+  // a single row and takes no limit (OpenDataSoft refuses one above 100
+  // without group_by).
+  const query = {
+    filter: parseFilter(params.filter),
+    aggregations,
+    groupBy,
+    orderBy
+  };
+  if (groupBy.length > 0) {
+    query.limit = MAX_GROUPS;
+  }
+  if (params.query) {
+    query.q = params.query;
+  }
+
+  return {
+    query,
+    columns,
+    having: having ?? undefined,
+    orderBy,
+    limit: limit === undefined ? undefined : Number(limit)
+  };
+}
+
+/**
+ * Apply the having condition, ordering and top-N limit to aggregate rows
+ *
+ * @param {object} plan - Result of planStatistics()
+ * @param {Array<object>} rows - Rows returned by the data source
+ * @returns {{columns: Array<object>, results: Array<object>, total_groups: number, truncated: boolean}}
+ */
+function buildTable(plan, rows = []) {
+  const names = plan.columns.map(column => column.name);
+  let results = rows.map(row => Object.fromEntries(names.map(name => [name, row[name] ?? null])));
+  const truncated = rows.length >= MAX_GROUPS;
+
+  if (plan.having !== undefined) {
+    results = results.filter(row => matchesHaving(row, plan.having));
+  }
+  const totalGroups = results.length;
+
+  if (plan.orderBy.length > 0) {
+    results.sort((a, b) => {
+      for (const { field, direction } of plan.orderBy) {
+        const left = a[field];
+        const right = b[field];
+        if (left === right) {
+          continue;
+        }
+        // Missing values sort last in either direction
+        if (left === null) {
+          return 1;
+        }
+        if (right === null) {
+          return -1;
+        }
+        const order = left < right ? -1 : 1;
+        return direction === 'desc' ? -order : order;
+      }
+      return 0;
+    });
+  }
+  if (plan.limit !== undefined) {
+    results = results.slice(0, plan.limit);
+  }
+
+  return {
+    columns: plan.columns,
+    results,
+    total_groups: totalGroups,
+    truncated
+  };
+}
+
+module.exports = {
+  MAX_GROUPS,
+  MAX_AGGREGATIONS,
+  MAX_GROUP_BY,
+  planStatistics,
+  buildTable
+};
@@ -0,0 +1,206 @@
+/**
+ * Normalized university records
+ *
+ * Upstream records use the dataset's own field names and types: numbers
+ * may arrive as strings, unknown values are -999 or "NOT AVAILABLE", and
+ * phone numbers and websites are written however the source wrote them.
+ * normalizeUniversity() turns a record into the stable shape every
+ * endpoint returns unless the caller asks for the raw payload: camelCase
+ * properties, numbers as numbers, null for missing values, the location as
+ * {lat, lon} and the provenance fields grouped under `source`.
+ *
+ * Callers still name dataset fields in filters, field lists and
+ * aggregations; propertyPath() gives the normalized property of a field.
+ */
+
+const config = require('./config');
+const { recordCoordinates } = require('./geo');
+
+// The dataset fills unknown values with -999 or "NOT AVAILABLE"
+const MISSING_SENTINELS = new Set([-999, '-999', 'NOT AVAILABLE']);
+
+/**
+ * Top-level properties of a normalized record, in output order. `field` is
+ * the dataset field each is read from and `type` how its value is cleaned.
+ */
+const UNIVERSITY_PROPERTIES = [
+  { name: 'id', field: 'objectid', type: 'integer', description: "Record ID (the dataset's objectid)" },
+  { name: 'ipedsId', field: 'ipedsid', type: 'text', description: "IPEDS unit ID" },
+  { name: 'name', field: 'name', type: 'text' },
+  { name: 'alias', field: 'alias', type: 'text', description: "Other names the institution is known by" },
+  { name: 'address', field: 'address', type: 'text' },
+  { name: 'address2', field: 'address2', type: 'text' },
+  { name: 'city', field: 'city', type: 'text' },
+  { name: 'state', field: 'state', type: 'text', description: "Two-letter state code" },
+  { name: 'zip', field: 'zip', type: 'text' },
+  { name: 'zip4', field: 'zip4', type: 'text' },
+  { name: 'county', field: 'county', type: 'text' },
+  { name: 'countyFips', field: 'countyfips', type: 'text' },
+  { name: 'stateFips', field: 'stfips', type: 'text' },
+  { name: 'countyCode', field: 'cofips', type: 'text', description: "County FIPS code within the state" },
+  { name: 'country', field: 'country', type: 'text' },
+  { name: 'telephone', field: 'telephone', type: 'phone', description: "US numbers formatted as (555) 555-5555" },
+  { name: 'website', field: 'website', type: 'url', description: "Absolute URL; https is assumed when the dataset gives no scheme" },
+  { name: 'type', field: 'type', type: 'text' },
+  { name: 'status', field: 'status', type: 'text' },
+  { name: 'sector', field: 'sector', type: 'text' },
+  { name: 'level', field: 'level_', type: 'text' },
+  { name: 'highestOffering', field: 'hi_offer', type: 'text' },
+  { name: 'degreeGranting', field: 'deg_grant', type: 'text' },
+  { name: 'locale', field: 'locale', type: 'text' },
+  { name: 'naicsCode', field: 'naics_code', type: 'text' },
+  { name: 'naicsDescription', field: 'naics_desc', type: 'text' },
+  { name: 'population', field: 'population', type: 'integer' },
+  { name: 'totalEnrollment', field: 'tot_enroll', type: 'integer' },
+  { name: 'fullTimeEnrollment', field: 'ft_enroll', type: 'integer' },
+  { name: 'partTimeEnrollment', field: 'pt_enroll', type: 'integer' },
+  { name: 'totalEmployees', field: 'tot_emp', type: 'integer' },
+  { name: 'housing', field: 'housing', type: 'text' },
+  { name: 'dormCapacity', field: 'dorm_cap', type: 'integer' },
+  { name: 'sizeSet', field: 'size_set', type: 'text' },
+  { name: 'institutionSize', field: 'inst_size', type: 'text' },
+  { name: 'closeDate', field: 'close_date', type: 'text' },
+  { name: 'mergeId', field: 'merge_id', type: 'text' },
+  { name: 'shelterId', field: 'shelter_id', type: 'text' }
+];
+
+// Properties of `source`, the record's provenance
+const SOURCE_PROPERTIES = [
+  { name: 'name', field: 'source', type: 'text', description: "Where the record was compiled from" },
+  { name: 'date', field: 'sourcedate', type: 'date' },
+  { name: 'validationMethod', field: 'val_method', type: 'text' },
+  { name: 'validationDate', field: 'val_date', type: 'date' }
+];
+
+// Normalized property path of each dataset field
+const PROPERTY_PATHS = new Map([
+  ...UNIVERSITY_PROPERTIES.map(({ name, field }) => [field, name]),
+  ...SOURCE_PROPERTIES.map(({ name, field }) => [field, `source.${name}`]),
+  ['latitude', 'location.lat'],
+  ['longitude', 'location.lon'],
+  ['geo_point', 'location']
+]);
+
+/**
+ * Whether a record value counts as missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || MISSING_SENTINELS.has(value);
+}
+
+function cleanText(value) {
+  if (isMissing(value)) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' || MISSING_SENTINELS.has(text) ? null : text;
+}
+
+function cleanNumber(value) {
+  if (isMissing(value) || (typeof value === 'string' && value.trim() === '')) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && !MISSING_SENTINELS.has(number) ? number : null;
+}
+
+/**
+ * Format a ten-digit US number as (555) 555-5555; anything else (extensions,
+ * international numbers) is kept as written
+ */
+function cleanPhone(value) {
+  const text = cleanText(value);
+  if (text === null) {
+    return null;
+  }
+  const digits = text.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  if (digits.length !== 10) {
+    return text;
+  }
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * Make a website an absolute http(s) URL with a lower-case host and no bare
+ * trailing slash. Values that are not URLs become null.
+ */
+function cleanUrl(value) {
+  const text = cleanText(value);
+  if (text === null) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    return null;
+  }
+  return url.pathname === '/' && !url.search && !url.hash ? url.origin : url.href;
+}
+
+/**
+ * Dates as YYYY-MM-DD; the dataset stores some as full timestamps
+ */
+function cleanDate(value) {
+  const text = cleanText(value);
+  const match = text && /^(\d{4}-\d{2}-\d{2})(?:$|T)/.exec(text);
+  return match ? match[1] : text;
+}
+
+const CLEANERS = {
+  text: cleanText,
+  integer: cleanNumber,
+  phone: cleanPhone,
+  url: cleanUrl,
+  date: cleanDate
+};
+
+/**
+ * Normalize a dataset record
+ *
+ * @param {object} record - Record as returned by the data source
+ * @returns {object} - The normalized University record
+ */
+function normalizeUniversity(record) {
+  const university = {};
+  for (const { name, field, type } of UNIVERSITY_PROPERTIES) {
+    university[name] = CLEANERS[type](record[field]);
+  }
+  university.location = recordCoordinates(record);
+  university.source = { dataset: config.opendatasoft.datasetId };
+  for (const { name, field, type } of SOURCE_PROPERTIES) {
+    university.source[name] = CLEANERS[type](record[field]);
+  }
+  return university;
+}
+
+/**
+ * Normalized property path of a dataset field, e.g. `totalEnrollment` for
+ * tot_enroll or `source.date` for sourcedate; null for fields the
+ * normalized record leaves out (geo_shape, fields unknown to this version)
+ *
+ * @param {string} field
+ * @returns {string|null}
+ */
+function propertyPath(field) {
+  return PROPERTY_PATHS.get(field) || null;
+}
+
+/**
+ * Value at a dotted property path
+ */
+function valueAt(object, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? null : value[key] ?? null), object);
+}
+
+module.exports = {
+  UNIVERSITY_PROPERTIES,
+  SOURCE_PROPERTIES,
+  isMissing,
+  normalizeUniversity,
+  propertyPath,
+  valueAt
+};
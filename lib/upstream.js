@@ -0,0 +1,410 @@
+/**
+ * Upstream HTTP client
+ *
+ * Every request to the upstream API goes through an UpstreamClient, which
+ * adds connect and read timeouts, retries rate-limited and failed requests
+ * with jittered exponential backoff (honoring `Retry-After`), and trips a
+ * circuit breaker after repeated failures so that requests fail fast while
+ * the upstream is down instead of each waiting for a timeout. At most
+ * `maxConcurrent` requests are in flight at once, however many callers fan
+ * out (a batch of comparisons, say); the rest wait their turn. With fixtures
+ * configured it also records responses, or replays them instead of sending
+ * requests at all (see lib/replay.js).
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { ApiError, upstreamError } = require('./errors');
+const { UpstreamFixtures } = require('./replay');
+const { logger } = require('./logger');
+const { registry, upstreamRequests, upstreamDuration, upstreamRetries } = require('./metrics');
+
+// Statuses worth retrying: rate limiting and transient server failures
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.2;
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+// Clients whose breaker state is exported as a metric
+const clients = new Set();
+
+registry.gauge('upstream_circuit_state', 'Circuit breaker state (0 closed, 1 half open, 2 open)', ['upstream'], gauge => {
+  for (const client of clients) {
+    gauge.set({ upstream: client.name }, BREAKER_STATES[client.breaker.state]);
+  }
+});
+
+/**
+ * Outcome label of a failed request for the upstream_requests_total metric
+ */
+function failureOutcome(error) {
+  if (error.response) {
+    return String(error.response.status);
+  }
+  return ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ? 'timeout' : 'network_error';
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an
+ * HTTP date), or undefined when absent or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request says something about the upstream's health:
+ * no response at all, or a server error. Rate limiting and rejected
+ * queries do not count.
+ */
+function isOutage(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * HTTP agent whose new connections are destroyed when they do not connect
+ * within `connectTimeoutMs`; axios's own timeout covers the whole response
+ */
+function createAgent(Agent, connectTimeoutMs) {
+  const agent = new Agent({ keepAlive: true });
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (options, callback) => {
+    const socket = createConnection(options, callback);
+    const timer = setTimeout(() => {
+      const error = new Error(`Connection not established within ${connectTimeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      socket.destroy(error);
+    }, connectTimeoutMs);
+    socket.once('connect', () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+  return agent;
+}
+
+/**
+ * Circuit breaker
+ *
+ * Closed: requests flow and consecutive failures are counted. After
+ * `failureThreshold` of them the breaker opens and requests are refused
+ * for `resetTimeoutMs`. Then it is half open: a single trial request is let
+ * through, closing the breaker when it succeeds and reopening it when it
+ * fails.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker
+   * @param {number} [options.resetTimeoutMs=30000] - Time spent open before a trial request
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Ask to send a request
+   *
+   * @returns {boolean} - false while the breaker refuses requests
+   */
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'open') {
+      return false;
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a trial request through
+   */
+  retryAfterMs() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  report() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt === null ? null : new Date(this.openedAt).toISOString(),
+      retryAfterMs: this.retryAfterMs()
+    };
+  }
+}
+
+class UpstreamClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name='upstream'] - Name used in error messages
+   * @param {number} [options.timeoutMs=10000] - Read timeout for a whole response
+   * @param {number} [options.connectTimeoutMs=3000] - Timeout for establishing a connection
+   * @param {number} [options.retries=2] - Retries after the first attempt
+   * @param {number} [options.retryDelayMs=250] - Base delay of the exponential backoff
+   * @param {number} [options.maxRetryDelayMs=5000] - Longest wait before a retry; a
+   *   longer Retry-After is not waited for
+   * @param {number} [options.maxConcurrent=8] - Requests in flight at once; more wait in line
+   * @param {object} [options.breaker] - CircuitBreaker options
+   * @param {object} [options.fixtures] - UpstreamFixtures options; mode
+   *   'record' or 'replay' records or replays responses
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'upstream';
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.connectTimeoutMs = options.connectTimeoutMs ?? 3000;
+    this.retries = options.retries ?? 2;
+    this.retryDelayMs = options.retryDelayMs ?? 250;
+    this.maxRetryDelayMs = options.maxRetryDelayMs ?? 5000;
+    this.maxConcurrent = options.maxConcurrent || 8;
+    // Requests in flight, and callers waiting for one of them to finish
+    this.active = 0;
+    this.waiting = [];
+    this.breaker = new CircuitBreaker(options.breaker);
+    this.httpAgent = createAgent(http.Agent, this.connectTimeoutMs);
+    this.httpsAgent = createAgent(https.Agent, this.connectTimeoutMs);
+    this.fixtures = options.fixtures && options.fixtures.mode !== 'live'
+      ? new UpstreamFixtures(options.fixtures)
+      : null;
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      retries: 0,
+      rejected: 0,
+      lastLatencyMs: null,
+      averageLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+    clients.add(this);
+  }
+
+  /**
+   * Send a GET request
+   *
+   * @param {string} url
+   * @param {object} [options]
+   * @param {object} [options.params] - Query-string parameters
+   * @param {number} [options.retries] - Override the number of retries
+   * @param {number} [options.timeoutMs] - Override the read timeout
+   * @returns {Promise<object>} - The axios response
+   * @throws {ApiError} - 503 `upstream_unavailable` while the breaker is open,
+   *   500 `unrecorded_upstream_request` for a request without a fixture
+   *   while replaying, otherwise the final failure as translated by
+   *   upstreamError()
+   */
+  async get(url, options = {}) {
+    if (this.fixtures?.mode === 'replay') {
+      return this._replay(url, options.params);
+    }
+    const retries = options.retries ?? this.retries;
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire();
+      if (!this.breaker.allow()) {
+        this._release();
+        this.stats.rejected++;
+        upstreamRequests.inc({ upstream: this.name, outcome: 'circuit_open' });
+        throw this._unavailable();
+      }
+
+      const started = Date.now();
+      this.stats.requests++;
+      try {
+        const response = await axios.get(url, {
+          params: options.params,
+          timeout: options.timeoutMs ?? this.timeoutMs,
+          httpAgent: this.httpAgent,
+          httpsAgent: this.httpsAgent
+        }).finally(() => this._release());
+        const latencyMs = Date.now() - started;
+        this._recordLatency(latencyMs);
+        this._observe(String(response.status), latencyMs);
+        logger.debug('upstream request', { upstream: this.name, url, status: response.status, latencyMs, attempt });
+        this.stats.lastSuccessAt = new Date().toISOString();
+        this.breaker.success();
+        if (this.fixtures) {
+          this.fixtures.record(url, options.params, response);
+        }
+        return response;
+      } catch (error) {
+        const latencyMs = Date.now() - started;
+        this._observe(failureOutcome(error), latencyMs);
+        this._recordFailure(error);
+        const delay = this._retryDelay(error, attempt);
+        const retrying = attempt < retries && delay !== undefined;
+        logger.warn('upstream request failed', {
+          upstream: this.name,
+          url,
+          status: error.response?.status,
+          error: error.response ? undefined : error.code || error.message,
+          latencyMs,
+          attempt,
+          retryInMs: retrying ? Math.round(delay) : undefined
+        });
+        if (!retrying) {
+          if (this.fixtures && error.response) {
+            this.fixtures.record(url, options.params, error.response);
+          }
+          throw upstreamError(error, `${this.name} request failed`);
+        }
+        this.stats.retries++;
+        upstreamRetries.inc({ upstream: this.name });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Wait for a request slot
+   */
+  _acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a request slot, handing it to the longest waiting caller
+   */
+  _release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Answer a request from its fixture, failing as the recorded response did
+   */
+  _replay(url, params) {
+    this.stats.requests++;
+    const response = this.fixtures.replay(url, params);
+    this._observe(String(response.status), 0);
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.isAxiosError = true;
+      error.response = response;
+      this._recordFailure(error);
+      throw upstreamError(error, `${this.name} request failed`);
+    }
+    this.stats.lastSuccessAt = new Date().toISOString();
+    this.breaker.success();
+    return response;
+  }
+
+  /**
+   * Breaker state and request statistics
+   */
+  report() {
+    return {
+      breaker: this.breaker.report(),
+      concurrency: { limit: this.maxConcurrent, active: this.active, queued: this.waiting.length },
+      ...this.stats
+    };
+  }
+
+  /**
+   * Milliseconds to wait before retrying a failed attempt, or undefined
+   * when it should not be retried
+   */
+  _retryDelay(error, attempt) {
+    const status = error.response?.status;
+    if (error.response && !RETRYABLE_STATUSES.has(status)) {
+      return undefined;
+    }
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== undefined) {
+      return retryAfter <= this.maxRetryDelayMs ? retryAfter : undefined;
+    }
+    const backoff = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** attempt);
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  _observe(outcome, latencyMs) {
+    upstreamRequests.inc({ upstream: this.name, outcome });
+    upstreamDuration.observe({ upstream: this.name }, latencyMs / 1000);
+  }
+
+  _recordLatency(ms) {
+    this.stats.lastLatencyMs = ms;
+    this.stats.averageLatencyMs = this.stats.averageLatencyMs === null
+      ? ms
+      : Math.round(this.stats.averageLatencyMs * (1 - LATENCY_SMOOTHING) + ms * LATENCY_SMOOTHING);
+  }
+
+  _recordFailure(error) {
+    this.stats.failures++;
+    this.stats.lastFailureAt = new Date().toISOString();
+    this.stats.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    if (isOutage(error)) {
+      this.breaker.failure();
+    } else {
+      // The upstream answered, so it is up even if it refused this request
+      this.breaker.success();
+    }
+  }
+
+  _unavailable() {
+    const retryAfter = Math.max(1, Math.ceil(this.breaker.retryAfterMs() / 1000));
+    return new ApiError(
+      `${this.name} is unavailable after repeated failures; retry in ${retryAfter} seconds`,
+      503,
+      { retryAfter, breaker: this.breaker.state },
+      'upstream_unavailable'
+    );
+  }
+}
+
+module.exports = {
+  UpstreamClient,
+  CircuitBreaker,
+  parseRetryAfter
+};
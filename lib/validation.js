@@ -0,0 +1,319 @@
+/**
+ * Request validation
+ *
+ * Checks request parameters against the JSON Schema built from an endpoint
+ * definition — the same schema `/schema` and the MCP tool list publish —
+ * and converts query-string text to the declared types on the way. Each
+ * problem is reported with the parameter it concerns, a machine-readable
+ * code and a message, so a caller can correct its request without parsing
+ * prose.
+ *
+ * Only the JSON Schema keywords the endpoint definitions use are
+ * supported: type, enum, minimum, maximum, exclusiveMinimum, minLength,
+ * maxLength, minItems, maxItems, items, properties, required,
+ * additionalProperties (false only) and anyOf.
+ */
+
+const { ApiError } = require('./errors');
+const { normalizeName, similarity } = require('./names');
+
+// Codes reported in error.details.errors[].code
+const VALIDATION_CODES = [
+  'required',
+  'unknown_parameter',
+  'type',
+  'invalid_json',
+  'enum',
+  'minimum',
+  'maximum',
+  'min_length',
+  'max_length',
+  'min_items',
+  'max_items',
+  'any_of'
+];
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Least similarity for an unknown name to be given a suggestion
+const MIN_SUGGESTION_SIMILARITY = 0.6;
+
+// Longest enum spelled out in a message (field lists are only in `expected`)
+const MAX_LISTED_VALUES = 10;
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+/**
+ * The types a schema allows, or null when it does not restrict the type
+ */
+function typesOf(schema) {
+  if (schema.type === undefined) {
+    return null;
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Convert query-string text to one of the allowed types: numbers and
+ * booleans from their text, objects and arrays from JSON, and arrays from
+ * comma-separated lists (unless an object is also allowed, as for filters).
+ * Anything else is returned unchanged.
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+  const text = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && NUMBER_PATTERN.test(text)) {
+    return Number(text);
+  }
+  if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  if ((types.includes('object') && text.startsWith('{')) || (types.includes('array') && text.startsWith('['))) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return value;
+    }
+  }
+  if (types.includes('array') && !types.includes('object')) {
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+function describeTypes(types) {
+  const names = types.map(type => TYPE_NAMES[type] || type);
+  if (names.length === 0) {
+    return 'valid';
+  }
+  return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+}
+
+function issue(errors, parameter, code, message, expected, received) {
+  const entry = { parameter, code, message };
+  if (expected !== undefined) {
+    entry.expected = expected;
+  }
+  if (received !== undefined) {
+    entry.received = received;
+  }
+  errors.push(entry);
+}
+
+function childPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+/**
+ * The closest known name (parameter or enum value) to an unknown one, if
+ * any is close
+ */
+function suggestName(name, known) {
+  let best = null;
+  let bestScore = MIN_SUGGESTION_SIMILARITY;
+  for (const candidate of known) {
+    const score = similarity(normalizeName(name), normalizeName(candidate));
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Validate one value against a schema, collecting problems in `errors`
+ *
+ * @returns {*} - The value with query-string text coerced
+ */
+function checkValue(value, schema, path, errors) {
+  if (schema.anyOf) {
+    let matched = false;
+    const attempts = [];
+    for (const option of schema.anyOf) {
+      const optionErrors = [];
+      const result = checkValue(value, option, path, optionErrors);
+      if (optionErrors.length === 0) {
+        value = result;
+        matched = true;
+        break;
+      }
+      attempts.push(optionErrors);
+    }
+    if (!matched) {
+      // When only one form has the right type, its errors are the useful ones;
+      // failing that, the one form the value has without conversion
+      let typed = attempts.filter(optionErrors => !optionErrors.some(error => error.parameter === path && error.code === 'type'));
+      if (typed.length > 1) {
+        const native = attempts.filter((optionErrors, index) => typed.includes(optionErrors)
+          && (typesOf(schema.anyOf[index]) || []).some(type => matchesType(value, type)));
+        typed = native.length === 1 ? native : typed;
+      }
+      if (typed.length === 1) {
+        errors.push(...typed[0]);
+        return value;
+      }
+      const types = Array.from(new Set(schema.anyOf.flatMap(option => typesOf(option) || [])));
+      if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        issue(errors, path, 'type', `${path} must be ${describeTypes(types)}`, types.join('|'), value);
+      } else {
+        issue(errors, path, 'any_of', `${path} does not match any of the accepted forms`, types, value);
+      }
+      return value;
+    }
+  }
+
+  const types = typesOf(schema);
+  if (types) {
+    const original = value;
+    value = coerce(value, types);
+    if (!types.some(type => matchesType(value, type))) {
+      const looksLikeJson = typeof original === 'string' && /^\s*[[{]/.test(original)
+        && (types.includes('object') || types.includes('array'));
+      if (looksLikeJson) {
+        issue(errors, path, 'invalid_json', `${path} must be valid JSON`, types.join('|'), original);
+      } else {
+        issue(errors, path, 'type', `${path} must be ${describeTypes(types)}`, types.join('|'), original);
+      }
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    let message;
+    if (schema.enum.length <= MAX_LISTED_VALUES) {
+      message = `${path} must be one of: ${schema.enum.join(', ')}`;
+    } else {
+      const suggestion = typeof value === 'string' ? suggestName(value, schema.enum) : null;
+      message = `${path} must be one of the ${schema.enum.length} values listed in expected${suggestion ? `; did you mean ${suggestion}?` : ''}`;
+    }
+    issue(errors, path, 'enum', message, schema.enum, value);
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issue(errors, path, 'minimum', `${path} must be at least ${schema.minimum}`, schema.minimum, value);
+    } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      issue(errors, path, 'minimum', `${path} must be greater than ${schema.exclusiveMinimum}`, schema.exclusiveMinimum, value);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issue(errors, path, 'maximum', `${path} must be at most ${schema.maximum}`, schema.maximum, value);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    issue(errors, path, 'min_length', schema.minLength === 1
+      ? `${path} must not be empty`
+      : `${path} must be at least ${schema.minLength} characters long`, schema.minLength, value);
+  }
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    issue(errors, path, 'max_length', `${path} must be at most ${schema.maxLength} characters long`, schema.maxLength, value.length);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issue(errors, path, 'min_items', `${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`,
+        schema.minItems, value.length);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      issue(errors, path, 'max_items', `${path} must have at most ${schema.maxItems} items`, schema.maxItems, value.length);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (matchesType(value, 'object') && (schema.properties || schema.required)) {
+    value = checkObject(value, schema, path, errors);
+  }
+  return value;
+}
+
+/**
+ * Validate the members of an object value
+ */
+function checkObject(value, schema, path, errors) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  for (const name of schema.required || []) {
+    if (result[name] === undefined || result[name] === '') {
+      issue(errors, childPath(path, name), 'required', `${childPath(path, name)} is required`);
+    }
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (result[name] !== undefined && !(result[name] === '' && (schema.required || []).includes(name))) {
+      result[name] = checkValue(result[name], property, childPath(path, name), errors);
+    }
+  }
+
+  if (schema.additionalProperties === false) {
+    const known = Object.keys(properties);
+    for (const name of Object.keys(result)) {
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        continue;
+      }
+      const suggestion = suggestName(name, known);
+      const accepted = known.length > 0 ? `accepted: ${known.join(', ')}` : 'this endpoint takes no parameters';
+      issue(errors, childPath(path, name), 'unknown_parameter', suggestion
+        ? `Unknown parameter ${childPath(path, name)}; did you mean ${childPath(path, suggestion)}?`
+        : `Unknown parameter ${childPath(path, name)} (${accepted})`, known);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate request parameters against an endpoint's JSON Schema
+ *
+ * Query-string values are converted to the declared types (numbers,
+ * booleans, JSON objects and arrays, comma-separated lists), so GET and
+ * POST requests are checked by the same rules.
+ *
+ * @param {object} schema - Object schema from toJsonSchema()
+ * @param {object} params - Request parameters
+ * @returns {object} - The parameters with coerced values
+ * @throws {ApiError} - 400 `invalid_parameters`, listing every problem in
+ *   details.errors as {parameter, code, message, expected?, received?}
+ */
+function validateParams(schema, params = {}) {
+  const errors = [];
+  const value = checkObject(params || {}, schema, '', errors);
+  if (errors.length > 0) {
+    const message = errors.length === 1
+      ? errors[0].message
+      : `Invalid parameters: ${errors.map(error => error.message).join('; ')}`;
+    throw new ApiError(message, 400, { errors }, 'invalid_parameters');
+  }
+  return value;
+}
+
+module.exports = {
+  VALIDATION_CODES,
+  validateParams
+};
@@ -0,0 +1,64 @@
+/**
+ * University Data MCP - stdio entry point
+ *
+ * Speaks the Model Context Protocol over stdin/stdout using
+ * newline-delimited JSON-RPC 2.0 messages. Start it with
+ * `node mcp-stdio.js` from an MCP client configuration.
+ */
+
+const readline = require('readline');
+const { McpServer, ErrorCodes, JsonRpcError, errorResponse } = require('./lib/mcp');
+const { logger } = require('./lib/logger');
+
+// stdout carries protocol messages only, so logs and any stray console output go to stderr
+logger.setStream(process.stderr);
+console.log = console.error;
+console.info = console.error;
+
+const server = new McpServer();
+
+/**
+ * Write a JSON-RPC message to stdout
+ */
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+const input = readline.createInterface({ input: process.stdin });
+let pending = 0;
+let closed = false;
+
+input.on('line', async (line) => {
+  if (!line.trim()) {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send(errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, "Parse error")));
+    return;
+  }
+
+  pending++;
+  try {
+    const response = await server.handleMessage(message, { notify: send });
+    if (response) {
+      send(response);
+    }
+  } finally {
+    pending--;
+    if (closed && pending === 0) {
+      process.exit(0);
+    }
+  }
+});
+
+// Exit once stdin closes and every in-flight request has been answered
+input.on('close', () => {
+  closed = true;
+  if (pending === 0) {
+    process.exit(0);
+  }
+});
@@ -0,0 +1,293 @@
+/**
+ * Generate client/index.d.ts
+ *
+ * Writes TypeScript typings for UniversityDataClient from the schemas of
+ * the OpenAPI document (lib/openapi.js), which are in turn derived from
+ * the endpoint definitions. Run it after changing an endpoint:
+ *
+ *   npm run types            # rewrite client/index.d.ts
+ *   npm run types -- --check # fail if client/index.d.ts is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('../lib/openapi');
+
+const OUTPUT = path.join(__dirname, '..', 'client', 'index.d.ts');
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * TypeScript doc comment for a description, or nothing
+ */
+function docComment(description, indent) {
+  if (!description) {
+    return '';
+  }
+  const lines = String(description).replace(/\*\//g, '*\\/').split('\n');
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+function union(types) {
+  const unique = Array.from(new Set(types));
+  return unique.length === 1 ? unique[0] : unique.map(type => (type.includes(' & ') ? `(${type})` : type)).join(' | ');
+}
+
+/**
+ * TypeScript type of a JSON Schema. Objects with listed properties only
+ * allow others when the schema says so with `additionalProperties`.
+ */
+function toType(schema, indent = '') {
+  if (schema === true || !schema || Object.keys(schema).length === 0) {
+    return 'unknown';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (schema.enum) {
+    return union(schema.enum.map(value => JSON.stringify(value)));
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return union((schema.anyOf || schema.oneOf).map(option => toType(option, indent)));
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(part => toType(part, indent)).join(' & ');
+  }
+  if (Array.isArray(schema.type)) {
+    return union(schema.type.map(type => toType({ ...schema, type }, indent)));
+  }
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      const items = toType(schema.items, indent);
+      return /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    }
+    case 'object':
+      return objectType(schema, indent);
+    default:
+      return schema.properties ? objectType(schema, indent) : 'unknown';
+  }
+}
+
+function objectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  const additional = schema.additionalProperties;
+  if (properties.length === 0) {
+    return additional === false ? 'Record<string, never>' : `Record<string, ${toType(additional, indent)}>`;
+  }
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const members = properties.map(([name, property]) => {
+    const key = IDENTIFIER.test(name) ? name : JSON.stringify(name);
+    return `${docComment(property.description, inner)}${inner}${key}${required.has(name) ? '' : '?'}: ${toType(property, inner)};`;
+  });
+  if (additional !== undefined && additional !== false) {
+    members.push(`${inner}[key: string]: ${toType(additional, inner)};`);
+  }
+  return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Declaration of a named schema: an interface for plain objects, otherwise a type alias
+ */
+function declaration(name, schema) {
+  const indent = '  ';
+  const type = toType(schema, indent);
+  const isInterface = schema.type === 'object' && schema.properties && type.startsWith('{');
+  return docComment(schema.description, indent)
+    + (isInterface ? `${indent}export interface ${name} ${type}` : `${indent}export type ${name} = ${type};`);
+}
+
+/**
+ * Type names the client methods use, checked against the generated ones so
+ * that a renamed endpoint fails here rather than in a consumer's build
+ */
+const CLIENT_TYPES = [
+  'University', 'SearchParams', 'GetUniversityParams', 'SearchResponse', 'SearchNearbyParams', 'SearchNearbyResponse',
+  'GetUniversityResponse', 'GetFieldsResponse', 'GetUniversityByNameParams', 'GetUniversityByNameResponse',
+  'StatisticsParams', 'StatisticsResponse', 'FacetsParams', 'FacetsResponse', 'CompareParams',
+  'CompareResponse', 'AskParams', 'AskResponse', 'BatchParams', 'BatchResponse', 'SaveQueryParams', 'SaveQueryResponse', 'ListQueriesResponse',
+  'GetQueryResponse', 'DeleteQueryResponse', 'SnapshotQueryParams', 'SnapshotQueryResponse', 'DiffQueryParams',
+  'DiffQueryResponse', 'ExportParams',
+  'Usage', 'ParameterError'
+];
+
+const ERROR_CLASSES = [
+  'UniversityDataError', 'ValidationError', 'AuthenticationError', 'NotFoundError',
+  'UpstreamError', 'RateLimitError', 'NetworkError', 'TimeoutError'
+];
+
+const CLIENT = `declare class UniversityDataClient {
+  /**
+   * @param baseUrl - The base URL of the server (default: http://localhost:3000)
+   */
+  constructor(baseUrl?: string, options?: UniversityDataClient.ClientOptions);
+
+  baseUrl: string;
+  apiKey?: string;
+  timeout: number;
+  retries: number;
+  retryDelay: number;
+  maxRetryDelay: number;
+  quiet: boolean;
+
+  /** Endpoint definitions and the dataset field catalog */
+  getSchema(options?: UniversityDataClient.RequestOptions): Promise<Record<string, unknown>>;
+
+  /** Search for universities based on criteria */
+  searchUniversities(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SearchResponse>;
+
+  /** Iterate over every university matching a search, fetching further pages as the loop advances */
+  iterateSearch(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): AsyncGenerator<UniversityDataClient.University, void, undefined>;
+
+  /** Fetch every university matching a search into one array */
+  searchAll(params?: UniversityDataClient.SearchParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.University[]>;
+
+  /** Find universities near a location */
+  searchNearby(params?: UniversityDataClient.SearchNearbyParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SearchNearbyResponse>;
+
+  /** Get detailed information for a specific university by ID */
+  getUniversity(id: string | number, options?: Omit<UniversityDataClient.GetUniversityParams, 'id'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetUniversityResponse>;
+
+  /** Get all available fields in the university dataset */
+  getFields(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetFieldsResponse>;
+
+  /** Get a university by name, resolving abbreviations, aliases and typos */
+  getUniversityByName(name: string, options?: Omit<UniversityDataClient.GetUniversityByNameParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetUniversityByNameResponse>;
+
+  /** Get statistical information about universities */
+  getStatistics(params: UniversityDataClient.StatisticsParams, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.StatisticsResponse>;
+
+  /** List distinct values of one or more fields with record counts */
+  getFacets(fields: UniversityDataClient.FacetsParams['fields'] | UniversityDataClient.FacetsParams['fields'][number], params?: Omit<UniversityDataClient.FacetsParams, 'fields'>, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.FacetsResponse>;
+
+  /** Compare several universities side by side; the first is the baseline */
+  compare(universities: UniversityDataClient.CompareParams['universities'], options?: Omit<UniversityDataClient.CompareParams, 'universities'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.CompareResponse>;
+
+  /** Ask a question in plain English; the response shows how it was interpreted */
+  ask(question: string, options?: Omit<UniversityDataClient.AskParams, 'question'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.AskResponse>;
+
+  /** Run several operations in one request; each result has its own success flag */
+  batch(operations: UniversityDataClient.BatchParams['operations'], options?: Omit<UniversityDataClient.BatchParams, 'operations'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.BatchResponse>;
+
+  /** Save a named search, or replace one */
+  saveQuery(name: string, params?: Omit<UniversityDataClient.SaveQueryParams, 'name'>, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SaveQueryResponse>;
+
+  /** List the saved queries of this client's API key */
+  listQueries(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.ListQueriesResponse>;
+
+  /** Get a saved query and the list of its snapshots */
+  getQuery(name: string, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.GetQueryResponse>;
+
+  /** Delete a saved query and its snapshots */
+  deleteQuery(name: string, options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.DeleteQueryResponse>;
+
+  /** Run a saved query, store its results as a snapshot and get the changes since the previous one */
+  snapshotQuery(name: string, options?: Omit<UniversityDataClient.SnapshotQueryParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.SnapshotQueryResponse>;
+
+  /** Compare a snapshot of a saved query with a later one or with its current results */
+  diffQuery(name: string, options?: Omit<UniversityDataClient.DiffQueryParams, 'name'> & UniversityDataClient.RequestOptions): Promise<UniversityDataClient.DiffQueryResponse>;
+
+  /** Export every matching university as CSV, NDJSON or GeoJSON; resolves once the download has started */
+  exportUniversities(params?: UniversityDataClient.ExportParams, options?: UniversityDataClient.RequestOptions): Promise<Response>;
+
+  /** Get this client's API key usage: limits, requests today, remaining quota and rejections */
+  getUsage(options?: UniversityDataClient.RequestOptions): Promise<UniversityDataClient.UsageResponse>;
+}`;
+
+const CLIENT_NAMESPACE = `  export interface ClientOptions {
+    /** Milliseconds before a request is abandoned (0 for none; default 30000) */
+    timeout?: number;
+    /** Extra attempts after a network error, timeout, 429 or 5xx (default 2) */
+    retries?: number;
+    /** Base backoff in milliseconds, doubled on each retry (default 500) */
+    retryDelay?: number;
+    /** Upper bound for a single backoff; a longer Retry-After is not waited for (default 10000) */
+    maxRetryDelay?: number;
+    /** API key, sent as a bearer token */
+    apiKey?: string;
+    /** Do not log failed requests to the console (default false) */
+    quiet?: boolean;
+  }
+
+  export interface RequestOptions {
+    /** Cancels the request */
+    signal?: AbortSignal;
+    /** Overrides the client timeout */
+    timeout?: number;
+  }
+
+  export interface UsageResponse {
+    success: true;
+    data: Usage | { enabled: false };
+  }
+
+${ERROR_CLASSES.map(name => `  export import ${name} = errors.${name};`).join('\n')}
+
+  export type UniversityDataClient = ClientInstance;
+  export const UniversityDataClient: ClientClass;`;
+
+/**
+ * Contents of client/index.d.ts
+ */
+function generate() {
+  const { components } = buildOpenApiDocument();
+  const names = Object.keys(components.schemas);
+  for (const name of CLIENT_TYPES) {
+    if (!names.includes(name)) {
+      throw new Error(`The client typings use ${name}, which the OpenAPI document no longer defines`);
+    }
+  }
+
+  const declarations = names.map(name => declaration(name, components.schemas[name]));
+  return [
+    '// Generated by scripts/generate-types.js from the endpoint definitions; do not edit.',
+    '// Run `npm run types` after changing lib/endpoints.js.',
+    '',
+    "import * as errors from './errors';",
+    '',
+    CLIENT,
+    '',
+    'type ClientInstance = UniversityDataClient;',
+    'type ClientClass = typeof UniversityDataClient;',
+    '',
+    'declare namespace UniversityDataClient {',
+    declarations.join('\n\n'),
+    '',
+    CLIENT_NAMESPACE,
+    '}',
+    '',
+    'export = UniversityDataClient;',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const contents = generate();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== contents) {
+      console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date; run \`npm run types\``);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  fs.writeFileSync(OUTPUT, contents);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main();
@@ -1,445 +1,466 @@
 // Import required packages
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const handlers = require('./lib/handlers');
+const { endpoints, toJsonSchema } = require('./lib/endpoints');
+const { ApiError, codeForStatus } = require('./lib/errors');
+const { validateParams } = require('./lib/validation');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { EXPORT_FORMATS, parseExportParams, exportPages, createSerializer } = require('./lib/export');
+const { getCatalog, fallbackFields } = require('./lib/catalog');
+const { healthReport, currentStatus } = require('./lib/health');
+const { runWithContext } = require('./lib/request-context');
+const { logger } = require('./lib/logger');
+const { registry, httpRequests, httpDuration } = require('./lib/metrics');
+const { AccessControl } = require('./lib/access');
+const { McpServer } = require('./lib/mcp');
+const { createMcpRouter } = require('./lib/mcp-http');
+const { getCache, getDataSource } = require('./lib/datasources');
+const { ttlFor } = require('./lib/datasources/cached');
+const config = require('./lib/config');
 
 // Create the Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+app.set('trust proxy', config.trustProxy);
+
+// API keys, rate limits and quotas (off unless API_KEYS_FILE is set)
+const access = AccessControl.fromFile(config.access.keysFile);
+
+// Paths served without an API key or rate limiting
+const PUBLIC_PATHS = new Set(['/', '/health', '/schema', '/openapi.json']);
+
+// Paths that need an admin key when access control is on
+const ADMIN_PATH = /^\/(admin\/|metrics$)/;
+
+// Request IDs accepted from clients: a reasonable length of safe characters
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
 
 // Middleware setup
-app.use(cors());  // Allow cross-origin requests
+app.use(trackRequest);  // Assign a request ID, then log and measure the response
+app.use(cors({
+  origin: config.cors.origins,
+  exposedHeaders: [
+    'Mcp-Session-Id', 'Retry-After', 'Warning', 'X-Request-Id',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'
+  ]
+}));  // Allow cross-origin requests from the configured origins
+app.use(requireAccess);  // Authenticate and count every non-public request
+app.use('/mcp', createMcpRouter(new McpServer()));  // MCP Streamable HTTP transport
 app.use(bodyParser.json());  // Parse JSON request bodies
 
-// Base URL for the university dataset API
-const API_BASE_URL = 'https://public.opendatasoft.com/api/explore/v2.1';
-const DATASET_ID = 'us-colleges-and-universities';
-
 /**
  * Helper function to format error responses
  */
-function formatError(message, status = 400) {
+function formatError(message, status = 400, details = undefined, code = codeForStatus(status)) {
+  const error = {
+    message,
+    status,
+    code
+  };
+  if (details !== undefined) {
+    error.details = details;
+  }
   return {
     success: false,
-    error: {
-      message,
-      status
-    }
+    error
   };
 }
 
-// Root endpoint - provides basic information about the API
-app.get('/', (req, res) => {
-  res.json({
-    name: "University Data MCP API",
-    description: "A Machine Controllable Program (MCP) for querying university data",
-    version: "1.0.0",
-    documentation: "/schema",
-    status: "operational"
+/**
+ * Route pattern that served a request, or 'unmatched'. Metrics and usage
+ * are counted by pattern rather than by path, to keep their number bounded.
+ */
+function routeOf(req) {
+  return req.route ? (req.baseUrl + req.route.path).replace(/(.)\/$/, '$1') : (req.baseUrl || 'unmatched');
+}
+
+/**
+ * Give every request an ID (the client's X-Request-Id when it sends a
+ * usable one), echo it in the response and the logs, and record an access
+ * log line and metrics once the response is finished. Query strings are
+ * left out of the log, since they may carry personal search terms.
+ */
+function trackRequest(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.context = { requestId: req.id };
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    runWithContext(req.context, () => {
+      logger.info('request', {
+        method: req.method,
+        path: (req.baseUrl + req.path).replace(/(.)\/$/, '$1'),
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        client: req.client?.name,
+        ip: req.ip
+      });
+    });
   });
-});
+
+  runWithContext(req.context, next);
+}
 
 /**
- * MCP schema definition endpoint
- * This endpoint returns the schema that describes the capabilities of this MCP
+ * API key sent with a request, as a bearer token or an X-API-Key header
  */
-app.get('/schema', (req, res) => {
-  const schema = {
-    name: "UniversityDataMCP",
-    description: "An MCP for querying university data from the OpenDataSoft API",
-    version: "1.0.0",
-    endpoints: [
-      {
-        path: "/search",
-        method: "POST",
-        description: "Search for universities based on criteria",
-        parameters: {
-          query: {
-            type: "string",
-            description: "Full-text search query",
-            required: false
-          },
-          state: {
-            type: "string",
-            description: "Filter by state (e.g., 'CA', 'NY')",
-            required: false
-          },
-          city: {
-            type: "string",
-            description: "Filter by city name",
-            required: false
-          },
-          limit: {
-            type: "number",
-            description: "Maximum number of results to return (default: 10, max: 100)",
-            required: false
-          },
-          offset: {
-            type: "number",
-            description: "Number of results to skip (for pagination)",
-            required: false
-          }
-        },
-        returns: {
-          type: "object",
-          description: "Search results including university records"
-        }
-      },
-      {
-        path: "/getFields",
-        method: "GET",
-        description: "Get all available fields in the university dataset",
-        parameters: {},
-        returns: {
-          type: "array",
-          description: "List of available fields and their descriptions"
-        }
-      },
-      {
-        path: "/statistics",
-        method: "POST",
-        description: "Get statistical information about universities",
-        parameters: {
-          field: {
-            type: "string",
-            description: "Field to analyze (e.g., 'objectid', 'population')",
-            required: true
-          },
-          aggregation: {
-            type: "string",
-            description: "Type of aggregation (count, sum, avg, min, max)",
-            required: true
-          },
-          groupBy: {
-            type: "string",
-            description: "Field to group by (e.g., 'state', 'city')",
-            required: false
-          },
-          filter: {
-            type: "object",
-            description: "Filter conditions to apply",
-            required: false
-          }
-        },
-        returns: {
-          type: "object",
-          description: "Statistical results"
-        }
-      },
-      {
-        path: "/getUniversityByName",
-        method: "GET",
-        description: "Get details for a specific university by name",
-        parameters: {
-          name: {
-            type: "string",
-            description: "University name",
-            required: true
-          }
-        },
-        returns: {
-          type: "object",
-          description: "Detailed university information"
-        }
-      }
-    ]
-  };
-  
-  res.json(schema);
-});
+function apiKeyOf(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : req.get('X-API-Key');
+}
 
 /**
- * Search endpoint - allows searching for universities with various filters
+ * Identify the client, enforce its rate limit and daily quota, and report
+ * both in response headers. Admin routes also need an admin key.
  */
-app.post('/search', async (req, res) => {
+function requireAccess(req, res, next) {
+  if (!access.enabled || PUBLIC_PATHS.has(req.path)) {
+    next();
+    return;
+  }
   try {
-    const { 
-      query = '',
-      state = '',
-      city = '',
-      limit = 10,
-      offset = 0
-    } = req.body;
-    
-    // Validate input
-    if (limit > 100) {
-      return res.status(400).json(formatError("Limit cannot exceed 100"));
+    const client = access.identify(apiKeyOf(req), req.ip);
+    if (ADMIN_PATH.test(req.path) && !client.admin) {
+      throw new ApiError("This endpoint needs an admin API key", 403);
     }
-    
-    // Build query parameters
-    let whereClause = [];
-    if (state) {
-      whereClause.push(`state = '${state}'`);
+    const limits = access.consume(client);
+    // Batches charge their further operations as requests of their own
+    req.context.charge = () => access.consume(client);
+    // Saved queries are kept per client
+    req.context.client = client;
+    // The route is only known once the request has been routed
+    res.on('finish', () => access.countEndpoint(client, routeOf(req)));
+    if (limits.rateLimit !== null) {
+      res.set('X-RateLimit-Limit', String(limits.rateLimit));
+      res.set('X-RateLimit-Remaining', String(limits.rateRemaining));
     }
-    if (city) {
-      whereClause.push(`city = '${city}'`);
+    if (limits.quota !== null) {
+      res.set('X-Quota-Limit', String(limits.quota));
+      res.set('X-Quota-Remaining', String(limits.quotaRemaining));
+      res.set('X-Quota-Reset', String(limits.quotaReset));
     }
-    
-    const params = {
-      limit,
-      offset,
-      // Use ODSQL syntax for the where clause
-      where: whereClause.length > 0 ? whereClause.join(' AND ') : undefined,
-    };
-    
-    // Add full-text search if provided
-    if (query) {
-      params.q = query;
+    req.client = client;
+    next();
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
     }
-    
-    // Make the API request
-    const response = await axios.get(`${API_BASE_URL}/catalog/datasets/${DATASET_ID}/records`, {
-      params
-    });
-    
-    res.json({
-      success: true,
-      data: response.data,
-      metadata: {
-        total: response.data.total_count,
-        offset: offset,
-        limit: limit,
-        query_parameters: {
-          query,
-          state,
-          city
-        }
+    sendError(res, error);
+  }
+}
+
+/**
+ * Cache-Control header value for a successful response of an endpoint.
+ * With API keys, shared caches must not answer one client with another's
+ * response, so responses are private.
+ */
+function cacheControl(endpoint) {
+  if (!config.cache.enabled) {
+    return 'no-cache';
+  }
+  return `${access.enabled ? 'private' : 'public'}, max-age=${ttlFor(config.cache.ttlSeconds, endpoint)}`;
+}
+
+/**
+ * JSON Schema of the parameters of the endpoint served at a path
+ */
+function parameterSchema(path) {
+  const definition = endpoints.find(entry => entry.path === path);
+  return toJsonSchema(definition ? definition.parameters : {});
+}
+
+/**
+ * Read and validate the parameters of a request.
+ * GET routes read their parameters from the query string, other routes
+ * from the body; parameters in the route's path take precedence.
+ */
+function requestParams(req, schema) {
+  return validateParams(schema, { ...(req.method === 'GET' ? req.query : (req.body || {})), ...req.params });
+}
+
+/**
+ * Serve an endpoint definition as an Express route, answered by the shared
+ * handler of its tool. Parameters are validated against the endpoint's
+ * published schema before the handler runs.
+ * Express adds an ETag to every JSON response and answers matching
+ * If-None-Match requests with 304.
+ *
+ * A response built from expired cache entries (served while the upstream
+ * is unavailable) carries `stale` and a Warning header and is not cached.
+ * The handler runs in the request's context explicitly, since body parsing
+ * resumes outside of it.
+ */
+function route(endpoint) {
+  const handler = handlers[endpoint.tool];
+  const schema = toJsonSchema(endpoint.parameters);
+  return async (req, res) => {
+    try {
+      const params = requestParams(req, schema);
+      const result = await runWithContext(req.context, () => handler(params));
+      const body = {
+        success: true,
+        ...result
+      };
+      if (req.context.staleSince !== undefined) {
+        body.stale = { since: new Date(req.context.staleSince).toISOString() };
+        res.set('Warning', '110 - "Response is Stale"');
+        res.set('Cache-Control', 'no-store');
+      } else {
+        res.set('Cache-Control', cacheControl(endpoint.tool));
       }
-    });
-  } catch (error) {
-    console.error('Error in search:', error);
-    res.status(500).json(formatError(
-      error.response?.data?.message || "Failed to search universities",
-      error.response?.status || 500
-    ));
+      res.json(body);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Send an error response, logging internal errors (anything that is not
+ * an ApiError, or one with status 500)
+ */
+function sendError(res, error) {
+  if (!(error instanceof ApiError) || error.status === 500) {
+    runWithContext(res.req.context || {}, () => logger.error('Unexpected error', { error }));
   }
-});
+  const status = error.status || 500;
+  res.set('Cache-Control', 'no-store');
+  if (error.details?.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  res.status(status).json(formatError(error.message || "Internal server error", status, error.details, error.code));
+}
+
+const exportSchema = parameterSchema('/export');
 
 /**
- * Get University Details - fetch details for a specific university by ID
+ * Stream every record matching an export request, one upstream page at a
+ * time. Parameter and first-page errors are reported as JSON; once the
+ * download has started a failure can only abort the connection.
  */
-app.get('/getUniversity', async (req, res) => {
+async function exportRoute(req, res) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  let options;
+  let pages;
+  let step;
+  try {
+    options = parseExportParams(requestParams(req, exportSchema));
+    pages = exportPages(getDataSource(), options.query, { max: options.max });
+    step = await runWithContext(req.context, () => pages.next());
+  } catch (error) {
+    sendError(res, error);
+    return;
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[options.format];
+  const serializer = createSerializer(options.format, options.fields, { raw: options.raw });
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="universities.${extension}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.write(serializer.start());
+
   try {
-    const { id } = req.query;
-    
-    if (!id) {
-      return res.status(400).json(formatError("University ID is required"));
+    for (; !step.done && !closed; step = await runWithContext(req.context, () => pages.next())) {
+      if (!res.write(serializer.page(step.value))) {
+        await waitForDrain(res);
+      }
     }
-    
-    console.log(`Getting university with ID: ${id}`);
-    
-    // Use the where clause to find by objectid
-    const requestUrl = `${API_BASE_URL}/catalog/datasets/${DATASET_ID}/records`;
-    const params = {
-      where: `objectid = '${id}'`,
-      limit: 1
-    };
-    
-    console.log(`Making request to: ${requestUrl}`);
-    console.log(`With params:`, params);
-    
-    const response = await axios.get(requestUrl, { params });
-    
-    console.log(`Response status: ${response.status}`);
-    console.log(`Response data:`, JSON.stringify(response.data).substring(0, 300) + '...');
-    
-    if (response.data.results && response.data.results.length > 0) {
-      console.log(`Found university with ID: ${id}`);
-      res.json({
-        success: true,
-        data: response.data.results[0]
-      });
-    } else {
-      console.log(`No university found with ID: ${id}`);
-      return res.status(404).json(formatError("University not found", 404));
+    if (closed) {
+      await pages.return();
+      return;
     }
+    res.end(serializer.end());
   } catch (error) {
-    console.error('Error fetching university:', error);
-    
-    // Handle 404 specifically
-    if (error.response?.status === 404) {
-      return res.status(404).json(formatError("University not found", 404));
-    }
-    
-    res.status(500).json(formatError(
-      error.response?.data?.message || "Failed to fetch university details",
-      error.response?.status || 500
-    ));
+    runWithContext(req.context, () => logger.error('Export failed', { error }));
+    res.destroy(error);
   }
-});
+}
 
 /**
- * Get University By Name - fetch details for a university by name
+ * Wait until a response can take more data or the client has gone away
  */
-app.get('/getUniversityByName', async (req, res) => {
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Root endpoint - provides basic information about the API
+app.get('/', (req, res) => {
+  res.json({
+    name: "University Data MCP API",
+    description: "A Machine Controllable Program (MCP) for querying university data",
+    version: "1.0.0",
+    documentation: "/schema",
+    openapi: "/openapi.json",
+    mcp: "/mcp",
+    health: "/health",
+    status: currentStatus()
+  });
+});
+
+// Health endpoint - data source check, upstream latency and circuit breaker state
+app.get('/health', async (req, res) => {
   try {
-    const { name } = req.query;
-    
-    if (!name) {
-      return res.status(400).json(formatError("University name is required"));
-    }
-    
-    console.log(`Getting university with name: ${name}`);
-    
-    // Use the where clause to find by name
-    const response = await axios.get(`${API_BASE_URL}/catalog/datasets/${DATASET_ID}/records`, {
-      params: {
-        where: `name = '${name}'`,
-        limit: 1
-      }
+    const report = await healthReport();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'down' ? 503 : 200).json({
+      success: report.status !== 'down',
+      data: report
     });
-    
-    if (response.data.results && response.data.results.length > 0) {
-      res.json({
-        success: true,
-        data: response.data.results[0]
-      });
-    } else {
-      return res.status(404).json(formatError("University not found", 404));
-    }
   } catch (error) {
-    console.error('Error fetching university by name:', error);
-    res.status(500).json(formatError(
-      error.response?.data?.message || "Failed to fetch university details",
-      error.response?.status || 500
-    ));
+    sendError(res, error);
   }
 });
 
 /**
- * Get Fields - fetch all available fields in the dataset
+ * MCP schema definition endpoint
+ * This endpoint returns the schema that describes the capabilities of this MCP
  */
-app.get('/getFields', async (req, res) => {
+app.get('/schema', async (req, res) => {
+  // Field descriptions come from the dataset catalog when it can be loaded
+  let fields;
   try {
-    // Get a sample record to determine the available fields
-    const response = await axios.get(`${API_BASE_URL}/catalog/datasets/${DATASET_ID}/records`, {
-      params: { limit: 1 }
-    });
-    
-    if (response.data.results && response.data.results.length > 0) {
-      const sampleRecord = response.data.results[0];
-      
-      // Extract fields from the sample record
-      const fields = Object.keys(sampleRecord).map(key => {
-        let type = typeof sampleRecord[key];
-        // Try to infer more specific types
-        if (key.includes('date') || key.includes('time')) {
-          type = 'date';
-        } else if (!isNaN(Number(sampleRecord[key]))) {
-          type = 'number';
-        }
-        
-        return {
-          name: key,
-          type: type,
-          description: key.replace(/_/g, ' ')
-        };
-      });
-      
-      res.json({
-        success: true,
-        data: fields
-      });
-    } else {
-      throw new Error("No sample records found to determine fields");
-    }
+    fields = (await getCatalog()).fields;
   } catch (error) {
-    console.error('Error fetching fields:', error);
-    res.status(500).json(formatError(
-      error.response?.data?.message || "Failed to fetch dataset fields",
-      error.response?.status || 500
-    ));
+    logger.warn('Error loading field catalog', { error: error.message });
+    fields = fallbackFields();
   }
+
+  const schema = {
+    name: "UniversityDataMCP",
+    description: "An MCP for querying university data from the OpenDataSoft API",
+    version: "1.0.0",
+    endpoints: endpoints.map(({ path, method, description, parameters, returns }) => ({
+      path,
+      method,
+      description,
+      parameters,
+      returns
+    })),
+    fields
+  };
+  
+  res.json(schema);
+});
+
+// OpenAPI 3.1 document generated from the endpoint definitions
+app.get('/openapi.json', async (req, res) => {
+  // Field enums list the catalog's fields once it has loaded
+  try {
+    await getCatalog();
+  } catch (error) {
+    logger.warn('Error loading field catalog', { error: error.message });
+  }
+
+  res.json(buildOpenApiDocument({
+    serverUrl: `${req.protocol}://${req.get('host')}`,
+    accessControl: access.enabled
+  }));
+});
+
+// Data endpoints (search, searchNearby, getUniversity, getUniversityByName,
+// getFields, statistics, facets, compare, ask, batch and the saved queries) -
+// one route per endpoint definition, served by the handler of its tool
+for (const endpoint of endpoints.filter(entry => entry.tool)) {
+  app[endpoint.method.toLowerCase()](endpoint.path, route(endpoint));
+}
+
+// Export endpoint - stream every matching university as CSV, NDJSON or GeoJSON
+app.get('/export', exportRoute);
+app.post('/export', exportRoute);
+
+// Usage - the calling key's requests, quota and rejections
+app.get('/usage', (req, res) => {
+  res.json({
+    success: true,
+    data: access.enabled ? access.usage(req.client) : { enabled: false }
+  });
+});
+
+// Usage administration - every key's usage, plus anonymous clients
+app.get('/admin/usage', (req, res) => {
+  res.json({
+    success: true,
+    data: access.report()
+  });
 });
 
 /**
- * Statistics endpoint - get aggregated statistics on universities
+ * Only admin keys may see or purge the cache, so without access control
+ * its administration is off: purging it would let anyone undo it
  */
-app.post('/statistics', async (req, res) => {
-  try {
-    const {
-      field,
-      aggregation,
-      groupBy,
-      filter
-    } = req.body;
-    
-    if (!field || !aggregation) {
-      return res.status(400).json(formatError("Field and aggregation are required"));
-    }
-    
-    // Validate aggregation type
-    const validAggregations = ['count', 'sum', 'avg', 'min', 'max'];
-    if (!validAggregations.includes(aggregation)) {
-      return res.status(400).json(formatError(`Invalid aggregation. Must be one of: ${validAggregations.join(', ')}`));
-    }
-    
-    // For numeric fields, ensure they're cast properly
-    // Convert the field to a number for aggregations
-    let selectClause;
-    
-    if (aggregation === 'count') {
-      selectClause = `count(*) as count`;
-    } else {
-      // For the other aggregations, we need to make sure we're working with a number
-      // Since population is stored as a string in the API but contains numeric data
-      selectClause = `${aggregation}(int(${field})) as ${aggregation === 'avg' ? 'average' : aggregation}`;
-    }
-    
-    // Build where clause from filter if provided
-    let whereClause = '';
-    if (filter && Object.keys(filter).length > 0) {
-      whereClause = Object.entries(filter)
-        .map(([key, value]) => {
-          if (typeof value === 'string') {
-            return `${key} = '${value}'`;
-          }
-          return `${key} = ${value}`;
-        })
-        .join(' AND ');
-    }
-    
-    // Add group by if provided
-    const params = {
-      select: selectClause
-    };
-    
-    if (groupBy) {
-      params.group_by = groupBy;
+function requireAdmin(req, res, next) {
+  if (!req.client?.admin) {
+    sendError(res, new ApiError("This endpoint needs an admin API key; set API_KEYS_FILE to configure one", 403));
+    return;
+  }
+  next();
+}
+
+// Cache administration - view hit rates and contents
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: config.cache.enabled,
+      ttlSeconds: config.cache.ttlSeconds,
+      ...getCache().report()
     }
-    
-    if (whereClause) {
-      params.where = whereClause;
+  });
+});
+
+// Cache administration - purge all entries, or only one endpoint's with ?endpoint=
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+  const { endpoint } = req.query;
+  const removed = getCache().purge({ endpoint });
+  res.json({
+    success: true,
+    data: {
+      removed,
+      endpoint: endpoint || null
     }
-    
-    console.log("Statistics params:", params);
-    
-    // Make API request for aggregate data
-    const response = await axios.get(`${API_BASE_URL}/catalog/datasets/${DATASET_ID}/records`, {
-      params
-    });
-    
-    res.json({
-      success: true,
-      data: response.data,
-      metadata: {
-        field,
-        aggregation,
-        groupBy,
-        filter
-      }
-    });
-  } catch (error) {
-    console.error('Error calculating statistics:', error);
-    res.status(500).json(formatError(
-      error.response?.data?.message || "Failed to calculate statistics",
-      error.response?.status || 500
-    ));
-  }
+  });
+});
+
+// Metrics in the Prometheus text format (admin key needed with access control)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.set('Cache-Control', 'no-store');
+  res.send(registry.render());
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`University Data MCP server running on port ${PORT}`);
-});
\ No newline at end of file
+// Start the server when run directly; tests require the app instead
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('University Data MCP server running', { port: Number(PORT), dataSource: config.dataSource, logLevel: logger.level });
+
+    // Load the field catalog up front so validation uses the dataset's fields
+    getCatalog().catch(error => {
+      logger.warn('Error loading field catalog', { error: error.message });
+    });
+  });
+}
+
+module.exports = app;
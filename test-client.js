@@ -27,7 +27,7 @@ async function runTest() {
       console.log(`${index + 1}. ${result.name || 'Unknown'} (${result.city || 'Unknown'}, ${result.state || 'Unknown'})`);
       if (index === 0) {
         firstUniversityName = result.name;
-        console.log(`   ID: ${result.objectid}`);
+        console.log(`   ID: ${result.id}`);
         console.log(`   Population: ${result.population}`);
       }
     });
@@ -76,7 +76,9 @@ async function runTest() {
         console.log(`Location: ${university.city || 'Unknown'}, ${university.state || 'Unknown'}`);
         console.log(`Address: ${university.address || 'Unknown'}`);
         console.log(`Telephone: ${university.telephone || 'Unknown'}`);
-        console.log(`Population: ${university.population || 'Unknown'}`);
+        console.log(`Population: ${university.population ?? 'Unknown'}`);
+        console.log(`Total Enrollment: ${university.totalEnrollment ?? 'Unknown'}`);
+        console.log(`Website: ${university.website || 'Unknown'}`);
         console.log(`Type: ${university.type || 'Unknown'}`);
       } catch (error) {
         console.log('Could not fetch university details:', error.message);
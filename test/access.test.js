@@ -0,0 +1,231 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_ANONYMOUS_CLIENTS, AccessControl, TokenBucket } = require('../lib/access');
+
+const KEYS = {
+  defaults: { requestsPerMinute: 60, burst: 20, dailyQuota: 1000 },
+  anonymous: { requestsPerMinute: 60, burst: 2, dailyQuota: 100 },
+  keys: [
+    { name: 'tester', key: 'tester-secret', burst: 2 },
+    { name: 'batch', key: 'batch-secret', requestsPerMinute: 1, burst: 3 },
+    { name: 'mcp', key: 'mcp-secret', requestsPerMinute: 1, burst: 4 },
+    { name: 'analyst', key: 'analyst-secret' },
+    { name: 'ops', key: 'ops-secret', admin: true, requestsPerMinute: null, dailyQuota: null }
+  ]
+};
+
+/**
+ * Replace Date.now with a clock the test sets by hand
+ */
+function manualClock(t, start) {
+  const clock = { now: Date.parse(start) };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('a token bucket refills at its steady rate', () => {
+  const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 1 });
+  const start = bucket.updatedAt;
+  assert.strictEqual(bucket.take(start), 0);
+  assert.strictEqual(bucket.take(start), 0);
+  assert.strictEqual(bucket.take(start), 1000);
+  assert.strictEqual(bucket.take(start + 500), 500);
+  assert.strictEqual(bucket.take(start + 1000), 0);
+  assert.strictEqual(bucket.remaining(start + 10000), 2);
+});
+
+test('requests beyond the burst are rate limited until a token is refilled', t => {
+  const clock = manualClock(t, '2026-10-19T12:00:00Z');
+  const access = new AccessControl(KEYS);
+  const client = access.identify('tester-secret');
+
+  assert.deepStrictEqual(access.consume(client), { rateLimit: 2, rateRemaining: 1, quota: 1000, quotaRemaining: 999, quotaReset: 43200 });
+  access.consume(client);
+  assert.throws(() => access.consume(client), error => {
+    assert.strictEqual(error.status, 429);
+    assert.strictEqual(error.code, 'rate_limited');
+    assert.strictEqual(error.details.retryAfter, 1);
+    return true;
+  });
+
+  clock.now += 1000;
+  assert.strictEqual(access.consume(client).rateRemaining, 0);
+  assert.deepStrictEqual(access.usage(client).rejected, { rateLimit: 1, quota: 0 });
+  assert.strictEqual(access.usage(client).today, 3);
+});
+
+test('the daily quota resets at midnight UTC', t => {
+  const clock = manualClock(t, '2026-10-19T23:59:00Z');
+  const access = new AccessControl({ keys: [{ name: 'small', key: 'small-secret', requestsPerMinute: null, dailyQuota: 2 }] });
+  const client = access.identify('small-secret');
+
+  access.consume(client);
+  assert.strictEqual(access.consume(client).quotaRemaining, 0);
+  assert.throws(() => access.consume(client), error => {
+    assert.strictEqual(error.status, 429);
+    assert.strictEqual(error.code, 'quota_exceeded');
+    assert.strictEqual(error.details.retryAfter, 60);
+    return true;
+  });
+
+  clock.now = Date.parse('2026-10-20T00:00:00Z');
+  assert.strictEqual(access.consume(client).quotaRemaining, 1);
+  assert.strictEqual(access.usage(client).total, 3);
+});
+
+test('unknown keys, and missing keys without anonymous access, are refused', () => {
+  const access = new AccessControl({ keys: KEYS.keys });
+  assert.throws(() => access.identify('wrong'), { status: 401, code: 'invalid_api_key' });
+  assert.throws(() => access.identify(undefined, '203.0.113.1'), { status: 401 });
+});
+
+test('limits that are not positive integers or null are refused', () => {
+  for (const requestsPerMinute of [0, -1, 1.5, '60', Infinity]) {
+    assert.throws(() => new AccessControl({ keys: [{ name: 'zero', key: 'zero-secret', requestsPerMinute }] }),
+      { message: `requestsPerMinute of API key zero must be a positive integer or null, not ${typeof requestsPerMinute === 'string' ? `"${requestsPerMinute}"` : requestsPerMinute}` });
+  }
+  assert.throws(() => new AccessControl({ defaults: { dailyQuota: 0 }, keys: [] }), /^Error: dailyQuota of the defaults/);
+  assert.throws(() => new AccessControl({ anonymous: { burst: -5 }, keys: [] }), /^Error: burst of anonymous access/);
+  assert.ok(new AccessControl({ keys: [{ name: 'open', key: 'open-secret', requestsPerMinute: null, burst: null, dailyQuota: null }] }));
+});
+
+test('the least recently seen anonymous clients are dropped, never the newest', () => {
+  const access = new AccessControl(KEYS);
+  const first = access.identify(undefined, 'client-0');
+  access.consume(first);
+  for (let i = 1; i < MAX_ANONYMOUS_CLIENTS; i++) {
+    access.consume(access.identify(undefined, `client-${i}`));
+  }
+  // Seen again, so client-1 is now the longest idle
+  access.consume(first);
+
+  const newest = access.identify(undefined, 'newest');
+  access.consume(newest);
+  access.consume(newest);
+  assert.throws(() => access.consume(newest), { code: 'rate_limited' });
+
+  assert.strictEqual(access.anonymousClients.size, MAX_ANONYMOUS_CLIENTS);
+  assert.ok(access.anonymousClients.has('anonymous:client-0'));
+  assert.ok(!access.anonymousClients.has('anonymous:client-1'));
+  assert.strictEqual(access.usage(newest).rejected.rateLimit, 1);
+});
+
+test('the usage report lists each anonymous client once', () => {
+  const access = new AccessControl(KEYS);
+  access.consume(access.identify(undefined, 'client-a'));
+  access.consume(access.identify(undefined, 'client-b'));
+  assert.deepStrictEqual(access.report().anonymous.map(usage => usage.ip), ['client-a', 'client-b']);
+});
+
+/**
+ * Start the server with the keys above
+ */
+async function startWithKeys(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+  fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify(KEYS));
+  const server = await startServer();
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return (method, url, key, body) => fetch(`${server.baseUrl}${url}`, {
+    method,
+    headers: { 'X-API-Key': key, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+test('the server enforces keys and limits, reports usage by route and charges batches per operation', async t => {
+  const send = await startWithKeys(t);
+
+  await t.test('keys and rate limits', async () => {
+    assert.strictEqual((await send('GET', '/getFields', 'wrong')).status, 401);
+
+    const first = await send('GET', '/getFields', 'tester-secret');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('x-ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('x-quota-remaining'), '999');
+
+    assert.strictEqual((await send('GET', '/no-such-route/1', 'tester-secret')).status, 404);
+    const limited = await send('GET', '/no-such-route/2', 'tester-secret');
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    assert.strictEqual((await limited.json()).error.code, 'rate_limited');
+
+    assert.strictEqual((await send('GET', '/admin/usage', 'tester-secret')).status, 403);
+    const report = await (await send('GET', '/admin/usage', 'ops-secret')).json();
+    const tester = report.data.keys.find(key => key.name === 'tester');
+    assert.deepStrictEqual(tester.endpoints, { '/getFields': 1, unmatched: 1 });
+    assert.deepStrictEqual(tester.rejected, { rateLimit: 1, quota: 0 });
+  });
+
+  await t.test('cache administration', async () => {
+    assert.strictEqual((await send('DELETE', '/admin/cache', 'batch-secret')).status, 403);
+    const report = await send('GET', '/admin/cache', 'ops-secret');
+    assert.strictEqual(report.status, 200);
+    assert.strictEqual((await report.json()).data.enabled, false);
+    const purge = await send('DELETE', '/admin/cache?endpoint=search', 'ops-secret');
+    assert.deepStrictEqual((await purge.json()).data, { removed: 0, endpoint: 'search' });
+  });
+
+  await t.test('saved queries are kept per key', async () => {
+    const saved = await send('POST', '/savedQueries', 'analyst-secret', { name: 'mine', state: 'MA' });
+    assert.strictEqual(saved.status, 200);
+
+    // Not even an admin key sees or changes another key's queries
+    assert.deepStrictEqual((await (await send('GET', '/savedQueries', 'ops-secret')).json()).data.queries, []);
+    assert.strictEqual((await send('GET', '/savedQueries/mine', 'ops-secret')).status, 404);
+    assert.strictEqual((await send('DELETE', '/savedQueries/mine', 'ops-secret')).status, 404);
+    const own = await send('POST', '/savedQueries', 'ops-secret', { name: 'mine', state: 'CA' });
+    assert.strictEqual((await own.json()).metadata.created, true);
+
+    const mine = await (await send('GET', '/savedQueries/mine', 'analyst-secret')).json();
+    assert.deepStrictEqual(mine.data.query.params, { state: 'MA' });
+
+    // An empty key is no key: anonymous clients have no saved queries
+    assert.strictEqual((await send('GET', '/savedQueries', '')).status, 403);
+  });
+
+  await t.test('/batch', async () => {
+    const operations = [1001, 1002, 1003, 1001, 1004, 1005].map(id => ({ tool: 'getUniversity', params: { id } }));
+    const response = await send('POST', '/batch', 'batch-secret', { operations });
+    assert.strictEqual(response.status, 200);
+    const { data, metadata } = await response.json();
+    assert.deepStrictEqual(data.results.map(result => result.success ? 'ok' : result.error.code),
+      ['ok', 'ok', 'ok', 'ok', 'rate_limited', 'rate_limited']);
+    assert.strictEqual(metadata.deduplicated, 1);
+
+    const report = await (await send('GET', '/admin/usage', 'ops-secret')).json();
+    const usage = report.data.keys.find(key => key.name === 'batch');
+    assert.strictEqual(usage.today, 3);
+    assert.deepStrictEqual(usage.rejected, { rateLimit: 2, quota: 0 });
+  });
+
+  await t.test('the batch MCP tool', async () => {
+    const initialize = await send('POST', '/mcp', 'mcp-secret', {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    });
+    const session = initialize.headers.get('mcp-session-id');
+    const call = await fetch(initialize.url, {
+      method: 'POST',
+      headers: { 'X-API-Key': 'mcp-secret', 'Content-Type': 'application/json', 'Mcp-Session-Id': session },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'batch', arguments: { operations: [1001, 1002, 1003, 1004].map(id => ({ tool: 'getUniversity', params: { id } })) } }
+      })
+    });
+    const { result } = await call.json();
+    assert.deepStrictEqual(result.structuredContent.data.results.map(entry => entry.success), [true, true, true, false]);
+  });
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_QUESTION_LENGTH, interpretQuestion } = require('../lib/ask');
+
+/**
+ * The tool and parameters a question compiles to
+ */
+function compiled(question, options) {
+  const { tool, params } = interpretQuestion(question, options);
+  return { tool, params };
+}
+
+test('states, institution types and thresholds become search filters', () => {
+  assert.deepStrictEqual(compiled('public universities in Texas with more than 20,000 students'), {
+    tool: 'search',
+    params: {
+      filter: {
+        and: [
+          { field: 'state', op: '=', value: 'TX' },
+          { field: 'type', op: '=', value: 'PUBLIC' },
+          { field: 'tot_enroll', op: '>', value: 20000 }
+        ]
+      },
+      limit: 10
+    }
+  });
+});
+
+test('longer state names win, and codes count only in capitals', () => {
+  assert.deepStrictEqual(compiled('5,000+ students in West Virginia').params.filter.and[0], { field: 'state', op: '=', value: 'WV' });
+  assert.deepStrictEqual(compiled('colleges in Ohio or Indiana').params.filter, { field: 'state', op: 'in', value: ['OH', 'IN'] });
+  assert.deepStrictEqual(compiled('colleges in OR').params.filter, { field: 'state', op: '=', value: 'OR' });
+  assert.deepStrictEqual(compiled('Washington, D.C. universities').params.filter, { field: 'state', op: '=', value: 'DC' });
+});
+
+test('"in <city>, <state>" filters by city in both casings', () => {
+  const { params } = compiled('colleges in Portland, Oregon with between 5k and 10k students');
+  assert.deepStrictEqual(params.filter.and, [
+    { field: 'state', op: '=', value: 'OR' },
+    { field: 'city', op: 'in', value: ['Portland', 'PORTLAND'] },
+    { field: 'tot_enroll', op: 'between', value: [5000, 10000] }
+  ]);
+});
+
+test('threshold wordings map to comparison operators and metrics', () => {
+  const filterOf = question => compiled(question).params.filter;
+  assert.deepStrictEqual(filterOf('colleges with at least 300 employees'), { field: 'tot_emp', op: '>=', value: 300 });
+  assert.deepStrictEqual(filterOf('colleges with fewer than 2 thousand students'), { field: 'tot_enroll', op: '<', value: 2000 });
+  assert.deepStrictEqual(filterOf('full-time enrollment over 1.5k'), { field: 'ft_enroll', op: '>', value: 1500 });
+  assert.deepStrictEqual(filterOf('colleges with 500 or fewer beds'), { field: 'dorm_cap', op: '<=', value: 500 });
+});
+
+test('"near" and "within" compile to a nearby search', () => {
+  assert.deepStrictEqual(compiled('universities within 50 km of Austin, TX'), {
+    tool: 'searchNearby',
+    params: { city: 'Austin', state: 'TX', radius: 50, unit: 'km', limit: 10 }
+  });
+  assert.deepStrictEqual(compiled('colleges near 02138').params, { zip: '02138', radius: 25, unit: 'mi', limit: 10 });
+  // A lone state elsewhere in the question places the city
+  assert.deepStrictEqual(compiled('public colleges near Springfield in Illinois').params, {
+    filter: { and: [{ field: 'state', op: '=', value: 'IL' }, { field: 'type', op: '=', value: 'PUBLIC' }] },
+    city: 'Springfield',
+    state: 'IL',
+    radius: 25,
+    unit: 'mi',
+    limit: 10
+  });
+  // "near Texas" names a state, not a place
+  assert.strictEqual(compiled('universities near Texas').tool, 'search');
+});
+
+test('aggregations and groupings compile to statistics', () => {
+  assert.deepStrictEqual(compiled('how many private colleges are in Ohio'), {
+    tool: 'statistics',
+    params: {
+      filter: {
+        and: [
+          { field: 'state', op: '=', value: 'OH' },
+          { field: 'type', op: 'in', value: ['PRIVATE, NOT-FOR-PROFIT', 'PRIVATE, FOR-PROFIT'] }
+        ]
+      },
+      aggregations: [{ aggregation: 'count' }]
+    }
+  });
+  assert.deepStrictEqual(compiled('how many students in Washington, DC').params.aggregations, [{ aggregation: 'sum', field: 'tot_enroll' }]);
+  assert.deepStrictEqual(compiled('top 3 average enrollment by state').params, {
+    aggregations: [{ aggregation: 'avg', field: 'tot_enroll' }],
+    groupBy: 'state',
+    orderBy: [{ field: 'avg_tot_enroll', direction: 'desc' }],
+    limit: 3
+  });
+});
+
+test('names, quotes and "top N" set the text search and limit', () => {
+  assert.deepStrictEqual(compiled('top 5 universities named Saint Mary in CA').params, {
+    filter: { field: 'state', op: '=', value: 'CA' },
+    query: 'Saint Mary',
+    limit: 5
+  });
+  assert.strictEqual(compiled('colleges called "Bay Path" in Massachusetts').params.query, 'Bay Path');
+  assert.strictEqual(compiled('top 5 colleges in Ohio', { limit: 20 }).params.limit, 20);
+  assert.strictEqual(compiled('colleges in Ohio', { raw: true }).params.raw, true);
+});
+
+test('unrecognized words are reported, and a question of nothing else is searched for', () => {
+  const interpretation = interpretQuestion('public universities with good football');
+  assert.deepStrictEqual(interpretation.ignored, ['good', 'football']);
+  assert.deepStrictEqual(interpretation.understood, [{ phrase: 'public', meaning: 'type PUBLIC' }]);
+
+  assert.deepStrictEqual(compiled('quantum chromodynamics'), { tool: 'search', params: { query: 'quantum chromodynamics', limit: 10 } });
+});
+
+test('questions the rules cannot answer are refused', () => {
+  assert.throws(() => interpretQuestion(''), { status: 400, message: 'A question is required' });
+  assert.throws(() => interpretQuestion('x'.repeat(MAX_QUESTION_LENGTH + 1)), { status: 400 });
+  assert.throws(() => interpretQuestion('how many universities near Boston'), { status: 400, code: 'unsupported_question' });
+  assert.throws(() => interpretQuestion('colleges named Bay near Boston'), { status: 400, code: 'unsupported_question' });
+});
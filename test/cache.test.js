@@ -0,0 +1,137 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResponseCache, stableStringify } = require('../lib/cache');
+const { CachingDataSource, ttlFor } = require('../lib/datasources/cached');
+const { runWithContext } = require('../lib/request-context');
+const { ApiError } = require('../lib/errors');
+
+/**
+ * A data source answering from `respond`, counting its calls
+ */
+function countingSource(respond) {
+  const source = {
+    name: 'test',
+    calls: 0,
+    async search(query) {
+      source.calls++;
+      return respond(query);
+    }
+  };
+  return source;
+}
+
+/**
+ * Replace Date.now with a clock the test advances by hand
+ */
+function manualClock(t) {
+  const clock = { now: 1_000_000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('stableStringify ignores key order and undefined properties', () => {
+  assert.strictEqual(stableStringify({ b: 1, a: [{ d: 2, c: undefined }] }), stableStringify({ a: [{ d: 2 }], b: 1 }));
+});
+
+test('entries expire after their TTL', t => {
+  const clock = manualClock(t);
+  const cache = new ResponseCache();
+  cache.set('key', { value: 1 }, { ttlSeconds: 10, endpoint: 'search' });
+
+  clock.now += 9999;
+  assert.deepStrictEqual(cache.get('key', 'search'), { value: 1 });
+  clock.now += 1;
+  assert.strictEqual(cache.get('key', 'search'), undefined);
+  assert.deepStrictEqual(cache.getStale('key').value, { value: 1 });
+  assert.deepStrictEqual(cache.report().endpoints.search, { hits: 1, misses: 1, hitRate: 0.5, entries: 1, bytes: 11 });
+});
+
+test('a TTL of 0 stores nothing', () => {
+  const cache = new ResponseCache();
+  cache.set('key', 1, { ttlSeconds: 0 });
+  assert.strictEqual(cache.entries.size, 0);
+});
+
+test('the least recently used entry is evicted first', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.set('a', 1, { ttlSeconds: 60 });
+  cache.set('b', 2, { ttlSeconds: 60 });
+  cache.get('a');
+  cache.set('c', 3, { ttlSeconds: 60 });
+  assert.deepStrictEqual(Array.from(cache.entries.keys()), ['a', 'c']);
+  assert.strictEqual(cache.report().evictions, 1);
+});
+
+test('purge removes one endpoint\'s entries', () => {
+  const cache = new ResponseCache();
+  cache.set('a', 1, { ttlSeconds: 60, endpoint: 'search' });
+  cache.set('b', 2, { ttlSeconds: 60, endpoint: 'getFields' });
+  assert.strictEqual(cache.purge({ endpoint: 'search' }), 1);
+  assert.deepStrictEqual(Array.from(cache.entries.keys()), ['b']);
+});
+
+test('ttlFor falls back to the default TTL', () => {
+  assert.strictEqual(ttlFor({ default: 300, getFields: 86400 }, 'getFields'), 86400);
+  assert.strictEqual(ttlFor({ default: 300, getFields: 86400 }, 'facets'), 300);
+});
+
+test('CachingDataSource caches each query for its endpoint\'s TTL', async t => {
+  const clock = manualClock(t);
+  const source = countingSource(query => ({ total_count: 1, results: [{ name: query.q }] }));
+  const cached = new CachingDataSource(source, new ResponseCache(), { default: 300, getUniversity: 3600 });
+
+  await cached.search({ q: 'a' }, { endpoint: 'search' });
+  const copy = await cached.search({ q: 'a' }, { endpoint: 'search' });
+  copy.results[0].name = 'changed';
+  assert.strictEqual(source.calls, 1);
+  assert.strictEqual((await cached.search({ q: 'a' }, { endpoint: 'search' })).results[0].name, 'a');
+
+  await cached.search({ q: 'b' }, { endpoint: 'getUniversity' });
+  clock.now += 300 * 1000;
+  await cached.search({ q: 'a' }, { endpoint: 'search' });
+  await cached.search({ q: 'b' }, { endpoint: 'getUniversity' });
+  assert.strictEqual(source.calls, 3);
+});
+
+test('CachingDataSource serves an expired entry while the source is unavailable', async t => {
+  const clock = manualClock(t);
+  let failure = null;
+  const source = countingSource(() => {
+    if (failure) {
+      throw failure;
+    }
+    return { total_count: 0, results: [] };
+  });
+  const cached = new CachingDataSource(source, new ResponseCache(), { default: 60 });
+  await cached.search({}, { endpoint: 'search' });
+  const storedAt = clock.now;
+  clock.now += 120 * 1000;
+
+  failure = new ApiError('OpenDataSoft is unavailable', 503, undefined, 'upstream_unavailable');
+  const context = {};
+  const result = await runWithContext(context, () => cached.search({}, { endpoint: 'search' }));
+  assert.deepStrictEqual(result, { total_count: 0, results: [] });
+  assert.strictEqual(context.staleSince, storedAt);
+
+  // A rejected query is not the upstream being down
+  failure = new ApiError('Invalid where clause', 400);
+  await assert.rejects(cached.search({}, { endpoint: 'search' }), { status: 400 });
+});
+
+test('CachingDataSource does not serve stale entries when told not to', async t => {
+  const clock = manualClock(t);
+  let fail = false;
+  const source = countingSource(() => {
+    if (fail) {
+      throw new ApiError('OpenDataSoft request failed: no response in time', 504);
+    }
+    return { total_count: 0, results: [] };
+  });
+  const cached = new CachingDataSource(source, new ResponseCache(), { default: 60 }, { serveStale: false });
+  await cached.search({}, { endpoint: 'search' });
+  clock.now += 120 * 1000;
+  fail = true;
+  await assert.rejects(cached.search({}, { endpoint: 'search' }), { status: 504 });
+});
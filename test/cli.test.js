@@ -0,0 +1,153 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { once } = require('events');
+const { EXIT_CODES, main } = require('../client/cli');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => {
+  server.close();
+});
+
+/**
+ * Run the tool against a server, capturing what it writes
+ *
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function run(args, baseUrl = server.baseUrl) {
+  const output = { stdout: '', stderr: '' };
+  const stream = name => new Writable({
+    write(chunk, encoding, callback) {
+      output[name] += chunk;
+      callback();
+    }
+  });
+  const code = await main(args, { stdout: stream('stdout'), stderr: stream('stderr'), env: { UNIVERSITY_DATA_URL: baseUrl } });
+  return { code, ...output };
+}
+
+/**
+ * Run the tool against a server that answers every request with an error
+ */
+async function runAgainstError(args, status, headers = {}) {
+  const stub = http.createServer((req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ success: false, error: { message: `Failed with ${status}`, status, details: { retryAfter: 120 } } }));
+  });
+  stub.listen(0, '127.0.0.1');
+  await once(stub, 'listening');
+  try {
+    return await run(args, `http://127.0.0.1:${stub.address().port}`);
+  } finally {
+    stub.closeAllConnections();
+    stub.close();
+  }
+}
+
+test('search prints a table by default, with the count on stderr', async () => {
+  const { code, stdout, stderr } = await run(['search', '--state', 'MA', '--limit', '2']);
+  assert.strictEqual(code, EXIT_CODES.ok);
+  const lines = stdout.trimEnd().split('\n');
+  // Numeric columns are right-aligned
+  assert.match(lines[0], /^\s+id\s+name\s+city\s+state\s+totalEnrollment$/);
+  assert.match(lines[1], /^-+(\s+-+){4}$/);
+  assert.strictEqual(lines.length, 4);
+  assert.match(stderr, /^2 of \d+ universities\n$/);
+});
+
+test('--output json prints the whole response and nothing on stderr', async () => {
+  const { code, stdout, stderr } = await run(['search', '--state', 'MA', '--limit', '2', '-o', 'json']);
+  assert.strictEqual(code, EXIT_CODES.ok);
+  const body = JSON.parse(stdout);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.results.length, 2);
+  assert.strictEqual(stderr, '');
+});
+
+test('--output csv prints the chosen columns', async () => {
+  const { code, stdout } = await run(['stats', '--agg', 'count', '--group-by', 'state', '--order-by', 'state', '-o', 'csv', '--columns', 'state,count']);
+  assert.strictEqual(code, EXIT_CODES.ok);
+  const [header, ...rows] = stdout.split('\r\n').filter(Boolean);
+  assert.strictEqual(header, 'state,count');
+  assert.ok(rows.length > 1);
+  assert.ok(rows.every(row => /^[A-Z]{2},\d+$/.test(row)));
+});
+
+test('get shows a university property by property', async () => {
+  const { code, stdout } = await run(['get', 'Harvard University']);
+  assert.strictEqual(code, EXIT_CODES.ok);
+  assert.match(stdout, /^name\s+HARVARD UNIVERSITY$/m);
+});
+
+test('export writes to a file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-export-'));
+  try {
+    const file = path.join(dir, 'ma.ndjson');
+    const { code, stdout } = await run(['export', '--format', 'ndjson', '--state', 'MA', '--file', file]);
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.strictEqual(stdout, '');
+    const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(records.length > 0 && records.every(record => record.state === 'MA'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('help is printed to stdout and exits 0', async () => {
+  const { code, stdout } = await run(['search', '--help']);
+  assert.strictEqual(code, EXIT_CODES.ok);
+  assert.match(stdout, /^Usage: university-data search/);
+});
+
+test('command-line mistakes exit 2 with the usage on stderr', async () => {
+  for (const args of [[], ['frobnicate'], ['search', '--nope'], ['search', '-o', 'yaml'], ['search', '--limit', 'ten'], ['get']]) {
+    const { code, stdout, stderr } = await run(args);
+    assert.strictEqual(code, EXIT_CODES.usage, args.join(' '));
+    assert.strictEqual(stdout, '');
+    assert.ok(stderr.length > 0);
+  }
+});
+
+test('a request the server rejects exits 4 and lists the problem', async () => {
+  const { code, stderr } = await run(['search', '--limit', '1000']);
+  assert.strictEqual(code, EXIT_CODES.invalid);
+  assert.strictEqual(stderr, 'university-data: limit must be at most 100\n');
+});
+
+test('an unknown university exits 3', async () => {
+  const { code, stderr } = await run(['get', '999999999']);
+  assert.strictEqual(code, EXIT_CODES.notFound);
+  assert.match(stderr, /University not found/);
+});
+
+test('rejected keys, rate limits and server errors have their own exit codes', async () => {
+  assert.strictEqual((await runAgainstError(['fields'], 401)).code, EXIT_CODES.unauthorized);
+
+  const limited = await runAgainstError(['fields'], 429, { 'Retry-After': '120' });
+  assert.strictEqual(limited.code, EXIT_CODES.rateLimited);
+  assert.match(limited.stderr, /Retry after 120s/);
+
+  assert.strictEqual((await runAgainstError(['fields'], 502, { 'Retry-After': '120' })).code, EXIT_CODES.server);
+});
+
+test('an unreachable server exits 8', async () => {
+  const closed = http.createServer();
+  closed.listen(0, '127.0.0.1');
+  await once(closed, 'listening');
+  const { port } = closed.address();
+  closed.close();
+  await once(closed, 'close');
+
+  const { code } = await run(['fields', '--timeout', '2000'], `http://127.0.0.1:${port}`);
+  assert.strictEqual(code, EXIT_CODES.unreachable);
+});
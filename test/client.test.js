@@ -0,0 +1,153 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { UniversityDataClient, NotFoundError, ValidationError } = require('../client');
+
+// A handful of universities, enough for more than one page of two
+const LARGE_IN_MA = { state: 'MA', filter: { field: 'tot_enroll', op: '>', value: 25000 } };
+
+let server;
+let client;
+
+test.before(async () => {
+  server = await startServer();
+  client = new UniversityDataClient(server.baseUrl, { retries: 0, quiet: true });
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('getSchema', async () => {
+  const schema = await client.getSchema();
+  assert.strictEqual(schema.name, 'UniversityDataMCP');
+  assert.ok(schema.endpoints.length > 0);
+});
+
+test('searchUniversities', async () => {
+  const response = await client.searchUniversities({ state: 'CA', limit: 2 });
+  assert.strictEqual(response.success, true);
+  assert.ok(response.data.results.length > 0 && response.data.results.length <= 2);
+  assert.ok(response.data.results.every(university => university.state === 'CA'));
+});
+
+test('iterateSearch fetches page after page', async () => {
+  const names = [];
+  for await (const university of client.iterateSearch({ ...LARGE_IN_MA, limit: 2 })) {
+    names.push(university.name);
+  }
+  const { data } = await client.searchUniversities({ ...LARGE_IN_MA, limit: 100 });
+  assert.ok(names.length > 2);
+  assert.deepStrictEqual(names, data.results.map(university => university.name));
+});
+
+test('searchAll', async () => {
+  const universities = await client.searchAll({ ...LARGE_IN_MA, limit: 2 });
+  assert.ok(universities.length > 2);
+  assert.ok(universities.every(university => university.state === 'MA' && university.totalEnrollment > 25000));
+  assert.strictEqual(new Set(universities.map(university => university.id)).size, universities.length);
+});
+
+test('searchNearby', async () => {
+  const response = await client.searchNearby({ lat: 37.8719, lon: -122.2585, nearest: 2 });
+  assert.strictEqual(response.data.results.length, 2);
+  assert.ok(response.data.results[0].distance <= response.data.results[1].distance);
+});
+
+test('getUniversity', async () => {
+  const { data } = await client.searchUniversities({ state: 'CA', limit: 1 });
+  const [first] = data.results;
+  const response = await client.getUniversity(first.id, { raw: true });
+  assert.strictEqual(response.data.objectid, first.id);
+  assert.strictEqual(response.data.name, first.name);
+});
+
+test('getUniversity throws NotFoundError for an unknown ID', async () => {
+  await assert.rejects(client.getUniversity(999999999), NotFoundError);
+});
+
+test('getFields', async () => {
+  const response = await client.getFields();
+  assert.ok(response.data.some(field => field.name === 'state'));
+});
+
+test('getUniversityByName', async () => {
+  const response = await client.getUniversityByName('Stanford University', { state: 'CA' });
+  assert.strictEqual(response.data.name, 'STANFORD UNIVERSITY');
+});
+
+test('getStatistics', async () => {
+  const response = await client.getStatistics({ aggregation: 'avg', field: 'tot_enroll', filter: { state: 'CA' } });
+  assert.ok(response.data.results[0].average > 0);
+});
+
+test('getStatistics throws ValidationError for an unknown aggregation', async () => {
+  await assert.rejects(client.getStatistics({ aggregation: 'mode', field: 'tot_enroll' }), ValidationError);
+});
+
+test('getFacets', async () => {
+  const response = await client.getFacets('type', { state: 'CA' });
+  const [facet] = response.data.facets;
+  assert.strictEqual(facet.field, 'type');
+  assert.ok(facet.values.length > 0);
+});
+
+test('compare', async () => {
+  const response = await client.compare(['Stanford University', 'Santa Clara University'], { fields: ['tot_enroll'] });
+  assert.deepStrictEqual(response.data.universities.map(entry => entry.name), ['STANFORD UNIVERSITY', 'SANTA CLARA UNIVERSITY']);
+  assert.strictEqual(response.data.rows[0].field, 'tot_enroll');
+});
+
+test('ask', async () => {
+  const response = await client.ask('universities in California with more than 10,000 students', { limit: 3 });
+  assert.strictEqual(response.data.interpretation.tool, 'search');
+  assert.deepStrictEqual(response.data.interpretation.ignored, []);
+  const { results } = response.data.result;
+  assert.ok(results.length > 0);
+  assert.ok(results.every(university => university.state === 'CA' && university.totalEnrollment > 10000));
+});
+
+test('batch', async () => {
+  const response = await client.batch([
+    { tool: 'getFields' },
+    { tool: 'getUniversityByName', params: { name: 'Stanford University' } }
+  ], { concurrency: 1 });
+  assert.deepStrictEqual(response.data.results.map(result => result.success), [true, true]);
+  assert.strictEqual(response.data.results[1].data.name, 'STANFORD UNIVERSITY');
+});
+
+test('saveQuery, listQueries, getQuery, snapshotQuery, diffQuery and deleteQuery', async () => {
+  const saved = await client.saveQuery('santa-clara', { state: 'CA', city: 'SANTA CLARA', description: 'Santa Clara' });
+  assert.strictEqual(saved.data.query.description, 'Santa Clara');
+
+  const listed = await client.listQueries();
+  assert.ok(listed.data.queries.some(query => query.name === 'santa-clara'));
+
+  const snapshot = await client.snapshotQuery('santa-clara');
+  const count = snapshot.data.snapshot.count;
+  assert.ok(count > 0);
+
+  const fetched = await client.getQuery('santa-clara');
+  assert.deepStrictEqual(fetched.data.query.snapshots.map(entry => entry.id), [snapshot.data.snapshot.id]);
+
+  const diff = await client.diffQuery('santa-clara', { raw: true });
+  assert.deepStrictEqual(diff.data.diff.summary, { added: 0, removed: 0, modified: 0, unchanged: count });
+
+  const deleted = await client.deleteQuery('santa-clara');
+  assert.strictEqual(deleted.metadata.deleted, true);
+  await assert.rejects(client.getQuery('santa-clara'), NotFoundError);
+});
+
+test('exportUniversities', async () => {
+  const response = await client.exportUniversities({ format: 'geojson', state: 'CA', city: 'STANFORD' });
+  assert.match(response.headers.get('content-type'), /geo\+json/);
+  const collection = await response.json();
+  assert.strictEqual(collection.type, 'FeatureCollection');
+  assert.ok(collection.features.length > 0);
+  assert.ok(collection.features.every(feature => feature.properties.city === 'STANFORD'));
+});
+
+test('getUsage', async () => {
+  const response = await client.getUsage();
+  assert.deepStrictEqual(response.data, { enabled: false });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DATASET_FIELDS, FIELD_NAMES, FIELD_NAME_LIST, setDatasetFields } = require('../lib/fields');
+const { UNIVERSITY, endpoints, toJsonSchema } = require('../lib/endpoints');
+const { buildOpenApiDocument } = require('../lib/openapi');
+const { normalizeUniversity } = require('../lib/university');
+const { validateParams } = require('../lib/validation');
+
+const BUILT_IN_FIELDS = DATASET_FIELDS.map(field => ({ ...field }));
+
+test.afterEach(() => setDatasetFields(BUILT_IN_FIELDS));
+
+/**
+ * Parameter schema of the endpoint serving a tool
+ */
+function schemaOf(tool) {
+  return toJsonSchema(endpoints.find(endpoint => endpoint.tool === tool).parameters);
+}
+
+test('setDatasetFields replaces the known fields in place', () => {
+  setDatasetFields([...BUILT_IN_FIELDS, { name: 'grad_rate', type: 'double' }]);
+  assert.ok(FIELD_NAMES.has('grad_rate'));
+  assert.strictEqual(FIELD_NAME_LIST.at(-1), 'grad_rate');
+
+  setDatasetFields(BUILT_IN_FIELDS);
+  assert.ok(!FIELD_NAMES.has('grad_rate'));
+  assert.deepStrictEqual(FIELD_NAME_LIST, BUILT_IN_FIELDS.map(({ name }) => name));
+});
+
+test('field parameters validate against the loaded catalog', () => {
+  const statistics = schemaOf('statistics');
+  assert.throws(() => validateParams(statistics, { field: 'grad_rate', aggregation: 'avg' }), { code: 'invalid_parameters' });
+
+  setDatasetFields([...BUILT_IN_FIELDS, { name: 'grad_rate', type: 'double' }]);
+  assert.deepStrictEqual(validateParams(statistics, { field: 'grad_rate', aggregation: 'avg' }), { field: 'grad_rate', aggregation: 'avg' });
+  assert.deepStrictEqual(validateParams(schemaOf('facets'), { fields: ['grad_rate'] }), { fields: ['grad_rate'] });
+});
+
+test('the OpenAPI document lists the loaded catalog fields', () => {
+  setDatasetFields([...BUILT_IN_FIELDS, { name: 'grad_rate', type: 'double' }]);
+  const document = JSON.stringify(buildOpenApiDocument());
+  assert.ok(document.includes('"grad_rate"'));
+});
+
+test('normalized records match the published University schema, blank names included', () => {
+  for (const name of ['HARVARD UNIVERSITY', '  ', 'NOT AVAILABLE']) {
+    const university = normalizeUniversity({ objectid: 1001, name, state: 'MA', latitude: 42.37, longitude: -71.12 });
+    assert.deepStrictEqual(validateParams(UNIVERSITY, university), university);
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Shared setup of the route and client tests
+ *
+ * Requiring this module configures the server without response caching,
+ * logging or API keys, with saved queries in a temporary directory. It must
+ * be required before anything under lib/, which reads the configuration
+ * once, when the server is first started; a test file may change the
+ * environment (say, set API_KEYS_FILE) in between.
+ *
+ * The server answers from the local data source, loaded from
+ * test/fixtures/universities.json: a dozen hand-entered universities in the
+ * dataset's record format, not OpenDataSoft output.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+process.env.DATA_SOURCE = 'local';
+process.env.DATA_FILE = path.join(__dirname, 'fixtures', 'universities.json');
+delete process.env.UPSTREAM_MODE;
+process.env.CACHE_ENABLED = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.SAVED_QUERIES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-queries-'));
+delete process.env.API_KEYS_FILE;
+
+/**
+ * Start the server on a free local port
+ *
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+async function startServer() {
+  const server = require('../server').listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      server.close();
+      fs.rmSync(process.env.SAVED_QUERIES_DIR, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,74 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { once } = require('events');
+const { McpServer } = require('../lib/mcp');
+const { createMcpRouter } = require('../lib/mcp-http');
+
+/**
+ * Serve an MCP router with the given options on a free local port
+ */
+async function serve(t, options) {
+  const app = express();
+  app.use('/mcp', createMcpRouter(new McpServer(), options));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}/mcp`;
+
+  return {
+    async initialize() {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+        })
+      });
+      assert.strictEqual(response.status, 200);
+      return response.headers.get('mcp-session-id');
+    },
+    async ping(session) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': session },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' })
+      });
+      await response.arrayBuffer();
+      return response.status;
+    }
+  };
+}
+
+test('past the session limit the session idle for longest is dropped', async t => {
+  const mcp = await serve(t, { maxSessions: 2 });
+  const first = await mcp.initialize();
+  const second = await mcp.initialize();
+  // Seen again, so the second one is now idle for longest
+  assert.strictEqual(await mcp.ping(first), 200);
+
+  const third = await mcp.initialize();
+  assert.strictEqual(await mcp.ping(second), 404);
+  assert.strictEqual(await mcp.ping(first), 200);
+  assert.strictEqual(await mcp.ping(third), 200);
+});
+
+test('sessions idle for longer than the TTL expire', async t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const mcp = await serve(t, { sessionTtlMs: 1000 });
+  const session = await mcp.initialize();
+
+  now += 500;
+  assert.strictEqual(await mcp.ping(session), 200);
+  now += 1001;
+  assert.strictEqual(await mcp.ping(session), 404);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_NAME_VARIANTS,
+  normalizeName,
+  expandName,
+  keywords,
+  similarity,
+  rankCandidates
+} = require('../lib/names');
+
+test('normalizeName folds case, accents, ampersands and punctuation', () => {
+  assert.strictEqual(normalizeName("  Texas A&M  Univ.-Commerce "), 'texas a and m univ commerce');
+  assert.strictEqual(normalizeName("St. Mary's Université"), 'st marys universite');
+});
+
+test('expandName resolves aliases and campus prefixes', () => {
+  assert.deepStrictEqual(expandName('MIT'), ['mit', 'massachusetts institute of technology']);
+  assert.deepStrictEqual(expandName('UC Davis'), ['uc davis', 'university of california davis']);
+  assert.deepStrictEqual(expandName('The UCLA'), ['the ucla', 'university of california los angeles']);
+});
+
+test('expandName reads each ambiguous abbreviation both ways', () => {
+  assert.deepStrictEqual(expandName('St Cloud St Univ'), [
+    'st cloud st univ',
+    'saint cloud saint university',
+    'state cloud saint university',
+    'saint cloud state university'
+  ]);
+});
+
+test('expandName stays small for names full of abbreviations', () => {
+  const started = Date.now();
+  const variants = expandName(Array(40).fill('st').join(' '));
+  assert.ok(Date.now() - started < 100);
+  assert.strictEqual(variants.length, MAX_NAME_VARIANTS);
+  assert.strictEqual(variants[1], Array(40).fill('saint').join(' '));
+});
+
+test('keywords drops stopwords and sorts longest first', () => {
+  assert.deepStrictEqual(keywords('the university of texas at austin'), ['austin', 'texas']);
+});
+
+test('similarity ignores word order and tolerates typos', () => {
+  assert.strictEqual(similarity('boston college', 'boston college'), 1);
+  assert.ok(similarity('college boston', 'boston college') > 0.8);
+  assert.ok(similarity('harvrd university', 'harvard university') > 0.8);
+  assert.ok(similarity('harvard university', 'yale university') < 0.6);
+});
+
+test('rankCandidates scores every distinct record against the best variant', () => {
+  const records = [
+    { objectid: 1, name: 'SAINT CLOUD STATE UNIVERSITY' },
+    { objectid: 2, name: 'SAINT MARYS COLLEGE' },
+    { objectid: 1, name: 'SAINT CLOUD STATE UNIVERSITY' },
+    { objectid: 3 }
+  ];
+  const ranked = rankCandidates('St Cloud State', records);
+  assert.deepStrictEqual(ranked.map(({ record }) => record.objectid), [1, 2]);
+  assert.strictEqual(ranked[0].matched, 'saint cloud state');
+  assert.ok(ranked[0].score > ranked[1].score);
+});
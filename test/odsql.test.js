@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  OdsqlQuery,
+  literal,
+  field,
+  condition,
+  inList,
+  between,
+  startsWith,
+  aggregate,
+  and,
+  or,
+  not
+} = require('../lib/odsql');
+const { ApiError } = require('../lib/errors');
+
+test('literal escapes single quotes', () => {
+  assert.strictEqual(literal("St. Mary's College"), "'St. Mary\\'s College'");
+});
+
+test('literal escapes backslashes before quotes', () => {
+  // A trailing backslash must not be able to swallow the closing quote
+  assert.strictEqual(literal('abc\\'), "'abc\\\\'");
+  assert.strictEqual(literal("\\' OR 1=1 --"), "'\\\\\\' OR 1=1 --'");
+});
+
+test('literal keeps quote-breaking payloads inside the string', () => {
+  const payloads = [
+    "' OR '1'='1",
+    "CA' OR state != 'CA",
+    "x'); DROP TABLE records; --",
+    "\\'",
+    "'\n OR 1=1",
+    '" OR ""="'
+  ];
+  for (const payload of payloads) {
+    const rendered = literal(payload);
+    assert.ok(rendered.startsWith("'") && rendered.endsWith("'"), rendered);
+    // Every quote inside the literal is preceded by an odd number of backslashes
+    const body = rendered.slice(1, -1);
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === "'") {
+        let slashes = 0;
+        for (let j = i - 1; j >= 0 && body[j] === '\\'; j--) {
+          slashes++;
+        }
+        assert.strictEqual(slashes % 2, 1, `unescaped quote in ${rendered}`);
+      }
+    }
+  }
+});
+
+test('literal renders numbers, booleans and null', () => {
+  assert.strictEqual(literal(42), '42');
+  assert.strictEqual(literal(-1.5), '-1.5');
+  assert.strictEqual(literal(true), 'true');
+  assert.strictEqual(literal(null), 'null');
+});
+
+test('literal rejects non-finite numbers and objects', () => {
+  assert.throws(() => literal(NaN), ApiError);
+  assert.throws(() => literal(Infinity), ApiError);
+  assert.throws(() => literal({ toString: () => "' OR 1=1" }), ApiError);
+  assert.throws(() => literal(['a']), ApiError);
+});
+
+test('field accepts known dataset fields', () => {
+  assert.strictEqual(field('state'), 'state');
+  assert.strictEqual(field('population'), 'population');
+});
+
+test('field rejects unknown and hostile identifiers', () => {
+  const hostile = [
+    'unknown_field',
+    'population)) as x, name, int((population',
+    'state = state OR 1',
+    'state--',
+    '`state`',
+    'state;',
+    '',
+    ' state',
+    'STATE',
+    '__proto__',
+    'constructor'
+  ];
+  for (const name of hostile) {
+    assert.throws(() => field(name), ApiError, name);
+  }
+  assert.throws(() => field(undefined), ApiError);
+  assert.throws(() => field(123), ApiError);
+  assert.throws(() => field({}), ApiError);
+});
+
+test('field errors are client errors', () => {
+  try {
+    field('nope');
+    assert.fail('expected an error');
+  } catch (error) {
+    assert.strictEqual(error.status, 400);
+  }
+});
+
+test('condition validates operators', () => {
+  assert.strictEqual(condition('state', '=', 'CA'), "state = 'CA'");
+  assert.strictEqual(condition('population', '>=', 5000), 'population >= 5000');
+  assert.throws(() => condition('state', '= state OR state =', 'CA'), ApiError);
+  assert.throws(() => condition('state', 'like', 'CA'), ApiError);
+});
+
+test('condition turns null comparisons into is null checks', () => {
+  assert.strictEqual(condition('website', '=', null), 'website is null');
+  assert.strictEqual(condition('website', '!=', null), 'website is not null');
+  assert.throws(() => condition('website', '>', null), ApiError);
+});
+
+test('and/or/not parenthesise their operands', () => {
+  const clause = or(condition('state', '=', 'CA'), and(condition('state', '=', 'OR'), not(condition('city', '=', 'Salem'))));
+  assert.strictEqual(clause, "(state = 'CA') OR ((state = 'OR') AND (NOT (city = 'Salem')))");
+  assert.strictEqual(and(), '');
+  assert.strictEqual(and(condition('state', '=', 'CA')), "state = 'CA'");
+});
+
+test('inList, between and startsWith escape their values', () => {
+  assert.strictEqual(inList('state', ['CA', "O'R"]), "(state = 'CA') OR (state = 'O\\'R')");
+  assert.strictEqual(between('population', 5000, 20000), '(population >= 5000) AND (population <= 20000)');
+  assert.strictEqual(startsWith('name', "University of ') OR (1=1"), "startswith(name, 'University of \\') OR (1=1')");
+  assert.throws(() => inList('state', []), ApiError);
+  assert.throws(() => inList('state; --', ['CA']), ApiError);
+  assert.throws(() => startsWith('name', { $gt: '' }), ApiError);
+  assert.throws(() => between('population', 1, { x: 1 }), ApiError);
+});
+
+test('aggregate validates aggregation, field and alias', () => {
+  assert.strictEqual(aggregate('avg', 'population', 'average', { cast: 'int' }), 'avg(int(population)) as average');
+  assert.strictEqual(aggregate('count', 'objectid', 'count'), 'count(*) as count');
+  assert.throws(() => aggregate('avg(population)) as x, max', 'population', 'x'), ApiError);
+  assert.throws(() => aggregate('sum', 'population)) as x, count(*', 'x'), ApiError);
+  assert.throws(() => aggregate('count', 'nope', 'count'), ApiError);
+  assert.throws(() => aggregate('sum', 'population', 'x, name'), ApiError);
+  assert.throws(() => aggregate('sum', 'population', 'total', { cast: 'text' }), ApiError);
+});
+
+test('OdsqlQuery composes where, select, group_by and order_by', () => {
+  const params = new OdsqlQuery()
+    .where('state', '=', 'CA')
+    .where('city', '=', "Coeur d'Alene")
+    .selectAggregate('avg', 'population', 'average', { cast: 'int' })
+    .groupBy('city')
+    .orderBy('average', 'DESC')
+    .limit(10)
+    .offset(20)
+    .toParams();
+
+  assert.deepStrictEqual(params, {
+    select: 'avg(int(population)) as average',
+    where: "(state = 'CA') AND (city = 'Coeur d\\'Alene')",
+    group_by: 'city',
+    order_by: 'average desc',
+    limit: 10,
+    offset: 20
+  });
+});
+
+test('OdsqlQuery omits unused clauses', () => {
+  assert.deepStrictEqual(new OdsqlQuery().toParams(), {});
+});
+
+test('OdsqlQuery.whereEquals validates every filter key', () => {
+  assert.throws(() => new OdsqlQuery().whereEquals({ "state = 'CA' OR 1": 1 }), ApiError);
+  assert.throws(() => new OdsqlQuery().whereEquals({ state: { $ne: 'CA' } }), ApiError);
+  assert.deepStrictEqual(
+    new OdsqlQuery().whereEquals({ state: "N'Y", population: 10 }).toParams(),
+    { where: "(state = 'N\\'Y') AND (population = 10)" }
+  );
+});
+
+test('OdsqlQuery rejects hostile group by, order by and paging', () => {
+  assert.throws(() => new OdsqlQuery().groupBy('state, name'), ApiError);
+  assert.throws(() => new OdsqlQuery().orderBy('state; --'), ApiError);
+  assert.throws(() => new OdsqlQuery().orderBy('state', 'desc, name'), ApiError);
+  assert.throws(() => new OdsqlQuery().orderBy('average'), ApiError);
+  assert.throws(() => new OdsqlQuery().limit('10; DROP'), ApiError);
+  assert.throws(() => new OdsqlQuery().limit(-1), ApiError);
+  assert.throws(() => new OdsqlQuery().offset(1.5), ApiError);
+});
+
+test('aggregate renders median and validates percentiles', () => {
+  assert.strictEqual(aggregate('median', 'tot_enroll', 'median_enroll'), 'median(tot_enroll) as median_enroll');
+  assert.strictEqual(aggregate('percentile', 'tot_enroll', 'p90', { percentile: 90 }), 'percentile(tot_enroll, 90) as p90');
+  assert.throws(() => aggregate('percentile', 'tot_enroll', 'p', { percentile: '90) as x, name, (1' }), ApiError);
+  assert.throws(() => aggregate('percentile', 'tot_enroll', 'p', { percentile: 0 }), ApiError);
+  assert.throws(() => aggregate('percentile', 'tot_enroll', 'p', { percentile: 101 }), ApiError);
+});
+
+test('OdsqlQuery.groupByRange validates the bucket size and alias', () => {
+  const params = new OdsqlQuery()
+    .selectAggregate('count', undefined, 'count')
+    .groupByRange('tot_enroll', 1000, 'tot_enroll_bucket')
+    .orderBy('tot_enroll_bucket')
+    .toParams();
+  assert.strictEqual(params.group_by, 'range(tot_enroll, 1000) as tot_enroll_bucket');
+  assert.strictEqual(params.order_by, 'tot_enroll_bucket asc');
+  assert.throws(() => new OdsqlQuery().groupByRange('tot_enroll', '1000), name', 'b'), ApiError);
+  assert.throws(() => new OdsqlQuery().groupByRange('tot_enroll', -5, 'b'), ApiError);
+  assert.throws(() => new OdsqlQuery().groupByRange('tot_enroll', 10, 'b, name'), ApiError);
+});
@@ -0,0 +1,105 @@
+// Keep the warnings about unrecorded requests out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { UpstreamFixtures, normalizeParams } = require('../lib/replay');
+const { UpstreamClient } = require('../lib/upstream');
+const { ApiError } = require('../lib/errors');
+
+const directories = [];
+
+/**
+ * A fresh fixture directory, removed after the tests
+ */
+function fixtureDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-fixtures-'));
+  directories.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  for (const dir of directories) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('normalizeParams sorts keys, stringifies values and drops unset ones', () => {
+  const normalized = normalizeParams({ where: "state = 'MA'", limit: 10, offset: undefined, refine: ['a', 1], q: null });
+  assert.deepStrictEqual(normalized, { limit: '10', refine: ['a', '1'], where: "state = 'MA'" });
+  assert.deepStrictEqual(Object.keys(normalized), ['limit', 'refine', 'where']);
+});
+
+test('a recorded response replays for equivalent parameters', () => {
+  const fixtures = new UpstreamFixtures({ mode: 'record', dir: fixtureDir() });
+  fixtures.record('https://example.test/records/', { where: "state = 'MA'", limit: 10 }, {
+    status: 200,
+    headers: { 'content-type': 'application/json', date: 'Mon, 19 Oct 2026 12:00:00 GMT' },
+    data: { total_count: 1, results: [{ name: 'HARVARD UNIVERSITY' }] }
+  });
+
+  const replayed = fixtures.replay('https://example.test/records', { limit: '10', where: "state = 'MA'" });
+  assert.deepStrictEqual(replayed, {
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+    data: { total_count: 1, results: [{ name: 'HARVARD UNIVERSITY' }] }
+  });
+  assert.deepStrictEqual(fixtures.unmatched, []);
+});
+
+test('an unrecorded request fails and is remembered', () => {
+  const dir = fixtureDir();
+  const fixtures = new UpstreamFixtures({ mode: 'replay', dir });
+  assert.throws(() => fixtures.replay('https://example.test/records', { limit: 5 }), error => {
+    assert.ok(error instanceof ApiError);
+    assert.strictEqual(error.status, 500);
+    assert.strictEqual(error.code, 'unrecorded_upstream_request');
+    assert.deepStrictEqual(error.details.params, { limit: '5' });
+    assert.strictEqual(path.dirname(error.details.fixture), dir);
+    return true;
+  });
+  assert.strictEqual(fixtures.unmatched.length, 1);
+});
+
+test('an unknown mode is refused', () => {
+  assert.throws(() => new UpstreamFixtures({ mode: 'playback', dir: fixtureDir() }), /Unknown upstream mode: playback/);
+});
+
+test('UpstreamClient records live responses and replays them without the network', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const status = searchParams.get('where') === 'bad' ? 400 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { total_count: 0, results: [] } : { message: 'Invalid where clause' }));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}/records`;
+  const dir = fixtureDir();
+
+  try {
+    const recorder = new UpstreamClient({ name: 'Recorder', retries: 0, fixtures: { mode: 'record', dir } });
+    const live = await recorder.get(url, { params: { limit: 1, where: 'ok' } });
+    assert.deepStrictEqual(live.data, { total_count: 0, results: [] });
+    await assert.rejects(recorder.get(url, { params: { where: 'bad' } }), { status: 400, message: 'Invalid where clause' });
+    assert.strictEqual(fs.readdirSync(dir).length, 2);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  const replayer = new UpstreamClient({ name: 'Replayer', fixtures: { mode: 'replay', dir } });
+  const replayed = await replayer.get(url, { params: { where: 'ok', limit: '1' } });
+  assert.deepStrictEqual(replayed.data, { total_count: 0, results: [] });
+  await assert.rejects(replayer.get(url, { params: { where: 'bad' } }), { status: 400, message: 'Invalid where clause' });
+  await assert.rejects(replayer.get(url, { params: { where: 'other' } }), { code: 'unrecorded_upstream_request' });
+  assert.strictEqual(requests, 2);
+  assert.strictEqual(replayer.breaker.state, 'closed');
+});
@@ -0,0 +1,345 @@
+const { startServer } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => {
+  server.close();
+});
+
+/**
+ * Send a request to the test server and read the response body (JSON when
+ * the server says so, text otherwise)
+ */
+async function request(method, path, body, headers = {}) {
+  const options = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${server.baseUrl}${path}`, options);
+  const text = await response.text();
+  const json = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+}
+
+/**
+ * The ID of the first university a search finds
+ */
+async function firstId(params) {
+  const { body } = await request('POST', '/search', { ...params, limit: 1 });
+  return body.data.results[0].id;
+}
+
+test('GET / describes the API', async () => {
+  const { status, body } = await request('GET', '/');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.name, 'University Data MCP API');
+  assert.strictEqual(body.status, 'ok');
+});
+
+test('GET /health checks the data source', async () => {
+  const { status, headers, body } = await request('GET', '/health');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(headers.get('cache-control'), 'no-store');
+  assert.strictEqual(body.data.status, 'ok');
+});
+
+test('GET /schema lists every endpoint and the catalog fields', async () => {
+  const { status, body } = await request('GET', '/schema');
+  assert.strictEqual(status, 200);
+  const paths = body.endpoints.map(endpoint => endpoint.path);
+  for (const path of ['/search', '/searchNearby', '/statistics', '/ask', '/batch', '/savedQueries', '/export']) {
+    assert.ok(paths.includes(path), path);
+  }
+  assert.ok(body.fields.some(field => field.name === 'tot_enroll' && field.type === 'int'));
+});
+
+test('GET /openapi.json describes the routes', async () => {
+  const { status, body } = await request('GET', '/openapi.json');
+  assert.strictEqual(status, 200);
+  assert.match(body.openapi, /^3\.1/);
+  assert.ok(body.paths['/search'].post);
+  assert.strictEqual(body.servers[0].url, server.baseUrl);
+});
+
+test('POST /search filters by state and returns normalized universities', async () => {
+  const { status, headers, body } = await request('POST', '/search', { state: 'MA', limit: 3 });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(headers.get('cache-control'), 'no-cache');
+  assert.strictEqual(body.success, true);
+  assert.ok(body.data.total_count >= body.data.results.length);
+  assert.ok(body.data.results.length > 0 && body.data.results.length <= 3);
+  for (const university of body.data.results) {
+    assert.strictEqual(university.state, 'MA');
+    assert.strictEqual(typeof university.id, 'number');
+    assert.strictEqual(typeof university.source.dataset, 'string');
+  }
+});
+
+test('POST /search returns dataset records with raw', async () => {
+  const { body } = await request('POST', '/search', { state: 'MA', limit: 3, raw: true });
+  assert.ok(body.data.results.every(record => record.state === 'MA' && 'tot_enroll' in record));
+});
+
+test('POST /search rejects invalid parameters without calling the upstream API', async () => {
+  const { status, body } = await request('POST', '/search', { limit: 1000 });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.success, false);
+  assert.strictEqual(body.error.status, 400);
+  assert.strictEqual(body.error.code, 'invalid_parameters');
+  assert.strictEqual(body.error.message, 'limit must be at most 100');
+});
+
+test('every endpoint reports invalid parameters by name and code', async () => {
+  const cases = [
+    ['GET', '/getUniversityByName?name=Harvard&mode=loose&limit=50', [['mode', 'enum'], ['limit', 'maximum']]],
+    ['POST', '/searchNearby', { lat: 42.37, lon: -71.11, radius: 0, sort: 'name' }, [['radius', 'minimum'], ['sort', 'enum']]],
+    ['POST', '/facets', { fields: ['state', 'nope'], prefix: '', offset: -1 }, [['fields[1]', 'enum'], ['prefix', 'min_length'], ['offset', 'minimum']]],
+    ['POST', '/statistics', { aggregations: [{ aggregation: 'mode', field: 'tot_enroll' }], groupBy: 'nope', limit: 0 },
+      [['aggregations[0].aggregation', 'enum'], ['groupBy', 'enum'], ['limit', 'minimum']]],
+    ['POST', '/compare', { universities: [1001], fields: [] }, [['universities', 'min_items'], ['fields', 'min_items']]],
+    ['GET', '/export?format=xml&fields=name,nope&max=0', [['format', 'enum'], ['fields[1]', 'enum'], ['max', 'minimum']]]
+  ];
+  for (const [method, path, ...rest] of cases) {
+    const expected = rest.pop();
+    const { status, body } = await request(method, path, rest[0]);
+    assert.strictEqual(status, 400, path);
+    assert.strictEqual(body.error.code, 'invalid_parameters', path);
+    assert.deepStrictEqual(body.error.details.errors.map(({ parameter, code }) => [parameter, code]), expected, path);
+  }
+});
+
+test('POST /searchNearby sorts universities by distance', async () => {
+  const { status, body } = await request('POST', '/searchNearby', { lat: 42.3736, lon: -71.1097, radius: 5, limit: 5 });
+  assert.strictEqual(status, 200);
+  const distances = body.data.results.map(university => university.distance);
+  assert.ok(distances.length > 0);
+  assert.deepStrictEqual(distances, [...distances].sort((a, b) => a - b));
+  assert.ok(distances.every(distance => distance <= 5));
+});
+
+test('GET /getUniversity looks a university up by ID', async () => {
+  const id = await firstId({ state: 'MA' });
+  const { status, body } = await request('GET', `/getUniversity?id=${id}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.id, id);
+});
+
+test('GET /getUniversity answers 404 for an unknown ID', async () => {
+  const { status, body } = await request('GET', '/getUniversity?id=999999999');
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.error.code, 'not_found');
+});
+
+test('GET /getFields lists the dataset fields', async () => {
+  const { status, body } = await request('GET', '/getFields');
+  assert.strictEqual(status, 200);
+  assert.ok(body.data.some(field => field.name === 'name'));
+});
+
+test('POST /statistics groups and aggregates', async () => {
+  const { status, body } = await request('POST', '/statistics', {
+    aggregations: [{ aggregation: 'count' }, { aggregation: 'sum', field: 'tot_enroll', alias: 'students' }],
+    groupBy: 'state',
+    filter: { field: 'state', op: 'in', value: ['MA', 'CA'] },
+    orderBy: [{ field: 'state' }]
+  });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.columns.map(column => column.name), ['state', 'count', 'students']);
+  assert.deepStrictEqual(body.data.results.map(row => row.state), ['CA', 'MA']);
+  assert.ok(body.data.results.every(row => row.count > 0 && row.students > 0));
+});
+
+test('GET /getUniversityByName resolves a name', async () => {
+  const { status, body } = await request('GET', `/getUniversityByName?name=${encodeURIComponent('Harvard University')}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.name, 'HARVARD UNIVERSITY');
+  assert.strictEqual(body.resolution.method, 'exact');
+});
+
+test('GET /getUniversityByName refuses overlong names', async () => {
+  const { status, body } = await request('GET', `/getUniversityByName?name=${'st+'.repeat(100)}`);
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error.details.errors[0].code, 'max_length');
+});
+
+test('POST /compare lines universities up field by field', async () => {
+  const first = await firstId({ state: 'MA' });
+  const second = await firstId({ state: 'CA' });
+  const { status, body } = await request('POST', '/compare', { universities: [first, second], fields: ['tot_enroll', 'state'] });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.universities.map(entry => entry.objectid), [first, second]);
+  assert.deepStrictEqual(body.data.rows.map(row => row.field), ['tot_enroll', 'state']);
+});
+
+test('POST /facets counts distinct values', async () => {
+  const { status, body } = await request('POST', '/facets', { fields: ['state'], limit: 5 });
+  assert.strictEqual(status, 200);
+  const [facet] = body.data.facets;
+  assert.strictEqual(facet.field, 'state');
+  assert.ok(facet.values.length > 0 && facet.values.every(entry => entry.count > 0));
+});
+
+test('GET /ask answers a question in plain English', async () => {
+  const question = 'how many public universities are in Texas';
+  const { status, body } = await request('GET', `/ask?question=${encodeURIComponent(question)}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.interpretation.tool, 'statistics');
+  assert.ok(body.data.result.results[0].count > 0);
+});
+
+test('GET /ask holds interpreted requests to the tool\'s schema', async () => {
+  const question = 'top 500 universities in Texas';
+  const { status, body } = await request('GET', `/ask?question=${encodeURIComponent(question)}`);
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.error.details.errors.map(({ parameter, code }) => ({ parameter, code })), [
+    { parameter: 'limit', code: 'maximum' }
+  ]);
+});
+
+test('GET /ask only interprets with execute=false', async () => {
+  const question = 'universities near Austin, TX';
+  const { body } = await request('GET', `/ask?question=${encodeURIComponent(question)}&execute=false`);
+  assert.strictEqual(body.data.interpretation.tool, 'searchNearby');
+  assert.strictEqual(body.data.result, null);
+});
+
+test('POST /batch runs operations independently', async () => {
+  const { status, body } = await request('POST', '/batch', {
+    operations: [
+      { id: 'ma', tool: 'search', params: { state: 'MA', limit: 2 } },
+      { id: 'again', tool: 'search', params: { limit: 2, state: 'MA' } },
+      { id: 'bad', tool: 'getUniversity', params: {} }
+    ]
+  });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.results.map(result => [result.id, result.success]), [['ma', true], ['again', true], ['bad', false]]);
+  assert.strictEqual(body.metadata.deduplicated, 1);
+  assert.strictEqual(body.data.results[2].error.status, 400);
+});
+
+test('/savedQueries routes save, snapshot, diff and delete a query', async () => {
+  const save = await request('POST', '/savedQueries', { name: 'austin', state: 'TX', city: 'AUSTIN', description: 'Austin' });
+  assert.strictEqual(save.status, 200);
+  assert.strictEqual(save.body.data.query.name, 'austin');
+  assert.strictEqual(save.body.metadata.created, true);
+
+  const snapshot = await request('POST', '/savedQueries/austin/snapshots');
+  assert.strictEqual(snapshot.status, 200);
+  assert.ok(snapshot.body.data.snapshot.count > 0);
+  assert.strictEqual(snapshot.body.data.diff, null);
+
+  const diff = await request('GET', `/savedQueries/austin/diff?from=${snapshot.body.data.snapshot.id}`);
+  assert.strictEqual(diff.status, 200);
+  assert.strictEqual(diff.body.data.diff.summary.unchanged, snapshot.body.data.snapshot.count);
+
+  const list = await request('GET', '/savedQueries');
+  assert.deepStrictEqual(list.body.data.queries.map(query => query.name), ['austin']);
+
+  const got = await request('GET', '/savedQueries/austin');
+  assert.strictEqual(got.body.data.query.snapshots.length, 1);
+
+  const invalid = await request('GET', '/savedQueries/Not..valid');
+  assert.strictEqual(invalid.status, 400);
+
+  const deleted = await request('DELETE', '/savedQueries/austin');
+  assert.strictEqual(deleted.body.metadata.deleted, true);
+  const missing = await request('GET', '/savedQueries/austin');
+  assert.strictEqual(missing.status, 404);
+});
+
+test('GET /export streams CSV', async () => {
+  const { status, headers, body } = await request('GET', '/export?format=csv&state=MA&city=CAMBRIDGE&fields=name,city');
+  assert.strictEqual(status, 200);
+  assert.match(headers.get('content-type'), /^text\/csv/);
+  const [header, ...lines] = body.trim().split(/\r?\n/);
+  assert.strictEqual(header, 'name,city');
+  assert.ok(lines.length > 0 && lines.every(line => line.endsWith(',CAMBRIDGE')));
+});
+
+test('POST /export streams NDJSON', async () => {
+  const { status, body } = await request('POST', '/export', { format: 'ndjson', state: 'MA', max: 2 });
+  assert.strictEqual(status, 200);
+  const records = body.trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(records.length > 0 && records.length <= 2);
+  assert.ok(records.every(record => record.state === 'MA'));
+});
+
+test('GET /usage reports that access control is off', async () => {
+  const { status, body } = await request('GET', '/usage');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data, { enabled: false });
+});
+
+test('GET /admin/usage reports every client', async () => {
+  const { status, body } = await request('GET', '/admin/usage');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+});
+
+test('/admin/cache is off without access control', async () => {
+  for (const method of ['GET', 'DELETE']) {
+    const { status, body } = await request(method, '/admin/cache');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.error.code, 'forbidden');
+  }
+});
+
+test('GET /metrics renders Prometheus metrics', async () => {
+  const { status, headers, body } = await request('GET', '/metrics');
+  assert.strictEqual(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain/);
+  assert.match(body, /^http_requests_total\{method="GET",route="\/health",status="200"\} 1$/m);
+});
+
+test('POST /mcp serves tools over MCP', async () => {
+  const initialize = await request('POST', '/mcp', {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+  assert.strictEqual(initialize.status, 200);
+  const session = { 'Mcp-Session-Id': initialize.headers.get('mcp-session-id') };
+  assert.ok(session['Mcp-Session-Id']);
+
+  const tools = await request('POST', '/mcp', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, session);
+  assert.ok(tools.body.result.tools.some(tool => tool.name === 'search'));
+
+  const call = await request('POST', '/mcp', {
+    jsonrpc: '2.0',
+    id: 3,
+    method: 'tools/call',
+    params: { name: 'getUniversityByName', arguments: { name: 'Harvard University' } }
+  }, session);
+  assert.strictEqual(call.body.result.isError, false);
+  assert.match(call.body.result.content[0].text, /HARVARD UNIVERSITY/);
+
+  const closed = await request('DELETE', '/mcp', undefined, session);
+  assert.strictEqual(closed.status, 204);
+});
+
+test('POST /mcp answers an empty body with a parse error', async () => {
+  const initialize = await request('POST', '/mcp', {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+  const session = initialize.headers.get('mcp-session-id');
+  for (const [body, contentType] of [['', 'application/json'], ['  ', 'application/json'], ['', 'text/plain']]) {
+    const response = await fetch(`${server.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, 'Mcp-Session-Id': session },
+      body
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error.code, -32700);
+  }
+});
@@ -0,0 +1,66 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { MAX_GROUPS, planStatistics, buildTable } = require('../lib/statistics');
+const { OpenDataSoftDataSource } = require('../lib/datasources/opendatasoft');
+
+test('an ungrouped plan asks for no limit', () => {
+  const plan = planStatistics({ aggregations: [{ aggregation: 'count' }], filter: { state: 'MA' } });
+  assert.strictEqual(plan.query.limit, undefined);
+  assert.deepStrictEqual(plan.query.groupBy, []);
+});
+
+test('a grouped plan fetches every group', () => {
+  const plan = planStatistics({ aggregations: [{ aggregation: 'count' }], groupBy: 'state', limit: 5 });
+  assert.strictEqual(plan.query.limit, MAX_GROUPS);
+  assert.strictEqual(plan.limit, 5);
+});
+
+test('OpenDataSoft accepts ungrouped and grouped aggregates', async () => {
+  const requests = [];
+  // Answers like the Explore API, which refuses limit > 100 without group_by
+  const server = http.createServer((req, res) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    requests.push(params);
+    const refused = !params.has('group_by') && Number(params.get('limit')) > 100;
+    res.writeHead(refused ? 400 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(refused ? { message: 'Invalid value for limit' } : { results: [{ count: 3 }] }));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    const source = new OpenDataSoftDataSource({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      datasetId: 'us-colleges-and-universities',
+      upstream: { retries: 0 }
+    });
+    const ungrouped = planStatistics({ field: 'tot_enroll', aggregation: 'avg' });
+    assert.deepStrictEqual((await source.aggregate(ungrouped.query)).results, [{ count: 3 }]);
+    const grouped = planStatistics({ aggregations: [{ aggregation: 'count' }], groupBy: 'state' });
+    await source.aggregate(grouped.query);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  assert.strictEqual(requests[0].has('limit'), false);
+  assert.strictEqual(requests[1].get('limit'), String(MAX_GROUPS));
+});
+
+test('buildTable applies having, ordering and the top-N limit', () => {
+  const plan = planStatistics({
+    aggregations: [{ aggregation: 'count' }],
+    groupBy: 'state',
+    having: { field: 'count', op: '>=', value: 2 },
+    orderBy: [{ field: 'count', direction: 'desc' }],
+    limit: 1
+  });
+  const table = buildTable(plan, [{ state: 'MA', count: 2 }, { state: 'CA', count: 3 }, { state: 'TX', count: 1 }]);
+  assert.deepStrictEqual(table.results, [{ state: 'CA', count: 3 }]);
+  assert.strictEqual(table.total_groups, 2);
+  assert.strictEqual(table.truncated, false);
+});
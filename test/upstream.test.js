@@ -0,0 +1,188 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { UpstreamClient, CircuitBreaker, parseRetryAfter } = require('../lib/upstream');
+
+let server;
+let url;
+// Responses the test server gives, in order: [status, headers?]
+let script = [];
+let received = 0;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    received++;
+    const [status, headers = {}] = script.shift() || [200];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(status === 200 ? { results: [] } : { message: `Failed with ${status}` }));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `http://127.0.0.1:${server.address().port}/records`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  script = [];
+  received = 0;
+});
+
+/**
+ * A client that retries without waiting long
+ */
+function client(options = {}) {
+  return new UpstreamClient({ name: 'Test', retryDelayMs: 1, maxRetryDelayMs: 50, ...options });
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', t => {
+  t.mock.method(Date, 'now', () => Date.parse('Mon, 19 Oct 2026 12:00:00 GMT'));
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter('Mon, 19 Oct 2026 12:00:05 GMT'), 5000);
+  assert.strictEqual(parseRetryAfter('Mon, 19 Oct 2026 11:00:00 GMT'), 0);
+  assert.strictEqual(parseRetryAfter('soon'), undefined);
+  assert.strictEqual(parseRetryAfter(undefined), undefined);
+});
+
+test('the breaker opens after consecutive failures and lets one trial through after the reset timeout', t => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+
+  breaker.failure();
+  assert.strictEqual(breaker.state, 'closed');
+  assert.ok(breaker.allow());
+  breaker.failure();
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.allow(), false);
+  now = 400;
+  assert.strictEqual(breaker.retryAfterMs(), 600);
+
+  now = 1000;
+  assert.ok(breaker.allow());
+  assert.strictEqual(breaker.state, 'half_open');
+  assert.strictEqual(breaker.allow(), false, 'only one trial request at a time');
+
+  // A failed trial reopens it at once
+  breaker.failure();
+  assert.strictEqual(breaker.state, 'open');
+  assert.strictEqual(breaker.allow(), false);
+
+  now = 2000;
+  assert.ok(breaker.allow());
+  breaker.success();
+  assert.deepStrictEqual(breaker.report(), {
+    state: 'closed',
+    failures: 0,
+    failureThreshold: 2,
+    resetTimeoutMs: 1000,
+    openedAt: null,
+    retryAfterMs: 0
+  });
+});
+
+test('backoff doubles per attempt with jitter, up to the longest delay', t => {
+  const upstream = client({ retryDelayMs: 100, maxRetryDelayMs: 1000 });
+  const failure = { response: { status: 503, headers: {} } };
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([0, 1, 2, 5].map(attempt => upstream._retryDelay(failure, attempt)), [50, 100, 200, 500]);
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.ok(Math.abs(upstream._retryDelay(failure, 0) - 100) < 0.001);
+  assert.ok(upstream._retryDelay({ code: 'ECONNRESET' }, 0) > 0, 'network errors are retried');
+  assert.strictEqual(upstream._retryDelay({ response: { status: 400, headers: {} } }, 0), undefined);
+});
+
+test('server errors are retried until one succeeds', async () => {
+  script = [[503], [502]];
+  const upstream = client();
+  const response = await upstream.get(url);
+  assert.deepStrictEqual(response.data, { results: [] });
+  assert.strictEqual(received, 3);
+  assert.strictEqual(upstream.stats.retries, 2);
+  assert.strictEqual(upstream.breaker.state, 'closed');
+  assert.strictEqual(upstream.breaker.failures, 0);
+});
+
+test('the last failure is reported once the retries run out', async () => {
+  script = [[500], [500], [500]];
+  const upstream = client({ retries: 2 });
+  await assert.rejects(upstream.get(url), { status: 502, message: 'Failed with 500', details: { upstreamStatus: 500 } });
+  assert.strictEqual(received, 3);
+});
+
+test('rejected requests are not retried and do not count against the breaker', async () => {
+  script = [[400]];
+  const upstream = client({ breaker: { failureThreshold: 1 } });
+  await assert.rejects(upstream.get(url), { status: 400, message: 'Failed with 400' });
+  assert.strictEqual(received, 1);
+  assert.strictEqual(upstream.breaker.state, 'closed');
+});
+
+test('Retry-After is honored, and a longer wait than allowed is not retried', async () => {
+  script = [[429, { 'Retry-After': '0' }]];
+  const upstream = client();
+  await upstream.get(url);
+  assert.strictEqual(received, 2);
+
+  received = 0;
+  script = [[429, { 'Retry-After': '120' }]];
+  await assert.rejects(upstream.get(url), { status: 429, details: { retryAfter: 120 } });
+  assert.strictEqual(received, 1);
+});
+
+test('an open breaker fails fast, then closes after a successful trial', async t => {
+  script = [[503], [503]];
+  const upstream = client({ retries: 0, breaker: { failureThreshold: 2, resetTimeoutMs: 1000 } });
+  await assert.rejects(upstream.get(url), { status: 502 });
+  await assert.rejects(upstream.get(url), { status: 502 });
+  assert.strictEqual(upstream.breaker.state, 'open');
+
+  await assert.rejects(upstream.get(url), error => {
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.code, 'upstream_unavailable');
+    assert.strictEqual(error.details.breaker, 'open');
+    assert.strictEqual(error.details.retryAfter, 1);
+    return true;
+  });
+  assert.strictEqual(received, 2);
+  assert.strictEqual(upstream.stats.rejected, 1);
+
+  const openedAt = upstream.breaker.openedAt;
+  t.mock.method(Date, 'now', () => openedAt + 1000);
+  await upstream.get(url);
+  assert.strictEqual(received, 3);
+  assert.strictEqual(upstream.breaker.state, 'closed');
+});
+
+test('no more than maxConcurrent requests are in flight at once', async t => {
+  let inFlight = 0;
+  let most = 0;
+  const slow = http.createServer((req, res) => {
+    inFlight++;
+    most = Math.max(most, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"results":[]}');
+    }, 20);
+  });
+  slow.listen(0, '127.0.0.1');
+  await once(slow, 'listening');
+  t.after(() => {
+    slow.closeAllConnections();
+    slow.close();
+  });
+
+  const upstream = client({ maxConcurrent: 2 });
+  const requests = Array.from({ length: 6 }, () => upstream.get(`http://127.0.0.1:${slow.address().port}/records`));
+  assert.deepStrictEqual(upstream.report().concurrency, { limit: 2, active: 2, queued: 4 });
+  await Promise.all(requests);
+  assert.strictEqual(most, 2);
+  assert.deepStrictEqual(upstream.report().concurrency, { limit: 2, active: 0, queued: 0 });
+});